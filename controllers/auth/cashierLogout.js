@@ -1,15 +1,17 @@
 const Cashier = require('../../models/Cashier');
+const { blacklistAccessToken } = require('../../utils/tokenService');
+const { revokeAccountSessions } = require('../../utils/sessionService');
 
 /**
  * Handle cashier logout
- * - Validates cashier role
- * - Clears active session
+ * - Validates cashier account
+ * - Clears active session and revokes its tokens
  * - Returns success response
  */
 async function cashierLogout(req, res, next) {
   try {
     // Check if user is a cashier
-    if (req.user?.role !== process.env.CASHIER_KEY) {
+    if (req.user?.accountType !== 'cashier') {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Cashier logout only.',
@@ -31,6 +33,10 @@ async function cashierLogout(req, res, next) {
     // Record logout to clear active session
     await cashier.recordLogout(req.ip, req.get('User-Agent'));
 
+    // Cashiers have one session at a time, so every session goes
+    await revokeAccountSessions(cashier._id, 'cashier', 'logout');
+    await blacklistAccessToken(req.auth);
+
     res.status(200).json({
       success: true,
       message: 'Cashier logged out successfully',
@@ -1,6 +1,7 @@
 const { validationResult } = require('express-validator');
 const User = require('../../models/User');
 const { getJSON, setJSON } = require('../../utils/redis');
+const { createResetOtp } = require('../../utils/passwordResetService');
 const { formatDate } = require('../../utils/logging');
 
 /**
@@ -72,31 +73,9 @@ async function checkEmail(req, res, next) {
 
     // Email exists, generate and send OTP
     try {
-      // Generate unique OTP using timestamp + random (same as registration)
-      const timestamp = Date.now().toString().slice(-3);
-      const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-      const otp = timestamp + random;
-      const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes expiry
-
-      // Cache OTP in Redis for faster access and backup
-      const otpCacheKey = `password_reset_otp:${email.toLowerCase()}`;
-      await setJSON(otpCacheKey, {
-        otp,
-        expiry: otpExpiry.toISOString(),
-        email: email.toLowerCase()
-      }, 600); // 10 minutes TTL
-      console.log(`[${startTimeFormatted}] - 💾 Password reset OTP cached in Redis: ${email}`);
-
-      // Store OTP in user document as backup
-      await User.findOneAndUpdate(
-        { email: email.toLowerCase().trim() },
-        { 
-          $set: { 
-            passwordResetOtp: otp,
-            passwordResetOtpExpiry: otpExpiry
-          }
-        }
-      );
+      // Only the OTP's hash is stored; the plain code goes out in the email
+      const { otp } = await createResetOtp(email);
+      console.log(`[${startTimeFormatted}] - 🔑 Password reset OTP issued: ${email}`);
 
       // Send email using Nodemailer (same logic as registration)
       if (!process.env.EMAIL_SERVICE || !process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
@@ -9,6 +9,20 @@ const { checkEmail } = require('./checkEmail');
 const { resetPassword } = require('./resetPassword');
 const { resetPasswordVerify } = require('./resetPasswordVerify');
 const { cashierLogout } = require('./cashierLogout');
+const { refresh } = require('./refresh');
+const { loginTwoFactor } = require('./loginTwoFactor');
+const { unlockAccount } = require('./unlockAccount');
+const { requestMagicLink, verifyMagicLink } = require('./magicLink');
+const {
+  getOAuthProviders,
+  startOAuth,
+  oauthCallback,
+  confirmOAuthLink,
+  getLinkedIdentities,
+  linkOAuthProvider,
+  unlinkOAuthProvider
+} = require('./oauth');
+const { getSessions, revokeSession, revokeAllSessions } = require('./sessions');
 
 module.exports = {
   register,
@@ -19,4 +33,19 @@ module.exports = {
   resetPassword,
   resetPasswordVerify,
   cashierLogout,
+  refresh,
+  loginTwoFactor,
+  unlockAccount,
+  requestMagicLink,
+  verifyMagicLink,
+  getOAuthProviders,
+  startOAuth,
+  oauthCallback,
+  confirmOAuthLink,
+  getLinkedIdentities,
+  linkOAuthProvider,
+  unlinkOAuthProvider,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
 };
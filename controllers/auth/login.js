@@ -1,16 +1,34 @@
 const { validationResult } = require('express-validator');
 const User = require('../../models/User');
 const Cashier = require('../../models/Cashier');
-const { generateToken } = require('../../utils/jwt');
+const { issueTokens, tokenResponse } = require('../../utils/tokenService');
+const { createLoginChallenge, isTwoFactorRequired } = require('../../utils/twoFactorService');
+const { recordFailedAttempt, clearFailedAttempts } = require('../../utils/throttleService');
+const { normalizeRoleName } = require('../../utils/permissions');
 const { formatDate, logError } = require('../../utils/logging');
 const { getJSON, setJSON } = require('../../utils/redis');
 
+// Accounts with 2FA get a challenge instead of tokens; POST /api/auth/login/2fa completes it.
+// Failures are only cleared once the second factor checks out, so wrong codes add up to a lockout
+function sendTwoFactorChallenge(res, account, accountType) {
+  return res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    challengeToken: createLoginChallenge(account, accountType),
+    methods: ['totp', 'recovery_code']
+  });
+}
+
 /**
  * Handle user login
  * - Validates request
  * - Verifies credentials with User.findByCredentials
+ * - Counts failures against the account (lockout after repeated failures, see middleware/throttle.js)
  * - Updates lastLogin atomically for concurrency safety
- * - Returns JWT and user info
+ * - Accounts with 2FA enabled get a challenge token for /api/auth/login/2fa instead
+ * - Returns an access token, a refresh token and user info
+ * - Flags accounts whose role requires 2FA but have not set it up (`twoFactorSetupRequired`)
  * - Optimized for high-volume requests
  */
 async function login(req, res, next) {
@@ -49,8 +67,14 @@ async function login(req, res, next) {
         
         if (isMatch) {
           debugLog(`[${startTimeFormatted}] - ✅ Cached user credentials verified: ${cachedUser.name}`);
-          
-          const token = generateToken({ id: cachedUser._id, role: cachedUser.role });
+
+          if (cachedUser.twoFactorEnabled) {
+            return sendTwoFactorChallenge(res, cachedUser, 'user');
+          }
+          await clearFailedAttempts(email);
+          const twoFactorSetupRequired = await isTwoFactorRequired(cachedUser, 'user');
+
+          const tokens = await issueTokens(cachedUser, { req });
           const userData = {
             name: cachedUser.name,
             email: cachedUser.email,
@@ -62,7 +86,13 @@ async function login(req, res, next) {
           
           const responseTime = Date.now() - startTime;
           debugLog(`[${startTimeFormatted}] - ✅ CACHED USER LOGIN SUCCESSFUL | Total time: ${responseTime}ms | Redis: ${usedRedis}`);
-          return res.status(200).json({ success: true, message: 'Login successful', token, user: userData });
+          return res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            ...tokenResponse(tokens),
+            user: userData,
+            ...(twoFactorSetupRequired && { twoFactorSetupRequired })
+          });
         }
       } catch (passwordError) {
         debugLog(`[${startTimeFormatted}] - ⚠️ Cached user password verification failed, falling back to DB`);
@@ -87,6 +117,8 @@ async function login(req, res, next) {
     if (user) {
       debugLog(`[${startTimeFormatted}] - ✅ User credentials verified: ${user.name}`);
 
+      const twoFactorEnabled = Boolean(user.twoFactor?.enabled);
+
       // Non-blocking lastLogin update to avoid adding write latency on hot path
       User.updateOne(
         { _id: user._id },
@@ -103,10 +135,17 @@ async function login(req, res, next) {
         createdAt: user.createdAt,
         signupPlatform: user.signupPlatform || 'web',
         createdAtKey: user.createdAtKey,
+        twoFactorEnabled,
       };
       await setJSON(userCacheKey, userToCache, 300);
       debugLog(`[${startTimeFormatted}] - 💾 User data cached in Redis for 5 minutes`);
 
+      if (twoFactorEnabled) {
+        return sendTwoFactorChallenge(res, user, 'user');
+      }
+      await clearFailedAttempts(email);
+      const twoFactorSetupRequired = await isTwoFactorRequired(user, 'user');
+
       const userData = {
         name: user.name,
         email: user.email,
@@ -116,11 +155,17 @@ async function login(req, res, next) {
         signupPlatform: user.signupPlatform || 'web',
       };
 
-      const token = generateToken({ id: user._id, role: user.role });
+      const tokens = await issueTokens(user, { req });
       const responseTime = Date.now() - startTime;
       debugLog(`[${startTimeFormatted}] - ✅ USER LOGIN SUCCESSFUL | Total time: ${responseTime}ms | Redis: ${usedRedis}`);
-      
-      return res.status(200).json({ success: true, message: 'Login successful', token, user: userData });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        ...tokenResponse(tokens),
+        user: userData,
+        ...(twoFactorSetupRequired && { twoFactorSetupRequired })
+      });
     }
 
     try {
@@ -142,19 +187,31 @@ async function login(req, res, next) {
         });
       }
 
+      if (cashier.twoFactor?.enabled) {
+        return sendTwoFactorChallenge(res, cashier, 'cashier');
+      }
+      await clearFailedAttempts(email);
+      const twoFactorSetupRequired = await isTwoFactorRequired(cashier, 'cashier');
+
       await cashier.recordLogin(req.ip, req.get('User-Agent'));
       const userData = {
         name: cashier.name,
         userName: cashier.userName,
-        role: process.env.CASHIER_KEY || 'cashier',
+        role: normalizeRoleName(cashier.role, 'cashier'),
         lastLogin: cashier.lastLogin,
       };
 
-      const token = generateToken({ id: cashier._id, role: process.env.CASHIER_KEY || 'cashier', type: 'cashier' });
+      const tokens = await issueTokens(cashier, { accountType: 'cashier', req });
       const responseTime = Date.now() - startTime;
       debugLog(`[${startTimeFormatted}] - ✅ CASHIER LOGIN SUCCESSFUL | Total time: ${responseTime}ms | Redis: ${usedRedis}`);
 
-      return res.status(200).json({ success: true, message: 'Login successful', token, user: userData });
+      return res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        ...tokenResponse(tokens),
+        user: userData,
+        ...(twoFactorSetupRequired && { twoFactorSetupRequired })
+      });
     }
 
     // --- Login Failure ---
@@ -165,6 +222,15 @@ async function login(req, res, next) {
     debugLog(`[${startTimeFormatted}] - Cashier Auth Failure: ${cashierErrorReason}`);
     logError(`⏱️  Failed login time: ${Date.now() - startTime}ms`);
 
+    const lockedUntil = await recordFailedAttempt(email, req);
+    if (lockedUntil) {
+      return res.status(423).json({
+        success: false,
+        message: 'Too many failed attempts. This account is temporarily locked; check your email for an unlock link or try again later.',
+        lockedUntil
+      });
+    }
+
     return res.status(401).json({ success: false, message: 'Invalid credentials' });
 
   } catch (error) {
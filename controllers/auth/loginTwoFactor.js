@@ -0,0 +1,83 @@
+const { validationResult } = require('express-validator');
+const User = require('../../models/User');
+const { issueTokens, tokenResponse } = require('../../utils/tokenService');
+const { verifyLoginChallenge } = require('../../utils/twoFactorService');
+const { normalizeRoleName } = require('../../utils/permissions');
+const { formatDate, logError } = require('../../utils/logging');
+
+/**
+ * Complete a login for an account with two-factor authentication
+ * - Takes the challenge token from /api/auth/login and a TOTP code or a recovery code
+ * - A challenge allows a few wrong codes and is single use
+ * - Returns an access token, a refresh token and user info, like /api/auth/login
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (challenge token)
+ */
+async function loginTwoFactor(req, res, next) {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔐 2FA LOGIN STARTED | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const { account, accountType, method } = await verifyLoginChallenge(challengeToken, { code, recoveryCode }, req);
+
+    let userData;
+    if (accountType === 'cashier') {
+      // Another device may have logged in while this one was entering its code
+      if (account.hasActiveSession()) {
+        logError('🚫 Cashier 2FA login blocked - active session exists');
+        return res.status(403).json({
+          success: false,
+          message: 'Cashier already logged in from another device. Please logout first.',
+          activeSession: account.sessionInfo
+        });
+      }
+
+      await account.recordLogin(req.ip, req.get('User-Agent'));
+      userData = {
+        name: account.name,
+        userName: account.userName,
+        role: normalizeRoleName(account.role, 'cashier'),
+        lastLogin: account.lastLogin,
+      };
+    } else {
+      User.updateOne(
+        { _id: account._id },
+        { $set: { lastLogin: new Date() } }
+      ).catch(() => {});
+
+      userData = {
+        name: account.name,
+        email: account.email,
+        role: account.role,
+        lastLogin: new Date(),
+        createdAt: account.createdAt,
+        signupPlatform: account.signupPlatform || 'web',
+      };
+    }
+
+    const tokens = await issueTokens(account, { accountType, req });
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ 2FA LOGIN SUCCESSFUL | ${accountType} ${account._id} | Method: ${method} | Total time: ${responseTime}ms`);
+
+    return res.status(200).json({ success: true, message: 'Login successful', ...tokenResponse(tokens), user: userData });
+
+  } catch (error) {
+    if (error.statusCode) {
+      logError(`❌ 2FA LOGIN FAILED - ${error.message}`);
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logError('💥 2FA LOGIN ERROR - Server error');
+    logError(`📝 Error: ${error.message}`);
+    return next(error);
+  }
+}
+
+module.exports = { loginTwoFactor };
@@ -0,0 +1,109 @@
+const { validationResult } = require('express-validator');
+const User = require('../../models/User');
+const { requestMagicLink: sendMagicLink, verifyMagicLink: verifyMagicLinkCredentials } = require('../../utils/magicLinkService');
+const { issueTokens, tokenResponse } = require('../../utils/tokenService');
+const { createLoginChallenge, isTwoFactorRequired } = require('../../utils/twoFactorService');
+const { formatDate, logError } = require('../../utils/logging');
+
+function sendMagicLinkError(res, error, next, label) {
+  if (error.statusCode) {
+    logError(`❌ ${label} FAILED - ${error.message}`);
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  logError(`💥 ${label} ERROR - ${error.message}`);
+  return next(error);
+}
+
+/**
+ * Email a passwordless sign-in code (and link)
+ * - Answers the same whether or not the email has an account
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+async function requestMagicLink(req, res, next) {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - ✉️ MAGIC LINK REQUEST STARTED | Email: ${req.body.email} | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    await sendMagicLink(req.body.email, req);
+
+    console.log(`[${startTimeFormatted}] - ✅ MAGIC LINK REQUEST DONE | Total time: ${Date.now() - startTime}ms`);
+    return res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a sign-in code has been sent to it.'
+    });
+  } catch (error) {
+    return sendMagicLinkError(res, error, next, 'MAGIC LINK REQUEST');
+  }
+}
+
+/**
+ * Sign in with the emailed code or link
+ * - Body: { token } from the link, or { email, code }
+ * - Accounts with 2FA get a challenge for /api/auth/login/2fa, as with a password login
+ * @route   POST /api/auth/magic-link/verify
+ * @access  Public (sign-in code or link)
+ */
+async function verifyMagicLink(req, res, next) {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - ✉️ MAGIC LINK LOGIN STARTED | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { token, email, code } = req.body;
+    const user = await verifyMagicLinkCredentials({ token, email, code }, req);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user, 'user'),
+        methods: ['totp', 'recovery_code']
+      });
+    }
+    const twoFactorSetupRequired = await isTwoFactorRequired(user, 'user');
+
+    User.updateOne(
+      { _id: user._id },
+      { $set: { lastLogin: new Date() } }
+    ).catch(() => {});
+
+    const tokens = await issueTokens(user, { req });
+    const userData = {
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      lastLogin: new Date(),
+      createdAt: user.createdAt,
+      signupPlatform: user.signupPlatform || 'web',
+    };
+
+    console.log(`[${startTimeFormatted}] - ✅ MAGIC LINK LOGIN SUCCESSFUL | ${user.email} | Total time: ${Date.now() - startTime}ms`);
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      ...tokenResponse(tokens),
+      user: userData,
+      ...(twoFactorSetupRequired && { twoFactorSetupRequired })
+    });
+  } catch (error) {
+    return sendMagicLinkError(res, error, next, 'MAGIC LINK LOGIN');
+  }
+}
+
+module.exports = {
+  requestMagicLink,
+  verifyMagicLink
+};
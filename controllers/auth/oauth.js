@@ -0,0 +1,209 @@
+const { validationResult } = require('express-validator');
+const User = require('../../models/User');
+const {
+  listProviders,
+  startAuthorization,
+  completeAuthorization,
+  confirmLink,
+  listIdentities,
+  unlinkIdentity
+} = require('../../utils/oauthService');
+const { issueTokens, tokenResponse } = require('../../utils/tokenService');
+const { createLoginChallenge, isTwoFactorRequired } = require('../../utils/twoFactorService');
+const { formatDate, logError } = require('../../utils/logging');
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    return true;
+  }
+  return false;
+}
+
+function sendOAuthError(res, error, next, label) {
+  if (error.code === 'LINK_CONFIRMATION_REQUIRED') {
+    return res.status(409).json({ success: false, message: error.message, linkRequired: true, linkToken: error.linkToken });
+  }
+  if (error.statusCode) {
+    logError(`❌ ${label} FAILED - ${error.message}`);
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  logError(`💥 ${label} ERROR - ${error.message}`);
+  return next(error);
+}
+
+// Same response as a password login, 2FA challenge included
+async function sendSignIn(res, user, req, { created = false } = {}) {
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: createLoginChallenge(user, 'user'),
+      methods: ['totp', 'recovery_code']
+    });
+  }
+  const twoFactorSetupRequired = await isTwoFactorRequired(user, 'user');
+
+  User.updateOne(
+    { _id: user._id },
+    { $set: { lastLogin: new Date() } }
+  ).catch(() => {});
+
+  const tokens = await issueTokens(user, { req });
+  return res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Account created' : 'Login successful',
+    ...tokenResponse(tokens),
+    user: {
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      lastLogin: new Date(),
+      createdAt: user.createdAt,
+      signupPlatform: user.signupPlatform || 'web',
+    },
+    ...(twoFactorSetupRequired && { twoFactorSetupRequired })
+  });
+}
+
+/**
+ * Social sign-in providers that are configured
+ * @route   GET /api/auth/oauth/providers
+ * @access  Public
+ */
+async function getOAuthProviders(req, res) {
+  return res.status(200).json({ success: true, data: { providers: listProviders() } });
+}
+
+/**
+ * Start signing in with a provider
+ * @route   POST /api/auth/oauth/:provider/authorize
+ * @access  Public
+ */
+async function startOAuth(req, res, next) {
+  const startTimeFormatted = formatDate();
+  console.log(`\n[${startTimeFormatted}] - 🌐 OAUTH START | Provider: ${req.params.provider} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { authorizationUrl, state } = await startAuthorization(req.params.provider, { redirectUri: req.body.redirectUri, req });
+    return res.status(200).json({ success: true, data: { authorizationUrl, state } });
+  } catch (error) {
+    return sendOAuthError(res, error, next, 'OAUTH START');
+  }
+}
+
+/**
+ * Finish a provider sign-in or link with the code and state it redirected back with
+ * - Signs in the linked account, or creates one for a new verified email
+ * - 409 with `linkToken` when the email already has an account; see /oauth/link/confirm
+ * @route   POST /api/auth/oauth/:provider/callback
+ * @access  Public (authorization code)
+ */
+async function oauthCallback(req, res, next) {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🌐 OAUTH CALLBACK | Provider: ${req.params.provider} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { code, state } = req.body;
+    const { user, intent, created } = await completeAuthorization(req.params.provider, { code, state }, req);
+
+    console.log(`[${startTimeFormatted}] - ✅ OAUTH ${intent.toUpperCase()} SUCCESSFUL | ${user.email} | Created: ${created} | Total time: ${Date.now() - startTime}ms`);
+    if (intent === 'link') {
+      return res.status(200).json({ success: true, message: 'Account linked', data: await listIdentities(user._id) });
+    }
+    return sendSignIn(res, user, req, { created });
+  } catch (error) {
+    return sendOAuthError(res, error, next, 'OAUTH CALLBACK');
+  }
+}
+
+/**
+ * Link a provider to the existing account with the same email, using the code emailed to it, and sign in
+ * @route   POST /api/auth/oauth/link/confirm
+ * @access  Public (link token and code)
+ */
+async function confirmOAuthLink(req, res, next) {
+  const startTimeFormatted = formatDate();
+  console.log(`\n[${startTimeFormatted}] - 🔗 OAUTH LINK CONFIRM | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await confirmLink({ linkToken: req.body.linkToken, code: req.body.code }, req);
+    console.log(`[${startTimeFormatted}] - ✅ OAUTH LINK CONFIRMED | ${user.email}`);
+    return sendSignIn(res, user, req);
+  } catch (error) {
+    return sendOAuthError(res, error, next, 'OAUTH LINK CONFIRM');
+  }
+}
+
+/**
+ * Providers linked to the account
+ * @route   GET /api/auth/oauth/identities
+ * @access  Private
+ */
+async function getLinkedIdentities(req, res, next) {
+  try {
+    return res.status(200).json({ success: true, data: await listIdentities(req.user._id) });
+  } catch (error) {
+    return sendOAuthError(res, error, next, 'GET IDENTITIES');
+  }
+}
+
+/**
+ * Start linking a provider to the signed-in account; finish with /oauth/:provider/callback
+ * @route   POST /api/auth/oauth/:provider/link
+ * @access  Private
+ */
+async function linkOAuthProvider(req, res, next) {
+  const startTimeFormatted = formatDate();
+  console.log(`\n[${startTimeFormatted}] - 🔗 OAUTH LINK START | Provider: ${req.params.provider} | User: ${req.user._id}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { authorizationUrl, state } = await startAuthorization(req.params.provider, {
+      redirectUri: req.body.redirectUri,
+      intent: 'link',
+      accountId: req.user._id,
+      req
+    });
+    return res.status(200).json({ success: true, data: { authorizationUrl, state } });
+  } catch (error) {
+    return sendOAuthError(res, error, next, 'OAUTH LINK START');
+  }
+}
+
+/**
+ * Unlink a provider from the signed-in account
+ * @route   DELETE /api/auth/oauth/identities/:provider
+ * @access  Private
+ */
+async function unlinkOAuthProvider(req, res, next) {
+  const startTimeFormatted = formatDate();
+  console.log(`\n[${startTimeFormatted}] - 🔗 OAUTH UNLINK | Provider: ${req.params.provider} | User: ${req.user._id}`);
+
+  try {
+    await unlinkIdentity(req.user._id, req.params.provider, req);
+    return res.status(200).json({ success: true, message: 'Account unlinked', data: await listIdentities(req.user._id) });
+  } catch (error) {
+    return sendOAuthError(res, error, next, 'OAUTH UNLINK');
+  }
+}
+
+module.exports = {
+  getOAuthProviders,
+  startOAuth,
+  oauthCallback,
+  confirmOAuthLink,
+  getLinkedIdentities,
+  linkOAuthProvider,
+  unlinkOAuthProvider
+};
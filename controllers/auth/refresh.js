@@ -0,0 +1,45 @@
+const { validationResult } = require('express-validator');
+const { rotateRefreshToken, tokenResponse } = require('../../utils/tokenService');
+const { formatDate, logError } = require('../../utils/logging');
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * - The refresh token is single use; the response carries its replacement
+ * - Reusing an old refresh token logs out every device sharing its login
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token)
+ */
+async function refresh(req, res, next) {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔄 TOKEN REFRESH STARTED | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ TOKEN REFRESH SUCCESSFUL | Total time: ${responseTime}ms`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      ...tokenResponse(tokens)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      logError(`❌ TOKEN REFRESH FAILED - ${error.message}`);
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logError('💥 TOKEN REFRESH ERROR - Server error');
+    logError(`📝 Error: ${error.message}`);
+    return next(error);
+  }
+}
+
+module.exports = { refresh };
@@ -2,6 +2,7 @@ const { validationResult } = require('express-validator');
 const User = require('../../models/User');
 const { generateToken } = require('../../utils/jwt');
 const { getJSON, setJSON } = require('../../utils/redis');
+const { detectPlatform } = require('../../utils/deviceInfo');
 
 /**
  * @desc    Register user with OTP verification
@@ -67,16 +68,7 @@ async function register(req, res, next) {
     const createdAtKey = `${email}_${Date.now()}`;
 
     // Detect signup platform from User-Agent
-    const userAgent = req.headers['user-agent'] || '';
-    let signupPlatform = 'web'; // default
-    
-    if (userAgent.includes('wv') || userAgent.includes('WebView') || 
-        (userAgent.includes('Mobile') && userAgent.includes('wv'))) {
-      signupPlatform = 'webview'; // Web app wrapped in native WebView
-    } else if (userAgent.includes('Mobile') || userAgent.includes('Android') || 
-               userAgent.includes('iPhone') || userAgent.includes('iPad')) {
-      signupPlatform = 'mobile'; // Native mobile app
-    }
+    const signupPlatform = detectPlatform(req.headers['user-agent']);
 
     // Store registration data with OTP in Redis instead of memory
     const pendingUser = {
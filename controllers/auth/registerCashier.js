@@ -5,7 +5,7 @@ const { formatDate } = require('../../utils/logging');
 /**
  * @desc    Register new cashier (direct registration, no OTP required)
  * @route   POST /api/auth/register/cashier
- * @access  Public
+ * @access  Private (cashiers:manage)
  */
 exports.registerCashier = async (req, res) => {
   const startTime = Date.now();
@@ -14,23 +14,7 @@ exports.registerCashier = async (req, res) => {
   console.log(`\n[${startTimeFormatted}] - 🏦 CASHIER REGISTRATION STARTED | IP: ${req.ip}`);
 
   try {
-    const { name, userName, password, role } = req.body;
-
-    // Validate role key against environment variable
-    const CASHIER_KEY = process.env.CASHIER_KEY;
-    if (!CASHIER_KEY) {
-      return res.status(500).json({
-        success: false,
-        message: 'Server configuration error'
-      });
-    }
-
-    if (role !== CASHIER_KEY) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid role key'
-      });
-    }
+    const { name, userName, password } = req.body;
 
     // Check Redis cache first for existing cashier
     const cashierCacheKey = `cashier_exists:${userName.toLowerCase()}`;
@@ -84,7 +68,7 @@ exports.registerCashier = async (req, res) => {
       id: cashier._id,
       name: cashier.name,
       userName: cashier.userName,
-      role: process.env.CASHIER_ROLE || 'cashier',
+      role: cashier.role,
       isActive: cashier.isActive,
       createdAt: cashier.createdAt
     };
@@ -1,10 +1,11 @@
 const { validationResult } = require('express-validator');
-const User = require('../../models/User');
+const { resetPassword: resetAccountPassword } = require('../../utils/passwordResetService');
 
 /**
  * Reset user password
  * - Validates email and new password
- * - Updates password in database
+ * - Checks the reset token against its stored hash; it works once
+ * - Updates password in database, logs out every session and emails the account
  * - Returns success response
  */
 async function resetPassword(req, res, next) {
@@ -19,55 +20,16 @@ async function resetPassword(req, res, next) {
     }
 
     const { email, password, token } = req.body;
-
-    // Find user by email with reset token fields
-    const user = await User.findOne({ 
-      email: email.toLowerCase().trim(), 
-      isActive: true 
-    }).select('+passwordResetToken +passwordResetTokenExpiry');
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
-    // Check if reset token exists and is not expired
-    if (!user.passwordResetToken || !user.passwordResetTokenExpiry) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired reset token. Please request a new password reset.',
-      });
-    }
-
-    // Check if reset token has expired
-    if (Date.now() > user.passwordResetTokenExpiry) {
-      return res.status(400).json({
-        success: false,
-        message: 'Reset token has expired. Please request a new password reset.',
-      });
-    }
-
-    // Verify reset token
-    if (user.passwordResetToken !== token) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid reset token. Please request a new password reset.',
-      });
-    }
-
-    // Token is valid - update password and clear token
-    user.password = password;
-    user.passwordResetToken = undefined;
-    user.passwordResetTokenExpiry = undefined;
-    await user.save();
+    await resetAccountPassword({ email, token, password }, req);
 
     return res.status(200).json({
       success: true,
       message: 'Password reset successfully',
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     return next(error);
   }
 }
@@ -0,0 +1,110 @@
+const { validationResult } = require('express-validator');
+const { listSessions, revokeOwnSession, revokeAccountSessions } = require('../../utils/sessionService');
+const { formatDate, logError } = require('../../utils/logging');
+
+// Cashiers have a single session, tracked on the cashier too; ending it must free them to log in again
+async function endCashierSession(req) {
+  if (req.user.accountType === 'cashier') {
+    await req.user.recordLogout(req.ip, req.get('User-Agent'));
+  }
+}
+
+function sendSessionError(res, error, next, label) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  logError(`💥 ${label} ERROR - ${error.message}`);
+  return next(error);
+}
+
+/**
+ * List the devices the account is logged in on
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+async function getSessions(req, res, next) {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 📱 GET SESSIONS | Account: ${req.user._id} | IP: ${req.ip}`);
+
+  try {
+    const sessions = await listSessions(req.user._id, req.user.accountType, req.auth.sessionId);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ GET SESSIONS SUCCESSFUL | Count: ${sessions.length} | Total time: ${responseTime}ms`);
+
+    return res.status(200).json({ success: true, data: { sessions } });
+  } catch (error) {
+    return sendSessionError(res, error, next, 'GET SESSIONS');
+  }
+}
+
+/**
+ * Log one device out
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+async function revokeSession(req, res, next) {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 📱 REVOKE SESSION | Account: ${req.user._id} | Session: ${req.params.id} | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    await revokeOwnSession(req.user._id, req.user.accountType, req.params.id);
+    await endCashierSession(req);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ SESSION REVOKED | Total time: ${responseTime}ms`);
+
+    return res.status(200).json({
+      success: true,
+      message: req.params.id === String(req.auth.sessionId) ? 'Logged out of this device' : 'Device logged out'
+    });
+  } catch (error) {
+    return sendSessionError(res, error, next, 'REVOKE SESSION');
+  }
+}
+
+/**
+ * Log out everywhere
+ * - `?keepCurrent=true` keeps the session making the request
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+async function revokeAllSessions(req, res, next) {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  const keepCurrent = req.query.keepCurrent === 'true';
+  console.log(`\n[${startTimeFormatted}] - 📱 REVOKE ALL SESSIONS | Account: ${req.user._id} | Keep current: ${keepCurrent} | IP: ${req.ip}`);
+
+  try {
+    const revoked = await revokeAccountSessions(req.user._id, req.user.accountType, 'logout_all', {
+      except: keepCurrent ? req.auth.sessionId : undefined
+    });
+    if (!keepCurrent) {
+      await endCashierSession(req);
+    }
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ ALL SESSIONS REVOKED | Count: ${revoked} | Total time: ${responseTime}ms`);
+
+    return res.status(200).json({
+      success: true,
+      message: keepCurrent ? 'Logged out of all other devices' : 'Logged out of all devices',
+      data: { revoked }
+    });
+  } catch (error) {
+    return sendSessionError(res, error, next, 'REVOKE ALL SESSIONS');
+  }
+}
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeAllSessions
+};
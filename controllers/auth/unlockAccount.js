@@ -0,0 +1,38 @@
+const { validationResult } = require('express-validator');
+const { unlockAccount: unlockAccountByToken } = require('../../utils/throttleService');
+const { formatDate, logError } = require('../../utils/logging');
+
+/**
+ * Lift a lockout with the link from the "account locked" email
+ * - Clears the lockout and the failed attempts, so the owner can log in straight away
+ * @route   GET /api/auth/unlock?token=...
+ * @access  Public (unlock token)
+ */
+async function unlockAccount(req, res, next) {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔓 ACCOUNT UNLOCK STARTED | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const email = await unlockAccountByToken(req.query.token, req);
+
+    console.log(`[${startTimeFormatted}] - ✅ ACCOUNT UNLOCKED | ${email} | Total time: ${Date.now() - startTime}ms`);
+    return res.status(200).json({ success: true, message: 'Your account is unlocked. You can log in again.' });
+
+  } catch (error) {
+    if (error.statusCode) {
+      logError(`❌ ACCOUNT UNLOCK FAILED - ${error.message}`);
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logError('💥 ACCOUNT UNLOCK ERROR - Server error');
+    logError(`📝 Error: ${error.message}`);
+    return next(error);
+  }
+}
+
+module.exports = { unlockAccount };
@@ -1,4 +1,4 @@
-const { register, logout, login, checkEmail, resetPassword, resetPasswordVerify, cashierLogout } = require('./auth');
+const { register, logout, login, checkEmail, resetPassword, resetPasswordVerify, cashierLogout, refresh, loginTwoFactor, unlockAccount, requestMagicLink, verifyMagicLink, getOAuthProviders, startOAuth, oauthCallback, confirmOAuthLink, getLinkedIdentities, linkOAuthProvider, unlinkOAuthProvider, getSessions, revokeSession, revokeAllSessions } = require('./auth');
 
 module.exports = {
   register,
@@ -8,4 +8,19 @@ module.exports = {
   resetPassword,
   resetPasswordVerify,
   cashierLogout,
+  refresh,
+  loginTwoFactor,
+  unlockAccount,
+  requestMagicLink,
+  verifyMagicLink,
+  getOAuthProviders,
+  startOAuth,
+  oauthCallback,
+  confirmOAuthLink,
+  getLinkedIdentities,
+  linkOAuthProvider,
+  unlinkOAuthProvider,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
 };
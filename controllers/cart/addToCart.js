@@ -2,6 +2,8 @@ const { validationResult } = require('express-validator');
 const Cart = require('../../models/Cart');
 const Product = require('../../models/Product');
 const { cacheCart } = require('./getCart');
+const { refreshCartCoupon } = require('../../utils/couponService');
+const { getUnitPrice, isPriceMismatch, getMismatchPolicy } = require('../../utils/pricingService');
 
 /**
  * @desc    Add item to cart
@@ -22,7 +24,7 @@ exports.addToCart = async (req, res) => {
     const { productId, quantity, price, size } = req.body;
     const userId = req.user.id;
 
-    // Validate that quantity and price are positive numbers
+    // Validate that quantity is a positive number
     if (quantity <= 0) {
       return res.status(400).json({
         success: false,
@@ -31,11 +33,32 @@ exports.addToCart = async (req, res) => {
       });
     }
 
-    if (price < 0) {
-      return res.status(400).json({
+    // Price comes from the catalog, never from the request body
+    const product = await Product.findById(productId)
+      .select('title price originalPrice discountPercent')
+      .lean();
+
+    if (!product) {
+      return res.status(404).json({
         success: false,
-        message: 'Price cannot be negative',
-        statusCode: 400
+        message: 'Product not found',
+        statusCode: 404
+      });
+    }
+
+    const { unitPrice } = getUnitPrice(product);
+    const priceMismatch = isPriceMismatch(price, unitPrice);
+
+    if (priceMismatch && getMismatchPolicy() === 'reject') {
+      return res.status(409).json({
+        success: false,
+        message: 'Price does not match the current catalog price',
+        data: {
+          product: productId,
+          clientPrice: Number(price),
+          price: unitPrice
+        },
+        statusCode: 409
       });
     }
 
@@ -57,18 +80,22 @@ exports.addToCart = async (req, res) => {
     );
 
     if (existingItemIndex > -1) {
-      // Update quantity if product exists
+      // Update quantity if product exists and refresh its price
       cart.items[existingItemIndex].quantity += quantity;
+      cart.items[existingItemIndex].price = unitPrice;
     } else {
       // Add new item
       cart.items.push({
         product: productId,
         quantity,
-        price,
+        price: unitPrice,
         size
       });
     }
 
+    // Keep any applied coupon in line with the new contents
+    await refreshCartCoupon(cart);
+
     // Save and populate in one operation
     await cart.save();
     const populatedCart = await Cart.findById(cart._id)
@@ -88,7 +115,8 @@ exports.addToCart = async (req, res) => {
     // Create response with only the newly added item and its total
     const responseItem = {
       ...newlyAddedItem,
-      itemTotal
+      itemTotal,
+      priceMismatch
     };
 
     res.status(201).json({
@@ -0,0 +1,121 @@
+const { validationResult } = require('express-validator');
+const Cart = require('../../models/Cart');
+const { cacheCart } = require('./getCart');
+const { normalizeCode, refreshCartCoupon } = require('../../utils/couponService');
+
+/**
+ * @desc    Apply a coupon code to the cart
+ * @route   POST /api/cart/apply-coupon
+ * @access  Private
+ */
+exports.applyCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const userId = req.user.id;
+    const cart = await Cart.findOne({ user: userId });
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty',
+        statusCode: 400
+      });
+    }
+
+    const previousCode = cart.couponCode;
+    cart.couponCode = normalizeCode(req.body.code);
+
+    const result = await refreshCartCoupon(cart);
+    if (!result.applied) {
+      // Keep whatever coupon was on the cart before this attempt
+      cart.couponCode = previousCode;
+      await refreshCartCoupon(cart);
+      await cart.save();
+
+      return res.status(400).json({
+        success: false,
+        message: result.removedReason,
+        statusCode: 400
+      });
+    }
+
+    await cart.save();
+    await cacheCart(`cart:${userId}`, cart.toObject());
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied successfully',
+      data: {
+        couponCode: cart.couponCode,
+        subtotal: cart.subtotal,
+        discountAmount: cart.discountAmount,
+        totalAmount: cart.totalAmount,
+        discounts: result.evaluation.discounts,
+        freeDelivery: result.evaluation.coupon.type === 'free_delivery'
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error('Error applying coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      requestId: req.id,
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * @desc    Remove the coupon from the cart
+ * @route   DELETE /api/cart/coupon
+ * @access  Private
+ */
+exports.removeCoupon = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const cart = await Cart.findOne({ user: userId });
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found',
+        statusCode: 404
+      });
+    }
+
+    cart.couponCode = undefined;
+    await refreshCartCoupon(cart);
+    await cart.save();
+    await cacheCart(`cart:${userId}`, cart.toObject());
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon removed',
+      data: {
+        subtotal: cart.subtotal,
+        discountAmount: cart.discountAmount,
+        totalAmount: cart.totalAmount
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error('Error removing coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      requestId: req.id,
+      statusCode: 500
+    });
+  }
+};
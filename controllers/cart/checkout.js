@@ -0,0 +1,243 @@
+const { validationResult } = require('express-validator');
+const Cart = require('../../models/Cart');
+const Profile = require('../../models/Profile');
+const { cacheCart } = require('./getCart');
+const { formatDate, logError } = require('../../utils/logging');
+const { placeOrder, createOrderCheckout, findOrderByCheckoutKey } = require('../../utils/orderService');
+
+// Without a client key, an empty-cart retry within this window returns the last checkout
+const CHECKOUT_REPLAY_WINDOW = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Map a saved Profile address onto the Order customer.address shape
+ */
+function toOrderAddress(address) {
+  return {
+    line1: address.street,
+    barangay: address.barangay,
+    city: address.city,
+    province: address.province,
+    region: address.region,
+    state: address.province,
+    postal_code: address.zipCode,
+    country: address.country
+  };
+}
+
+/**
+ * Map a saved Profile payment method onto the Order paymentMethod shape
+ */
+function toOrderPaymentMethod(method) {
+  if (method.type === 'cash') {
+    return { type: 'cash', details: null };
+  }
+  return {
+    type: method.type,
+    details: {
+      paymentMethodId: method._id.toString(),
+      brand: method.brand,
+      last4: method.last4,
+      email: method.email
+    }
+  };
+}
+
+/**
+ * Attach a payment link when the order is paid online and the client wants one
+ * A link failure does not undo the order; retrying the checkout creates the link.
+ */
+async function attachPaymentLink(order, wantsLink) {
+  if (!wantsLink || order.paymentMethod?.type === 'cash' || order.paymentStatus !== 'pending') {
+    return { paymentLink: order.paymentLink?.id ? order.paymentLink : null, paymentLinkError: null };
+  }
+  try {
+    const paymentLink = await createOrderCheckout(order);
+    return { paymentLink, paymentLinkError: null };
+  } catch (error) {
+    logError(`❌ Payment link failed for order ${order.id}: ${error.message}`);
+    return { paymentLink: null, paymentLinkError: error.message };
+  }
+}
+
+function checkoutResponse(order, { paymentLink, paymentLinkError }, replayed) {
+  return {
+    order: paymentLink ? { ...order, paymentLink } : order,
+    checkoutUrl: paymentLink?.checkoutUrl || null,
+    ...(paymentLinkError && { paymentLinkError }),
+    replayed
+  };
+}
+
+/**
+ * @desc    Turn the cart into an order
+ * @route   POST /api/cart/checkout
+ * @access  Private
+ */
+exports.checkout = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🧾 CART CHECKOUT REQUEST | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const userId = req.user.id;
+    const { addressId, paymentMethodId, paymentProvider, deliveryType = 'delivery', createPaymentLink = true } = req.body;
+    const clientKey = req.get('Idempotency-Key') || req.body.checkoutKey;
+
+    const cart = await Cart.findOne({ user: userId }).lean();
+
+    // Work out the checkout key: the client's key, or one derived from this exact cart state
+    let checkoutKey;
+    if (clientKey) {
+      checkoutKey = `${userId}:${clientKey}`;
+    } else if (cart && cart.items.length > 0) {
+      checkoutKey = `${userId}:${cart._id}:${new Date(cart.updatedAt).getTime()}`;
+    } else if (cart?.lastCheckout?.key && Date.now() - new Date(cart.lastCheckout.at).getTime() < CHECKOUT_REPLAY_WINDOW) {
+      checkoutKey = cart.lastCheckout.key;
+    }
+
+    // Retry of a checkout that already produced an order
+    if (checkoutKey) {
+      const existingOrder = await findOrderByCheckoutKey(checkoutKey);
+      if (existingOrder) {
+        console.log(`[${startTimeFormatted}] - 🔁 Checkout replayed | Order: ${existingOrder.id}`);
+        const link = await attachPaymentLink(existingOrder, createPaymentLink);
+        return res.status(200).json({
+          success: true,
+          message: 'Order already placed for this checkout',
+          data: checkoutResponse(existingOrder, link, true),
+          statusCode: 200
+        });
+      }
+    }
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty',
+        statusCode: 400
+      });
+    }
+
+    // Address and payment method must be saved on the user's profile
+    const profile = await Profile.findOne({ userId }).select('addresses paymentMethods').lean();
+    const address = profile?.addresses.find(saved => saved._id.toString() === addressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found',
+        statusCode: 404
+      });
+    }
+
+    const paymentMethod = profile.paymentMethods.find(saved => saved._id.toString() === paymentMethodId);
+    if (!paymentMethod) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment method not found',
+        statusCode: 404
+      });
+    }
+
+    let order;
+    try {
+      order = await placeOrder({
+        userId,
+        customer: {
+          address: toOrderAddress(address),
+          phonenumber: address.phone
+        },
+        items: cart.items.map(item => ({
+          product: item.product,
+          quantity: item.quantity,
+          size: item.size
+        })),
+        paymentMethod: toOrderPaymentMethod(paymentMethod),
+        deliveryType,
+        paymentProvider,
+        couponCode: cart.couponCode,
+        checkoutKey,
+        historyEntry: { actor: 'user', actorId: userId, reason: 'Checked out from cart' }
+      });
+    } catch (error) {
+      // A concurrent request with the same key won the race; return its order
+      if (error.code === 11000 && error.keyPattern?.checkoutKey) {
+        const existingOrder = await findOrderByCheckoutKey(checkoutKey);
+        const link = await attachPaymentLink(existingOrder, createPaymentLink);
+        return res.status(200).json({
+          success: true,
+          message: 'Order already placed for this checkout',
+          data: checkoutResponse(existingOrder, link, true),
+          statusCode: 200
+        });
+      }
+      throw error;
+    }
+
+    // Empty the cart and remember this checkout for retries
+    const emptiedCart = await Cart.findOneAndUpdate(
+      { _id: cart._id },
+      {
+        $set: {
+          items: [],
+          subtotal: 0,
+          discountAmount: 0,
+          totalAmount: 0,
+          lastCheckout: { key: checkoutKey, orderId: order.id, at: new Date() }
+        },
+        $unset: { couponCode: '' }
+      },
+      { new: true }
+    ).lean();
+    await cacheCart(`cart:${userId}`, emptiedCart);
+
+    const link = await attachPaymentLink(order, createPaymentLink);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ CHECKOUT COMPLETED | Order: ${order.id} | Total: ₱${order.totalAmount} | Total time: ${responseTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: checkoutResponse(order, link, false),
+      statusCode: 201
+    });
+
+  } catch (error) {
+    // Pricing, coupon, shipping and stock failures carry their own status
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.errors && { errors: error.errors }),
+        statusCode: error.statusCode
+      });
+    }
+
+    console.error('Error during checkout:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message),
+        statusCode: 400
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      requestId: req.id,
+      statusCode: 500
+    });
+  }
+};
@@ -0,0 +1,113 @@
+const { validationResult } = require('express-validator');
+const Cart = require('../../models/Cart');
+const Profile = require('../../models/Profile');
+const { priceItems, roundMoney } = require('../../utils/pricingService');
+const { quoteShipping } = require('../../utils/shippingService');
+const { findCoupon, evaluateCoupon } = require('../../utils/couponService');
+
+/**
+ * @desc    Quote the delivery fee for the current cart
+ * @route   POST /api/cart/shipping-quote
+ * @access  Private
+ */
+exports.getShippingQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const userId = req.user.id;
+    const { addressId, deliveryType = 'delivery' } = req.body;
+    let { address } = req.body;
+
+    const cart = await Cart.findOne({ user: userId }).lean();
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty',
+        statusCode: 400
+      });
+    }
+
+    // Use a saved profile address when one is referenced
+    if (addressId) {
+      const profile = await Profile.findOne({ userId, 'addresses._id': addressId })
+        .select('addresses')
+        .lean();
+      address = profile?.addresses.find(saved => saved._id.toString() === addressId);
+      if (!address) {
+        return res.status(404).json({
+          success: false,
+          message: 'Address not found',
+          statusCode: 404
+        });
+      }
+    }
+
+    const pricing = await priceItems(cart.items.map(item => ({
+      product: item.product,
+      quantity: item.quantity,
+      size: item.size
+    })));
+
+    const quote = await quoteShipping({
+      deliveryType,
+      address,
+      lines: pricing.lines,
+      products: pricing.products,
+      subtotal: pricing.subtotal
+    });
+
+    // Show the effect of a free-delivery coupon already on the cart
+    let deliveryDiscount = 0;
+    if (cart.couponCode && quote.fee > 0) {
+      try {
+        const coupon = await findCoupon(cart.couponCode);
+        const evaluation = await evaluateCoupon(coupon, {
+          userId,
+          lines: pricing.lines,
+          products: pricing.products,
+          deliveryFee: quote.fee
+        });
+        deliveryDiscount = evaluation.deliveryDiscount;
+      } catch (couponError) {
+        if (!couponError.statusCode) {
+          throw couponError;
+        }
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...quote,
+        deliveryType,
+        deliveryDiscount,
+        payableFee: roundMoney(quote.fee - deliveryDiscount)
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        statusCode: error.statusCode
+      });
+    }
+
+    console.error('Error quoting shipping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      requestId: req.id,
+      statusCode: 500
+    });
+  }
+};
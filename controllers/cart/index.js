@@ -2,11 +2,18 @@ const { getCart } = require('./getCart');
 const { addToCart } = require('./addToCart');
 const { updateCartItem } = require('./updateCartItem');
 const { removeFromCart } = require('./removeFromCart');
+const { applyCoupon, removeCoupon } = require('./applyCoupon');
+const { getShippingQuote } = require('./getShippingQuote');
+const { checkout } = require('./checkout');
 
 // Re-export all cart functions for use in routes
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
-  removeFromCart
+  removeFromCart,
+  applyCoupon,
+  removeCoupon,
+  getShippingQuote,
+  checkout
 };
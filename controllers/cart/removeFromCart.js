@@ -2,6 +2,7 @@ const Cart = require('../../models/Cart');
 const Product = require('../../models/Product');
 const RemovedItem = require('../../models/RemovedItem');
 const { cacheCart } = require('./getCart');
+const { refreshCartCoupon } = require('../../utils/couponService');
 
 /**
  * @desc    Remove item from cart
@@ -49,6 +50,9 @@ exports.removeFromCart = async (req, res) => {
     const removedItem = cart.items[itemIndex];
     cart.items.splice(itemIndex, 1);
 
+    // Keep any applied coupon in line with the new contents
+    await refreshCartCoupon(cart);
+
     // Save cart
     await cart.save();
 
@@ -2,6 +2,7 @@ const { validationResult } = require('express-validator');
 const Cart = require('../../models/Cart');
 const Product = require('../../models/Product');
 const { cacheCart } = require('./getCart');
+const { refreshCartCoupon } = require('../../utils/couponService');
 
 /**
  * @desc    Update cart item quantity
@@ -72,6 +73,9 @@ exports.updateCartItem = async (req, res) => {
       cart.items[itemIndex].quantity = quantity;
     }
 
+    // Keep any applied coupon in line with the new contents
+    await refreshCartCoupon(cart);
+
     // Save cart
     await cart.save();
 
@@ -0,0 +1,69 @@
+const { validationResult } = require('express-validator');
+const Coupon = require('../../models/Coupon');
+const { formatDate } = require('../../utils/logging');
+
+/**
+ * @desc    Create coupon
+ * @route   POST /api/coupons
+ * @access  Private (Admin only)
+ */
+exports.createCoupon = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🎟️ CREATE COUPON REQUEST | Code: ${req.body?.code} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    // Counters and redemptions are managed by the coupon service only
+    const { usedCount, redemptions, ...couponData } = req.body;
+
+    const coupon = await Coupon.create({
+      ...couponData,
+      createdBy: req.user.id
+    });
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ COUPON CREATED | Code: ${coupon.code} | Total time: ${responseTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon,
+      statusCode: 201
+    });
+
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message),
+        statusCode: 400
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists',
+        statusCode: 400
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
@@ -0,0 +1,65 @@
+const Coupon = require('../../models/Coupon');
+const { formatDate } = require('../../utils/logging');
+
+/**
+ * @desc    Delete coupon (deactivates it instead if it has been redeemed)
+ * @route   DELETE /api/coupons/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteCoupon = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🎟️ DELETE COUPON REQUEST | ID: ${req.params.id} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const coupon = await Coupon.findById(req.params.id).select('code usedCount');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+        statusCode: 404
+      });
+    }
+
+    // Orders reference redeemed coupons by code, so keep those for history
+    if (coupon.usedCount > 0) {
+      await Coupon.updateOne({ _id: coupon._id }, { $set: { isActive: false } });
+      console.log(`[${startTimeFormatted}] - ✅ COUPON DEACTIVATED (has redemptions) | Code: ${coupon.code}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Coupon has been redeemed before, so it was deactivated instead of deleted',
+        statusCode: 200
+      });
+    }
+
+    await Coupon.deleteOne({ _id: coupon._id });
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ COUPON DELETED | Code: ${coupon.code} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully',
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+        statusCode: 404
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
@@ -0,0 +1,105 @@
+const Coupon = require('../../models/Coupon');
+const { formatDate } = require('../../utils/logging');
+
+/**
+ * @desc    Get all coupons with pagination
+ * @route   GET /api/coupons
+ * @access  Private (Admin only)
+ */
+exports.getCoupons = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🎟️ GET COUPONS REQUEST | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const { page = 1, limit = 20, active, search } = req.query;
+
+    const query = {};
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+    if (search) {
+      query.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query)
+        .select('-redemptions')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Coupon.countDocuments(query)
+    ]);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ GET COUPONS SUCCESSFUL | Count: ${coupons.length} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error(`[${startTimeFormatted}] - 💥 GET COUPONS ERROR: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * @desc    Get coupon by ID (includes redemptions)
+ * @route   GET /api/coupons/:id
+ * @access  Private (Admin only)
+ */
+exports.getCouponById = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).lean();
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+        statusCode: 404
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error('Error fetching coupon:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+        statusCode: 404
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
@@ -0,0 +1,13 @@
+const { createCoupon } = require('./createCoupon');
+const { getCoupons, getCouponById } = require('./getCoupons');
+const { updateCoupon } = require('./updateCoupon');
+const { deleteCoupon } = require('./deleteCoupon');
+
+// Re-export all coupon functions for use in routes
+module.exports = {
+  createCoupon,
+  getCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+};
@@ -0,0 +1,88 @@
+const { validationResult } = require('express-validator');
+const Coupon = require('../../models/Coupon');
+const { formatDate } = require('../../utils/logging');
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/coupons/:id
+ * @access  Private (Admin only)
+ */
+exports.updateCoupon = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🎟️ UPDATE COUPON REQUEST | ID: ${req.params.id} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+        statusCode: 404
+      });
+    }
+
+    // Counters and redemptions are managed by the coupon service only
+    const { usedCount, redemptions, createdBy, ...updates } = req.body;
+
+    // Load-and-save so the schema's cross-field checks run
+    coupon.set(updates);
+    await coupon.save();
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ COUPON UPDATED | Code: ${coupon.code} | Total time: ${responseTime}ms`);
+
+    const { redemptions: _, ...data } = coupon.toObject();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message),
+        statusCode: 400
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists',
+        statusCode: 400
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+        statusCode: 404
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
@@ -7,6 +7,15 @@ const { createSource } = require('../../paymongo/create-source');
 const { getPaymentStatus } = require('../../paymongo/payment-status');
 const { refundPayment } = require('../../paymongo/refund-payment');
 const { createPaymentLink, getPaymentLink } = require('../../paymongo/payment-link');
+const { getWebhookEvents, replayWebhookEvent } = require('./webhookEvents');
+const { getReconciliationReport } = require('./reconciliation');
+const {
+  listPaymentProviders,
+  createProviderCheckout,
+  captureProviderPayment,
+  refundProviderPayment,
+  getProviderPayment
+} = require('./providerController');
 
 // Re-export all functions from paymongo directory
 exports.createPaymentIntent = createPaymentIntent;
@@ -17,3 +26,11 @@ exports.getPaymentStatus = getPaymentStatus;
 exports.refundPayment = refundPayment;
 exports.createPaymentLink = createPaymentLink;
 exports.getPaymentLink = getPaymentLink;
+exports.getWebhookEvents = getWebhookEvents;
+exports.replayWebhookEvent = replayWebhookEvent;
+exports.getReconciliationReport = getReconciliationReport;
+exports.listPaymentProviders = listPaymentProviders;
+exports.createProviderCheckout = createProviderCheckout;
+exports.captureProviderPayment = captureProviderPayment;
+exports.refundProviderPayment = refundProviderPayment;
+exports.getProviderPayment = getProviderPayment;
@@ -0,0 +1,234 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const { getProvider, getOrderProvider, listProviders } = require('../../payments');
+const { createOrderCheckout } = require('../../utils/orderService');
+const { findRefundOrder, refundOrder, getRefundableAmount } = require('../../utils/refundService');
+const { formatDate } = require('../../utils/logging');
+const { hasPermission } = require('../../utils/permissions');
+
+function sendProviderError(res, error, fallbackMessage) {
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json({
+    success: false,
+    message: error.statusCode ? error.message : (error.message || fallbackMessage),
+    ...(error.code && error.statusCode && { code: error.code }),
+    ...(error.errors && { errors: error.errors }),
+    statusCode
+  });
+}
+
+// Staff can see payments for any order
+const isStaff = (user) => hasPermission(user, 'orders:read');
+
+/**
+ * @desc    List payment providers and the payment methods they accept
+ * @route   GET /api/payments/providers
+ * @access  Private
+ */
+exports.listPaymentProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { providers: listProviders() },
+    statusCode: 200
+  });
+};
+
+/**
+ * @desc    Create a hosted checkout for an order with the chosen provider
+ * @route   POST /api/payments/:provider/checkout
+ * @access  Private (order owner or staff)
+ */
+exports.createProviderCheckout = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 💳 PROVIDER CHECKOUT REQUEST | Provider: ${req.params.provider} | Order: ${req.body?.orderId} | User: ${req.user?.email}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    const { orderId } = req.body;
+
+    const orderQuery = mongoose.Types.ObjectId.isValid(orderId) ? { _id: orderId } : { id: orderId };
+    const order = await Order.findOne(orderQuery).lean();
+    if (!order || (!isStaff(req.user) && order.customer?.userid?.toString() !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+        statusCode: 404
+      });
+    }
+
+    const alreadyPaid = ['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus);
+    if (alreadyPaid || order.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: `Order is ${alreadyPaid ? 'already paid' : 'cancelled'}`,
+        statusCode: 409
+      });
+    }
+
+    const methodType = order.paymentMethod?.type || order.paymentMethod;
+    if (!provider.supportsMethod(methodType)) {
+      return res.status(400).json({
+        success: false,
+        message: `${provider.name} does not accept ${methodType} payments`,
+        statusCode: 400
+      });
+    }
+
+    const paymentLink = await createOrderCheckout(order, provider.name);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ PROVIDER CHECKOUT CREATED | Provider: ${provider.name} | Order: ${order.id} | Total time: ${responseTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Checkout created successfully',
+      data: {
+        provider: provider.name,
+        orderId: order.id,
+        checkoutId: paymentLink.id,
+        checkoutUrl: paymentLink.checkoutUrl,
+        reference: paymentLink.reference,
+        status: paymentLink.status
+      },
+      statusCode: 201
+    });
+
+  } catch (error) {
+    console.error(`[${startTimeFormatted}] - 💥 PROVIDER CHECKOUT ERROR: ${error.message}`);
+    sendProviderError(res, error, 'Failed to create checkout');
+  }
+};
+
+/**
+ * @desc    Capture an authorized payment
+ * @route   POST /api/payments/:provider/capture
+ * @access  Private
+ */
+exports.captureProviderPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    const { reference, amount } = req.body;
+    const payment = await provider.capture(reference, { amount });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment captured successfully',
+      data: payment,
+      statusCode: 201
+    });
+
+  } catch (error) {
+    console.error('Capture payment error:', error);
+    sendProviderError(res, error, 'Failed to capture payment');
+  }
+};
+
+/**
+ * @desc    Refund all or part of an order's payment (Admin only)
+ * @route   POST /api/payments/:provider/refund
+ * @access  Private (payments:refund)
+ */
+exports.refundProviderPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    const { orderId, paymentId, amount, items, reason } = req.body;
+
+    const order = await findRefundOrder({ orderId, paymentId });
+    const orderProvider = getOrderProvider(order);
+    if (orderProvider?.name !== provider.name) {
+      return res.status(400).json({
+        success: false,
+        message: `Order ${order.id} was not paid through ${provider.name}`,
+        statusCode: 400
+      });
+    }
+
+    const result = await refundOrder(order, {
+      amount,
+      items,
+      reason: reason || 'requested_by_customer',
+      source: 'admin',
+      requestedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund processed successfully',
+      data: {
+        refund: result.refund,
+        order: {
+          id: result.order.id,
+          paymentStatus: result.order.paymentStatus,
+          paymentAmount: result.order.paymentAmount ?? result.order.totalAmount,
+          refundedAmount: result.order.refundedAmount,
+          refundableAmount: getRefundableAmount(result.order)
+        }
+      },
+      statusCode: 201
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    sendProviderError(res, error, 'Failed to process refund');
+  }
+};
+
+/**
+ * @desc    Get a payment from the provider
+ * @route   GET /api/payments/:provider/payments/:paymentId
+ * @access  Private
+ */
+exports.getProviderPayment = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    const payment = await provider.getPayment(req.params.paymentId);
+
+    // Customers may only look at payments for their own orders
+    if (!isStaff(req.user) && payment.metadata?.user_id && payment.metadata.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found',
+        statusCode: 404
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payment,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    sendProviderError(res, error, 'Failed to get payment');
+  }
+};
@@ -0,0 +1,62 @@
+const { getReportDate, getReport, generateReport, isFinal, toCsv } = require('../../utils/reconciliationService');
+const { formatDate } = require('../../utils/logging');
+
+/**
+ * @desc    Payment reconciliation report for a day
+ * @route   GET /api/payments/reconciliation?date=YYYY-MM-DD&format=json|csv&refresh=true
+ * @access  Private (payments:reconcile)
+ */
+exports.getReconciliationReport = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🧮 GET RECONCILIATION REPORT REQUEST | Date: ${req.query.date || 'yesterday'} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const { date = getReportDate(1), format = 'json', refresh } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or csv',
+        statusCode: 400
+      });
+    }
+
+    // Stored reports are reused once their day is over; today's is rebuilt on every request
+    let report = await getReport(date);
+    if (!report || !isFinal(report) || refresh === 'true') {
+      report = await generateReport(date, { generatedBy: req.user.id });
+    }
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ RECONCILIATION REPORT READY | Date: ${report.date} | Issues: ${report.issues.length} | Total time: ${responseTime}ms`);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="reconciliation-${report.provider}-${report.date}.csv"`);
+      return res.status(200).send(toCsv(report));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        statusCode: error.statusCode
+      });
+    }
+
+    console.error(`[${startTimeFormatted}] - 💥 RECONCILIATION REPORT ERROR: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build reconciliation report',
+      statusCode: 500
+    });
+  }
+};
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const WebhookEvent = require('../../models/WebhookEvent');
+const { replayEvent } = require('../../payments/webhookLedger');
+const { formatDate } = require('../../utils/logging');
+
+/**
+ * @desc    List stored webhook events
+ * @route   GET /api/payments/webhooks
+ * @access  Private (payments:webhooks)
+ */
+exports.getWebhookEvents = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔔 GET WEBHOOK EVENTS REQUEST | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const { page = 1, limit = 20, provider, status, type, eventId, includePayload } = req.query;
+
+    const query = {};
+    if (provider) {
+      query.provider = provider;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (eventId) {
+      query.eventId = eventId;
+    }
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select(includePayload === 'true' ? '-__v' : '-__v -payload')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      WebhookEvent.countDocuments(query)
+    ]);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ GET WEBHOOK EVENTS SUCCESSFUL | Count: ${events.length} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error(`[${startTimeFormatted}] - 💥 GET WEBHOOK EVENTS ERROR: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * @desc    Run a stored webhook event again
+ * @route   POST /api/payments/webhooks/:id/replay
+ * @access  Private (payments:webhooks)
+ */
+exports.replayWebhookEvent = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔁 REPLAY WEBHOOK EVENT REQUEST | Event: ${req.params.id} | User: ${req.user?.email}`);
+
+  try {
+    // Accept either the ledger _id or the provider's event id
+    const { id } = req.params;
+    let eventObjectId = id;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      const stored = await WebhookEvent.findOne({ eventId: id }).select('_id').lean();
+      if (!stored) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook event not found',
+          statusCode: 404
+        });
+      }
+      eventObjectId = stored._id;
+    }
+
+    const event = await replayEvent(eventObjectId, req.user.id);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ REPLAY WEBHOOK EVENT COMPLETED | Event: ${event.eventId} | Status: ${event.status} | Total time: ${responseTime}ms`);
+
+    const failed = event.status === 'failed';
+    const { payload, ...eventSummary } = event;
+    res.status(failed ? 500 : 200).json({
+      success: !failed,
+      message: failed ? `Replay failed: ${event.lastError}` : 'Webhook event replayed',
+      data: { event: eventSummary },
+      statusCode: failed ? 500 : 200
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        statusCode: error.statusCode
+      });
+    }
+
+    console.error(`[${startTimeFormatted}] - 💥 REPLAY WEBHOOK EVENT ERROR: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
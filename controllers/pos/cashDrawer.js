@@ -0,0 +1,186 @@
+const { validationResult } = require('express-validator');
+const Cashier = require('../../models/Cashier');
+const { formatDate } = require('../../utils/logging');
+const { hasPermission } = require('../../utils/permissions');
+const { roundMoney } = require('../../utils/pricingService');
+const { getDrawerSummary, getSessionDrawerSummary, recordDrawerCount, listDiscrepancies } = require('../../utils/cashDrawerService');
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    errors: errors.array(),
+    statusCode: 400
+  });
+  return true;
+}
+
+function sendCashDrawerError(res, error, startTimeFormatted, label) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      statusCode: error.statusCode
+    });
+  }
+
+  console.error(`[${startTimeFormatted}] - 💥 ${label} ERROR: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    statusCode: 500
+  });
+}
+
+/**
+ * @desc    Cash drawer summary: cash collected, change given and cash expected in the drawer
+ *          Cashiers get their current session; auditors pass ?cashierId and optionally ?from&to
+ * @route   GET /api/pos/cash-drawer?cashierId=&from=&to=&openingFloat=
+ * @access  Private (cash:drawer for own drawer; cash:audit for any)
+ */
+exports.getCashDrawer = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🧾 GET CASH DRAWER REQUEST | Cashier: ${req.query.cashierId || req.user?.userName} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const canAudit = hasPermission(req.user, 'cash:audit');
+    const ownDrawer = hasPermission(req.user, 'cash:drawer') && req.user.accountType === 'cashier';
+    if (!canAudit && !ownDrawer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: cash:drawer',
+        statusCode: 403
+      });
+    }
+
+    const { cashierId, from, to, openingFloat = 0 } = req.query;
+    if (!ownDrawer && !cashierId) {
+      return res.status(400).json({
+        success: false,
+        message: 'cashierId is required',
+        statusCode: 400
+      });
+    }
+
+    // Without cash:audit a cashier only ever sees their own drawer
+    const cashier = await Cashier.findById(canAudit && cashierId ? cashierId : req.user.id);
+    if (!cashier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cashier not found',
+        statusCode: 404
+      });
+    }
+
+    const summary = canAudit && from
+      ? await getDrawerSummary({ cashierId: cashier._id, start: from, end: to || new Date(), openingFloat })
+      : await getSessionDrawerSummary(cashier, { openingFloat });
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ CASH DRAWER READY | Cashier: ${cashier.userName} | Orders: ${summary.orderCount} | Expected: ₱${summary.expectedCash} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cashier: { id: cashier._id, name: cashier.name, userName: cashier.userName },
+        ...summary,
+        lastCount: cashier.drawerCounts[cashier.drawerCounts.length - 1] || null
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    sendCashDrawerError(res, error, startTimeFormatted, 'GET CASH DRAWER');
+  }
+};
+
+/**
+ * @desc    Submit the end-of-shift drawer count and report any discrepancy
+ * @route   POST /api/pos/cash-drawer/count
+ * @access  Private (cash:drawer)
+ */
+exports.countCashDrawer = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🧮 CASH DRAWER COUNT REQUEST | Cashier: ${req.user?.userName} | Counted: ₱${req.body.countedCash} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const cashier = await Cashier.findById(req.user.id);
+    if (!cashier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cashier not found',
+        statusCode: 404
+      });
+    }
+
+    const { countedCash, openingFloat, note } = req.body;
+    const { summary, count } = await recordDrawerCount(cashier, { countedCash, openingFloat, note, req });
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ CASH DRAWER COUNTED | Status: ${count.status} | Difference: ₱${count.discrepancy} | Total time: ${responseTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      message: count.status === 'balanced'
+        ? 'Cash drawer balanced'
+        : `Cash drawer ${count.status} by ₱${Math.abs(count.discrepancy)}`,
+      data: {
+        count,
+        summary
+      },
+      statusCode: 201
+    });
+
+  } catch (error) {
+    sendCashDrawerError(res, error, startTimeFormatted, 'CASH DRAWER COUNT');
+  }
+};
+
+/**
+ * @desc    Drawer counts that came out over or short
+ * @route   GET /api/pos/cash-drawer/discrepancies?cashierId=&from=&to=
+ * @access  Private (cash:audit)
+ */
+exports.getCashDiscrepancies = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔎 GET CASH DISCREPANCIES REQUEST | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { cashierId, from, to } = req.query;
+    const discrepancies = await listDiscrepancies({ cashierId, from, to });
+
+    const totals = discrepancies.reduce((sum, count) => ({
+      over: sum.over + (count.status === 'over' ? count.discrepancy : 0),
+      short: sum.short + (count.status === 'short' ? -count.discrepancy : 0)
+    }), { over: 0, short: 0 });
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ CASH DISCREPANCIES READY | Count: ${discrepancies.length} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        count: discrepancies.length,
+        totalOver: roundMoney(totals.over),
+        totalShort: roundMoney(totals.short),
+        discrepancies
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    sendCashDrawerError(res, error, startTimeFormatted, 'GET CASH DISCREPANCIES');
+  }
+};
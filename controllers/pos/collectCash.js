@@ -0,0 +1,64 @@
+const { validationResult } = require('express-validator');
+const Cashier = require('../../models/Cashier');
+const { formatDate } = require('../../utils/logging');
+const { collectCash } = require('../../utils/cashDrawerService');
+
+/**
+ * @desc    Record cash collected for a cash order and mark it paid
+ * @route   POST /api/pos/orders/:orderId/collect-cash
+ * @access  Private (cash:collect)
+ */
+exports.collectCash = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  const { orderId } = req.params;
+  const { amountTendered } = req.body;
+  console.log(`\n[${startTimeFormatted}] - 💵 COLLECT CASH REQUEST | Order ID: ${orderId} | Tendered: ₱${amountTendered} | User: ${req.user?.userName} | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const { order, collection } = await collectCash(orderId, { amountTendered, cashier: req.user });
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ CASH COLLECTED | Order: ${order.id} | Status: ${order.status} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      message: collection.changeGiven > 0 ? `Cash collected. Change due: ₱${collection.changeGiven}` : 'Cash collected',
+      data: {
+        order,
+        collection
+      },
+      statusCode: 200
+    });
+
+    const cashier = await Cashier.findById(req.user.id);
+    if (cashier) {
+      await cashier.logOrderStatusUpdate(orderId, { paymentStatus: 'paid', cashCollection: collection }, true);
+    }
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        statusCode: error.statusCode
+      });
+    }
+
+    console.error('Error collecting cash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
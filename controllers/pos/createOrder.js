@@ -1,8 +1,6 @@
-const Order = require('../../models/Order');
-const Product = require('../../models/Product');
-const User = require('../../models/User');
-const { setJSON } = require('../../utils/redis');
 const { formatDate } = require('../../utils/logging');
+const { actorFromUser } = require('../../utils/orderStateMachine');
+const { placeOrder } = require('../../utils/orderService');
 
 /**
  * @desc    Create new order
@@ -14,7 +12,7 @@ exports.createOrder = async (req, res) => {
   const startTimeFormatted = formatDate(startTime);
   console.log(`\n[${startTimeFormatted}] - 🛒 CREATE ORDER REQUEST | User: ${req.user?.email} | IP: ${req.ip}`);
   try {
-    const { customer, items, paymentMethod, deliveryType, deliveryFee } = req.body;
+    const { customer, items, paymentMethod, paymentProvider, deliveryType, couponCode } = req.body;
 
     // Get user ID from token
     const userId = req.user?.id;
@@ -101,65 +99,17 @@ exports.createOrder = async (req, res) => {
       }
     }
 
-    // Validate product IDs and get product details
-    const productIds = items.map(item => item.product);
-    const products = await Product.find({ _id: { $in: productIds } });
-    
-    if (products.length !== productIds.length) {
-      return res.status(400).json({
-        success: false,
-        message: 'One or more products not found',
-        statusCode: 400
-      });
-    }
-
-    // Generate unique order ID
-    const orderId = `ORD-${Date.now().toString(36).toUpperCase()}`;
-
-    // Calculate subtotal
-    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    
-    // Calculate delivery fee
-    const deliveryFeeAmount = deliveryFee || (deliveryType === 'delivery' ? 5.99 : 0);
-    
-    // Calculate total
-    const total = subtotal + deliveryFeeAmount;
-
-    // Create order
-    const order = await Order.create({
-      id: orderId,
-      customer: {
-        userid: userId, // Use user ID from token
-        address: customer.address || null,
-        phonenumber: customer.phonenumber
-      },
+    const populatedOrder = await placeOrder({
+      userId,
+      customer,
       items,
-      total,
+      paymentMethod,
       deliveryType: deliveryType || 'pickup',
-      deliveryFee: deliveryFeeAmount,
-      paymentMethod: {
-        type: paymentMethod.type,
-        details: paymentMethod.details
-      }
+      paymentProvider,
+      couponCode,
+      historyEntry: { actor: actorFromUser(req.user), actorId: userId, reason: 'Order placed' }
     });
 
-    // Add order to user's orders array
-    await User.findByIdAndUpdate(
-      userId, // Use user ID from token
-      { $push: { orders: order._id } },
-      { new: true }
-    );
-
-    // Populate product details for response
-    const populatedOrder = await Order.findById(order._id)
-      .populate('items.product', '-__v')
-      .lean();
-
-    // Cache the newly created order for 1 hour
-    const orderCacheKey = `order:${populatedOrder.id}`;
-    await setJSON(orderCacheKey, populatedOrder, 3600);
-    console.log(`[${startTimeFormatted}] - 💾 Order cached in Redis for 1 hour: ${populatedOrder.id}`);
-
     const responseTime = Date.now() - startTime;
     console.log(`[${startTimeFormatted}] - ✅ ORDER CREATED SUCCESSFULLY | Total time: ${responseTime}ms`);
 
@@ -171,6 +121,16 @@ exports.createOrder = async (req, res) => {
     });
 
   } catch (error) {
+    // Pricing, coupon, shipping and stock failures carry their own status
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.errors && { errors: error.errors }),
+        statusCode: error.statusCode
+      });
+    }
+
     console.error('Error creating order:', error);
     
     if (error.name === 'ValidationError') {
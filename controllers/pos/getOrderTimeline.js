@@ -0,0 +1,69 @@
+const Order = require('../../models/Order');
+const { formatDate } = require('../../utils/logging');
+const { actorFromUser, getNextStatuses } = require('../../utils/orderStateMachine');
+
+/**
+ * @desc    Get the status history of an order
+ * @route   GET /api/pos/orders/:orderId/timeline
+ * @access  Private (Cashier, Admin, or the customer who placed the order)
+ */
+exports.getOrderTimeline = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  const { orderId } = req.params;
+  console.log(`\n[${startTimeFormatted}] - 🕒 GET ORDER TIMELINE REQUEST | Order ID: ${orderId} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    // Support both _id and custom id
+    const filter = orderId.match(/^[0-9a-fA-F]{24}$/) ? { _id: orderId } : { id: orderId };
+    const order = await Order.findOne(filter)
+      .select('id status paymentStatus customer.userid statusHistory createdAt')
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+        statusCode: 404
+      });
+    }
+
+    // Customers may only see their own orders
+    const actor = actorFromUser(req.user);
+    if (actor === 'user' && order.customer?.userid?.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+        statusCode: 403
+      });
+    }
+
+    const timeline = (order.statusHistory || [])
+      .slice()
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ GET ORDER TIMELINE SUCCESSFUL | Entries: ${timeline.length} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderId: order.id,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        createdAt: order.createdAt,
+        nextStatuses: getNextStatuses(order.status, actor),
+        timeline
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error(`[${startTimeFormatted}] - 💥 GET ORDER TIMELINE ERROR: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
@@ -43,16 +43,6 @@ exports.getOrders = async (req, res) => {
       });
     }
 
-    // Check if user has permission to access all orders
-    // Allow admin and cashier roles (cashier role comes from CASHIER_KEY)
-    if (req.user.role === 'user') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Users can only view their own orders.',
-        statusCode: 403
-      });
-    }
-    
     // Build query
     const query = {};
     
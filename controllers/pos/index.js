@@ -2,11 +2,28 @@ const { createOrder } = require('./createOrder');
 const { getOrders } = require('./getOrders');
 const { getOrderById } = require('./getOrderById');
 const { updateOrderStatus } = require('./updateOrderStatus');
+const { getOrderTimeline } = require('./getOrderTimeline');
+const { updateReturnRequest, getReturnRequests } = require('./updateReturnRequest');
+const { collectCash } = require('./collectCash');
+const { getCashDrawer, countCashDrawer, getCashDiscrepancies } = require('./cashDrawer');
+const { openShift, getCurrentShift, closeShift, getShifts, getZReport } = require('./shift');
 
 // Re-export all POS functions for use in routes
 module.exports = {
   createOrder,
   getOrders,
   getOrderById,
-  updateOrderStatus
+  updateOrderStatus,
+  getOrderTimeline,
+  updateReturnRequest,
+  getReturnRequests,
+  collectCash,
+  getCashDrawer,
+  countCashDrawer,
+  getCashDiscrepancies,
+  openShift,
+  getCurrentShift,
+  closeShift,
+  getShifts,
+  getZReport
 };
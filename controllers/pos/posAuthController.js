@@ -1,6 +1,8 @@
 const { getJSON, setJSON } = require('../../utils/redis');
 const { formatDate } = require('../../utils/logging');
 const Cashier = require('../../models/Cashier');
+const { blacklistAccessToken } = require('../../utils/tokenService');
+const { revokeAccountSessions } = require('../../utils/sessionService');
 
 /**
  * POS Logout - Cashier self logout
@@ -44,6 +46,10 @@ const posLogout = async (req, res) => {
       );
       console.log(`[${startTimeFormatted}] - 🚪 Cashier logged out and session cleared: ${req.user?.userName}`);
     }
+
+    // Cashiers have one session at a time, so every session goes
+    await revokeAccountSessions(req.user._id, 'cashier', 'logout');
+    await blacklistAccessToken(req.auth);
     
     const responseTime = Date.now() - startTime;
     console.log(`[${startTimeFormatted}] - ✅ POS LOGOUT SUCCESSFUL | Total time: ${responseTime}ms | Redis: ${usedRedis}`);
@@ -126,7 +132,10 @@ const posForceLogout = async (req, res) => {
       req.get('User-Agent')
     );
     
-    console.log(`[${startTimeFormatted}] - 🚪 Force logout completed for cashier: ${userName}`);
+    // Their tokens stop working on the next request
+    const revoked = await revokeAccountSessions(cashier._id, 'cashier', 'force_logout');
+    
+    console.log(`[${startTimeFormatted}] - 🚪 Force logout completed for cashier: ${userName} | Sessions revoked: ${revoked}`);
     
     const responseTime = Date.now() - startTime;
     console.log(`[${startTimeFormatted}] - ✅ POS FORCE LOGOUT SUCCESSFUL | Total time: ${responseTime}ms | Redis: ${usedRedis}`);
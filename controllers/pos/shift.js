@@ -0,0 +1,278 @@
+const { validationResult } = require('express-validator');
+const Cashier = require('../../models/Cashier');
+const Shift = require('../../models/Shift');
+const { formatDate, logError } = require('../../utils/logging');
+const { hasPermission } = require('../../utils/permissions');
+const {
+  openShift,
+  getCurrentShift,
+  closeShift,
+  getShift,
+  buildZReport,
+  renderZReportPdf
+} = require('../../utils/shiftService');
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    errors: errors.array(),
+    statusCode: 400
+  });
+  return true;
+}
+
+function sendShiftError(res, error, startTimeFormatted, label) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      statusCode: error.statusCode
+    });
+  }
+
+  console.error(`[${startTimeFormatted}] - 💥 ${label} ERROR: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    statusCode: 500
+  });
+}
+
+function sendZReportPdf(res, report, pdf) {
+  const date = new Date(report.closedAt).toISOString().slice(0, 10);
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="z-report-${report.cashier.userName}-${date}.pdf"`);
+  return res.status(200).send(pdf);
+}
+
+/**
+ * @desc    Open a shift with the opening float
+ * @route   POST /api/pos/shift/open
+ * @access  Private (cash:drawer)
+ */
+exports.openShift = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🟢 OPEN SHIFT REQUEST | Cashier: ${req.user?.userName} | Float: ₱${req.body.openingFloat ?? 0} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { openingFloat, note } = req.body;
+    const shift = await openShift(req.user, { openingFloat, note });
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ SHIFT OPENED | Shift: ${shift._id} | Total time: ${responseTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift opened',
+      data: shift,
+      statusCode: 201
+    });
+
+  } catch (error) {
+    sendShiftError(res, error, startTimeFormatted, 'OPEN SHIFT');
+  }
+};
+
+/**
+ * @desc    Current open shift with its activity so far
+ * @route   GET /api/pos/shift/current
+ * @access  Private (cash:drawer)
+ */
+exports.getCurrentShift = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🕒 GET CURRENT SHIFT REQUEST | Cashier: ${req.user?.userName} | IP: ${req.ip}`);
+
+  try {
+    const shift = await getCurrentShift(req.user.id);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no open shift',
+        statusCode: 404
+      });
+    }
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ CURRENT SHIFT READY | Shift: ${shift._id} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      data: shift,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    sendShiftError(res, error, startTimeFormatted, 'GET CURRENT SHIFT');
+  }
+};
+
+/**
+ * @desc    Close the open shift with the closing drawer count and return its Z-report
+ * @route   POST /api/pos/shift/close?format=json|pdf
+ * @access  Private (cash:drawer)
+ */
+exports.closeShift = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  const format = req.query.format || 'json';
+  console.log(`\n[${startTimeFormatted}] - 🔴 CLOSE SHIFT REQUEST | Cashier: ${req.user?.userName} | Counted: ₱${req.body.countedCash} | Format: ${format} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const cashier = await Cashier.findById(req.user.id);
+    if (!cashier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cashier not found',
+        statusCode: 404
+      });
+    }
+
+    const { countedCash, note } = req.body;
+    const shift = await closeShift(cashier, { countedCash, note, req });
+    const report = buildZReport(shift);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ SHIFT CLOSED | Shift: ${shift._id} | Drawer: ${report.drawer.status} | Total time: ${responseTime}ms`);
+
+    if (format === 'pdf') {
+      try {
+        return sendZReportPdf(res, report, await renderZReportPdf(report));
+      } catch (pdfError) {
+        // The shift is closed either way; the PDF can be downloaded again later
+        logError(`❌ Z-report PDF failed for shift ${shift._id}: ${pdfError.message}`);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: format === 'pdf'
+        ? `Shift closed. The PDF could not be generated; download it from /api/pos/shifts/${shift._id}/z-report?format=pdf`
+        : 'Shift closed',
+      data: report,
+      statusCode: 201
+    });
+
+  } catch (error) {
+    sendShiftError(res, error, startTimeFormatted, 'CLOSE SHIFT');
+  }
+};
+
+/**
+ * @desc    List shifts
+ * @route   GET /api/pos/shifts?cashierId=&status=&from=&to=&page=&limit=
+ * @access  Private (cash:audit)
+ */
+exports.getShifts = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 📋 GET SHIFTS REQUEST | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { cashierId, status, from, to, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (cashierId) query.cashier = cashierId;
+    if (status) query.status = status;
+    if (from || to) {
+      query.openedAt = {};
+      if (from) query.openedAt.$gte = from;
+      if (to) query.openedAt.$lte = to;
+    }
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+
+    // Activity logs are only needed for the Z-report
+    const shifts = await Shift.find(query)
+      .select('-orders -statusChanges -refunds')
+      .sort({ openedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean();
+    const total = await Shift.countDocuments(query);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ GET SHIFTS SUCCESSFUL | Count: ${shifts.length} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shifts,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    sendShiftError(res, error, startTimeFormatted, 'GET SHIFTS');
+  }
+};
+
+/**
+ * @desc    Z-report of a closed shift
+ * @route   GET /api/pos/shifts/:shiftId/z-report?format=json|pdf
+ * @access  Private (cash:drawer for own shifts; cash:audit for any)
+ */
+exports.getZReport = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  const { shiftId } = req.params;
+  const format = req.query.format || 'json';
+  console.log(`\n[${startTimeFormatted}] - 🧾 GET Z-REPORT REQUEST | Shift: ${shiftId} | Format: ${format} | User: ${req.user?.email || req.user?.userName} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const canAudit = hasPermission(req.user, 'cash:audit');
+    if (!canAudit && !hasPermission(req.user, 'cash:drawer')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: cash:drawer',
+        statusCode: 403
+      });
+    }
+
+    const shift = await getShift(shiftId);
+    if (!canAudit && String(shift.cashier) !== String(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found',
+        statusCode: 404
+      });
+    }
+
+    const report = buildZReport(shift);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ Z-REPORT READY | Shift: ${shift._id} | Total time: ${responseTime}ms`);
+
+    if (format === 'pdf') {
+      return sendZReportPdf(res, report, await renderZReportPdf(report));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    sendShiftError(res, error, startTimeFormatted, 'GET Z-REPORT');
+  }
+};
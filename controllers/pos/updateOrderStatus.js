@@ -1,12 +1,12 @@
-const Order = require('../../models/Order');
 const Cashier = require('../../models/Cashier');
 const { setJSON, clearCache } = require('../../utils/redis');
 const { formatDate } = require('../../utils/logging');
+const { transitionOrder, actorFromUser } = require('../../utils/orderStateMachine');
 
 /**
  * @desc    Update order status
  * @route   PATCH /api/pos/orders/:orderId/status
- * @access  Private (Cashier only)
+ * @access  Private (orders:update-status)
  */
 exports.updateOrderStatus = async (req, res) => {
   const startTime = Date.now();
@@ -16,18 +16,6 @@ exports.updateOrderStatus = async (req, res) => {
   console.log(`\n[${startTimeFormatted}] - 🔄 UPDATE ORDER STATUS REQUEST | Order ID: ${orderId} | New Status: ${status} | User: ${req.user?.email} | IP: ${req.ip}`);
 
   try {
-    // Check if user is a cashier
-    if (req.user?.role !== process.env.CASHIER_KEY) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only cashiers can update order status.',
-        statusCode: 403
-      });
-    }
-
-    const { orderId } = req.params;
-    const { status } = req.body;
-
     if (!orderId) {
       return res.status(400).json({
         success: false,
@@ -45,111 +33,43 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Validate status
-    const validStatuses = ['pending', 'received', 'preparing', 'shipped', 'delivered', 'cancelled'];
+    const updateData = { status };
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status. Must be one of: ' + validStatuses.join(', '),
-        statusCode: 400
+    // Transition rules live in the order state machine
+    let result;
+    try {
+      result = await transitionOrder(orderId, status, {
+        actor: actorFromUser(req.user),
+        actorId: req.user.id,
+        reason: req.body.reason
       });
-    }
-
-    // Find and update order - support both _id and custom id
-    const updateData = { status };
-    let order;
-    
-    // Try to find by MongoDB _id first (if it looks like an ObjectId)
-    if (orderId.match(/^[0-9a-fA-F]{24}$/)) {
-      order = await Order.findOneAndUpdate(
-        { _id: orderId },
-        updateData,
-        { new: true, runValidators: true }
-      ).lean();
-    }
-    
-    // If not found by _id, try by custom id field
-    if (!order) {
-      order = await Order.findOneAndUpdate(
-        { id: orderId },
-        updateData,
-        { new: true, runValidators: true }
-      ).lean();
-    }
+    } catch (transitionError) {
+      if (!transitionError.statusCode) {
+        throw transitionError;
+      }
 
-    if (!order) {
-      // Log order not found attempt
+      // Log rejected status change (not found / invalid transition / conflict)
       const cashier = await Cashier.findById(req.user.id);
       if (cashier) {
         await cashier.logOrderStatusUpdate(
           orderId, 
           updateData, 
           false, 
-          'Order not found'
+          transitionError.message
         );
       }
 
-      return res.status(404).json({
+      return res.status(transitionError.statusCode).json({
         success: false,
-        message: 'Order not found',
-        statusCode: 404
+        message: transitionError.message,
+        statusCode: transitionError.statusCode
       });
     }
 
-    // Validate status progression order
-    const statusOrder = ['pending', 'received', 'preparing', 'shipped', 'delivered'];
-    const currentStatusIndex = statusOrder.indexOf(order.status);
-    const newStatusIndex = statusOrder.indexOf(status);
-
-    // Allow status update only if it's moving forward by exactly one step or cancelling
-    if (status && currentStatusIndex !== -1 && newStatusIndex !== -1) {
-      if (status === 'cancelled') {
-        // Can cancel from any status except delivered
-        if (order.status === 'delivered') {
-          // Log invalid status progression
-          const cashier = await Cashier.findById(req.user.id);
-          if (cashier) {
-            await cashier.logOrderStatusUpdate(
-              orderId, 
-              updateData, 
-              false, 
-              'Cannot cancel delivered order'
-            );
-          }
-
-          return res.status(400).json({
-            success: false,
-            message: 'Cannot cancel a delivered order',
-            statusCode: 400
-          });
-        }
-      } else if (status === order.status) {
-        // Allow updating to the same status (no change)
-        // No validation needed for same status
-      } else if (newStatusIndex !== currentStatusIndex + 1) {
-        // Can only move forward by exactly one step
-        // Log invalid status progression
-        const cashier = await Cashier.findById(req.user.id);
-        if (cashier) {
-          await cashier.logOrderStatusUpdate(
-            orderId, 
-            updateData, 
-            false, 
-            `Invalid status progression: cannot change from ${order.status} to ${status}. Must follow sequential order.`
-          );
-        }
-
-        return res.status(400).json({
-          success: false,
-          message: `Invalid status progression: cannot change from ${order.status} to ${status}. Must follow sequential order: pending → received → preparing → shipped → delivered`,
-          statusCode: 400
-        });
-      }
-    }
+    const { order } = result;
 
     // Invalidate the cache for this specific order
-    const orderCacheKey = `order:${orderId}`;
+    const orderCacheKey = `order:${order.id}`;
     await clearCache(orderCacheKey);
     console.log(`[${startTimeFormatted}] - 🧹 Cache invalidated for order: ${orderId}`);
 
@@ -0,0 +1,127 @@
+const { validationResult } = require('express-validator');
+const Order = require('../../models/Order');
+const { clearCache } = require('../../utils/redis');
+const { formatDate } = require('../../utils/logging');
+const { hasPermission } = require('../../utils/permissions');
+const { updateReturn } = require('../../utils/returnService');
+
+/**
+ * @desc    Approve, reject, receive or refund a return request
+ * @route   PATCH /api/pos/orders/:orderId/return
+ * @access  Private (orders:returns; refunds also need payments:refund)
+ */
+exports.updateReturnRequest = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  const { orderId } = req.params;
+  const { action, note } = req.body;
+  console.log(`\n[${startTimeFormatted}] - ↩️ UPDATE RETURN REQUEST | Order ID: ${orderId} | Action: ${action} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    // Money goes out only with the same permission as POST /api/payments/refund
+    if (action === 'refund' && !hasPermission(req.user, 'payments:refund')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: payments:refund',
+        statusCode: 403
+      });
+    }
+
+    const order = await updateReturn(orderId, action, { staffId: req.user.id, note });
+
+    await clearCache(`order:${order.id}`);
+    await clearCache('orders:*');
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ RETURN UPDATED | Status: ${order.returnRequest.status} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      message: `Return ${order.returnRequest.status.replace('_', ' ')}`,
+      data: {
+        orderId: order.id,
+        returnRequest: order.returnRequest
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        statusCode: error.statusCode
+      });
+    }
+
+    console.error('Error updating return request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * @desc    List orders with a return request
+ * @route   GET /api/pos/returns
+ * @access  Private (orders:returns)
+ */
+exports.getReturnRequests = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - ↩️ GET RETURN REQUESTS | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const query = status ? { 'returnRequest.status': status } : { returnRequest: { $exists: true, $ne: null } };
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 10;
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .select('id customer status paymentStatus totalAmount returnRequest')
+        .sort({ 'returnRequest.requestedAt': -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Order.countDocuments(query)
+    ]);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ GET RETURN REQUESTS SUCCESSFUL | Count: ${orders.length} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error(`[${startTimeFormatted}] - 💥 GET RETURN REQUESTS ERROR: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
@@ -0,0 +1,63 @@
+const { validationResult } = require('express-validator');
+const { clearCache } = require('../../utils/redis');
+const { formatDate } = require('../../utils/logging');
+const { cancelOrderByCustomer } = require('../../utils/returnService');
+
+/**
+ * @desc    Cancel one of the current user's orders
+ * @route   POST /api/profile/orders/:orderId/cancel
+ * @access  Private
+ */
+exports.cancelOrder = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  const { orderId } = req.params;
+  console.log(`\n[${startTimeFormatted}] - 🚫 CUSTOMER CANCEL ORDER REQUEST | Order ID: ${orderId} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const { order, refund, refundError } = await cancelOrderByCustomer(orderId, req.user.id, req.body.reason);
+
+    await clearCache(`order:${order.id}`);
+    await clearCache('orders:*');
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ ORDER CANCELLED BY CUSTOMER | Refund: ${refund ? refund.provider : 'none'} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      message: refundError
+        ? 'Order cancelled. Your refund could not be processed automatically; our team will follow up.'
+        : 'Order cancelled successfully',
+      data: {
+        order,
+        refund
+      },
+      statusCode: 200
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        statusCode: error.statusCode
+      });
+    }
+
+    console.error('Error cancelling order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
@@ -16,6 +16,9 @@ const { updateAddress } = require('./updateAddress');
 const { deleteAddress } = require('./deleteAddress');
 const { updateProfileData } = require('./updateProfileData');
 const { getUserOrders } = require('./getUserOrders');
+const { cancelOrder } = require('./cancelOrder');
+const { requestReturn } = require('./requestReturn');
+const { getSecurity, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } = require('./security');
 
 // Re-export all profile functions for use in routes
 module.exports = {
@@ -36,5 +39,12 @@ module.exports = {
   addAddress,
   updateAddress,
   deleteAddress,
-  getUserOrders
+  getUserOrders,
+  cancelOrder,
+  requestReturn,
+  getSecurity,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
\ No newline at end of file
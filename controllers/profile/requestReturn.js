@@ -0,0 +1,72 @@
+const { validationResult } = require('express-validator');
+const { clearCache } = require('../../utils/redis');
+const { formatDate } = require('../../utils/logging');
+const { requestReturn } = require('../../utils/returnService');
+
+/**
+ * @desc    Request a return for a delivered order
+ * @route   POST /api/profile/orders/:orderId/return
+ * @access  Private
+ */
+exports.requestReturn = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  const { orderId } = req.params;
+  console.log(`\n[${startTimeFormatted}] - ↩️ RETURN REQUEST | Order ID: ${orderId} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const { reason, items } = req.body;
+    const order = await requestReturn(orderId, req.user.id, { reason, items });
+
+    await clearCache(`order:${order.id}`);
+    await clearCache('orders:*');
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ RETURN REQUESTED | Total time: ${responseTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: {
+        orderId: order.id,
+        returnRequest: order.returnRequest
+      },
+      statusCode: 201
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        statusCode: error.statusCode
+      });
+    }
+
+    console.error('Error requesting return:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message),
+        statusCode: 400
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
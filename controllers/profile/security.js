@@ -0,0 +1,140 @@
+const { validationResult } = require('express-validator');
+const {
+  getStatus,
+  beginSetup,
+  enableTwoFactor: enableAccountTwoFactor,
+  disableTwoFactor: disableAccountTwoFactor,
+  regenerateRecoveryCodes: regenerateAccountRecoveryCodes
+} = require('../../utils/twoFactorService');
+const { formatDate, logError } = require('../../utils/logging');
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    return true;
+  }
+  return false;
+}
+
+function sendSecurityError(res, error, next, label) {
+  if (error.statusCode) {
+    logError(`❌ ${label} FAILED - ${error.message}`);
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  logError(`💥 ${label} ERROR - ${error.message}`);
+  return next(error);
+}
+
+/**
+ * Two-factor authentication status of the account
+ * @route   GET /api/profile/security
+ * @access  Private (users and cashiers)
+ */
+async function getSecurity(req, res, next) {
+  const startTime = formatDate();
+  console.log(`\n[${startTime}] - 🔐 GET SECURITY | ${req.user.accountType} ${req.user._id} | IP: ${req.ip}`);
+
+  try {
+    const twoFactor = await getStatus(req.user, req.user.accountType);
+    return res.status(200).json({ success: true, data: { twoFactor } });
+  } catch (error) {
+    return sendSecurityError(res, error, next, 'GET SECURITY');
+  }
+}
+
+/**
+ * Start 2FA enrollment: returns a secret and an otpauth:// URL for the authenticator app
+ * @route   POST /api/profile/security/2fa/setup
+ * @access  Private (users and cashiers)
+ */
+async function setupTwoFactor(req, res, next) {
+  const startTime = formatDate();
+  console.log(`\n[${startTime}] - 🔐 2FA SETUP | ${req.user.accountType} ${req.user._id} | IP: ${req.ip}`);
+
+  try {
+    const { secret, otpauthUrl } = await beginSetup(req.user._id, req.user.accountType);
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code from it',
+      data: { secret, otpauthUrl }
+    });
+  } catch (error) {
+    return sendSecurityError(res, error, next, '2FA SETUP');
+  }
+}
+
+/**
+ * Finish 2FA enrollment with a code from the authenticator app
+ * The recovery codes in the response are not shown again.
+ * @route   POST /api/profile/security/2fa/enable
+ * @access  Private (users and cashiers)
+ */
+async function enableTwoFactor(req, res, next) {
+  const startTime = formatDate();
+  console.log(`\n[${startTime}] - 🔐 2FA ENABLE | ${req.user.accountType} ${req.user._id} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const recoveryCodes = await enableAccountTwoFactor(req.user._id, req.user.accountType, req.body.code, req);
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    return sendSecurityError(res, error, next, '2FA ENABLE');
+  }
+}
+
+/**
+ * Turn 2FA off with the password and a code (or a recovery code)
+ * @route   POST /api/profile/security/2fa/disable
+ * @access  Private (users and cashiers)
+ */
+async function disableTwoFactor(req, res, next) {
+  const startTime = formatDate();
+  console.log(`\n[${startTime}] - 🔓 2FA DISABLE | ${req.user.accountType} ${req.user._id} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { password, code, recoveryCode } = req.body;
+    await disableAccountTwoFactor(req.user._id, req.user.accountType, { password, code, recoveryCode }, req);
+    return res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    return sendSecurityError(res, error, next, '2FA DISABLE');
+  }
+}
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * @route   POST /api/profile/security/2fa/recovery-codes
+ * @access  Private (users and cashiers)
+ */
+async function regenerateRecoveryCodes(req, res, next) {
+  const startTime = formatDate();
+  console.log(`\n[${startTime}] - 🔐 2FA RECOVERY CODES | ${req.user.accountType} ${req.user._id} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const recoveryCodes = await regenerateAccountRecoveryCodes(req.user._id, req.user.accountType, req.body.code, req);
+    return res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    return sendSecurityError(res, error, next, '2FA RECOVERY CODES');
+  }
+}
+
+module.exports = {
+  getSecurity,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
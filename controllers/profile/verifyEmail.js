@@ -2,7 +2,8 @@ const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Profile = require('../../models/Profile');
 const User = require('../../models/User');
-const { generateToken, verifyToken } = require('../../utils/jwt');
+const { verifyToken } = require('../../utils/jwt');
+const { issueTokens, tokenResponse } = require('../../utils/tokenService');
 const { getJSON, setJSON, clearCache } = require('../../utils/redis');
 const { formatDate, logError } = require('../../utils/logging');
 
@@ -137,11 +138,8 @@ exports.verifyEmail = async (req, res) => {
             await clearCache('all_users');
             console.log(`[${startTimeFormatted}] - 🗑️ All users cache invalidated (new user created)`);
 
-            // Generate JWT token with role included
-            const token = generateToken({ 
-              id: newUser._id,
-              role: newUser.role 
-            });
+            // Issue access and refresh tokens
+            const tokens = await issueTokens(newUser, { req });
 
             const responseTime = Date.now() - startTime;
             console.log(`[${startTimeFormatted}] - ✅ REGISTRATION VERIFICATION SUCCESSFUL | Total time: ${responseTime}ms | Redis: ${usedRedis}`);
@@ -149,7 +147,7 @@ exports.verifyEmail = async (req, res) => {
             return res.status(201).json({
               success: true,
               message: 'Registration completed successfully',
-              token,
+              ...tokenResponse(tokens),
               user: {
                 name: newUser.name,
                 email: newUser.email,
@@ -270,11 +268,8 @@ exports.verifyEmail = async (req, res) => {
               await clearCache('all_users');
               console.log(`[${startTimeFormatted}] - 🗑️ All users cache invalidated (new user created)`);
 
-              // Generate JWT token with role included
-              const token = generateToken({ 
-                id: newUser._id,
-                role: newUser.role 
-              });
+              // Issue access and refresh tokens
+              const tokens = await issueTokens(newUser, { req });
 
               const responseTime = Date.now() - startTime;
               console.log(`[${startTimeFormatted}] - ✅ REGISTRATION VERIFICATION SUCCESSFUL (fallback) | Total time: ${responseTime}ms | Redis: ${usedRedis}`);
@@ -282,7 +277,7 @@ exports.verifyEmail = async (req, res) => {
               return res.status(201).json({
                 success: true,
                 message: 'Registration completed successfully',
-                token,
+                ...tokenResponse(tokens),
                 user: {
                   name: newUser.name,
                   email: newUser.email,
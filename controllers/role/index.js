@@ -0,0 +1,10 @@
+const { getRoles, createRole, updateRole, deleteRole, assignRole } = require('./roles');
+
+// Re-export all role functions for use in routes
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole
+};
@@ -0,0 +1,191 @@
+const { validationResult } = require('express-validator');
+const { formatDate } = require('../../utils/logging');
+const { listRoles, createRole, updateRole, deleteRole, assignRole } = require('../../utils/roleService');
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    errors: errors.array(),
+    statusCode: 400
+  });
+  return true;
+}
+
+function sendRoleError(res, error, startTimeFormatted, label) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      statusCode: error.statusCode
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message),
+      statusCode: 400
+    });
+  }
+
+  console.error(`[${startTimeFormatted}] - 💥 ${label} ERROR: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    statusCode: 500
+  });
+}
+
+/**
+ * @desc    List roles with their permissions and assignment counts, plus every permission that can be granted
+ * @route   GET /api/roles
+ * @access  Private (roles:manage)
+ */
+exports.getRoles = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔐 GET ROLES REQUEST | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    const data = await listRoles();
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ GET ROLES SUCCESSFUL | Count: ${data.roles.length} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      data,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    sendRoleError(res, error, startTimeFormatted, 'GET ROLES');
+  }
+};
+
+/**
+ * @desc    Create a role
+ * @route   POST /api/roles
+ * @access  Private (roles:manage)
+ */
+exports.createRole = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔐 CREATE ROLE REQUEST | Name: ${req.body.name} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, description, permissions, requireTwoFactor } = req.body;
+    const role = await createRole({ name, description, permissions, requireTwoFactor }, req);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ ROLE CREATED | Name: ${role.name} | Total time: ${responseTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role,
+      statusCode: 201
+    });
+
+  } catch (error) {
+    sendRoleError(res, error, startTimeFormatted, 'CREATE ROLE');
+  }
+};
+
+/**
+ * @desc    Update a role's description, permissions or 2FA requirement
+ * @route   PUT /api/roles/:name
+ * @access  Private (roles:manage)
+ */
+exports.updateRole = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔐 UPDATE ROLE REQUEST | Name: ${req.params.name} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { description, permissions, requireTwoFactor } = req.body;
+    const role = await updateRole(req.params.name, { description, permissions, requireTwoFactor }, req);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ ROLE UPDATED | Name: ${role.name} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    sendRoleError(res, error, startTimeFormatted, 'UPDATE ROLE');
+  }
+};
+
+/**
+ * @desc    Delete a custom role that no account holds
+ * @route   DELETE /api/roles/:name
+ * @access  Private (roles:manage)
+ */
+exports.deleteRole = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  console.log(`\n[${startTimeFormatted}] - 🔐 DELETE ROLE REQUEST | Name: ${req.params.name} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await deleteRole(req.params.name, req);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ ROLE DELETED | Name: ${req.params.name} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+      statusCode: 200
+    });
+
+  } catch (error) {
+    sendRoleError(res, error, startTimeFormatted, 'DELETE ROLE');
+  }
+};
+
+/**
+ * @desc    Assign a role to a user or cashier account
+ * @route   PUT /api/roles/assignments/:accountType/:accountId
+ * @access  Private (roles:manage)
+ */
+exports.assignRole = async (req, res) => {
+  const startTime = Date.now();
+  const startTimeFormatted = formatDate(startTime);
+  const { accountType, accountId } = req.params;
+  console.log(`\n[${startTimeFormatted}] - 🔐 ASSIGN ROLE REQUEST | ${accountType}: ${accountId} | Role: ${req.body.role} | User: ${req.user?.email} | IP: ${req.ip}`);
+
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const assignment = await assignRole({ accountType, accountId, role: req.body.role }, req);
+
+    const responseTime = Date.now() - startTime;
+    console.log(`[${startTimeFormatted}] - ✅ ROLE ASSIGNED | ${accountType}: ${accountId} | Role: ${assignment.role} | Total time: ${responseTime}ms`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role assigned successfully',
+      data: assignment,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    sendRoleError(res, error, startTimeFormatted, 'ASSIGN ROLE');
+  }
+};
@@ -0,0 +1,57 @@
+const { validationResult } = require('express-validator');
+const ShippingZone = require('../../models/ShippingZone');
+const { clearZonesCache } = require('../../utils/shippingService');
+
+/**
+ * @desc    Create shipping zone
+ * @route   POST /api/shipping/zones
+ * @access  Private (Admin only)
+ */
+exports.createShippingZone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const zone = await ShippingZone.create(req.body);
+    await clearZonesCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created successfully',
+      data: zone,
+      statusCode: 201
+    });
+
+  } catch (error) {
+    console.error('Error creating shipping zone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message),
+        statusCode: 400
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping zone name already exists',
+        statusCode: 400
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
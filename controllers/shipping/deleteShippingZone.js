@@ -0,0 +1,46 @@
+const ShippingZone = require('../../models/ShippingZone');
+const { clearZonesCache } = require('../../utils/shippingService');
+
+/**
+ * @desc    Delete shipping zone
+ * @route   DELETE /api/shipping/zones/:id
+ * @access  Private (Admin only)
+ */
+exports.deleteShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id).lean();
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found',
+        statusCode: 404
+      });
+    }
+
+    await clearZonesCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone deleted successfully',
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error('Error deleting shipping zone:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found',
+        statusCode: 404
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
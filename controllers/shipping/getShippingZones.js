@@ -0,0 +1,28 @@
+const ShippingZone = require('../../models/ShippingZone');
+
+/**
+ * @desc    Get all shipping zones
+ * @route   GET /api/shipping/zones
+ * @access  Private (Admin only)
+ */
+exports.getShippingZones = async (req, res) => {
+  try {
+    const zones = await ShippingZone.find()
+      .sort({ priority: -1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: zones,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error('Error fetching shipping zones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
@@ -0,0 +1,12 @@
+const { getShippingZones } = require('./getShippingZones');
+const { createShippingZone } = require('./createShippingZone');
+const { updateShippingZone } = require('./updateShippingZone');
+const { deleteShippingZone } = require('./deleteShippingZone');
+
+// Re-export all shipping functions for use in routes
+module.exports = {
+  getShippingZones,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone
+};
@@ -0,0 +1,78 @@
+const { validationResult } = require('express-validator');
+const ShippingZone = require('../../models/ShippingZone');
+const { clearZonesCache } = require('../../utils/shippingService');
+
+/**
+ * @desc    Update shipping zone
+ * @route   PUT /api/shipping/zones/:id
+ * @access  Private (Admin only)
+ */
+exports.updateShippingZone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+        statusCode: 400
+      });
+    }
+
+    const zone = await ShippingZone.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found',
+        statusCode: 404
+      });
+    }
+
+    await clearZonesCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone updated successfully',
+      data: zone,
+      statusCode: 200
+    });
+
+  } catch (error) {
+    console.error('Error updating shipping zone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message),
+        statusCode: 400
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found',
+        statusCode: 404
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping zone name already exists',
+        statusCode: 400
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      statusCode: 500
+    });
+  }
+};
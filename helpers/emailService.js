@@ -270,8 +270,345 @@ async function sendOrderStatusUpdate(userEmail, userName, orderData, newStatus)
   }
 }
 
+/**
+ * Send a reminder to finish paying for an order, with a fresh payment link
+ */
+async function sendPaymentReminder(userEmail, userName, orderData) {
+  try {
+    console.log(`[${formatDate()}] - 📧 Sending payment reminder email to ${userEmail}`);
+    
+    const transporter = createTransporter();
+    if (!transporter) {
+      console.log(`[${formatDate()}] - ⚠️  Email service not available - skipping payment reminder email`);
+      return false;
+    }
+
+    const expiresAt = new Date(orderData.expiresAt).toLocaleString('en-PH', { dateStyle: 'medium', timeStyle: 'short' });
+
+    const emailContent = {
+      from: `"${process.env.STORE_NAME}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: userEmail,
+      subject: `Complete your payment - Order ${orderData.orderNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #FF9800; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px;">Your order is waiting</h1>
+          </div>
+          
+          <div style="padding: 30px 20px;">
+            <h2 style="color: #333;">Hi ${userName || 'Customer'},</h2>
+            <p style="color: #666; line-height: 1.6;">
+              We're holding the items in your order, but we haven't received your payment yet.
+              The order will be cancelled if it is not paid by <strong>${expiresAt}</strong>.
+            </p>
+            
+            <div style="background: #f8f9fa; border-left: 4px solid #FF9800; padding: 20px; margin: 20px 0;">
+              <h3 style="margin: 0 0 10px 0; color: #333;">Order Information</h3>
+              <p style="margin: 5px 0;"><strong>Order Number:</strong> ${orderData.orderNumber}</p>
+              <p style="margin: 5px 0;"><strong>Total Amount:</strong> ₱${orderData.totalAmount}</p>
+            </div>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${orderData.checkoutUrl}" style="background: #FF9800; color: white; padding: 14px 28px; text-decoration: none; border-radius: 4px; font-weight: bold;">Pay now</a>
+            </div>
+          </div>
+          
+          <div style="background: #f5f5f5; padding: 20px; text-align: center; border-top: 1px solid #ddd;">
+            <p style="margin: 0; color: #666; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+            <p style="margin: 5px 0 0 0; color: #666; font-size: 12px;">
+              © ${new Date().getFullYear()} ${process.env.STORE_NAME}. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(emailContent);
+    
+    // If using Ethereal, show preview URL
+    if (process.env.EMAIL_SERVICE === 'ethereal' && result.messageId) {
+      console.log('Preview URL:', nodemailer.getTestMessageUrl(result));
+    }
+
+    console.log(`[${formatDate()}] - ✅ Payment reminder email sent successfully to ${userEmail}`);
+    return true;
+
+  } catch (error) {
+    logError(`❌ Failed to send payment reminder email: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Tell the owner their account was locked after repeated failed attempts, with an unlock link
+ */
+async function sendAccountLockedEmail(userEmail, userName, { lockedUntil, unlockUrl }) {
+  try {
+    console.log(`[${formatDate()}] - 📧 Sending account locked email to ${userEmail}`);
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      console.log(`[${formatDate()}] - ⚠️  Email service not available - skipping account locked email`);
+      return false;
+    }
+
+    const until = new Date(lockedUntil).toLocaleString('en-PH', { dateStyle: 'medium', timeStyle: 'short' });
+
+    const emailContent = {
+      from: `"${process.env.STORE_NAME}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: userEmail,
+      subject: 'Your account has been temporarily locked',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #F44336; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px;">Account temporarily locked</h1>
+          </div>
+          
+          <div style="padding: 30px 20px;">
+            <h2 style="color: #333;">Hi ${userName || 'Customer'},</h2>
+            <p style="color: #666; line-height: 1.6;">
+              We noticed several failed attempts to sign in to your account, so we locked it until <strong>${until}</strong>.
+            </p>
+            <p style="color: #666; line-height: 1.6;">
+              If this was you, you can unlock it now. If it wasn't, your account is safe, but consider changing your password.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${unlockUrl}" style="background: #F44336; color: white; padding: 14px 28px; text-decoration: none; border-radius: 4px; font-weight: bold;">Unlock my account</a>
+            </div>
+          </div>
+          
+          <div style="background: #f5f5f5; padding: 20px; text-align: center; border-top: 1px solid #ddd;">
+            <p style="margin: 0; color: #666; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+            <p style="margin: 5px 0 0 0; color: #666; font-size: 12px;">
+              © ${new Date().getFullYear()} ${process.env.STORE_NAME}. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(emailContent);
+
+    // If using Ethereal, show preview URL
+    if (process.env.EMAIL_SERVICE === 'ethereal' && result.messageId) {
+      console.log('Preview URL:', nodemailer.getTestMessageUrl(result));
+    }
+
+    console.log(`[${formatDate()}] - ✅ Account locked email sent successfully to ${userEmail}`);
+    return true;
+
+  } catch (error) {
+    logError(`❌ Failed to send account locked email: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Send a passwordless sign-in code, with a sign-in link when one is configured
+ */
+async function sendMagicLinkEmail(userEmail, userName, { code, link, expiresInMinutes }) {
+  try {
+    console.log(`[${formatDate()}] - 📧 Sending sign-in email to ${userEmail}`);
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      console.log(`[${formatDate()}] - ⚠️  Email service not available - skipping sign-in email`);
+      return false;
+    }
+
+    const emailContent = {
+      from: `"${process.env.STORE_NAME}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: userEmail,
+      subject: `Your ${process.env.STORE_NAME} sign-in code: ${code}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #2196F3; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px;">Sign in to ${process.env.STORE_NAME}</h1>
+          </div>
+          
+          <div style="padding: 30px 20px;">
+            <h2 style="color: #333;">Hi ${userName || 'Customer'},</h2>
+            <p style="color: #666; line-height: 1.6;">Your sign-in code is:</p>
+            <div style="background: #f0f0f0; padding: 20px; text-align: center; margin: 20px 0;">
+              <span style="font-size: 24px; font-weight: bold; letter-spacing: 3px; color: #333;">${code}</span>
+            </div>
+            ${link ? `
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${link}" style="background: #2196F3; color: white; padding: 14px 28px; text-decoration: none; border-radius: 4px; font-weight: bold;">Sign in</a>
+            </div>` : ''}
+            <p style="color: #666; line-height: 1.6;">
+              This code expires in ${expiresInMinutes} minutes and works once.
+              If you didn't try to sign in, you can ignore this email.
+            </p>
+          </div>
+          
+          <div style="background: #f5f5f5; padding: 20px; text-align: center; border-top: 1px solid #ddd;">
+            <p style="margin: 0; color: #666; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+            <p style="margin: 5px 0 0 0; color: #666; font-size: 12px;">
+              © ${new Date().getFullYear()} ${process.env.STORE_NAME}. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(emailContent);
+
+    // If using Ethereal, show preview URL
+    if (process.env.EMAIL_SERVICE === 'ethereal' && result.messageId) {
+      console.log('Preview URL:', nodemailer.getTestMessageUrl(result));
+    }
+
+    console.log(`[${formatDate()}] - ✅ Sign-in email sent successfully to ${userEmail}`);
+    return true;
+
+  } catch (error) {
+    logError(`❌ Failed to send sign-in email: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Ask the account owner to confirm linking a social sign-in that uses their email
+ */
+async function sendIdentityLinkEmail(userEmail, userName, { code, providerName, expiresInMinutes }) {
+  try {
+    console.log(`[${formatDate()}] - 📧 Sending identity link email to ${userEmail}`);
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      console.log(`[${formatDate()}] - ⚠️  Email service not available - skipping identity link email`);
+      return false;
+    }
+
+    const emailContent = {
+      from: `"${process.env.STORE_NAME}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: userEmail,
+      subject: `Link your ${providerName} account`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #2196F3; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px;">Link your ${providerName} account</h1>
+          </div>
+          
+          <div style="padding: 30px 20px;">
+            <h2 style="color: #333;">Hi ${userName || 'Customer'},</h2>
+            <p style="color: #666; line-height: 1.6;">
+              Someone signed in with ${providerName} using your email address. Enter this code to link it to your account:
+            </p>
+            <div style="background: #f0f0f0; padding: 20px; text-align: center; margin: 20px 0;">
+              <span style="font-size: 24px; font-weight: bold; letter-spacing: 3px; color: #333;">${code}</span>
+            </div>
+            <p style="color: #666; line-height: 1.6;">
+              This code expires in ${expiresInMinutes} minutes. If this wasn't you, ignore this email and nothing will be linked.
+            </p>
+          </div>
+          
+          <div style="background: #f5f5f5; padding: 20px; text-align: center; border-top: 1px solid #ddd;">
+            <p style="margin: 0; color: #666; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+            <p style="margin: 5px 0 0 0; color: #666; font-size: 12px;">
+              © ${new Date().getFullYear()} ${process.env.STORE_NAME}. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(emailContent);
+
+    // If using Ethereal, show preview URL
+    if (process.env.EMAIL_SERVICE === 'ethereal' && result.messageId) {
+      console.log('Preview URL:', nodemailer.getTestMessageUrl(result));
+    }
+
+    console.log(`[${formatDate()}] - ✅ Identity link email sent successfully to ${userEmail}`);
+    return true;
+
+  } catch (error) {
+    logError(`❌ Failed to send identity link email: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Tell the account owner their password was changed, in case it wasn't them
+ */
+async function sendPasswordChangedEmail(userEmail, userName, { changedAt, ipAddress }) {
+  try {
+    console.log(`[${formatDate()}] - 📧 Sending password changed email to ${userEmail}`);
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      console.log(`[${formatDate()}] - ⚠️  Email service not available - skipping password changed email`);
+      return false;
+    }
+
+    const when = new Date(changedAt).toLocaleString('en-PH', { dateStyle: 'medium', timeStyle: 'short' });
+
+    const emailContent = {
+      from: `"${process.env.STORE_NAME}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: userEmail,
+      subject: 'Your password was changed',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #FF9800; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px;">Password changed</h1>
+          </div>
+          
+          <div style="padding: 30px 20px;">
+            <h2 style="color: #333;">Hi ${userName || 'Customer'},</h2>
+            <p style="color: #666; line-height: 1.6;">
+              The password for your account was changed on <strong>${when}</strong>${ipAddress ? ` from IP address ${ipAddress}` : ''}. You have been logged out on all your devices.
+            </p>
+            <p style="color: #666; line-height: 1.6;">
+              If this was you, there is nothing else to do. If it wasn't, reset your password right away and contact us.
+            </p>
+          </div>
+          
+          <div style="background: #f5f5f5; padding: 20px; text-align: center; border-top: 1px solid #ddd;">
+            <p style="margin: 0; color: #666; font-size: 12px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+            <p style="margin: 5px 0 0 0; color: #666; font-size: 12px;">
+              © ${new Date().getFullYear()} ${process.env.STORE_NAME}. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(emailContent);
+
+    // If using Ethereal, show preview URL
+    if (process.env.EMAIL_SERVICE === 'ethereal' && result.messageId) {
+      console.log('Preview URL:', nodemailer.getTestMessageUrl(result));
+    }
+
+    console.log(`[${formatDate()}] - ✅ Password changed email sent successfully to ${userEmail}`);
+    return true;
+
+  } catch (error) {
+    logError(`❌ Failed to send password changed email: ${error.message}`);
+    return false;
+  }
+}
+
 module.exports = {
   sendPaymentConfirmation,
   sendOrderStatusUpdate,
+  sendPaymentReminder,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  sendIdentityLinkEmail,
+  sendPasswordChangedEmail,
   createTransporter
 };
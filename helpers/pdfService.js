@@ -0,0 +1,75 @@
+const puppeteer = require('puppeteer-core');
+const chromium = require('@sparticuz/chromium');
+
+async function launchBrowser() {
+  console.log('Platform:', process.platform);
+  console.log('Node version:', process.version);
+  
+  try {
+    // Use @sparticuz/chromium for all environments (works in containers)
+    const executablePath = await chromium.executablePath();
+    console.log('Using Chromium at:', executablePath);
+    
+    return await puppeteer.launch({
+      args: chromium.args,
+      defaultViewport: chromium.defaultViewport,
+      executablePath,
+      headless: chromium.headless,
+    });
+  } catch (chromiumError) {
+    console.error('@sparticuz/chromium failed, trying local Chrome:', chromiumError);
+    
+    // Fallback to local Chrome for development
+    const executablePath = 
+      process.platform === 'win32' 
+        ? 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe'
+        : process.platform === 'darwin'
+        ? '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'
+        : '/usr/bin/google-chrome';
+    
+    try {
+      console.log('Trying local Chrome at:', executablePath);
+      return await puppeteer.launch({
+        headless: true,
+        executablePath,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+      });
+    } catch (localChromeError) {
+      console.error('Local Chrome also failed:', localChromeError);
+      throw new Error('Chrome/Chromium not available. Please install Chrome or check container configuration.');
+    }
+  }
+}
+
+/**
+ * Render an HTML document to a PDF
+ * @param {string} html - Complete HTML document
+ * @param {Object} [pdfOptions] - Overrides for page.pdf (default A4 with 1cm margins)
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(html, pdfOptions = {}) {
+  const browser = await launchBrowser();
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+
+    const pdfBytes = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: {
+        top: '1cm',
+        bottom: '1cm',
+        left: '1cm',
+        right: '1cm',
+      },
+      ...pdfOptions,
+    });
+
+    return Buffer.from(pdfBytes);
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = { renderPdf };
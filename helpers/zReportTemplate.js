@@ -0,0 +1,113 @@
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const peso = (amount) => `₱${Number(amount || 0).toFixed(2)}`;
+
+const dateTime = (date) => (date ? new Date(date).toLocaleString('en-PH', { timeZone: 'Asia/Manila' }) : '-');
+
+function row(label, value, className = '') {
+  return `<tr class="${className}"><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(value)}</td></tr>`;
+}
+
+/**
+ * Printable end-of-shift Z-report
+ * @param {Object} report - From shiftService.buildZReport
+ * @returns {string} - Complete HTML document
+ */
+function getZReportHtml(report) {
+  const { cashier, activity, sales, refunds, drawer, notes } = report;
+  const drawerClass = drawer.status === 'balanced' ? '' : 'flag';
+
+  const statusRows = Object.entries(activity.byStatus)
+    .map(([status, count]) => row(`→ ${status}`, count))
+    .join('');
+
+  const refundRows = report.refundLog
+    .map(refund => row(`${refund.orderId} (${refund.provider})`, peso(refund.amount)))
+    .join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <title>Z-Report ${escapeHtml(report.shiftId)}</title>
+        <style>
+          body {
+            font-family: 'Courier New', monospace;
+            color: #111827;
+            font-size: 11px;
+            max-width: 420px;
+            margin: 0 auto;
+          }
+          h1 { font-size: 18px; text-align: center; margin: 0 0 4px; letter-spacing: 2px; }
+          .meta { text-align: center; color: #4b5563; margin-bottom: 12px; }
+          h2 {
+            font-size: 12px;
+            margin: 14px 0 4px;
+            border-bottom: 1px dashed #9ca3af;
+            padding-bottom: 2px;
+            text-transform: uppercase;
+          }
+          table { width: 100%; border-collapse: collapse; }
+          td { padding: 2px 0; }
+          .amount { text-align: right; }
+          .total td { font-weight: bold; border-top: 1px solid #111827; }
+          .flag td { font-weight: bold; color: #b91c1c; }
+          .note { white-space: pre-wrap; color: #374151; }
+          .footer { text-align: center; color: #6b7280; margin-top: 16px; font-size: 9px; }
+        </style>
+      </head>
+      <body>
+        <h1>Z-REPORT</h1>
+        <div class="meta">
+          Shift ${escapeHtml(report.shiftId)}<br>
+          Cashier: ${escapeHtml(cashier.name)} (${escapeHtml(cashier.userName)})<br>
+          ${escapeHtml(dateTime(report.openedAt))} - ${escapeHtml(dateTime(report.closedAt))}
+        </div>
+
+        <h2>Activity</h2>
+        <table>
+          ${row('Orders handled', activity.ordersHandled)}
+          ${row('Status changes', activity.statusChanges)}
+          ${statusRows}
+        </table>
+
+        <h2>Cash Sales</h2>
+        <table>
+          ${row('Cash orders', sales.cashOrders)}
+          ${row('Amount tendered', peso(sales.amountTendered))}
+          ${row('Change given', peso(sales.changeGiven))}
+          ${row('Cash sales', peso(sales.cashSales), 'total')}
+        </table>
+
+        <h2>Refunds</h2>
+        <table>
+          ${refundRows}
+          ${row(`Refunds issued (${refunds.count})`, peso(refunds.total), 'total')}
+          ${row('Paid out in cash', peso(refunds.cash))}
+        </table>
+
+        <h2>Cash Drawer</h2>
+        <table>
+          ${row('Opening float', peso(drawer.openingFloat))}
+          ${row('+ Cash sales', peso(sales.cashSales))}
+          ${row('- Cash refunds', peso(refunds.cash))}
+          ${row('Expected in drawer', peso(drawer.expectedCash), 'total')}
+          ${row('Counted', peso(drawer.countedCash))}
+          ${row(`Difference (${drawer.status})`, peso(drawer.discrepancy), drawerClass)}
+        </table>
+
+        ${notes.opening ? `<h2>Opening Note</h2><div class="note">${escapeHtml(notes.opening)}</div>` : ''}
+        ${notes.closing ? `<h2>Closing Note</h2><div class="note">${escapeHtml(notes.closing)}</div>` : ''}
+
+        <div class="footer">Generated ${escapeHtml(dateTime(report.generatedAt))}</div>
+      </body>
+    </html>
+  `;
+}
+
+module.exports = { getZReportHtml };
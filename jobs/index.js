@@ -0,0 +1,62 @@
+const { formatDate, logError } = require('../utils/logging');
+const { retryWebhookEvents } = require('./webhookRetryJob');
+const { reconcilePayments } = require('./reconciliationJob');
+const { processPaymentLinks } = require('./paymentLinkJob');
+
+/**
+ * Background jobs
+ * - Each job runs on a fixed interval inside the API process
+ * - A run is skipped while the previous run of the same job is still going
+ *
+ * JOBS_ENABLED=false turns every job off (e.g. on extra instances behind a load balancer)
+ */
+
+const JOBS = [
+  { name: 'webhook-retry', intervalMs: 60 * 1000, run: retryWebhookEvents },
+  { name: 'payment-reconciliation', intervalMs: 60 * 60 * 1000, run: reconcilePayments },
+  { name: 'payment-link-expiry', intervalMs: 60 * 1000, run: processPaymentLinks }
+];
+
+const timers = [];
+
+function schedule({ name, intervalMs, run }) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      logError(`❌ Job ${name} failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  timers.push(timer);
+}
+
+/**
+ * Start all background jobs (call once the database is connected)
+ */
+function startJobs() {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log(`[${formatDate()}] - ⏸️  Background jobs disabled`);
+    return;
+  }
+  JOBS.forEach(schedule);
+  console.log(`[${formatDate()}] - ⏰ Background jobs started: ${JOBS.map(job => job.name).join(', ')}`);
+}
+
+/**
+ * Stop all background jobs
+ */
+function stopJobs() {
+  timers.splice(0).forEach(clearInterval);
+}
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,12 @@
+const { sendPaymentReminders, expireUnpaidOrders } = require('../utils/paymentLinkService');
+
+/**
+ * Remind customers about links that are about to expire, then cancel orders whose link has expired
+ */
+async function processPaymentLinks() {
+  const reminded = await sendPaymentReminders();
+  const expired = await expireUnpaidOrders();
+  return { reminded, expired };
+}
+
+module.exports = { processPaymentLinks };
@@ -0,0 +1,15 @@
+const { getReportDate, getReport, generateReport, isFinal } = require('../utils/reconciliationService');
+
+/**
+ * Reconcile yesterday's payments, unless a report generated after the day ended already exists
+ */
+async function reconcilePayments() {
+  const date = getReportDate(1);
+  const existing = await getReport(date);
+  if (existing && isFinal(existing)) {
+    return existing;
+  }
+  return generateReport(date, { generatedBy: 'job' });
+}
+
+module.exports = { reconcilePayments };
@@ -0,0 +1,10 @@
+const { retryDueEvents } = require('../payments/webhookLedger');
+
+/**
+ * Re-run failed payment webhook events whose backoff has elapsed
+ */
+async function retryWebhookEvents() {
+  return retryDueEvents();
+}
+
+module.exports = { retryWebhookEvents };
@@ -1,9 +1,15 @@
 const { verifyToken } = require('../utils/jwt');
 const User = require('../models/User');
 const Cashier = require('../models/Cashier');
-const BlacklistedToken = require('../models/BlacklistedToken');
+const { isAccessTokenBlacklisted } = require('../utils/tokenService');
+const { isSessionActive } = require('../utils/sessionService');
+const { normalizeRoleName, getRolePermissions, roleRequiresTwoFactor } = require('../utils/permissions');
 
-const protect = async (req, res, next) => {
+/**
+ * Build the bearer token check
+ * @param {boolean} enforceTwoFactor - Turn away accounts whose role requires 2FA until they set it up
+ */
+const authenticate = (enforceTwoFactor) => async (req, res, next) => {
   try {
     let token;
 
@@ -20,19 +26,35 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Check if token is blacklisted
-    const isBlacklisted = await BlacklistedToken.findOne({ token });
-    if (isBlacklisted) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token has been invalidated. Please login again.'
-      });
-    }
-
     try {
       // Verify token
       const decoded = verifyToken(token);
 
+      // Temporary tokens (email verification, 2FA login challenge) are not access tokens
+      if (decoded.temp) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to access this route'
+        });
+      }
+
+      // Check if token is blacklisted
+      if (await isAccessTokenBlacklisted(token, decoded)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been invalidated. Please login again.'
+        });
+      }
+
+      // Every access token belongs to a session. Tokens issued before sessions existed have no `fid`
+      // and could not be revoked, so they are refused and those clients log in again
+      if (!decoded.fid || !(await isSessionActive(decoded.fid, req))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please login again.'
+        });
+      }
+
       // Get user from token - check both User and Cashier models
       let user = null;
       
@@ -51,9 +73,24 @@ const protect = async (req, res, next) => {
         });
       }
 
-      // Attach user and role to request
+      // Attach user, role and permissions to request
+      // The role comes from the account, not the token, so reassigning a role takes effect immediately
+      const accountType = decoded.type === 'cashier' ? 'cashier' : 'user';
       req.user = user;
-      req.user.role = decoded.role; // Ensure role comes from token
+      req.user.accountType = accountType;
+      req.user.role = normalizeRoleName(user.role, accountType);
+      req.user.permissions = await getRolePermissions(req.user.role);
+      // Token details for logout and session handling
+      req.auth = { token, jti: decoded.jti, sessionId: decoded.fid, expiresAt: new Date(decoded.exp * 1000) };
+
+      if (enforceTwoFactor && !user.twoFactor?.enabled && await roleRequiresTwoFactor(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your role. Set it up at /api/profile/security.',
+          twoFactorSetupRequired: true,
+          statusCode: 403
+        });
+      }
       next();
     } catch (error) {
       return res.status(401).json({
@@ -66,19 +103,58 @@ const protect = async (req, res, next) => {
   }
 };
 
-const authorize = (...roles) => {
+const protect = authenticate(true);
+
+// Same as `protect`, but lets accounts that still have to set up 2FA through (enrollment, logout, sessions)
+const protectTwoFactorSetup = authenticate(false);
+
+/**
+ * Allow the request only if the account's role grants every listed permission
+ * Place after `protect`.
+ * @param {...string} permissions - e.g. 'orders:read'
+ */
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    const missing = permissions.filter(permission => !req.user?.permissions?.includes(permission));
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`
+        message: `Access denied. Missing permission: ${missing.join(', ')}`,
+        statusCode: 403
       });
     }
     next();
   };
 };
 
+// Endpoints about the cashier account itself (e.g. POS logout), whatever its role
+const cashierAccountOnly = (req, res, next) => {
+  if (req.user?.accountType !== 'cashier') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Cashier only endpoint.',
+      statusCode: 403
+    });
+  }
+  next();
+};
+
+// Endpoints about customer/staff user accounts only (e.g. linked social accounts)
+const userAccountOnly = (req, res, next) => {
+  if (req.user?.accountType !== 'user') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. User accounts only.',
+      statusCode: 403
+    });
+  }
+  next();
+};
+
 module.exports = {
   protect,
-  authorize
+  protectTwoFactorSetup,
+  requirePermission,
+  cashierAccountOnly,
+  userAccountOnly
 };
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { claimKey, completeKey, releaseKey } = require('../utils/idempotencyStore');
+const { formatDate, logError } = require('../utils/logging');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with object keys sorted, so key order does not change the hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body)}`)
+    .digest('hex');
+}
+
+/**
+ * Honor the `Idempotency-Key` header on a route
+ * - First successful (2xx) response is stored and replayed for retries with the same key
+ * - Same key with a different body, or while the first request is still running, returns 409
+ * - Failed responses are not stored, so the client can retry with the same key
+ * Requests without the header pass through. Place after `protect` so keys are scoped per user.
+ * @param {string} scope - Name of the operation, e.g. 'pos:create-order'
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const clientKey = req.get('Idempotency-Key');
+  if (!clientKey) {
+    return next();
+  }
+
+  if (clientKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key cannot be more than ${MAX_KEY_LENGTH} characters`,
+      statusCode: 400
+    });
+  }
+
+  const key = `${scope}:${req.user?.id || 'anonymous'}:${clientKey}`;
+  const requestHash = hashRequest(req);
+
+  let claim;
+  try {
+    claim = await claimKey(key, requestHash);
+  } catch (error) {
+    // Never block checkout because the key store is down
+    logError(`❌ Idempotency store unavailable for ${scope}: ${error.message}`);
+    return next();
+  }
+
+  if (claim.state === 'mismatch') {
+    return res.status(409).json({
+      success: false,
+      message: 'Idempotency-Key has already been used with a different request',
+      statusCode: 409
+    });
+  }
+
+  if (claim.state === 'in_progress') {
+    res.set('Retry-After', '1');
+    return res.status(409).json({
+      success: false,
+      message: 'A request with this Idempotency-Key is still being processed',
+      statusCode: 409
+    });
+  }
+
+  if (claim.state === 'completed') {
+    console.log(`[${formatDate()}] - 🔁 Idempotent replay | ${scope} | Key: ${clientKey}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.response.statusCode).json(claim.response.body);
+  }
+
+  // Capture the response body so it can be stored once sent
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  let settled = false;
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+    if (res.writableFinished && res.statusCode >= 200 && res.statusCode < 300 && responseBody !== undefined) {
+      completeKey(key, requestHash, { statusCode: res.statusCode, body: responseBody }, claim.store);
+    } else {
+      releaseKey(key, claim.store);
+    }
+  };
+  res.on('finish', settle);
+  res.on('close', settle);
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
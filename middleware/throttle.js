@@ -0,0 +1,51 @@
+const { normalizeIdentifier, getLockout, checkThrottle } = require('../utils/throttleService');
+const { logError } = require('../utils/logging');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Brute-force protection for a public auth route
+ * - 429 with Retry-After once the IP or the account (`req.body.email` by default) exceeds the route's window
+ * - Holds the request longer after each recent failure of the account
+ * - With `lockable`, 423 while the account is locked out
+ * Place before the validators so rejected requests do no other work.
+ * @param {string} scope - Route limits in utils/throttleService.js, e.g. 'login'
+ * @param {Object} [options]
+ * @param {boolean} [options.lockable=false] - Refuse locked accounts
+ * @param {Function} [options.identify] - (req) => the account the request is for, when the body has no email
+ */
+const authThrottle = (scope, { lockable = false, identify = (req) => req.body?.email } = {}) => async (req, res, next) => {
+  const identifier = normalizeIdentifier(identify(req));
+
+  try {
+    if (lockable) {
+      const lockedUntil = await getLockout(identifier);
+      if (lockedUntil) {
+        res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+        return res.status(423).json({
+          success: false,
+          message: 'Too many failed attempts. This account is temporarily locked; check your email for an unlock link or try again later.',
+          lockedUntil,
+          statusCode: 423
+        });
+      }
+    }
+
+    const { delayMs } = await checkThrottle(scope, { ip: req.ip, identifier });
+    if (delayMs > 0) {
+      await sleep(delayMs);
+    }
+    next();
+  } catch (error) {
+    if (error.statusCode === 429) {
+      logError(`🚫 Throttled ${scope} | IP: ${req.ip} | Account: ${identifier || 'N/A'}`);
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ success: false, message: error.message, statusCode: 429 });
+    }
+    // A broken counter store must not take logins down with it
+    logError(`❌ Throttle check failed for ${scope}: ${error.message}`);
+    next();
+  }
+};
+
+module.exports = { authThrottle };
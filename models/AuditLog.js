@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Action is required'] // e.g. 'webhook.signature_rejected'
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'denied'],
+    default: 'success'
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['user', 'cashier', 'admin', 'webhook', 'system', 'anonymous'],
+      default: 'anonymous'
+    },
+    id: { type: String, default: null }
+  },
+  resource: {
+    type: { type: String, default: null },
+    id: { type: String, default: null }
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  ip: String,
+  userAgent: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
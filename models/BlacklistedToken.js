@@ -6,6 +6,11 @@ const BlacklistedTokenSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // Looked up by `jti`; tokens issued before access tokens had one are looked up by `token`
+  jti: {
+    type: String,
+    index: true,
+  },
   expiresAt: {
     type: Date,
     required: true,
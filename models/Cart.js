@@ -31,10 +31,32 @@ const cartSchema = new mongoose.Schema({
     unique: true
   },
   items: [cartItemSchema],
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    required: false
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'] // Set by couponService.refreshCartCoupon
+  },
   totalAmount: {
     type: Number,
     default: 0,
     min: [0, 'Total amount cannot be negative']
+  },
+  // Most recent checkout, so a retry after the cart was emptied gets the same order back
+  lastCheckout: {
+    key: { type: String, required: false },
+    orderId: { type: String, required: false },
+    at: { type: Date, required: false }
   }
 }, {
   timestamps: true
@@ -43,11 +65,12 @@ const cartSchema = new mongoose.Schema({
 // Index for better query performance
 cartSchema.index({ user: 1 });
 
-// Calculate total amount before saving
+// Calculate subtotal and total (after coupon discount) before saving
 cartSchema.pre('save', function(next) {
-  this.totalAmount = this.items.reduce((total, item) => {
+  this.subtotal = this.items.reduce((total, item) => {
     return total + (item.price * item.quantity);
   }, 0);
+  this.totalAmount = Math.max(0, this.subtotal - (this.discountAmount || 0));
   next();
 });
 
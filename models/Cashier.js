@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const twoFactorSchema = require('./twoFactorSchema');
 
 const cashierSchema = new mongoose.Schema({
   name: {
@@ -23,6 +24,10 @@ const cashierSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  role: {
+    type: String,
+    default: 'cashier' // Name of a Role (models/Role.js); assigned through /api/roles
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -30,6 +35,10 @@ const cashierSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  twoFactor: {
+    type: twoFactorSchema,
+    default: () => ({})
+  },
   activeSession: {
     type: Boolean,
     default: false
@@ -89,6 +98,53 @@ const cashierSchema = new mongoose.Schema({
     userAgent: {
       type: String
     }
+  }],
+  drawerCounts: [{
+    sessionStart: {
+      type: Date,
+      required: true
+    },
+    sessionEnd: {
+      type: Date,
+      required: true
+    },
+    openingFloat: {
+      type: Number,
+      default: 0
+    },
+    cashSales: {
+      type: Number,
+      default: 0
+    },
+    cashRefunds: {
+      type: Number,
+      default: 0
+    },
+    expectedCash: {
+      type: Number,
+      required: true
+    },
+    countedCash: {
+      type: Number,
+      required: true
+    },
+    discrepancy: {
+      type: Number,
+      required: true // countedCash - expectedCash; negative when the drawer is short
+    },
+    status: {
+      type: String,
+      enum: ['balanced', 'over', 'short'],
+      required: true
+    },
+    note: {
+      type: String
+    },
+    countedAt: {
+      type: Date,
+      default: Date.now,
+      required: true
+    }
   }]
 }, {
   timestamps: true
@@ -198,6 +254,39 @@ cashierSchema.methods.logOrderStatusUpdate = function(orderId, updateData, succe
   return this.save();
 };
 
+// Method to record an end-of-shift drawer count
+cashierSchema.methods.recordDrawerCount = function(count) {
+  this.drawerCounts.push({
+    ...count,
+    countedAt: new Date()
+  });
+  
+  // Keep only last 50 drawer counts to prevent array from growing too large
+  if (this.drawerCounts.length > 50) {
+    this.drawerCounts = this.drawerCounts.slice(-50);
+  }
+  
+  return this.save();
+};
+
+// Method to get the current session, or the last one if logged out
+cashierSchema.methods.getSessionWindow = function() {
+  if (this.activeSession && this.sessionInfo?.loginTime) {
+    return { start: this.sessionInfo.loginTime, end: new Date(), active: true };
+  }
+  
+  const lastLoginIndex = this.loginHistory.map(entry => entry.action).lastIndexOf('login');
+  if (lastLoginIndex === -1) {
+    return null;
+  }
+  const logout = this.loginHistory.slice(lastLoginIndex + 1).find(entry => entry.action === 'logout');
+  return {
+    start: this.loginHistory[lastLoginIndex].timestamp,
+    end: logout ? logout.timestamp : new Date(),
+    active: false
+  };
+};
+
 // Method to get JSON representation without password
 cashierSchema.methods.toJSON = function() {
   const cashierObject = this.toObject();
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const redemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  orderId: {
+    type: String,
+    required: [true, 'Order ID is required']
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [32, 'Coupon code cannot be more than 32 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_delivery'],
+    required: [true, 'Coupon type is required']
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative'] // Percent for 'percentage', PHP for 'fixed', unused for 'free_delivery'
+  },
+  maxDiscount: {
+    type: Number,
+    required: false,
+    min: [0, 'Max discount cannot be negative'] // Cap for percentage coupons
+  },
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum spend cannot be negative']
+  },
+  usageLimit: {
+    type: Number,
+    default: null, // Total redemptions allowed across all users, null = unlimited
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1, // null = unlimited
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Used count cannot be negative']
+  },
+  startsAt: {
+    type: Date,
+    required: false
+  },
+  expiresAt: {
+    type: Date,
+    required: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Empty scope means the coupon applies to the whole cart
+  appliesTo: {
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    categories: [{
+      type: String,
+      trim: true // Matched against Product.category or Product.categoryId
+    }]
+  },
+  redemptions: [redemptionSchema],
+  createdBy: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  if (this.startsAt && this.expiresAt && this.startsAt >= this.expiresAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
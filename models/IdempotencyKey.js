@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Fallback store for Idempotency-Key records when Redis is unavailable
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress',
+  },
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed,
+  },
+  lockedUntil: {
+    type: Date,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, { timestamps: true });
+
+// Index for automatic deletion using MongoDB TTL
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One passwordless sign-in request: a 6-digit code and a signed link, either of which works once
+const magicLinkSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the link's nonce
+  },
+  codeHash: {
+    type: String,
+    required: true // SHA-256 of the code; the code itself is never stored
+  },
+  attempts: {
+    type: Number,
+    default: 0 // Wrong codes entered
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null // Where the sign-in was requested from
+  }
+}, {
+  timestamps: true
+});
+
+magicLinkSchema.index({ email: 1, createdAt: -1 });
+// Remove requests once they expire
+magicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MagicLink', magicLinkSchema);
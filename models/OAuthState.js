@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A social sign-in in progress: from the redirect to the provider until the callback,
+// or until the owner of an existing account confirms linking it by email code
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the `state` parameter, or of the link token
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  intent: {
+    type: String,
+    enum: ['login', 'link', 'confirm_link'],
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Account to link to ('link', 'confirm_link')
+  },
+  redirectUri: {
+    type: String,
+    default: null
+  },
+  nonce: {
+    type: String,
+    default: null
+  },
+  codeVerifier: {
+    type: String,
+    default: null // PKCE
+  },
+  identity: {
+    subject: { type: String, default: null },
+    email: { type: String, default: null },
+    name: { type: String, default: null }
+  },
+  codeHash: {
+    type: String,
+    default: null // SHA-256 of the emailed link confirmation code
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Remove abandoned sign-ins once they expire
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -22,7 +22,24 @@ const orderItemSchema = new mongoose.Schema({
   price: {
     type: Number,
     required: [true, 'Price is required'],
-    min: [0, 'Price cannot be negative']
+    min: [0, 'Price cannot be negative'] // Charged unit price, computed server-side
+  },
+  catalogPrice: {
+    type: Number,
+    required: false,
+    min: [0, 'Catalog price cannot be negative'] // List price before discount
+  },
+  discountPercent: {
+    type: Number,
+    default: 0
+  },
+  clientPrice: {
+    type: Number,
+    required: false // Price the client sent, kept for auditing
+  },
+  priceMismatch: {
+    type: Boolean,
+    default: false
   }
 });
 
@@ -42,7 +59,10 @@ const customerSchema = new mongoose.Schema({
   },
   address: {
     line1: { type: String, required: false },
+    barangay: { type: String, required: false },
     city: { type: String, required: false },
+    province: { type: String, required: false },
+    region: { type: String, required: false },
     state: { type: String, required: false },
     postal_code: { type: String, required: false },
     country: { type: String, required: false }
@@ -53,7 +73,176 @@ const customerSchema = new mongoose.Schema({
   }
 });
 
+// Discount applied to the order, e.g. a coupon on the items or free delivery
+const discountLineSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: false
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_delivery'],
+    required: [true, 'Discount type is required']
+  },
+  description: {
+    type: String,
+    required: false
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Discount amount is required'],
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+// One entry per status change, written by utils/orderStateMachine
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: false // null for the entry written when the order is placed
+  },
+  to: {
+    type: String,
+    required: [true, 'Target status is required']
+  },
+  actor: {
+    type: String,
+    enum: ['cashier', 'admin', 'user', 'webhook', 'system'],
+    required: [true, 'Actor is required']
+  },
+  actorId: {
+    type: String,
+    required: false
+  },
+  reason: {
+    type: String,
+    required: false
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Return / RMA for a delivered order: requested → approved | rejected → item_received → refunded
+const returnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  productName: {
+    type: String,
+    required: false
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative'] // Unit price charged on the order
+  }
+}, { _id: false });
 
+const returnRequestSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'item_received', 'refund_pending', 'refunded'],
+    required: [true, 'Return status is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required']
+  },
+  items: [returnItemSchema],
+  amount: {
+    type: Number,
+    required: [true, 'Return amount is required'],
+    min: [0, 'Return amount cannot be negative']
+  },
+  requestedBy: { type: String, required: false },
+  requestedAt: { type: Date, default: Date.now },
+  approvedAt: { type: Date, required: false },
+  rejectedAt: { type: Date, required: false },
+  receivedAt: { type: Date, required: false },
+  refundedAt: { type: Date, required: false },
+  handledBy: { type: String, required: false }, // Last cashier/admin who acted on the return
+  note: { type: String, required: false }, // Staff note, e.g. rejection reason
+  refundId: { type: String, required: false },
+  refundMethod: {
+    type: String, // Payment provider name, or 'manual'
+    required: false
+  }
+}, { _id: false });
+
+// Refund against the order's payment, written by utils/refundService
+const refundItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  productName: {
+    type: String,
+    required: false
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative'] // Unit price × quantity
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: false // Provider refund id, e.g. PayMongo ref_...; none for manual refunds
+  },
+  provider: {
+    type: String,
+    required: [true, 'Refund provider is required'] // Payment provider name, or 'manual'
+  },
+  paymentId: {
+    type: String,
+    required: false
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be greater than 0']
+  },
+  items: [refundItemSchema],
+  reason: {
+    type: String,
+    required: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'cancellation', 'return', 'webhook'],
+    required: [true, 'Refund source is required'] // 'webhook' for refunds made outside this API, e.g. the PayMongo dashboard
+  },
+  requestedBy: {
+    type: String,
+    required: false
+  },
+  failureReason: {
+    type: String,
+    required: false
+  }
+}, { timestamps: true });
 
 const orderSchema = new mongoose.Schema({
   id: {
@@ -61,6 +250,10 @@ const orderSchema = new mongoose.Schema({
     required: [true, 'Order ID is required'],
     unique: true
   },
+  checkoutKey: {
+    type: String,
+    required: false // Set by POST /api/cart/checkout so retries return the same order
+  },
   customer: {
     type: customerSchema,
     required: [true, 'Customer information is required']
@@ -70,6 +263,16 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     required: false
   },
+  coupon: {
+    code: { type: String, required: false },
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: false }
+  },
+  discounts: [discountLineSchema],
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount total cannot be negative']
+  },
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
@@ -88,13 +291,20 @@ const orderSchema = new mongoose.Schema({
   deliveryFee: {
     type: Number,
     default: 0,
-    min: [0, 'Delivery fee cannot be negative']
+    min: [0, 'Delivery fee cannot be negative'] // Computed by utils/shippingService, never taken from the client
+  },
+  shipping: {
+    zoneId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone', required: false },
+    zoneName: { type: String, required: false },
+    weightKg: { type: Number, required: false },
+    freeShippingApplied: { type: Boolean, default: false }
   },
   status: {
     type: String,
     enum: ['pending', 'processing', 'received', 'preparing', 'shipped', 'delivered', 'cancelled', 'paid'],
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
   date: {
     type: Date,
     default: Date.now
@@ -105,15 +315,35 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  paymentProvider: {
+    type: String,
+    default: null // Registered provider name (payments/index.js); null for cash
+  },
+  pricingFlagged: {
+    type: Boolean,
+    default: false // True when a client price disagreed and PRICE_MISMATCH_POLICY=flag
+  },
+  refundRequired: {
+    type: Boolean,
+    default: false // True while a cancelled order still holds a payment; staff refund it, which clears the flag
+  },
+  inventoryStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'released', 'committed'],
+    default: 'none' // 'reserved' once stock has been taken for this order
+  },
   paymentLink: {
     id: { type: String, required: false },
     checkoutUrl: { type: String, required: false },
     reference: { type: String, required: false },
     status: { type: String, required: false },
-    paid: { type: Boolean, default: false }
+    paid: { type: Boolean, default: false },
+    createdAt: { type: Date, required: false },
+    expiresAt: { type: Date, required: false }, // Unpaid orders are cancelled after this
+    reminderSentAt: { type: Date, required: false }
   },
   paymentId: {
     type: String,
@@ -142,6 +372,24 @@ const orderSchema = new mongoose.Schema({
   paidAt: {
     type: Date,
     required: false
+  },
+  cashCollection: {
+    amountDue: { type: Number, required: false },
+    amountTendered: { type: Number, required: false },
+    changeGiven: { type: Number, required: false },
+    cashierId: { type: String, required: false },
+    cashierName: { type: String, required: false },
+    collectedAt: { type: Date, required: false } // Set by POST /api/pos/orders/:orderId/collect-cash
+  },
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative'] // Sum of pending and succeeded refunds
+  },
+  returnRequest: {
+    type: returnRequestSchema,
+    required: false
   }
 }, {
   timestamps: true
@@ -152,5 +400,11 @@ orderSchema.index({ 'customer.userid': 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ date: -1 });
 orderSchema.index({ deliveryType: 1 });
+orderSchema.index({ 'returnRequest.status': 1 }, { sparse: true });
+orderSchema.index({ checkoutKey: 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'refunds.refundId': 1 }, { sparse: true });
+orderSchema.index({ paymentId: 1 }, { sparse: true });
+orderSchema.index({ status: 1, 'paymentLink.expiresAt': 1 });
+orderSchema.index({ 'cashCollection.cashierId': 1, 'cashCollection.collectedAt': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Order', orderSchema);
@@ -76,6 +76,10 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Stock is required'],
     min: [0, 'Stock cannot be negative']
   },
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'] // Shipping weight in kg
+  },
   images: [{
     type: String
   }],
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One issue found while matching gateway payments to orders
+const reconciliationIssueSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['unmatched_payment', 'duplicate_payment', 'missing_payment', 'amount_mismatch', 'status_mismatch'],
+    required: [true, 'Issue type is required']
+  },
+  paymentId: {
+    type: String,
+    required: false
+  },
+  orderId: {
+    type: String,
+    required: false
+  },
+  field: {
+    type: String,
+    required: false // amount | fee | netAmount | totalAmount for amount_mismatch
+  },
+  gatewayValue: {
+    type: Number,
+    required: false
+  },
+  orderValue: {
+    type: Number,
+    required: false
+  },
+  detail: {
+    type: String,
+    required: false
+  }
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: [true, 'Report date is required'] // YYYY-MM-DD in RECONCILIATION_UTC_OFFSET
+  },
+  provider: {
+    type: String,
+    default: 'paymongo'
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  totals: {
+    gatewayPayments: { type: Number, default: 0 },
+    gatewayGross: { type: Number, default: 0 },
+    gatewayFees: { type: Number, default: 0 },
+    gatewayNet: { type: Number, default: 0 },
+    paidOrders: { type: Number, default: 0 },
+    orderGross: { type: Number, default: 0 },
+    orderFees: { type: Number, default: 0 },
+    orderNet: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 }
+  },
+  issueCounts: {
+    unmatchedPayments: { type: Number, default: 0 },
+    duplicatePayments: { type: Number, default: 0 },
+    missingPayments: { type: Number, default: 0 },
+    amountMismatches: { type: Number, default: 0 },
+    statusMismatches: { type: Number, default: 0 }
+  },
+  issues: [reconciliationIssueSchema],
+  generatedBy: {
+    type: String,
+    default: 'job' // 'job', or the admin user id for on-demand runs
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ provider: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the token; the token itself is never stored
+  },
+  family: {
+    type: String,
+    required: true // Session id; shared by every token rotated from the same login
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  accountType: {
+    type: String,
+    enum: ['user', 'cashier'],
+    default: 'user'
+  },
+  device: {
+    deviceId: { type: String, default: null }, // X-Device-Id header, when the client sends one
+    userAgent: { type: String, default: null },
+    ipAddress: { type: String, default: null }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null // Set when the token is rotated; presenting it again is reuse
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'new_login', 'force_logout', 'password_reset', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ account: 1, accountType: 1, revokedAt: 1 });
+// Remove tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
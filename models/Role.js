@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{1,31}$/, 'Role name must be 2-32 lowercase letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [] // Keys of PERMISSIONS in utils/permissions.js
+  },
+  requireTwoFactor: {
+    type: Boolean,
+    default: false // Accounts with this role must set up 2FA before they can use the API
+  },
+  isSystem: {
+    type: Boolean,
+    default: false // Seeded roles; they can be edited but not deleted
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One login on one device; its _id is the refresh token family and the `fid` of its access tokens
+const sessionSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  accountType: {
+    type: String,
+    enum: ['user', 'cashier'],
+    default: 'user'
+  },
+  deviceId: {
+    type: String,
+    default: null // X-Device-Id header, when the client sends one
+  },
+  platform: {
+    type: String,
+    enum: ['web', 'mobile', 'webview'],
+    default: 'web'
+  },
+  os: {
+    type: String,
+    default: null
+  },
+  browser: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null // Last seen from
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true // When the latest refresh token runs out
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'new_login', 'force_logout', 'password_reset', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ account: 1, accountType: 1, revokedAt: 1, lastSeenAt: -1 });
+// Remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Status change a cashier made during the shift
+const shiftStatusChangeSchema = new mongoose.Schema({
+  orderId: { type: String, required: true },
+  from: { type: String, required: false },
+  to: { type: String, required: true },
+  timestamp: { type: Date, required: true }
+}, { _id: false });
+
+// Refund the cashier issued during the shift
+const shiftRefundSchema = new mongoose.Schema({
+  orderId: { type: String, required: true },
+  amount: { type: Number, required: true },
+  provider: { type: String, required: false }, // 'manual' refunds were handed back in cash
+  status: { type: String, required: false },
+  reason: { type: String, required: false },
+  refundedAt: { type: Date, required: false }
+}, { _id: false });
+
+const shiftSchema = new mongoose.Schema({
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cashier',
+    required: [true, 'Cashier is required']
+  },
+  cashierName: {
+    type: String,
+    required: false
+  },
+  userName: {
+    type: String,
+    required: false
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: {
+    type: Date,
+    required: false
+  },
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: [0, 'Opening float cannot be negative']
+  },
+  openingNote: {
+    type: String,
+    required: false
+  },
+  countedCash: {
+    type: Number,
+    required: false,
+    min: [0, 'Counted cash cannot be negative'] // Closing count
+  },
+  closingNote: {
+    type: String,
+    required: false
+  },
+  // Filled in when the shift is closed; the Z-report is built from these
+  summary: {
+    ordersHandled: { type: Number, default: 0 },
+    statusChanges: { type: Number, default: 0 },
+    cashOrders: { type: Number, default: 0 },
+    cashSales: { type: Number, default: 0 },
+    amountTendered: { type: Number, default: 0 },
+    changeGiven: { type: Number, default: 0 },
+    refundsIssued: { type: Number, default: 0 },
+    refundTotal: { type: Number, default: 0 },
+    cashRefunds: { type: Number, default: 0 },
+    expectedCash: { type: Number, default: 0 },
+    discrepancy: { type: Number, default: 0 }, // countedCash - expectedCash
+    drawerStatus: { type: String, enum: ['balanced', 'over', 'short'], required: false }
+  },
+  orders: [String], // Order ids the cashier collected cash for or changed the status of
+  statusChanges: [shiftStatusChangeSchema],
+  refunds: [shiftRefundSchema]
+}, {
+  timestamps: true
+});
+
+shiftSchema.index({ cashier: 1, openedAt: -1 });
+// At most one open shift per cashier
+shiftSchema.index({ cashier: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Zone name cannot be more than 100 characters']
+  },
+  // Matched against Profile.addresses fields, case-insensitive.
+  // Every non-empty list must contain the address value; all lists empty = catch-all zone.
+  match: {
+    regions: [{ type: String, trim: true }],
+    provinces: [{ type: String, trim: true }],
+    cities: [{ type: String, trim: true }],
+    barangays: [{ type: String, trim: true }]
+  },
+  priority: {
+    type: Number,
+    default: 0 // Higher wins when several zones match
+  },
+  baseFee: {
+    type: Number,
+    required: [true, 'Base fee is required'],
+    min: [0, 'Base fee cannot be negative']
+  },
+  includedWeightKg: {
+    type: Number,
+    default: 0,
+    min: [0, 'Included weight cannot be negative'] // Weight covered by the base fee
+  },
+  perKgFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per-kg fee cannot be negative'] // Charged per started kg above includedWeightKg
+  },
+  includedItems: {
+    type: Number,
+    default: 0,
+    min: [0, 'Included items cannot be negative'] // Item count covered by the base fee
+  },
+  perItemFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per-item fee cannot be negative'] // Charged per item above includedItems
+  },
+  freeShippingThreshold: {
+    type: Number,
+    default: null, // Item subtotal at or above which delivery is free, null = never
+    min: [0, 'Free shipping threshold cannot be negative']
+  },
+  maxWeightKg: {
+    type: Number,
+    default: null, // Heavier orders cannot be delivered to this zone, null = no limit
+    min: [0, 'Max weight cannot be negative']
+  },
+  estimatedDays: {
+    min: { type: Number, min: 0, required: false },
+    max: { type: Number, min: 0, required: false }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingZoneSchema.index({ isActive: 1, priority: -1 });
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
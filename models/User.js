@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const twoFactorSchema = require('./twoFactorSchema');
+
+// An external sign-in (Google, Facebook, ...) linked to the account
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true // Key of the provider in utils/oauthService.js
+  },
+  subject: {
+    type: String,
+    required: true // The provider's id for the person (`sub`)
+  },
+  email: {
+    type: String,
+    default: null // Email the provider reported when the identity was linked
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,10 +45,17 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  passwordSet: {
+    type: Boolean,
+    default: true // False for accounts created through social sign-in until they set a password
+  },
+  identities: {
+    type: [identitySchema],
+    default: []
+  },
   role: {
     type: String,
-    enum: ['user', 'admin', 'cashier', 'guest'],
-    default: 'user'
+    default: 'user' // Name of a Role (models/Role.js); assigned through /api/roles
   },
   isActive: {
     type: Boolean,
@@ -36,9 +64,13 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  twoFactor: {
+    type: twoFactorSchema,
+    default: () => ({})
+  },
   passwordResetOtp: {
     type: String,
-    select: false // Don't include in queries by default
+    select: false // SHA-256 of the code; see utils/passwordResetService.js
   },
   passwordResetOtpExpiry: {
     type: Date,
@@ -46,12 +78,17 @@ const userSchema = new mongoose.Schema({
   },
   passwordResetToken: {
     type: String,
-    select: false // Don't include in queries by default
+    select: false // SHA-256 of the token
   },
   passwordResetTokenExpiry: {
     type: Date,
     select: false // Don't include in queries by default
   },
+  passwordResetAttempts: {
+    type: Number,
+    default: 0,
+    select: false // Wrong codes/tokens since the last one was issued
+  },
   signupPlatform: {
     type: String,
     enum: ['web', 'mobile', 'webview'],
@@ -132,5 +169,10 @@ userSchema.statics.findByCredentials = async function(email, password) {
 // Add indexes for better query performance
 userSchema.index({ email: 1, isActive: 1 });
 userSchema.index({ lastLogin: -1 });
+// An external identity belongs to one account at most
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 module.exports = mongoose.model('User', userSchema);
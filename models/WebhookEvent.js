@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'] // Provider event id, e.g. PayMongo evt_...
+  },
+  provider: {
+    type: String,
+    default: 'paymongo'
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  livemode: {
+    type: Boolean,
+    default: false
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed, // Raw event body as received
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed', 'ignored'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null // null once processed, ignored or out of retries
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  deliveries: {
+    type: Number,
+    default: 1 // Times PayMongo sent this event
+  },
+  replayedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// TOTP two-factor settings, embedded in User and Cashier
+// Secrets are encrypted by utils/twoFactorService.js and recovery codes are stored as SHA-256 hashes
+const twoFactorSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  enabledAt: {
+    type: Date,
+    default: null
+  },
+  secret: {
+    type: String,
+    select: false
+  },
+  pendingSecret: {
+    type: String,
+    select: false // Set up but not confirmed with a code yet
+  },
+  recoveryCodes: {
+    type: [String],
+    select: false
+  },
+  lastUsedStep: {
+    type: Number,
+    select: false // Last TOTP time step accepted, so a code cannot be replayed
+  }
+}, { _id: false });
+
+module.exports = twoFactorSchema;
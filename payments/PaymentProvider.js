@@ -0,0 +1,131 @@
+/**
+ * Payment provider interface
+ * Every gateway (PayMongo today) extends this class and is registered in payments/index.js.
+ * Amounts going in and out are in PHP, not centavos.
+ *
+ * Normalized shapes:
+ *   checkout: { provider, checkoutId, checkoutUrl, reference, status }
+ *   payment:  { provider, paymentId, status, amount, fee, currency, metadata }
+ *   refund:   { provider, refundId, paymentId, amount, status }
+ *   event:    { id, type, livemode, data }
+ */
+
+function providerError(message, statusCode = 400, code = 'PAYMENT_PROVIDER_ERROR') {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+class PaymentProvider {
+  /**
+   * @param {string} name - Route and Order.paymentProvider value, e.g. 'paymongo'
+   * @param {Object} options
+   * @param {Array<string>} options.methods - Payment method types this provider accepts
+   */
+  constructor(name, { methods = [] } = {}) {
+    this.name = name;
+    this.methods = methods;
+  }
+
+  supportsMethod(type) {
+    return this.methods.includes(type);
+  }
+
+  notImplemented(method) {
+    return providerError(`${this.name} does not support ${method}`, 501, 'NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Create a hosted checkout for an order
+   * @param {Object} order - Order (lean)
+   * @param {Object} [options] - { returnUrl }
+   * @returns {Promise<Object>} - checkout
+   */
+  async createCheckout(order, options) {
+    throw this.notImplemented('createCheckout');
+  }
+
+  /**
+   * Stop a hosted checkout from being paid
+   * @param {string} checkoutId
+   * @returns {Promise<{provider: string, checkoutId: string, paid: boolean}>} - paid is true when it was paid before it could be stopped
+   */
+  async expireCheckout(checkoutId) {
+    throw this.notImplemented('expireCheckout');
+  }
+
+  /**
+   * Capture an authorized payment (e.g. a chargeable e-wallet source)
+   * @param {string} reference - Provider id of the authorization
+   * @param {Object} [options] - { amount }
+   * @returns {Promise<Object>} - payment
+   */
+  async capture(reference, options) {
+    throw this.notImplemented('capture');
+  }
+
+  /**
+   * Refund all or part of a payment
+   * @param {Object} params - { paymentId, amount?, reason?, metadata? }
+   * @returns {Promise<Object>} - refund
+   */
+  async refund(params) {
+    throw this.notImplemented('refund');
+  }
+
+  /**
+   * Look up a payment
+   * @param {string} paymentId
+   * @returns {Promise<Object>} - payment
+   */
+  async getPayment(paymentId) {
+    throw this.notImplemented('getPayment');
+  }
+
+  /**
+   * Check that a webhook request really comes from the provider
+   * @param {Object} req - Express request (req.rawBody holds the unparsed body)
+   * @returns {{valid: boolean, reason: string|null, statusCode?: number}}
+   */
+  verifyWebhook(req) {
+    return { valid: false, reason: `${this.name} webhooks are not supported`, statusCode: 501 };
+  }
+
+  /**
+   * Turn a webhook body into a normalized event
+   * @param {Object} body
+   * @returns {Object} - event
+   */
+  parseEvent(body) {
+    throw this.notImplemented('parseEvent');
+  }
+
+  /**
+   * Whether this provider acts on an event type (others are stored and ignored)
+   * @param {string} type
+   * @returns {boolean}
+   */
+  hasEventHandler(type) {
+    return false;
+  }
+
+  /**
+   * Apply a parsed event to our orders. Throws to have the event retried.
+   * @param {Object} event
+   */
+  async handleEvent(event) {
+    throw this.notImplemented('handleEvent');
+  }
+
+  /**
+   * The provider payment id stored on an order, used for refunds
+   * @param {Object} order
+   * @returns {string|null}
+   */
+  getOrderPaymentId(order) {
+    return order.paymentId || null;
+  }
+}
+
+module.exports = { PaymentProvider, providerError };
@@ -0,0 +1,97 @@
+const { providerError } = require('./PaymentProvider');
+const { PayMongoProvider } = require('./providers/paymongoProvider');
+
+/**
+ * Payment provider registry
+ * - Providers are looked up by name: routes use /api/payments/:provider/..., orders store Order.paymentProvider
+ * - Cash is settled at the counter and has no provider
+ *
+ * To add a gateway: extend PaymentProvider in payments/providers/ and register it below.
+ */
+
+const DEFAULT_PROVIDER = 'paymongo';
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * @param {string} name
+ * @returns {PaymentProvider}
+ */
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw providerError(`Unknown payment provider: ${name}`, 404, 'PROVIDER_NOT_FOUND');
+  }
+  return provider;
+}
+
+function hasProvider(name) {
+  return providers.has(name);
+}
+
+/**
+ * Registered providers and the payment methods each accepts
+ * @returns {Array<{name: string, methods: Array<string>}>}
+ */
+function listProviders() {
+  return Array.from(providers.values()).map(provider => ({ name: provider.name, methods: provider.methods }));
+}
+
+/**
+ * Pick the provider for a new order
+ * @param {string} methodType - paymentMethod.type
+ * @param {string} [requested] - Provider the client asked for
+ * @returns {string|null} - Provider name, null for cash
+ */
+function resolveProvider(methodType, requested) {
+  if (methodType === 'cash') {
+    return null;
+  }
+
+  if (requested) {
+    const provider = getProvider(requested);
+    if (!provider.supportsMethod(methodType)) {
+      throw providerError(`${provider.name} does not accept ${methodType} payments`, 400, 'PAYMENT_METHOD_UNSUPPORTED');
+    }
+    return provider.name;
+  }
+
+  const preferred = providers.get(DEFAULT_PROVIDER);
+  if (preferred?.supportsMethod(methodType)) {
+    return preferred.name;
+  }
+  const fallback = Array.from(providers.values()).find(provider => provider.supportsMethod(methodType));
+  if (!fallback) {
+    throw providerError(`${methodType} payments are not supported yet`, 400, 'PAYMENT_METHOD_UNSUPPORTED');
+  }
+  return fallback.name;
+}
+
+/**
+ * Provider that handles an order's payment
+ * Orders placed before providers existed have no paymentProvider; their online payments went through PayMongo.
+ * @param {Object} order
+ * @returns {PaymentProvider|null} - null for cash orders
+ */
+function getOrderProvider(order) {
+  if (order.paymentProvider) {
+    return getProvider(order.paymentProvider);
+  }
+  const methodType = order.paymentMethod?.type || order.paymentMethod;
+  return methodType === 'cash' ? null : getProvider(DEFAULT_PROVIDER);
+}
+
+registerProvider(new PayMongoProvider());
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  hasProvider,
+  listProviders,
+  resolveProvider,
+  getOrderProvider
+};
@@ -0,0 +1,141 @@
+const paymongoService = require('../../paymongo');
+const { PaymentProvider, providerError } = require('../PaymentProvider');
+const { handlePaymentPaid } = require('../../paymongo/handlers/handlePaymentPaid');
+const { handlePaymentFailed } = require('../../paymongo/handlers/handlePaymentFailed');
+const { handlePaymentRefunded } = require('../../paymongo/handlers/handlePaymentRefunded');
+const { handlePaymentRefundUpdated } = require('../../paymongo/handlers/handlePaymentRefundUpdated');
+const { handleLinkPaymentPaid } = require('../../paymongo/handlers/handleLinkPaymentPaid');
+
+const EVENT_HANDLERS = {
+  'payment.paid': handlePaymentPaid,
+  'payment.failed': handlePaymentFailed,
+  'payment.refunded': handlePaymentRefunded,
+  'payment.refund.updated': handlePaymentRefundUpdated,
+  'link.payment.paid': handleLinkPaymentPaid,
+};
+
+// Payment method types (Profile and POS) PayMongo can take
+const PAYMONGO_METHODS = [
+  'card', 'credit_card', 'debit_card', 'ewallet', 'online',
+  'gcash', 'paymaya', 'grab_pay', 'shopee_pay', 'qrph', 'dob', 'brankas', 'billease'
+];
+
+const toPHP = (centavos) => (centavos || 0) / 100;
+
+function normalizePayment(payment) {
+  const attributes = payment.attributes;
+  return {
+    provider: 'paymongo',
+    paymentId: payment.id,
+    status: attributes.status,
+    amount: toPHP(attributes.amount),
+    fee: toPHP(attributes.fee),
+    currency: attributes.currency,
+    metadata: attributes.metadata || {}
+  };
+}
+
+/**
+ * PayMongo behind the PaymentProvider interface
+ * Checkouts are PayMongo payment links; captures charge a chargeable source.
+ */
+class PayMongoProvider extends PaymentProvider {
+  constructor() {
+    super('paymongo', { methods: PAYMONGO_METHODS });
+  }
+
+  async createCheckout(order) {
+    const link = await paymongoService.createPaymentLink(
+      order.totalAmount,
+      `Payment for Order ${order.id}`,
+      {
+        order_id: order.id,
+        user_id: order.customer?.userid?.toString()
+      }
+    );
+    const attributes = link.data.attributes;
+    return {
+      provider: this.name,
+      checkoutId: link.data.id,
+      checkoutUrl: attributes.checkout_url,
+      reference: attributes.reference_number,
+      status: attributes.status
+    };
+  }
+
+  // Payment links cannot be deleted; archiving them stops further payments
+  async expireCheckout(linkId) {
+    const link = await paymongoService.getPaymentLink(linkId);
+    const attributes = link.data.attributes;
+    if (attributes.status === 'paid') {
+      return { provider: this.name, checkoutId: linkId, paid: true };
+    }
+    if (!attributes.archived) {
+      await paymongoService.archivePaymentLink(linkId);
+    }
+    return { provider: this.name, checkoutId: linkId, paid: false };
+  }
+
+  async capture(sourceId, { amount } = {}) {
+    const payment = await paymongoService.createPaymentFromSource(sourceId, amount);
+    return normalizePayment(payment.data);
+  }
+
+  async refund({ paymentId, amount, reason = 'requested_by_customer', metadata }) {
+    const refund = await paymongoService.refundPayment(paymentId, amount, reason, metadata);
+    const attributes = refund.data.attributes;
+    return {
+      provider: this.name,
+      refundId: refund.data.id,
+      paymentId: attributes.payment_id,
+      amount: toPHP(attributes.amount),
+      status: attributes.status,
+      reason: attributes.reason
+    };
+  }
+
+  async getPayment(paymentId) {
+    const payment = await paymongoService.getPayment(paymentId);
+    return normalizePayment(payment.data);
+  }
+
+  verifyWebhook(req) {
+    if (!paymongoService.isWebhookVerificationRequired()) {
+      console.warn('⚠️  Webhook signature verification disabled (PAYMONGO_WEBHOOK_VERIFY=false)');
+      return { valid: true, reason: null };
+    }
+    return paymongoService.verifyWebhookSignature(req.rawBody, req.headers['paymongo-signature']);
+  }
+
+  parseEvent(body) {
+    const id = body?.data?.id;
+    const attributes = body?.data?.attributes;
+    if (!id || !attributes?.type) {
+      throw providerError('Webhook event is missing its id or type', 400, 'INVALID_EVENT');
+    }
+    return {
+      id,
+      type: attributes.type,
+      livemode: !!attributes.livemode,
+      data: attributes.data
+    };
+  }
+
+  hasEventHandler(type) {
+    return !!EVENT_HANDLERS[type];
+  }
+
+  async handleEvent(event) {
+    await EVENT_HANDLERS[event.type](event.data);
+  }
+
+  // Link payments store the link id in paymentId; the pay_ id is kept on the transaction
+  getOrderPaymentId(order) {
+    if (order.paymentId && order.paymentId.startsWith('pay_')) {
+      return order.paymentId;
+    }
+    return order.paymentMethod?.transaction?.paymentId || null;
+  }
+}
+
+module.exports = { PayMongoProvider, EVENT_HANDLERS };
@@ -0,0 +1,77 @@
+const { getProvider } = require('./index');
+const { recordEvent, processEvent } = require('./webhookLedger');
+const { recordAudit } = require('../utils/auditLog');
+const { formatDate, logError } = require('../utils/logging');
+
+/**
+ * Webhook endpoint for a payment provider
+ * Verifies the signature, stores the event in the ledger, runs its handler and answers 200.
+ * A non-2xx is only returned when the event could not be stored, so the provider delivers it again.
+ * @param {string} [providerName] - Fixed provider; defaults to req.params.provider
+ * @returns {Function} - Express handler
+ */
+const handleWebhook = (providerName) => async (req, res) => {
+  const startTime = new Date();
+  const name = providerName || req.params.provider;
+  console.log(`\n[${formatDate(startTime)}] - 🔔 ${name.toUpperCase()} WEBHOOK REQUEST RECEIVED | Endpoint: ${req.method} ${req.originalUrl} | Payload Size: ${req.rawBody ? req.rawBody.length : 0} bytes`);
+
+  try {
+    const provider = getProvider(name);
+
+    const verification = provider.verifyWebhook(req);
+    if (!verification.valid) {
+      logError(`❌ WEBHOOK REJECTED: ${verification.reason}`);
+      await recordAudit({
+        action: 'webhook.signature_rejected',
+        outcome: 'denied',
+        actor: { type: 'webhook', id: null },
+        resource: { type: 'webhook_event', id: req.body?.data?.id || null },
+        reason: verification.reason,
+        req,
+        metadata: {
+          provider: provider.name,
+          eventType: req.body?.data?.attributes?.type || null
+        }
+      });
+      return res.status(verification.statusCode || 401).json({ error: 'Invalid signature' });
+    }
+
+    // Store the event before running anything, so failures can be retried and repeats skipped
+    const { record, duplicate } = await recordEvent(provider.name, req.body);
+    console.log(`[${formatDate()}] - 🎯 EVENT DETAILS | Provider: ${provider.name} | Type: ${record.type} | ID: ${record.eventId} | Livemode: ${record.livemode ? 'YES' : 'NO'}`);
+
+    if (duplicate && !['received', 'failed'].includes(record.status)) {
+      console.log(`[${formatDate()}] - ⏭️  Skipping duplicate event ${record.eventId} | Status: ${record.status}`);
+    } else if (record.status === 'ignored') {
+      console.log(`[${formatDate()}] - ⚠️  No handler for event type: ${record.type}`);
+    } else {
+      console.log(`[${formatDate()}] - 🔄 Processing ${provider.name} webhook event: ${record.type}`);
+      const processed = await processEvent(record._id);
+      if (processed?.status === 'failed') {
+        console.log(`[${formatDate()}] - ⏳ Event ${record.eventId} failed and is queued for retry`);
+      }
+    }
+
+    console.log(`[${formatDate()}] - 📤 SENDING WEBHOOK RESPONSE | Status: 200 OK | Processing Time: ${Date.now() - startTime.getTime()}ms`);
+
+    // Respond with 200 once the event is stored; failed handlers are retried from the ledger
+    res.status(200).json({
+      statusCode: 200,
+      body: { message: 'SUCCESS' }
+    });
+  } catch (error) {
+    logError(`❌ WEBHOOK PROCESSING ERROR: ${error.message}`);
+    logError(`📍 Stack Trace: ${error.stack}`);
+    logError(`📦 Request Body: ${JSON.stringify(req.body)}`);
+
+    // The event could not be stored; a non-2xx makes the provider deliver it again
+    const statusCode = error.statusCode || 500;
+    console.log(`[${formatDate()}] - 📤 SENDING ERROR RESPONSE (${statusCode}) | Processing Time: ${Date.now() - startTime.getTime()}ms`);
+    res.status(statusCode).json({
+      statusCode,
+      body: { message: error.statusCode ? error.message : 'Failed to record event' }
+    });
+  }
+};
+
+module.exports = { handleWebhook };
@@ -0,0 +1,178 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const { getProvider } = require('./index');
+const { formatDate, logError } = require('../utils/logging');
+
+/**
+ * Webhook event ledger
+ * - Every provider event is stored once by (provider, event id) before any handler runs
+ * - Duplicate deliveries of a processed event are skipped
+ * - A handler that throws leaves the event `failed`; it is retried with exponential backoff
+ *
+ * WEBHOOK_MAX_ATTEMPTS:           attempts before an event is left for manual replay (default 8)
+ * WEBHOOK_RETRY_BASE_SECONDS:     delay before the first retry, doubled each attempt (default 60)
+ */
+
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000; // 6 hours
+const PROCESSING_TIMEOUT = 5 * 60 * 1000; // A `processing` event older than this is treated as crashed
+
+function getMaxAttempts() {
+  const attempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10);
+  return Number.isNaN(attempts) ? 8 : attempts;
+}
+
+function getRetryDelay(attempts) {
+  const base = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10);
+  const baseMs = (Number.isNaN(base) ? 60 : base) * 1000;
+  return Math.min(baseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Store an incoming event, or note a repeat delivery
+ * @param {string} providerName - e.g. 'paymongo'
+ * @param {Object} body - Raw webhook body
+ * @returns {Promise<{record: Object, duplicate: boolean}>}
+ */
+async function recordEvent(providerName, body) {
+  const provider = getProvider(providerName);
+  const event = provider.parseEvent(body);
+
+  try {
+    const record = await WebhookEvent.create({
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      livemode: event.livemode,
+      payload: body,
+      status: provider.hasEventHandler(event.type) ? 'received' : 'ignored'
+    });
+    return { record: record.toObject(), duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const record = await WebhookEvent.findOneAndUpdate(
+      { provider: provider.name, eventId: event.id },
+      { $inc: { deliveries: 1 } },
+      { new: true }
+    ).lean();
+    console.log(`[${formatDate()}] - 🔁 Duplicate webhook ${event.id} (${event.type}) | Status: ${record.status} | Deliveries: ${record.deliveries}`);
+    return { record, duplicate: true };
+  }
+}
+
+/**
+ * Run the handler for a stored event
+ * The event is claimed atomically, so a retry job and a PayMongo redelivery never run it twice.
+ * @param {string} id - WebhookEvent _id
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Also run processed/ignored events (admin replay)
+ * @returns {Promise<Object|null>} - Updated event, or null if someone else holds it
+ */
+async function processEvent(id, { force = false } = {}) {
+  const now = new Date();
+  const claimable = [
+    { status: { $in: force ? ['received', 'failed', 'processed', 'ignored'] : ['received', 'failed'] } },
+    { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT) } }
+  ];
+
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: id, $or: claimable },
+    { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  ).lean();
+
+  if (!event) {
+    return null;
+  }
+
+  const provider = getProvider(event.provider);
+  if (!provider.hasEventHandler(event.type)) {
+    return WebhookEvent.findByIdAndUpdate(
+      id,
+      { $set: { status: 'ignored', lockedAt: null, nextAttemptAt: null } },
+      { new: true }
+    ).lean();
+  }
+
+  try {
+    await provider.handleEvent(provider.parseEvent(event.payload));
+    console.log(`[${formatDate()}] - ✅ Webhook ${event.eventId} (${event.type}) processed | Attempt: ${event.attempts}`);
+    return WebhookEvent.findByIdAndUpdate(
+      id,
+      { $set: { status: 'processed', processedAt: new Date(), lastError: null, lockedAt: null, nextAttemptAt: null } },
+      { new: true }
+    ).lean();
+  } catch (error) {
+    const retriesLeft = event.attempts < getMaxAttempts();
+    const nextAttemptAt = retriesLeft ? new Date(Date.now() + getRetryDelay(event.attempts)) : null;
+    logError(`❌ Webhook ${event.eventId} (${event.type}) failed on attempt ${event.attempts}: ${error.message}${retriesLeft ? ` | Retry at ${nextAttemptAt.toISOString()}` : ' | No retries left'}`);
+    return WebhookEvent.findByIdAndUpdate(
+      id,
+      { $set: { status: 'failed', lastError: error.message, lockedAt: null, nextAttemptAt } },
+      { new: true }
+    ).lean();
+  }
+}
+
+/**
+ * Retry failed events whose backoff has elapsed
+ * @param {number} [limit=20] - Events per run
+ * @returns {Promise<{retried: number, processed: number}>}
+ */
+async function retryDueEvents(limit = 20) {
+  const due = await WebhookEvent.find({
+    $or: [
+      { status: 'failed', nextAttemptAt: { $ne: null, $lte: new Date() } },
+      { status: 'received', createdAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT) } },
+      { status: 'processing', lockedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT) } }
+    ]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+
+  let processed = 0;
+  for (const { _id } of due) {
+    const result = await processEvent(_id);
+    if (result?.status === 'processed') {
+      processed += 1;
+    }
+  }
+
+  if (due.length > 0) {
+    console.log(`[${formatDate()}] - 🔁 Webhook retry run | Retried: ${due.length} | Processed: ${processed}`);
+  }
+  return { retried: due.length, processed };
+}
+
+/**
+ * Run an event again on an admin's request, whatever its status
+ * @param {string} id - WebhookEvent _id
+ * @param {string} adminId
+ * @returns {Promise<Object|null>} - Updated event, or null if not found or currently processing
+ */
+async function replayEvent(id, adminId) {
+  const exists = await WebhookEvent.exists({ _id: id });
+  if (!exists) {
+    const error = new Error('Webhook event not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await WebhookEvent.updateOne({ _id: id }, { $set: { replayedBy: String(adminId) } });
+  const event = await processEvent(id, { force: true });
+  if (!event) {
+    const error = new Error('Webhook event is being processed');
+    error.statusCode = 409;
+    throw error;
+  }
+  return event;
+}
+
+module.exports = {
+  recordEvent,
+  processEvent,
+  retryDueEvents,
+  replayEvent
+};
@@ -4,7 +4,7 @@ const paymongoService = require('./index');
 /**
  * @desc    Create Payment Source (for GCash/Maya)
  * @route   POST /api/payments/source
- * @access  Private
+ * @access  Private (payments:pay)
  */
 exports.createSource = async (req, res) => {
   try {
@@ -18,15 +18,6 @@ exports.createSource = async (req, res) => {
       });
     }
 
-    // Verify user role (only users can create payment sources)
-    if (req.user.role === process.env.ADMIN_KEY || req.user.role === process.env.CASHIER_KEY) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-        statusCode: 403
-      });
-    }
-
     // Find order
     const order = await Order.findOne({ id: orderId });
     if (!order) {
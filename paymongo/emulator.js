@@ -0,0 +1,109 @@
+const paymongoService = require('./index');
+const { formatDate } = require('../utils/logging');
+
+/**
+ * Emulator-only endpoints, mounted at /api/payments/emulator when PAYMONGO_GATEWAY=emulator.
+ * They stand in for PayMongo's hosted checkout pages, so they take no API auth.
+ */
+
+function sendEmulatorError(res, error) {
+  const statusCode = error.response?.status || 500;
+  res.status(statusCode).json({
+    success: false,
+    message: error.response?.data?.errors?.[0]?.detail || error.message,
+    statusCode
+  });
+}
+
+/**
+ * @desc    Emulator state: resource counts and recent webhook deliveries
+ * @route   GET /api/payments/emulator
+ * @access  Public (emulator only)
+ */
+exports.getEmulatorState = async (req, res) => {
+  const { store, events } = paymongoService.gateway;
+  const counts = Object.fromEntries(Object.entries(store).map(([name, resources]) => [name, resources.size]));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      counts,
+      events: events.slice(-50).reverse()
+    },
+    statusCode: 200
+  });
+};
+
+/**
+ * @desc    Get an emulated resource (checkout and redirect URLs point here)
+ * @route   GET /api/payments/emulator/:collection/:id
+ * @access  Public (emulator only)
+ */
+exports.getEmulatorResource = async (req, res) => {
+  try {
+    const resource = paymongoService.gateway.find(req.params.collection, req.params.id);
+    res.status(200).json({ success: true, data: resource, statusCode: 200 });
+  } catch (error) {
+    sendEmulatorError(res, error);
+  }
+};
+
+/**
+ * @desc    Pay or fail a payment link as the customer
+ * @route   POST /api/payments/emulator/links/:linkId/pay
+ * @access  Public (emulator only)
+ */
+exports.simulateLinkPayment = async (req, res) => {
+  try {
+    const { outcome = 'paid', sourceType = 'gcash', billing } = req.body;
+    const result = await paymongoService.gateway.simulateLinkPayment(req.params.linkId, { outcome, sourceType, billing });
+    console.log(`[${formatDate()}] - 🧪 Emulator link ${req.params.linkId} ${outcome} | Webhook: ${result.webhook?.status || result.webhook?.error}`);
+
+    res.status(200).json({ success: true, data: result, statusCode: 200 });
+  } catch (error) {
+    sendEmulatorError(res, error);
+  }
+};
+
+/**
+ * @desc    Finish 3DS / e-wallet authorization for a payment intent
+ * @route   POST /api/payments/emulator/payment_intents/:intentId/complete
+ * @access  Public (emulator only)
+ */
+exports.simulateIntentPayment = async (req, res) => {
+  try {
+    const { outcome = 'paid' } = req.body;
+    const result = await paymongoService.gateway.simulateIntentPayment(req.params.intentId, outcome);
+    console.log(`[${formatDate()}] - 🧪 Emulator intent ${req.params.intentId} ${outcome} | Webhook: ${result.webhook?.status || result.webhook?.error}`);
+
+    res.status(200).json({ success: true, data: result, statusCode: 200 });
+  } catch (error) {
+    sendEmulatorError(res, error);
+  }
+};
+
+/**
+ * @desc    Authorize or fail an e-wallet source
+ * @route   POST /api/payments/emulator/sources/:sourceId/authorize
+ * @access  Public (emulator only)
+ */
+exports.simulateSourceAuthorization = async (req, res) => {
+  try {
+    const { outcome = 'chargeable' } = req.body;
+    const result = await paymongoService.gateway.simulateSourceAuthorization(req.params.sourceId, outcome);
+
+    res.status(200).json({ success: true, data: result, statusCode: 200 });
+  } catch (error) {
+    sendEmulatorError(res, error);
+  }
+};
+
+/**
+ * @desc    Clear all emulated resources and events
+ * @route   POST /api/payments/emulator/reset
+ * @access  Public (emulator only)
+ */
+exports.resetEmulator = async (req, res) => {
+  paymongoService.gateway.reset();
+  res.status(200).json({ success: true, message: 'Emulator reset', statusCode: 200 });
+};
@@ -0,0 +1,556 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { formatDate, logError } = require('../../utils/logging');
+
+/**
+ * In-process PayMongo emulator
+ * - Answers the same paths as the REST API with PayMongo-shaped resources, kept in memory
+ * - Fires signed webhook events at our own webhook endpoint, so paid / failed / refunded
+ *   flows run end to end without network access or real keys
+ *
+ * PAYMONGO_EMULATOR_WEBHOOK_URL:  where events are posted (default http://127.0.0.1:<PORT>/api/payments/webhook)
+ * PAYMONGO_EMULATOR_FEE_PERCENT:  fee charged on each payment (default 2.5)
+ *
+ * Test cards (any expiry and CVC):
+ *   4343434343434345  succeeds immediately
+ *   4000000000000002  is declined
+ *   anything else     requires 3DS; finish it with simulateIntentPayment()
+ *
+ * E-wallet sources stay `pending` until simulateSourceAuthorization(); links until simulateLinkPayment().
+ */
+
+const TEST_CARDS = {
+  '4343434343434345': 'succeeded',
+  '4000000000000002': 'declined'
+};
+
+const EVENT_HISTORY_LIMIT = 200;
+
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Same shape as an axios error from the real API, so PayMongoService error handling is unchanged
+function apiError(status, detail, code = 'parameter_invalid') {
+  const error = new Error(detail);
+  error.response = { status, data: { errors: [{ code, detail }] } };
+  return error;
+}
+
+function requireAmount(amount) {
+  if (!Number.isInteger(amount) || amount < 100) {
+    throw apiError(400, 'amount must be an integer of at least 100 (centavos)');
+  }
+}
+
+class EmulatorGateway {
+  constructor({ webhookSecret, webhookUrl, feePercent } = {}) {
+    this.name = 'emulator';
+    this.webhookSecret = webhookSecret;
+    this.webhookUrl = webhookUrl;
+    this.feePercent = feePercent;
+    this.reset();
+  }
+
+  // Drop all emulated resources and events
+  reset() {
+    this.store = {
+      payment_intents: new Map(),
+      payment_methods: new Map(),
+      sources: new Map(),
+      links: new Map(),
+      payments: new Map(),
+      refunds: new Map()
+    };
+    this.cardNumbers = new Map(); // payment method id -> card number, never returned in resources
+    this.events = [];
+  }
+
+  /**
+   * Handle an API call the way PayMongo would
+   * @param {string} method - 'get' | 'post'
+   * @param {string} path - e.g. '/payment_intents/pi_123/attach'
+   * @param {Object} [body]
+   * @returns {Promise<Object>} - Response body ({ data: ... })
+   */
+  async request(method, path, body = {}) {
+    const attributes = body?.data?.attributes || {};
+    const [pathname, queryString] = path.split('?');
+    const [, collection, id, action] = pathname.split('/');
+    const verb = method.toLowerCase();
+
+    if (verb === 'get' && id && !action) {
+      return { data: this.find(collection, id) };
+    }
+    if (verb === 'get' && collection === 'payments' && !id) {
+      return this.list(collection, new URLSearchParams(queryString));
+    }
+    if (verb === 'post' && !id) {
+      switch (collection) {
+        case 'payment_intents': return { data: this.createPaymentIntent(attributes) };
+        case 'payment_methods': return { data: this.createPaymentMethod(attributes) };
+        case 'sources': return { data: this.createSource(attributes) };
+        case 'links': return { data: this.createLink(attributes) };
+        case 'payments': return { data: await this.createPaymentFromSource(attributes) };
+        case 'refunds': return { data: await this.createRefund(attributes) };
+        default: break;
+      }
+    }
+    if (verb === 'post' && collection === 'payment_intents' && action === 'attach') {
+      return { data: await this.attachPaymentMethod(id, attributes) };
+    }
+    if (verb === 'post' && collection === 'links' && action === 'archive') {
+      return { data: this.archiveLink(id) };
+    }
+
+    throw apiError(404, `Emulator does not support ${method.toUpperCase()} ${path}`, 'resource_not_found');
+  }
+
+  // Cursor pagination like the PayMongo list endpoints: newest first, `before` / `after` take a resource id
+  list(collection, query) {
+    const limit = Math.min(parseInt(query.get('limit'), 10) || 10, 100);
+    let resources = Array.from(this.store[collection].values()).reverse();
+
+    if (query.get('before')) {
+      const index = resources.findIndex(resource => resource.id === query.get('before'));
+      resources = index === -1 ? [] : resources.slice(index + 1);
+    } else if (query.get('after')) {
+      const index = resources.findIndex(resource => resource.id === query.get('after'));
+      resources = index === -1 ? [] : resources.slice(0, index).slice(-limit);
+    }
+
+    return {
+      data: resources.slice(0, limit),
+      has_more: resources.length > limit
+    };
+  }
+
+  find(collection, id) {
+    const resource = this.store[collection]?.get(id);
+    if (!resource) {
+      throw apiError(404, `No such resource: ${id}`, 'resource_not_found');
+    }
+    return resource;
+  }
+
+  createPaymentIntent(attributes) {
+    requireAmount(attributes.amount);
+    const id = generateId('pi');
+    const intent = {
+      id,
+      type: 'payment_intent',
+      attributes: {
+        amount: attributes.amount,
+        currency: attributes.currency || 'PHP',
+        description: attributes.description || null,
+        statement_descriptor: attributes.statement_descriptor || null,
+        status: 'awaiting_payment_method',
+        livemode: false,
+        client_key: `${id}_client_${crypto.randomBytes(12).toString('hex')}`,
+        payment_method_allowed: attributes.payment_method_allowed || ['card'],
+        payments: [],
+        next_action: null,
+        last_payment_error: null,
+        metadata: attributes.metadata || {},
+        created_at: nowSeconds(),
+        updated_at: nowSeconds()
+      }
+    };
+    this.store.payment_intents.set(id, intent);
+    return intent;
+  }
+
+  createPaymentMethod(attributes) {
+    if (!attributes.type) {
+      throw apiError(400, 'type is required');
+    }
+    const id = generateId('pm');
+    const details = attributes.details || {};
+    const cardNumber = String(details.card_number || '').replace(/\s/g, '');
+    if (attributes.type === 'card' && cardNumber.length < 12) {
+      throw apiError(400, 'details.card_number is invalid');
+    }
+    const paymentMethod = {
+      id,
+      type: 'payment_method',
+      attributes: {
+        type: attributes.type,
+        billing: attributes.billing || null,
+        details: attributes.type === 'card'
+          ? { last4: cardNumber.slice(-4), exp_month: details.exp_month, exp_year: details.exp_year }
+          : {},
+        livemode: false,
+        metadata: attributes.metadata || {},
+        created_at: nowSeconds(),
+        updated_at: nowSeconds()
+      }
+    };
+    this.store.payment_methods.set(id, paymentMethod);
+    this.cardNumbers.set(id, cardNumber);
+    return paymentMethod;
+  }
+
+  async attachPaymentMethod(intentId, attributes) {
+    const intent = this.find('payment_intents', intentId);
+    const paymentMethod = this.find('payment_methods', attributes.payment_method);
+    if (!['awaiting_payment_method', 'awaiting_next_action'].includes(intent.attributes.status)) {
+      throw apiError(400, `Payment intent is ${intent.attributes.status}`);
+    }
+
+    intent.attributes.payment_method = paymentMethod.id;
+    intent.attributes.updated_at = nowSeconds();
+    const outcome = paymentMethod.attributes.type === 'card'
+      ? TEST_CARDS[this.cardNumbers.get(paymentMethod.id)]
+      : undefined;
+
+    if (outcome === 'succeeded' || outcome === 'declined') {
+      await this.settleIntent(intent, outcome === 'succeeded' ? 'paid' : 'failed', { deferWebhook: true });
+    } else {
+      // 3DS or an e-wallet: the customer has to finish on a redirect page
+      intent.attributes.status = 'awaiting_next_action';
+      intent.attributes.next_action = {
+        type: 'redirect',
+        redirect: {
+          url: `${this.getBaseUrl()}/api/payments/emulator/payment_intents/${intent.id}`,
+          return_url: attributes.return_url || null
+        }
+      };
+    }
+    return intent;
+  }
+
+  createSource(attributes) {
+    requireAmount(attributes.amount);
+    const id = generateId('src');
+    const source = {
+      id,
+      type: 'source',
+      attributes: {
+        type: attributes.type,
+        amount: attributes.amount,
+        currency: attributes.currency || 'PHP',
+        status: 'pending',
+        livemode: false,
+        redirect: {
+          checkout_url: `${this.getBaseUrl()}/api/payments/emulator/sources/${id}`,
+          success: attributes.redirect?.success || null,
+          failed: attributes.redirect?.failed || null
+        },
+        billing: attributes.billing || null,
+        metadata: attributes.metadata || {},
+        created_at: nowSeconds(),
+        updated_at: nowSeconds()
+      }
+    };
+    this.store.sources.set(id, source);
+    return source;
+  }
+
+  async createPaymentFromSource(attributes) {
+    const source = this.find('sources', attributes.source?.id);
+    if (source.attributes.status !== 'chargeable') {
+      throw apiError(400, `Source is ${source.attributes.status}, not chargeable`);
+    }
+    source.attributes.status = 'consumed';
+    source.attributes.updated_at = nowSeconds();
+
+    const payment = this.createPayment({
+      amount: attributes.amount || source.attributes.amount,
+      currency: source.attributes.currency,
+      source: { id: source.id, type: source.attributes.type },
+      billing: source.attributes.billing,
+      metadata: source.attributes.metadata,
+      status: 'paid'
+    });
+    this.queueWebhook('payment.paid', payment);
+    return payment;
+  }
+
+  createLink(attributes) {
+    requireAmount(attributes.amount);
+    const id = generateId('link');
+    const link = {
+      id,
+      type: 'link',
+      attributes: {
+        amount: attributes.amount,
+        currency: attributes.currency || 'PHP',
+        description: attributes.description || null,
+        remarks: attributes.remarks || null,
+        status: 'unpaid',
+        livemode: false,
+        archived: false,
+        fee: 0,
+        reference_number: crypto.randomBytes(4).toString('hex').toUpperCase(),
+        checkout_url: `${this.getBaseUrl()}/api/payments/emulator/links/${id}`,
+        payment_method_allowed: attributes.payment_method_allowed || [],
+        payments: [],
+        metadata: attributes.metadata || {},
+        created_at: nowSeconds(),
+        updated_at: nowSeconds()
+      }
+    };
+    this.store.links.set(id, link);
+    return link;
+  }
+
+  archiveLink(linkId) {
+    const link = this.find('links', linkId);
+    if (link.attributes.status === 'paid') {
+      throw apiError(400, 'A paid link cannot be archived');
+    }
+    link.attributes.archived = true;
+    link.attributes.updated_at = nowSeconds();
+    return link;
+  }
+
+  async createRefund(attributes) {
+    const payment = this.find('payments', attributes.payment_id);
+    if (payment.attributes.status !== 'paid') {
+      throw apiError(400, `Payment ${payment.id} is ${payment.attributes.status} and cannot be refunded`);
+    }
+
+    const refunded = payment.attributes.refunds.reduce((sum, refund) => sum + refund.attributes.amount, 0);
+    const remaining = payment.attributes.amount - refunded;
+    const amount = attributes.amount === undefined ? remaining : attributes.amount;
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw apiError(400, 'amount must be a positive integer (centavos)');
+    }
+    if (amount > remaining) {
+      throw apiError(400, `Refund amount exceeds the refundable balance of ${remaining}`);
+    }
+
+    const refund = {
+      id: generateId('ref'),
+      type: 'refund',
+      attributes: {
+        amount,
+        currency: payment.attributes.currency,
+        payment_id: payment.id,
+        reason: attributes.reason || 'requested_by_customer',
+        notes: attributes.notes || null,
+        status: 'succeeded',
+        livemode: false,
+        metadata: { ...payment.attributes.metadata, ...(attributes.metadata || {}) },
+        created_at: nowSeconds(),
+        updated_at: nowSeconds()
+      }
+    };
+    this.store.refunds.set(refund.id, refund);
+
+    payment.attributes.refunds.push(refund);
+    // PayMongo keeps a partially refunded payment `paid`
+    payment.attributes.status = amount === remaining ? 'refunded' : 'paid';
+    payment.attributes.updated_at = nowSeconds();
+
+    this.queueWebhook('payment.refunded', payment);
+    return refund;
+  }
+
+  // Create a payment record (status 'paid' or 'failed')
+  createPayment({ amount, currency, source, billing, metadata, status, paymentIntentId = null, description = null }) {
+    const fee = status === 'paid' ? Math.round(amount * this.feePercent / 100) : 0;
+    const payment = {
+      id: generateId('pay'),
+      type: 'payment',
+      attributes: {
+        amount,
+        currency: currency || 'PHP',
+        description,
+        status,
+        fee,
+        net_amount: amount - fee,
+        livemode: false,
+        billing: billing || null,
+        source: source || null,
+        external_reference_number: crypto.randomBytes(4).toString('hex').toUpperCase(),
+        payment_intent_id: paymentIntentId,
+        statement_descriptor: 'PAYMONGO',
+        refunds: [],
+        metadata: metadata || {},
+        paid_at: status === 'paid' ? nowSeconds() : null,
+        available_at: nowSeconds() + 2 * 24 * 60 * 60,
+        created_at: nowSeconds(),
+        updated_at: nowSeconds()
+      }
+    };
+    this.store.payments.set(payment.id, payment);
+    return payment;
+  }
+
+  async settleIntent(intent, outcome, { deferWebhook = false } = {}) {
+    const paymentMethod = this.store.payment_methods.get(intent.attributes.payment_method);
+    const payment = this.createPayment({
+      amount: intent.attributes.amount,
+      currency: intent.attributes.currency,
+      source: paymentMethod ? { id: paymentMethod.id, type: paymentMethod.attributes.type } : null,
+      billing: paymentMethod?.attributes.billing,
+      metadata: intent.attributes.metadata,
+      status: outcome,
+      paymentIntentId: intent.id,
+      description: intent.attributes.description
+    });
+
+    intent.attributes.payments.push(payment);
+    intent.attributes.next_action = null;
+    intent.attributes.updated_at = nowSeconds();
+    if (outcome === 'paid') {
+      intent.attributes.status = 'succeeded';
+      intent.attributes.last_payment_error = null;
+    } else {
+      intent.attributes.status = 'awaiting_payment_method';
+      intent.attributes.last_payment_error = { failed_code: 'card_declined', failed_message: 'The card was declined.' };
+    }
+
+    const eventType = outcome === 'paid' ? 'payment.paid' : 'payment.failed';
+    if (deferWebhook) {
+      this.queueWebhook(eventType, payment);
+    } else {
+      await this.deliverWebhook(eventType, payment);
+    }
+    return payment;
+  }
+
+  /**
+   * Finish a payment intent that is waiting on 3DS or an e-wallet redirect
+   * @param {string} intentId
+   * @param {'paid'|'failed'} [outcome='paid']
+   * @returns {Promise<Object>} - { intent, payment, webhook }
+   */
+  async simulateIntentPayment(intentId, outcome = 'paid') {
+    const intent = this.find('payment_intents', intentId);
+    if (intent.attributes.status !== 'awaiting_next_action') {
+      throw apiError(400, `Payment intent is ${intent.attributes.status}`);
+    }
+    const payment = await this.settleIntent(intent, outcome);
+    return { intent, payment, webhook: this.events[this.events.length - 1] };
+  }
+
+  /**
+   * Authorize (or fail) an e-wallet source as the customer would on the redirect page
+   * @param {string} sourceId
+   * @param {'chargeable'|'failed'} [outcome='chargeable']
+   * @returns {Promise<Object>} - { source, webhook }
+   */
+  async simulateSourceAuthorization(sourceId, outcome = 'chargeable') {
+    const source = this.find('sources', sourceId);
+    if (source.attributes.status !== 'pending') {
+      throw apiError(400, `Source is ${source.attributes.status}`);
+    }
+    source.attributes.status = outcome === 'chargeable' ? 'chargeable' : 'failed';
+    source.attributes.updated_at = nowSeconds();
+    const webhook = await this.deliverWebhook(outcome === 'chargeable' ? 'source.chargeable' : 'source.failed', source);
+    return { source, webhook };
+  }
+
+  /**
+   * Pay (or fail to pay) a payment link as the customer would on the checkout page
+   * @param {string} linkId
+   * @param {Object} [options]
+   * @param {'paid'|'failed'} [options.outcome='paid']
+   * @param {string} [options.sourceType='gcash']
+   * @param {Object} [options.billing]
+   * @returns {Promise<Object>} - { link, payment, webhook }
+   */
+  async simulateLinkPayment(linkId, { outcome = 'paid', sourceType = 'gcash', billing } = {}) {
+    const link = this.find('links', linkId);
+    if (link.attributes.status === 'paid') {
+      throw apiError(400, 'Link has already been paid');
+    }
+    if (link.attributes.archived) {
+      throw apiError(400, 'Link has been archived');
+    }
+
+    const payment = this.createPayment({
+      amount: link.attributes.amount,
+      currency: link.attributes.currency,
+      source: { id: generateId('src'), type: sourceType },
+      billing: billing || { name: 'Emulator Customer', email: 'customer@example.com', phone: null },
+      metadata: link.attributes.metadata,
+      status: outcome,
+      description: link.attributes.description
+    });
+
+    if (outcome === 'paid') {
+      link.attributes.status = 'paid';
+      link.attributes.payments.push({ data: payment });
+      link.attributes.updated_at = nowSeconds();
+      await this.deliverWebhook('link.payment.paid', link);
+    } else {
+      await this.deliverWebhook('payment.failed', payment);
+    }
+    return { link, payment, webhook: this.events[this.events.length - 1] };
+  }
+
+  // Base URL of this API, used for emulated checkout and redirect pages
+  getBaseUrl() {
+    return `http://127.0.0.1:${process.env.PORT || 5000}`;
+  }
+
+  // Deliver a webhook after the current API call has returned, as PayMongo does
+  queueWebhook(type, resource) {
+    setImmediate(() => {
+      this.deliverWebhook(type, resource);
+    });
+  }
+
+  /**
+   * Sign and post a webhook event to our webhook endpoint
+   * Delivery failures are recorded on the event rather than thrown.
+   * @param {string} type - e.g. 'payment.paid'
+   * @param {Object} resource - Resource carried in data.attributes.data
+   * @returns {Promise<Object>} - { id, type, status, error }
+   */
+  async deliverWebhook(type, resource) {
+    const event = {
+      data: {
+        id: generateId('evt'),
+        type: 'event',
+        attributes: {
+          type,
+          livemode: false,
+          data: resource,
+          previous_data: {},
+          created_at: nowSeconds(),
+          updated_at: nowSeconds()
+        }
+      }
+    };
+
+    const rawBody = JSON.stringify(event);
+    const timestamp = nowSeconds();
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret || '')
+      .update(`${timestamp}.${rawBody}`, 'utf8')
+      .digest('hex');
+
+    const delivery = { id: event.data.id, type, resourceId: resource.id, status: null, error: null, sentAt: new Date() };
+    this.events.push(delivery);
+    if (this.events.length > EVENT_HISTORY_LIMIT) {
+      this.events.shift();
+    }
+
+    try {
+      const response = await axios.post(this.webhookUrl || `${this.getBaseUrl()}/api/payments/webhook`, rawBody, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Paymongo-Signature': `t=${timestamp},te=${signature},li=`
+        },
+        timeout: 10000,
+        validateStatus: () => true
+      });
+      delivery.status = response.status;
+      console.log(`[${formatDate()}] - 🧪 Emulator webhook ${type} ${event.data.id} delivered | Status: ${response.status}`);
+    } catch (error) {
+      delivery.error = error.message;
+      logError(`❌ Emulator webhook ${type} ${event.data.id} not delivered: ${error.message}`);
+    }
+    return delivery;
+  }
+}
+
+module.exports = { EmulatorGateway, TEST_CARDS };
@@ -0,0 +1,40 @@
+const axios = require('axios');
+
+/**
+ * PayMongo REST API gateway
+ * Sends requests to https://api.paymongo.com/v1 with the secret key.
+ */
+class HttpGateway {
+  constructor({ baseURL, secretKey }) {
+    this.name = 'http';
+    this.baseURL = baseURL;
+    this.secretKey = secretKey;
+  }
+
+  // Get authorization headers
+  getAuthHeaders() {
+    return {
+      'Authorization': `Basic ${Buffer.from(this.secretKey + ':').toString('base64')}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Call the PayMongo API
+   * @param {string} method - 'get' | 'post'
+   * @param {string} path - e.g. '/payment_intents'
+   * @param {Object} [body]
+   * @returns {Promise<Object>} - Response body ({ data: ... })
+   */
+  async request(method, path, body) {
+    const response = await axios({
+      method,
+      url: `${this.baseURL}${path}`,
+      data: body,
+      headers: this.getAuthHeaders()
+    });
+    return response.data;
+  }
+}
+
+module.exports = { HttpGateway };
@@ -9,7 +9,7 @@ async function handleLinkPaymentPaid(event) {
 
     // Extract order ID from description
     const description = link.attributes.description;
-    const orderIdMatch = description.match(/Order (ORD-\w+-\w+)/);
+    const orderIdMatch = description.match(/Order (ORD-[\w-]+)/);
     const orderId = orderIdMatch ? orderIdMatch[1] : null;
 
     if (orderId) {
@@ -24,6 +24,7 @@ async function handleLinkPaymentPaid(event) {
           billing: payment.data.attributes.billing,
           transaction: {
             id: link.id,
+            paymentId: payment.data.id, // PayMongo payment id, needed for refunds
             externalReference: link.attributes.reference_number,
             description: description,
             statementDescriptor: 'PAYMONGO'
@@ -56,9 +57,11 @@ async function handleLinkPaymentPaid(event) {
       await updateOrderStatus(orderId, 'paid', link.id, paymentDetails);
     } else {
       logError('❌ Could not extract order ID from payment link description');
+      throw new Error(`Could not extract order ID from payment link ${link.id}`);
     }
   } catch (error) {
     logError(`❌ Error handling link payment paid: ${error.message}`);
+    throw error;
   }
 }
 
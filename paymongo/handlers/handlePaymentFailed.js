@@ -4,10 +4,10 @@ const { logError, formatDate } = require('../../utils/logging');
 
 async function handlePaymentFailed(event) {
   try {
-    const payment = event.data;
+    const payment = event; // event is already the payment object
     console.log(`[${formatDate()}] - ❌ PAYMENT FAILED | ID: ${payment.id}`);
 
-    // Update order status
+    // Record the failed attempt; an order with a payable link keeps its stock until the link expires
     if (payment.attributes.metadata?.order_id) {
       await updateOrderStatus(
         payment.attributes.metadata.order_id,
@@ -27,6 +27,7 @@ async function handlePaymentFailed(event) {
     }
   } catch (error) {
     logError(`❌ Error handling payment failed: ${error.message}`);
+    throw error;
   }
 }
 
@@ -27,6 +27,7 @@ async function handlePaymentPaid(event) {
     }
   } catch (error) {
     logError(`❌ Error handling payment paid: ${error.message}`);
+    throw error;
   }
 }
 
@@ -1,13 +1,32 @@
 const { logError, formatDate } = require('../../utils/logging');
 
+/**
+ * Reconcile a PayMongo refund resource with the order it belongs to
+ * @param {Object} refund - PayMongo refund resource
+ */
+async function reconcileRefund(refund) {
+  // Required on use: refundService loads the provider registry, which loads these handlers
+  const { reconcileProviderRefund } = require('../../utils/refundService');
+  const attributes = refund.attributes;
+  return reconcileProviderRefund('paymongo', {
+    refundId: refund.id,
+    paymentId: attributes.payment_id,
+    amount: attributes.amount / 100,
+    status: attributes.status,
+    reason: attributes.reason,
+    metadata: attributes.metadata || {}
+  });
+}
+
 async function handlePaymentRefundUpdated(event) {
   try {
-    const refund = event.data;
-    console.log(`[${formatDate()}] - 💰 PAYMENT REFUND UPDATED | ID: ${refund.id}`);
-    // Business logic for refund updates can be added here
+    const refund = event; // event is already the refund object
+    console.log(`[${formatDate()}] - 💰 PAYMENT REFUND UPDATED | ID: ${refund.id} | Status: ${refund.attributes.status}`);
+    await reconcileRefund(refund);
   } catch (error) {
     logError(`❌ Error handling payment refund updated: ${error.message}`);
+    throw error;
   }
 }
 
-module.exports = { handlePaymentRefundUpdated };
+module.exports = { handlePaymentRefundUpdated, reconcileRefund };
@@ -1,33 +1,19 @@
-const { updateOrderStatus } = require('./updateOrderStatus');
-const { createPaymentNotification } = require('./createPaymentNotification');
+const { reconcileRefund } = require('./handlePaymentRefundUpdated');
 const { logError, formatDate } = require('../../utils/logging');
 
 async function handlePaymentRefunded(event) {
   try {
-    const refund = event.data;
-    console.log(`[${formatDate()}] - 💰 PAYMENT REFUNDED | ID: ${refund.id}`);
+    const payment = event; // event is already the payment object
+    const refunds = payment.attributes.refunds || [];
+    console.log(`[${formatDate()}] - 💰 PAYMENT REFUNDED | ID: ${payment.id} | Status: ${payment.attributes.status} | Refunds: ${refunds.length}`);
 
-    // Update order status
-    if (refund.attributes.metadata?.order_id) {
-      await updateOrderStatus(
-        refund.attributes.metadata.order_id,
-        'refunded',
-        refund.id,
-        { refundAmount: refund.attributes.amount / 100 }
-      );
-    }
-
-    // Create notification
-    if (refund.attributes.metadata?.user_id) {
-      await createPaymentNotification(
-        refund.attributes.metadata.user_id,
-        'Payment Refunded',
-        `Your payment of ₱${(refund.attributes.amount / 100).toFixed(2)} has been refunded.`,
-        'info'
-      );
+    // The payment carries every refund made against it; each is matched to its record on the order
+    for (const refund of refunds) {
+      await reconcileRefund(refund);
     }
   } catch (error) {
     logError(`❌ Error handling payment refunded: ${error.message}`);
+    throw error;
   }
 }
 
@@ -1,4 +1,6 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const { HttpGateway } = require('./gateways/httpGateway');
+const { EmulatorGateway } = require('./gateways/emulatorGateway');
 
 class PayMongoService {
   constructor() {
@@ -7,27 +9,47 @@ class PayMongoService {
       : 'https://api.paymongo.com/v1';
     this.secretKey = process.env.PAYMONGO_SECRET_KEY;
     this.publicKey = process.env.PAYMONGO_PUBLIC_KEY;
+    this.gateway = this.createGateway();
     
-    if (!this.secretKey) {
+    if (!this.secretKey && !this.isEmulator()) {
       console.warn('PayMongo secret key not found in environment variables');
     }
   }
 
-  // Get authorization headers
-  getAuthHeaders() {
-    return {
-      'Authorization': `Basic ${Buffer.from(this.secretKey + ':').toString('base64')}`,
-      'Content-Type': 'application/json'
-    };
+  // Pick the gateway: the real API, or the in-process emulator (PAYMONGO_GATEWAY=emulator, never in live)
+  createGateway() {
+    if (process.env.PAYMONGO_GATEWAY === 'emulator') {
+      if (process.env.PAYMONGO_ENV === 'live') {
+        throw new Error('PAYMONGO_GATEWAY=emulator cannot be used with PAYMONGO_ENV=live');
+      }
+      console.warn('🧪 PayMongo emulator enabled - no requests will reach PayMongo');
+      const feePercent = parseFloat(process.env.PAYMONGO_EMULATOR_FEE_PERCENT);
+      return new EmulatorGateway({
+        // Without a configured secret the emulator signs with its own, which getWebhookSecret() returns
+        webhookSecret: process.env.PAYMONGO_WEBHOOK_SECRET_KEY || `whsk_emulator_${crypto.randomBytes(16).toString('hex')}`,
+        webhookUrl: process.env.PAYMONGO_EMULATOR_WEBHOOK_URL,
+        feePercent: Number.isNaN(feePercent) ? 2.5 : feePercent
+      });
+    }
+    return new HttpGateway({ baseURL: this.baseURL, secretKey: this.secretKey });
+  }
+
+  isEmulator() {
+    return this.gateway?.name === 'emulator';
+  }
+
+  // Secret used to verify webhook signatures
+  getWebhookSecret() {
+    return process.env.PAYMONGO_WEBHOOK_SECRET_KEY || (this.isEmulator() ? this.gateway.webhookSecret : undefined);
   }
 
   // Create Payment Intent
   async createPaymentIntent(amount, currency = 'PHP', paymentMethodAllowed = ['card', 'gcash', 'paymaya'], metadata = {}) {
     try {
-      const response = await axios.post(`${this.baseURL}/payment_intents`, {
+      return await this.gateway.request('post', '/payment_intents', {
         data: {
           attributes: {
-            amount: amount * 100, // Convert to cents
+            amount: Math.round(amount * 100), // Convert to cents
             currency: currency,
             payment_method_allowed: paymentMethodAllowed,
             payment_method_options: {
@@ -48,11 +70,7 @@ class PayMongoService {
             }
           }
         }
-      }, {
-        headers: this.getAuthHeaders()
       });
-
-      return response.data;
     } catch (error) {
       console.error('PayMongo createPaymentIntent error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to create payment intent');
@@ -88,11 +106,7 @@ class PayMongoService {
         }
       };
 
-      const response = await axios.post(`${this.baseURL}/payment_methods`, paymentMethodData, {
-        headers: this.getAuthHeaders()
-      });
-
-      return response.data;
+      return await this.gateway.request('post', '/payment_methods', paymentMethodData);
     } catch (error) {
       console.error('PayMongo createPaymentMethod error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to create payment method');
@@ -116,15 +130,11 @@ class PayMongoService {
         attributes.client_key = clientKey;
       }
 
-      const response = await axios.post(`${this.baseURL}/payment_intents/${paymentIntentId}/attach`, {
+      return await this.gateway.request('post', `/payment_intents/${paymentIntentId}/attach`, {
         data: {
           attributes: attributes
         }
-      }, {
-        headers: this.getAuthHeaders()
       });
-
-      return response.data;
     } catch (error) {
       console.error('PayMongo attachPaymentMethod error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to attach payment method');
@@ -134,11 +144,7 @@ class PayMongoService {
   // Get Payment Intent
   async getPaymentIntent(paymentIntentId) {
     try {
-      const response = await axios.get(`${this.baseURL}/payment_intents/${paymentIntentId}`, {
-        headers: this.getAuthHeaders()
-      });
-
-      return response.data;
+      return await this.gateway.request('get', `/payment_intents/${paymentIntentId}`);
     } catch (error) {
       console.error('PayMongo getPaymentIntent error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to get payment intent');
@@ -148,11 +154,11 @@ class PayMongoService {
   // Create Source for GCash/Maya
   async createSource(type, amount, currency = 'PHP', redirect = {}, metadata = {}) {
     try {
-      const response = await axios.post(`${this.baseURL}/sources`, {
+      return await this.gateway.request('post', '/sources', {
         data: {
           attributes: {
             type: type,
-            amount: amount * 100, // Convert to cents
+            amount: Math.round(amount * 100), // Convert to cents
             currency: currency,
             redirect: redirect,
             metadata: {
@@ -161,99 +167,115 @@ class PayMongoService {
             }
           }
         }
-      }, {
-        headers: this.getAuthHeaders()
       });
-
-      return response.data;
     } catch (error) {
       console.error('PayMongo createSource error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to create source');
     }
   }
 
-  // Verify webhook signature
-  verifyWebhookSignature(payload, signature) {
+  // Whether webhooks must carry a valid signature
+  // Always required in live; PAYMONGO_WEBHOOK_VERIFY=false turns it off elsewhere (local testing only)
+  isWebhookVerificationRequired() {
+    if (process.env.PAYMONGO_ENV === 'live') {
+      return true;
+    }
+    return process.env.PAYMONGO_WEBHOOK_VERIFY !== 'false';
+  }
+
+  // Parse a `Paymongo-Signature` header: t=<unix seconds>,te=<test hmac>,li=<live hmac>
+  parseSignatureHeader(header) {
+    return String(header || '').split(',').reduce((parts, part) => {
+      const separator = part.indexOf('=');
+      if (separator > 0) {
+        parts[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+      }
+      return parts;
+    }, {});
+  }
+
+  // Verify webhook signature against the raw request body
+  // Returns { valid, reason, statusCode? } - reason explains a rejection for the audit log
+  verifyWebhookSignature(rawBody, signature, now = Date.now()) {
     try {
-      // If no signature verification is set up, return true for testing
-      if (!process.env.PAYMONGO_WEBHOOK_SECRET_KEY) {
-        console.warn('⚠️  Webhook signature verification disabled - No PAYMONGO_WEBHOOK_SECRET_KEY found');
-        return true;
+      const secret = this.getWebhookSecret();
+      if (!secret) {
+        // Misconfiguration, not a bad request: 500 so PayMongo keeps retrying until the secret is set
+        return { valid: false, reason: 'PAYMONGO_WEBHOOK_SECRET_KEY is not configured', statusCode: 500 };
+      }
+      if (!signature) {
+        return { valid: false, reason: 'Missing Paymongo-Signature header' };
+      }
+      if (typeof rawBody !== 'string') {
+        return { valid: false, reason: 'Raw request body not available' };
       }
 
-      const crypto = require('crypto');
-      
-      // Parse the signature header
-      const signatureParts = signature.split(',');
-      let timestamp = '';
-      let testSignature = '';
-      let liveSignature = '';
-
-      signatureParts.forEach(part => {
-        const [key, value] = part.split('=');
-        if (key === 't') timestamp = value;
-        else if (key === 'te') testSignature = value;
-        else if (key === 'li') liveSignature = value;
-      });
+      const { t: timestamp, te: testSignature, li: liveSignature } = this.parseSignatureHeader(signature);
+      if (!timestamp || !/^\d+$/.test(timestamp)) {
+        return { valid: false, reason: 'Missing or malformed signature timestamp' };
+      }
 
       // Choose the appropriate signature based on environment
       const receivedSignature = process.env.PAYMONGO_ENV === 'live' ? liveSignature : testSignature;
-      
-      if (!receivedSignature) {
-        console.error('❌ No valid signature found in header');
-        return false;
+      if (!receivedSignature || !/^[0-9a-f]+$/i.test(receivedSignature)) {
+        return { valid: false, reason: `No ${process.env.PAYMONGO_ENV === 'live' ? 'li' : 'te'} signature in header` };
+      }
+
+      // Reject replays of old (or future-dated) deliveries
+      const tolerance = parseInt(process.env.PAYMONGO_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+      const age = Math.abs(Math.floor(now / 1000) - parseInt(timestamp, 10));
+      if (age > tolerance) {
+        return { valid: false, reason: `Signature timestamp outside tolerance (${age}s > ${tolerance}s)` };
       }
 
-      // Create the signed payload string
-      const signedPayload = `${timestamp}.${payload}`;
-      
-      // Create HMAC SHA256 hash
       const expectedSignature = crypto
-        .createHmac('sha256', process.env.PAYMONGO_WEBHOOK_SECRET_KEY)
-        .update(signedPayload, 'utf8')
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${rawBody}`, 'utf8')
         .digest('hex');
 
-      // Compare signatures
-      const isValid = crypto.timingSafeEqual(
-        Buffer.from(expectedSignature, 'hex'),
-        Buffer.from(receivedSignature, 'hex')
-      );
-
-      if (!isValid) {
-        console.error('❌ Signature verification failed');
-        console.log('🔍 Expected:', expectedSignature);
-        console.log('🔍 Received:', receivedSignature);
-        console.log('🔍 Payload:', payload);
+      const expected = Buffer.from(expectedSignature, 'hex');
+      const received = Buffer.from(receivedSignature, 'hex');
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'Signature mismatch' };
       }
 
-      return isValid;
+      return { valid: true, reason: null };
     } catch (error) {
       console.error('❌ Webhook signature verification error:', error);
-      return false;
+      return { valid: false, reason: `Verification error: ${error.message}` };
     }
   }
 
   // Get Payment by ID
   async getPayment(paymentId) {
     try {
-      const response = await axios.get(`${this.baseURL}/payments/${paymentId}`, {
-        headers: this.getAuthHeaders()
-      });
-
-      return response.data;
+      return await this.gateway.request('get', `/payments/${paymentId}`);
     } catch (error) {
       console.error('PayMongo getPayment error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to get payment');
     }
   }
 
+  // List payments, newest first; page with `before` (the last payment id of the previous page)
+  async listPayments({ limit = 100, before, after } = {}) {
+    try {
+      const query = new URLSearchParams({ limit: String(limit) });
+      if (before) query.set('before', before);
+      if (after) query.set('after', after);
+      return await this.gateway.request('get', `/payments?${query}`);
+    } catch (error) {
+      console.error('PayMongo listPayments error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to list payments');
+    }
+  }
+
   // Create Payment Link
   async createPaymentLink(amount, description = 'Payment', metadata = {}) {
     try {
-      const response = await axios.post(`${this.baseURL}/links`, {
+      return await this.gateway.request('post', '/links', {
         data: {
           attributes: {
-            amount: amount * 100, // Convert to cents
+            amount: Math.round(amount * 100), // Convert to cents
             currency: 'PHP',
             description: description,
             remarks: 'Payment via E-Commerce API',
@@ -264,11 +286,7 @@ class PayMongoService {
             }
           }
         }
-      }, {
-        headers: this.getAuthHeaders()
       });
-
-      return response.data;
     } catch (error) {
       console.error('PayMongo createPaymentLink error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to create payment link');
@@ -278,19 +296,25 @@ class PayMongoService {
   // Get Payment Link by ID
   async getPaymentLink(linkId) {
     try {
-      const response = await axios.get(`${this.baseURL}/links/${linkId}`, {
-        headers: this.getAuthHeaders()
-      });
-
-      return response.data;
+      return await this.gateway.request('get', `/links/${linkId}`);
     } catch (error) {
       console.error('PayMongo getPaymentLink error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to get payment link');
     }
   }
 
+  // Archive Payment Link (it can no longer be paid)
+  async archivePaymentLink(linkId) {
+    try {
+      return await this.gateway.request('post', `/links/${linkId}/archive`);
+    } catch (error) {
+      console.error('PayMongo archivePaymentLink error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to archive payment link');
+    }
+  }
+
   // Refund Payment
-  async refundPayment(paymentId, amount = null, reason = 'requested_by_customer') {
+  async refundPayment(paymentId, amount = null, reason = 'requested_by_customer', metadata = null) {
     try {
       const refundData = {
         data: {
@@ -302,14 +326,13 @@ class PayMongoService {
       };
 
       if (amount) {
-        refundData.data.attributes.amount = amount * 100; // Convert to cents
+        refundData.data.attributes.amount = Math.round(amount * 100); // Convert to cents
+      }
+      if (metadata) {
+        refundData.data.attributes.metadata = metadata;
       }
 
-      const response = await axios.post(`${this.baseURL}/refunds`, refundData, {
-        headers: this.getAuthHeaders()
-      });
-
-      return response.data;
+      return await this.gateway.request('post', '/refunds', refundData);
     } catch (error) {
       console.error('PayMongo refundPayment error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to refund payment');
@@ -332,14 +355,10 @@ class PayMongoService {
 
       // Add amount if provided
       if (amount) {
-        paymentData.data.attributes.amount = amount * 100;
+        paymentData.data.attributes.amount = Math.round(amount * 100);
       }
 
-      const response = await axios.post(`${this.baseURL}/payments`, paymentData, {
-        headers: this.getAuthHeaders()
-      });
-
-      return response.data;
+      return await this.gateway.request('post', '/payments', paymentData);
     } catch (error) {
       console.error('PayMongo createPaymentFromSource error:', error.response?.data || error.message);
       throw new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to create payment from source');
@@ -1,52 +1,69 @@
-const paymongoService = require('./index');
+const { validationResult } = require('express-validator');
+const { findRefundOrder, refundOrder, getRefundableAmount } = require('../utils/refundService');
 
 /**
- * @desc    Process Refund Payment (Admin only)
+ * @desc    Refund all or part of an order's payment (Admin only)
  * @route   POST /api/payments/refund
- * @access  Private (Admin only)
+ * @access  Private (payments:refund)
  */
 exports.refundPayment = async (req, res) => {
   try {
-    const { paymentId, amount, reason } = req.body;
-
-    if (!paymentId) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Payment ID is required',
+        errors: errors.array(),
         statusCode: 400
       });
     }
 
-    // Only admins can process refunds
-    if (req.user.role !== process.env.ADMIN_KEY) {
-      return res.status(403).json({
+    const { orderId, paymentId, amount, items, reason } = req.body;
+
+    if (!orderId && !paymentId) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. Only admins can process refunds.',
-        statusCode: 403
+        message: 'Order ID or payment ID is required',
+        statusCode: 400
       });
     }
 
-    // Process refund
-    const refund = await paymongoService.refundPayment(
-      paymentId,
+    // Refunds are recorded on the order, so the payment must belong to one
+    const order = await findRefundOrder({ orderId, paymentId });
+    const result = await refundOrder(order, {
       amount,
-      reason || 'requested_by_customer'
-    );
+      items,
+      reason: reason || 'requested_by_customer',
+      source: 'admin',
+      requestedBy: req.user.id
+    });
 
     res.status(201).json({
       success: true,
       message: 'Refund processed successfully',
       data: {
-        refundId: refund.data.id,
-        paymentId: refund.data.attributes.payment_id,
-        amount: refund.data.attributes.amount / 100,
-        currency: refund.data.attributes.currency,
-        status: refund.data.attributes.status,
-        reason: refund.data.attributes.reason
-      }
+        refund: result.refund,
+        order: {
+          id: result.order.id,
+          paymentStatus: result.order.paymentStatus,
+          paymentAmount: result.order.paymentAmount ?? result.order.totalAmount,
+          refundedAmount: result.order.refundedAmount,
+          refundableAmount: getRefundableAmount(result.order)
+        }
+      },
+      statusCode: 201
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.errors && { errors: error.errors }),
+        statusCode: error.statusCode
+      });
+    }
+
     console.error('Refund payment error:', error);
     res.status(500).json({
       success: false,
@@ -1,5 +1,7 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { protect, protectTwoFactorSetup, userAccountOnly, requirePermission } = require('../middleware/auth');
+const { authThrottle } = require('../middleware/throttle');
+const { getChallengeIdentifier } = require('../utils/twoFactorService');
 const {
   register,
   logout,
@@ -8,9 +10,24 @@ const {
   resetPassword,
   resetPasswordVerify,
   cashierLogout,
+  refresh,
+  loginTwoFactor,
+  unlockAccount,
+  requestMagicLink,
+  verifyMagicLink,
+  getOAuthProviders,
+  startOAuth,
+  oauthCallback,
+  confirmOAuthLink,
+  getLinkedIdentities,
+  linkOAuthProvider,
+  unlinkOAuthProvider,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
 } = require('../controllers/authController');
 const { registerCashier } = require('../controllers/auth');
-const { validateRegister, validateLogin, validateCheckEmail, validateResetPassword, validateResetPasswordVerify, validateVerifyEmail, validateResendOtp } = require('../validators/authValidator');
+const { validateRegister, validateLogin, validateCheckEmail, validateResetPassword, validateResetPasswordVerify, validateVerifyEmail, validateResendOtp, validateRefreshToken, validateLoginTwoFactor, validateUnlockToken, validateMagicLinkRequest, validateMagicLinkVerify, validateOAuthStart, validateOAuthCallback, validateOAuthLinkConfirm, validateSessionId } = require('../validators/authValidator');
 const { validateRegisterCashier } = require('../validators/cashierValidator');
 const profileController = require('../controllers/profile/index');
 
@@ -20,8 +37,10 @@ const router = express.Router();
 // Notes on imports used here:
 // - `express-validator`: declaratively validates request bodies (returns 400 on invalid input)
 // - `User` model: Mongoose schema with password hashing (pre('save')) and helpers
-// - `generateToken(payload)`: issues a signed JWT using `JWT_SECRET` and `JWT_EXPIRE` from `.env`
-// - `protect` middleware: verifies `Authorization: Bearer <token>` and populates `req.user`
+// - `issueTokens(account)`: issues a short-lived access JWT (`ACCESS_TOKEN_EXPIRE`) and a rotating refresh token
+// - `protectTwoFactorSetup` middleware: verifies `Authorization: Bearer <token>` and populates `req.user`;
+//   unlike `protect` it also admits accounts that still have to set up required 2FA, so they can log out
+// - `authThrottle(scope)`: per-IP and per-account sliding-window limits against brute force (utils/throttleService.js)
 
 // @desc    Register user
 // @route   POST /auth/register
@@ -30,38 +49,118 @@ router.post('/register', validateRegister, register);
 
 // @desc    Register cashier (direct registration, no OTP required)
 // @route   POST /auth/register/cashier
-// @access  Public
-router.post('/register/cashier', validateRegisterCashier, registerCashier);
+// @access  Private (cashiers:manage)
+router.post('/register/cashier', protect, requirePermission('cashiers:manage'), validateRegisterCashier, registerCashier);
 
 // @desc    Login user
 // @route   POST /auth/login
 // @access  Public
-router.post('/login', validateLogin, login);
+router.post('/login', authThrottle('login', { lockable: true }), validateLogin, login);
+
+// @desc    Complete login with a 2FA code or recovery code
+// @route   POST /auth/login/2fa
+// @access  Public (challenge token)
+router.post(
+  '/login/2fa',
+  authThrottle('twoFactor', { lockable: true, identify: (req) => getChallengeIdentifier(req.body?.challengeToken) }),
+  validateLoginTwoFactor,
+  loginTwoFactor
+);
+
+// @desc    Email a passwordless sign-in code (and link)
+// @route   POST /auth/magic-link
+// @access  Public
+router.post('/magic-link', authThrottle('magicLink'), validateMagicLinkRequest, requestMagicLink);
+
+// @desc    Sign in with the emailed code or link
+// @route   POST /auth/magic-link/verify
+// @access  Public (sign-in code or link)
+router.post('/magic-link/verify', authThrottle('magicLinkVerify', { lockable: true }), validateMagicLinkVerify, verifyMagicLink);
+
+// @desc    Social sign-in providers that are configured
+// @route   GET /auth/oauth/providers
+// @access  Public
+router.get('/oauth/providers', getOAuthProviders);
+
+// @desc    Link a social account to the existing account with its email, using the emailed code, and sign in
+// @route   POST /auth/oauth/link/confirm
+// @access  Public (link token and code)
+router.post('/oauth/link/confirm', authThrottle('oauthLinkConfirm'), validateOAuthLinkConfirm, confirmOAuthLink);
+
+// @desc    List linked social accounts
+// @route   GET /auth/oauth/identities
+// @access  Private
+router.get('/oauth/identities', protect, userAccountOnly, getLinkedIdentities);
+
+// @desc    Unlink a social account
+// @route   DELETE /auth/oauth/identities/:provider
+// @access  Private
+router.delete('/oauth/identities/:provider', protect, userAccountOnly, unlinkOAuthProvider);
+
+// @desc    Start social sign-in; returns the provider URL to redirect to
+// @route   POST /auth/oauth/:provider/authorize
+// @access  Public
+router.post('/oauth/:provider/authorize', validateOAuthStart, startOAuth);
+
+// @desc    Start linking a social account to the signed-in account
+// @route   POST /auth/oauth/:provider/link
+// @access  Private
+router.post('/oauth/:provider/link', protect, userAccountOnly, validateOAuthStart, linkOAuthProvider);
+
+// @desc    Finish social sign-in or linking with the provider's code and state
+// @route   POST /auth/oauth/:provider/callback
+// @access  Public (authorization code)
+router.post('/oauth/:provider/callback', validateOAuthCallback, oauthCallback);
+
+// @desc    Unlock an account locked after repeated failed attempts (link from the lockout email)
+// @route   GET /auth/unlock?token=...
+// @access  Public (unlock token)
+router.get('/unlock', validateUnlockToken, unlockAccount);
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /auth/refresh
+// @access  Public (refresh token)
+router.post('/refresh', validateRefreshToken, refresh);
 
 // @desc    Check if email exists
 // @route   POST /auth/check-email
 // @access  Public
-router.post('/check-email', validateCheckEmail, checkEmail);
+router.post('/check-email', authThrottle('checkEmail'), validateCheckEmail, checkEmail);
 
 // @desc    Reset password
 // @route   POST /auth/reset-password
 // @access  Public
-router.post('/reset-password', validateResetPassword, resetPassword);
+router.post('/reset-password', authThrottle('resetPassword'), validateResetPassword, resetPassword);
 
 // @desc    Verify OTP for password reset
 // @route   POST /auth/reset-password-verify
 // @access  Public
-router.post('/reset-password-verify', validateResetPasswordVerify, resetPasswordVerify);
+router.post('/reset-password-verify', authThrottle('resetPasswordVerify', { lockable: true }), validateResetPasswordVerify, resetPasswordVerify);
 
 // @desc    Logout user
 // @route   POST /auth/logout
 // @access  Private
-router.post('/logout', protect, logout);
+router.post('/logout', protectTwoFactorSetup, logout);
+
+// @desc    List devices the account is logged in on
+// @route   GET /auth/sessions
+// @access  Private
+router.get('/sessions', protectTwoFactorSetup, getSessions);
+
+// @desc    Log out everywhere (?keepCurrent=true keeps this device)
+// @route   DELETE /auth/sessions
+// @access  Private
+router.delete('/sessions', protectTwoFactorSetup, revokeAllSessions);
+
+// @desc    Log one device out
+// @route   DELETE /auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protectTwoFactorSetup, validateSessionId, revokeSession);
 
 // @desc    Logout cashier (clear active session)
 // @route   POST /auth/logout/cashier
 // @access  Private (Cashier only)
-router.post('/logout/cashier', protect, cashierLogout);
+router.post('/logout/cashier', protectTwoFactorSetup, cashierLogout);
 
 // @desc    Verify email with OTP (for registration with temporary token)
 // @route   POST /auth/verify-email
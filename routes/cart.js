@@ -1,24 +1,17 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const {
   getCart,
   addToCart,
   updateCartItem,
-  removeFromCart
+  removeFromCart,
+  applyCoupon,
+  removeCoupon,
+  getShippingQuote,
+  checkout
 } = require('../controllers/cart');
-const { validateAddToCart, validateUpdateCartItem } = require('../validators/cartValidator');
-
-// Middleware to check if user is admin (not cashier)
-const adminOnly = (req, res, next) => {
-  if (req.user?.role === process.env.CASHIER_KEY) {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Cashiers cannot access cart endpoints.',
-      statusCode: 403
-    });
-  }
-  next();
-};
+const { validateAddToCart, validateUpdateCartItem, validateApplyCoupon, validateShippingQuote, validateCheckout } = require('../validators/cartValidator');
 
 const router = express.Router();
 
@@ -30,22 +23,42 @@ const router = express.Router();
 
 // @desc    Get user's cart
 // @route   GET /cart
-// @access  Private (Admin only)
-router.get('/', protect, adminOnly, getCart);
+// @access  Private (cart:use)
+router.get('/', protect, requirePermission('cart:use'), getCart);
 
 // @desc    Add item to cart
 // @route   POST /cart/add
-// @access  Private (Admin only)
-router.post('/add', protect, adminOnly, validateAddToCart, addToCart);
+// @access  Private (cart:use)
+router.post('/add', protect, requirePermission('cart:use'), validateAddToCart, addToCart);
 
 // @desc    Update cart item quantity
 // @route   PUT /cart/update/:itemId
-// @access  Private (Admin only)
-router.put('/update/:itemId', protect, adminOnly, validateUpdateCartItem, updateCartItem);
+// @access  Private (cart:use)
+router.put('/update/:itemId', protect, requirePermission('cart:use'), validateUpdateCartItem, updateCartItem);
 
 // @desc    Remove item from cart
 // @route   DELETE /cart/remove/:itemId
-// @access  Private (Admin only)
-router.delete('/remove/:itemId', protect, adminOnly, removeFromCart);
+// @access  Private (cart:use)
+router.delete('/remove/:itemId', protect, requirePermission('cart:use'), removeFromCart);
+
+// @desc    Apply coupon code to cart
+// @route   POST /cart/apply-coupon
+// @access  Private (cart:use)
+router.post('/apply-coupon', protect, requirePermission('cart:use'), validateApplyCoupon, applyCoupon);
+
+// @desc    Remove coupon from cart
+// @route   DELETE /cart/coupon
+// @access  Private (cart:use)
+router.delete('/coupon', protect, requirePermission('cart:use'), removeCoupon);
+
+// @desc    Quote delivery fee for cart
+// @route   POST /cart/shipping-quote
+// @access  Private (cart:use)
+router.post('/shipping-quote', protect, requirePermission('cart:use'), validateShippingQuote, getShippingQuote);
+
+// @desc    Place an order from the cart
+// @route   POST /cart/checkout
+// @access  Private (cart:use)
+router.post('/checkout', protect, requirePermission('cart:use'), validateCheckout, idempotency('cart:checkout'), checkout);
 
 module.exports = router;
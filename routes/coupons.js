@@ -0,0 +1,42 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  createCoupon,
+  getCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/coupon');
+const { validateCreateCoupon, validateUpdateCoupon } = require('../validators/couponValidator');
+
+const router = express.Router();
+
+// All coupon management routes are admin only
+router.use(protect, requirePermission('coupons:write'));
+
+// @desc    Get all coupons
+// @route   GET /coupons
+// @access  Private (coupons:write)
+router.get('/', getCoupons);
+
+// @desc    Create coupon
+// @route   POST /coupons
+// @access  Private (coupons:write)
+router.post('/', validateCreateCoupon, createCoupon);
+
+// @desc    Get coupon by ID
+// @route   GET /coupons/:id
+// @access  Private (coupons:write)
+router.get('/:id', getCouponById);
+
+// @desc    Update coupon
+// @route   PUT /coupons/:id
+// @access  Private (coupons:write)
+router.put('/:id', validateUpdateCoupon, updateCoupon);
+
+// @desc    Delete coupon
+// @route   DELETE /coupons/:id
+// @access  Private (coupons:write)
+router.delete('/:id', deleteCoupon);
+
+module.exports = router;
@@ -8,7 +8,15 @@ const {
   getPaymentStatus,
   refundPayment,
   createPaymentLink,
-  getPaymentLink
+  getPaymentLink,
+  getWebhookEvents,
+  replayWebhookEvent,
+  getReconciliationReport,
+  listPaymentProviders,
+  createProviderCheckout,
+  captureProviderPayment,
+  refundProviderPayment,
+  getProviderPayment
 } = require('../controllers/payment/paymentController');
 const {
   validatePaymentIntent,
@@ -16,33 +24,74 @@ const {
   validateAttachPayment,
   validateSource,
   validateRefund,
-  validatePaymentLink
+  validatePaymentLink,
+  validateProviderCheckout,
+  validateProviderCapture
 } = require('../validators/paymentValidator');
-const { protect } = require('../middleware/auth');
-const { PayMongoWebhookHandler } = require('../paymongo/webhook');
-const webhookHandler = new PayMongoWebhookHandler();
+const { protect, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { handleWebhook } = require('../payments/webhookHandler');
+const { hasProvider } = require('../payments');
+const paymongoService = require('../paymongo');
+const emulatorRoutes = require('./paymongoEmulator');
+
+// Unknown providers 404 before auth or validation runs
+router.param('provider', (req, res, next, provider) => {
+  if (!hasProvider(provider)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown payment provider: ${provider}`,
+      statusCode: 404
+    });
+  }
+  next();
+});
 
 // Payment Intent routes
-router.post('/intent', protect, validatePaymentIntent, createPaymentIntent);
+router.post('/intent', protect, validatePaymentIntent, idempotency('payments:intent'), createPaymentIntent);
 
 // Payment Method routes
 router.post('/method', protect, validatePaymentMethod, createPaymentMethod);
 router.post('/attach', protect, validateAttachPayment, attachPaymentMethod);
 
 // Payment Source routes (for e-wallets)
-router.post('/source', protect, validateSource, createSource);
+router.post('/source', protect, requirePermission('payments:pay'), validateSource, createSource);
 
 // Payment Link routes (user can choose payment method)
-router.post('/link', protect, validatePaymentLink, createPaymentLink);
+router.post('/link', protect, validatePaymentLink, idempotency('payments:link'), createPaymentLink);
 router.get('/link/:linkId', protect, getPaymentLink);
 
+// Emulator routes (PAYMONGO_GATEWAY=emulator only)
+if (paymongoService.isEmulator()) {
+  router.use('/emulator', emulatorRoutes);
+}
+
+// Payment providers and the methods they accept
+router.get('/providers', protect, listPaymentProviders);
+
+// Webhook ledger routes - before /:paymentId so they are not taken as a payment id
+router.get('/webhooks', protect, requirePermission('payments:webhooks'), getWebhookEvents);
+router.post('/webhooks/:id/replay', protect, requirePermission('payments:webhooks'), replayWebhookEvent);
+
+// Reconciliation report
+router.get('/reconciliation', protect, requirePermission('payments:reconcile'), getReconciliationReport);
+
 // Payment Status routes
 router.get('/:paymentId', protect, getPaymentStatus);
 
 // Refund routes
-router.post('/refund', protect, validateRefund, refundPayment);
+router.post('/refund', protect, requirePermission('payments:refund'), validateRefund, refundPayment);
+
+// Webhook route (no auth required - PayMongo only, kept for existing webhook registrations)
+router.post('/webhook', handleWebhook('paymongo'));
+
+// Provider routes - last, so the fixed paths above win
+router.post('/:provider/checkout', protect, validateProviderCheckout, idempotency('payments:checkout'), createProviderCheckout);
+router.post('/:provider/capture', protect, validateProviderCapture, captureProviderPayment);
+router.post('/:provider/refund', protect, requirePermission('payments:refund'), validateRefund, refundProviderPayment);
+router.get('/:provider/payments/:paymentId', protect, getProviderPayment);
 
-// Webhook route (no auth required - PayMongo only)
-router.post('/webhook', (req, res) => webhookHandler.handleWebhook(req, res));
+// Provider webhook route (no auth required - verified by the provider's signature)
+router.post('/:provider/webhook', handleWebhook());
 
 module.exports = router;
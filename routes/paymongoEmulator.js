@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  getEmulatorState,
+  getEmulatorResource,
+  simulateLinkPayment,
+  simulateIntentPayment,
+  simulateSourceAuthorization,
+  resetEmulator
+} = require('../paymongo/emulator');
+
+// Router for the PayMongo emulator. Mounted at `/api/payments/emulator` only when PAYMONGO_GATEWAY=emulator.
+const router = express.Router();
+
+// @desc    Emulator state and recent webhook deliveries
+// @route   GET /payments/emulator
+// @access  Public (emulator only)
+router.get('/', getEmulatorState);
+
+// @desc    Clear emulated resources
+// @route   POST /payments/emulator/reset
+// @access  Public (emulator only)
+router.post('/reset', resetEmulator);
+
+// @desc    Pay or fail a payment link
+// @route   POST /payments/emulator/links/:linkId/pay
+// @access  Public (emulator only)
+router.post('/links/:linkId/pay', simulateLinkPayment);
+
+// @desc    Complete 3DS / e-wallet step of a payment intent
+// @route   POST /payments/emulator/payment_intents/:intentId/complete
+// @access  Public (emulator only)
+router.post('/payment_intents/:intentId/complete', simulateIntentPayment);
+
+// @desc    Authorize or fail an e-wallet source
+// @route   POST /payments/emulator/sources/:sourceId/authorize
+// @access  Public (emulator only)
+router.post('/sources/:sourceId/authorize', simulateSourceAuthorization);
+
+// @desc    Get an emulated resource
+// @route   GET /payments/emulator/:collection/:id
+// @access  Public (emulator only)
+router.get('/:collection/:id', getEmulatorResource);
+
+module.exports = router;
@@ -1,14 +1,37 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission, cashierAccountOnly } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const {
   createOrder,
   getOrders,
   getOrderById,
-  updateOrderStatus
+  updateOrderStatus,
+  getOrderTimeline,
+  updateReturnRequest,
+  getReturnRequests,
+  collectCash,
+  getCashDrawer,
+  countCashDrawer,
+  getCashDiscrepancies,
+  openShift,
+  getCurrentShift,
+  closeShift,
+  getShifts,
+  getZReport
 } = require('../controllers/pos');
-const { validateCreateOrder, validateUpdateOrderStatus } = require('../validators/posValidator');
+const {
+  validateCreateOrder,
+  validateUpdateOrderStatus,
+  validateUpdateReturn,
+  validateCollectCash,
+  validateCashDrawerQuery,
+  validateDrawerCount,
+  validateOpenShift,
+  validateCloseShift,
+  validateShiftQuery,
+  validateZReport
+} = require('../validators/posValidator');
 const { posLogout, posForceLogout } = require('../controllers/pos/posAuthController');
-const { adminOnly, userOnly, cashierOnly, allowUsersAndAdmins } = require('../utils/roleValidator');
 
 // Import test order controller
 const { testCreateOrder, getTestOrder } = require('../controllers/pos/testOrderController');
@@ -18,8 +41,8 @@ const router = express.Router();
 // Test endpoints (user-only access)
 // @desc    Create test order (user only)
 // @route   POST /pos/test-create-order
-// @access  Private (User only)
-router.post('/test-create-order', protect, userOnly, testCreateOrder);
+// @access  Private (orders:create)
+router.post('/test-create-order', protect, requirePermission('orders:create'), testCreateOrder);
 
 // @desc    Get test order by ID
 // @route   GET /pos/test-order/:orderId
@@ -29,39 +52,99 @@ router.get('/test-order/:orderId', getTestOrder);
 // @desc    POS Logout - Cashier self logout
 // @route   POST /pos/logout
 // @access  Private (Cashier only)
-router.post('/logout', protect, cashierOnly, posLogout);
+router.post('/logout', protect, cashierAccountOnly, posLogout);
 
 // @desc    POS Force Logout - Admin force logout cashier by username
 // @route   POST /pos/force-logout
-// @access  Private (Admin only)
-router.post('/force-logout', protect, posForceLogout);
+// @access  Private (cashiers:manage)
+router.post('/force-logout', protect, requirePermission('cashiers:manage'), posForceLogout);
 
 // Protected endpoints
 router.use(protect); // All routes below this require authentication
 
 // @desc    Create new order
 // @route   POST /pos/orders
-// @access  Private (Users and Admins only)
-router.post('/orders', allowUsersAndAdmins, validateCreateOrder, createOrder);
+// @access  Private (orders:create)
+router.post('/orders', requirePermission('orders:create'), validateCreateOrder, idempotency('pos:create-order'), createOrder);
 
 // @desc    Get all orders
 // @route   GET /pos/orders
-// @access  Private
-router.get('/orders', getOrders);
+// @access  Private (orders:read)
+router.get('/orders', requirePermission('orders:read'), getOrders);
 
 // @desc    Get order by ID
 // @route   GET /pos/orders/:orderId
-// @access  Private (Admin only)
-router.get('/orders/:orderId', adminOnly, getOrderById);
+// @access  Private (orders:read)
+router.get('/orders/:orderId', requirePermission('orders:read'), getOrderById);
+
+// @desc    Get order status timeline
+// @route   GET /pos/orders/:orderId/timeline
+// @access  Private (orders:read, or order owner)
+router.get('/orders/:orderId/timeline', getOrderTimeline);
 
 // @desc    Update order status (PATCH)
 // @route   PATCH /pos/orders/:orderId/status
-// @access  Private
-router.patch('/orders/:orderId/status', validateUpdateOrderStatus, updateOrderStatus);
+// @access  Private (orders:update-status)
+router.patch('/orders/:orderId/status', requirePermission('orders:update-status'), validateUpdateOrderStatus, updateOrderStatus);
 
 // @desc    Update order status (PUT)
 // @route   PUT /pos/orders/:orderId/status
-// @access  Private
-router.put('/orders/:orderId/status', validateUpdateOrderStatus, updateOrderStatus);
+// @access  Private (orders:update-status)
+router.put('/orders/:orderId/status', requirePermission('orders:update-status'), validateUpdateOrderStatus, updateOrderStatus);
+
+// @desc    List return requests
+// @route   GET /pos/returns
+// @access  Private (orders:returns)
+router.get('/returns', requirePermission('orders:returns'), getReturnRequests);
+
+// @desc    Approve / reject / receive / refund a return
+// @route   PATCH /pos/orders/:orderId/return
+// @access  Private (orders:returns; refund also needs payments:refund)
+router.patch('/orders/:orderId/return', requirePermission('orders:returns'), validateUpdateReturn, updateReturnRequest);
+
+// @desc    Record cash collected for a cash order and mark it paid
+// @route   POST /pos/orders/:orderId/collect-cash
+// @access  Private (cash:collect)
+router.post('/orders/:orderId/collect-cash', requirePermission('cash:collect'), validateCollectCash, idempotency('pos:collect-cash'), collectCash);
+
+// @desc    Cash drawer summary for a cashier's session
+// @route   GET /pos/cash-drawer
+// @access  Private (cash:drawer for your own; cash:audit for any cashier)
+router.get('/cash-drawer', validateCashDrawerQuery, getCashDrawer);
+
+// @desc    Submit the end-of-shift drawer count
+// @route   POST /pos/cash-drawer/count
+// @access  Private (cash:drawer)
+router.post('/cash-drawer/count', requirePermission('cash:drawer'), validateDrawerCount, countCashDrawer);
+
+// @desc    Drawer counts that came out over or short
+// @route   GET /pos/cash-drawer/discrepancies
+// @access  Private (cash:audit)
+router.get('/cash-drawer/discrepancies', requirePermission('cash:audit'), validateCashDrawerQuery, getCashDiscrepancies);
+
+// @desc    Open a shift with the opening float
+// @route   POST /pos/shift/open
+// @access  Private (cash:drawer)
+router.post('/shift/open', requirePermission('cash:drawer'), validateOpenShift, openShift);
+
+// @desc    Current open shift and its activity so far
+// @route   GET /pos/shift/current
+// @access  Private (cash:drawer)
+router.get('/shift/current', requirePermission('cash:drawer'), getCurrentShift);
+
+// @desc    Close the open shift and get its Z-report (JSON or PDF)
+// @route   POST /pos/shift/close
+// @access  Private (cash:drawer)
+router.post('/shift/close', requirePermission('cash:drawer'), validateCloseShift, closeShift);
+
+// @desc    List shifts
+// @route   GET /pos/shifts
+// @access  Private (cash:audit)
+router.get('/shifts', requirePermission('cash:audit'), validateShiftQuery, getShifts);
+
+// @desc    Z-report of a closed shift (JSON or PDF)
+// @route   GET /pos/shifts/:shiftId/z-report
+// @access  Private (cash:drawer for your own shifts; cash:audit for any)
+router.get('/shifts/:shiftId/z-report', validateZReport, getZReport);
 
 module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const {
   bulkUploadProducts,
   getAllProducts,
@@ -8,18 +8,6 @@ const {
 } = require('../controllers/product');
 const { validateBulkUpload } = require('../validators/productValidator');
 
-// Middleware to check if user is admin (using ADMIN_KEY from environment)
-const adminOnly = (req, res, next) => {
-  if (req.user?.role !== process.env.ADMIN_KEY) {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin access required.',
-      statusCode: 403
-    });
-  }
-  next();
-};
-
 const router = express.Router();
 // Notes on imports used here:
 // - `express-validator`: declaratively validates request bodies (returns 400 on invalid input)
@@ -28,8 +16,8 @@ const router = express.Router();
 
 // @desc    Bulk upload products
 // @route   POST /products/bulk-upload
-// @access  Private (Admin only)
-router.post('/bulk-upload', protect, adminOnly, validateBulkUpload, bulkUploadProducts);
+// @access  Private (products:write)
+router.post('/bulk-upload', protect, requirePermission('products:write'), validateBulkUpload, bulkUploadProducts);
 
 // @desc    Get all products with pagination and filtering
 // @route   GET /products
@@ -43,7 +31,7 @@ router.get('/:id', getProductById);
 
 // @desc    Clear product cache (Admin only)
 // @route   POST /products/clear-cache
-// @access  Private (Admin only)
-router.post('/clear-cache', protect, adminOnly, clearProductCache);
+// @access  Private (products:write)
+router.post('/clear-cache', protect, requirePermission('products:write'), clearProductCache);
 
 module.exports = router;
@@ -1,25 +1,58 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const { protect, protectTwoFactorSetup, requirePermission } = require('../middleware/auth');
+const { validateTwoFactorCode, validateDisableTwoFactor } = require('../validators/authValidator');
 const profileController = require('../controllers/profile/index');
 
-// Middleware to check if user is admin (not cashier)
-const adminOnly = (req, res, next) => {
-  if (req.user?.role === process.env.CASHIER_KEY) {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Cashiers cannot access profile endpoints.',
-      statusCode: 403
-    });
-  }
-  next();
-};
-
 const router = express.Router();
 
-// All profile routes are protected and block cashiers
+/**
+ * Account security, for users and cashiers alike
+ * Reachable before required 2FA is set up, so the account can enroll.
+ */
+const security = express.Router();
+security.use(protectTwoFactorSetup);
+
+/**
+ * @route   GET /api/profile/security
+ * @desc    Get two-factor authentication status
+ * @access  Private (users and cashiers)
+ */
+security.get('/', profileController.getSecurity);
+
+/**
+ * @route   POST /api/profile/security/2fa/setup
+ * @desc    Start two-factor enrollment (secret and otpauth URL)
+ * @access  Private (users and cashiers)
+ */
+security.post('/2fa/setup', profileController.setupTwoFactor);
+
+/**
+ * @route   POST /api/profile/security/2fa/enable
+ * @desc    Confirm enrollment with a code; returns recovery codes
+ * @access  Private (users and cashiers)
+ */
+security.post('/2fa/enable', validateTwoFactorCode, profileController.enableTwoFactor);
+
+/**
+ * @route   POST /api/profile/security/2fa/disable
+ * @desc    Turn two-factor authentication off (password and code)
+ * @access  Private (users and cashiers; not for roles that require 2FA)
+ */
+security.post('/2fa/disable', validateDisableTwoFactor, profileController.disableTwoFactor);
+
+/**
+ * @route   POST /api/profile/security/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private (users and cashiers)
+ */
+security.post('/2fa/recovery-codes', validateTwoFactorCode, profileController.regenerateRecoveryCodes);
+
+router.use('/security', security);
+
+// All other profile routes are protected and need profile:use (cashiers do not have it)
 router.use(protect);
-router.use(adminOnly);
+router.use(requirePermission('profile:use'));
 
 /**
  * @route   GET /api/profile
@@ -241,4 +274,45 @@ router.delete('/addresses/:addressId', profileController.deleteAddress);
  */
 router.get('/orders', profileController.getUserOrders);
 
+/**
+ * @route   POST /api/profile/orders/:orderId/cancel
+ * @desc    Cancel an order that has not started preparing (refunds if paid)
+ * @access  Private
+ */
+router.post('/orders/:orderId/cancel', [
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], profileController.cancelOrder);
+
+/**
+ * @route   POST /api/profile/orders/:orderId/return
+ * @desc    Request a return for a delivered order
+ * @access  Private
+ */
+router.post('/orders/:orderId/return', [
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Each item needs a valid product ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Item quantity must be at least 1')
+], profileController.requestReturn);
+
 module.exports = router;
@@ -1,8 +1,7 @@
 const express = require('express');
-const puppeteer = require('puppeteer-core');
-const chromium = require('@sparticuz/chromium');
 
 const { createTransporter } = require('../helpers/emailService');
+const { renderPdf } = require('../helpers/pdfService');
 
 const router = express.Router();
 
@@ -270,67 +269,6 @@ function getResumeHtml() {
   `;
 }
 
-async function generateResumePdfBuffer() {
-  console.log('Platform:', process.platform);
-  console.log('Node version:', process.version);
-  
-  let browser;
-  try {
-    // Use @sparticuz/chromium for all environments (works in containers)
-    const executablePath = await chromium.executablePath();
-    console.log('Using Chromium at:', executablePath);
-    
-    browser = await puppeteer.launch({
-      args: chromium.args,
-      defaultViewport: chromium.defaultViewport,
-      executablePath,
-      headless: chromium.headless,
-    });
-  } catch (chromiumError) {
-    console.error('@sparticuz/chromium failed, trying local Chrome:', chromiumError);
-    
-    // Fallback to local Chrome for development
-    const executablePath = 
-      process.platform === 'win32' 
-        ? 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe'
-        : process.platform === 'darwin'
-        ? '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'
-        : '/usr/bin/google-chrome';
-    
-    try {
-      console.log('Trying local Chrome at:', executablePath);
-      browser = await puppeteer.launch({
-        headless: true,
-        executablePath,
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
-      });
-    } catch (localChromeError) {
-      console.error('Local Chrome also failed:', localChromeError);
-      throw new Error('Chrome/Chromium not available. Please install Chrome or check container configuration.');
-    }
-  }
-
-  try {
-    const page = await browser.newPage();
-    await page.setContent(getResumeHtml(), { waitUntil: 'networkidle0' });
-
-    const pdfBytes = await page.pdf({
-      format: 'A4',
-      printBackground: true,
-      margin: {
-        top: '1cm',
-        bottom: '1cm',
-        left: '1cm',
-        right: '1cm',
-      },
-    });
-
-    return Buffer.from(pdfBytes);
-  } finally {
-    await browser.close();
-  }
-}
-
 router.post('/send', async (req, res) => {
   try {
     const { email } = req.body || {};
@@ -346,7 +284,7 @@ router.post('/send', async (req, res) => {
 
     let pdfBuffer = null;
     try {
-      pdfBuffer = await generateResumePdfBuffer();
+      pdfBuffer = await renderPdf(getResumeHtml());
       console.log('PDF generated successfully');
     } catch (pdfError) {
       console.error('PDF generation failed, sending link instead:', pdfError);
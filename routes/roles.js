@@ -0,0 +1,46 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole
+} = require('../controllers/role');
+const {
+  validateCreateRole,
+  validateUpdateRole,
+  validateDeleteRole,
+  validateAssignRole
+} = require('../validators/roleValidator');
+
+const router = express.Router();
+
+router.use(protect, requirePermission('roles:manage'));
+
+// @desc    List roles and the permission catalog
+// @route   GET /roles
+// @access  Private (roles:manage)
+router.get('/', getRoles);
+
+// @desc    Create role
+// @route   POST /roles
+// @access  Private (roles:manage)
+router.post('/', validateCreateRole, createRole);
+
+// @desc    Assign a role to a user or cashier
+// @route   PUT /roles/assignments/:accountType/:accountId
+// @access  Private (roles:manage)
+router.put('/assignments/:accountType/:accountId', validateAssignRole, assignRole);
+
+// @desc    Update role
+// @route   PUT /roles/:name
+// @access  Private (roles:manage)
+router.put('/:name', validateUpdateRole, updateRole);
+
+// @desc    Delete role
+// @route   DELETE /roles/:name
+// @access  Private (roles:manage)
+router.delete('/:name', validateDeleteRole, deleteRole);
+
+module.exports = router;
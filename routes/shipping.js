@@ -0,0 +1,36 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  getShippingZones,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone
+} = require('../controllers/shipping');
+const { validateCreateShippingZone, validateUpdateShippingZone } = require('../validators/shippingValidator');
+
+const router = express.Router();
+
+// Zone management is admin only; customers get fees via POST /api/cart/shipping-quote
+router.use(protect, requirePermission('shipping:write'));
+
+// @desc    Get all shipping zones
+// @route   GET /shipping/zones
+// @access  Private (shipping:write)
+router.get('/zones', getShippingZones);
+
+// @desc    Create shipping zone
+// @route   POST /shipping/zones
+// @access  Private (shipping:write)
+router.post('/zones', validateCreateShippingZone, createShippingZone);
+
+// @desc    Update shipping zone
+// @route   PUT /shipping/zones/:id
+// @access  Private (shipping:write)
+router.put('/zones/:id', validateUpdateShippingZone, updateShippingZone);
+
+// @desc    Delete shipping zone
+// @route   DELETE /shipping/zones/:id
+// @access  Private (shipping:write)
+router.delete('/zones/:id', deleteShippingZone);
+
+module.exports = router;
@@ -31,6 +31,9 @@ const productRoutes = require('./routes/products');
 const posRoutes = require('./routes/pos');
 const paymentRoutes = require('./routes/payments');
 const resumeRoutes = require('./routes/resume');
+const couponRoutes = require('./routes/coupons');
+const shippingRoutes = require('./routes/shipping');
+const roleRoutes = require('./routes/roles');
 
 /**
  * Custom Middleware
@@ -38,6 +41,18 @@ const resumeRoutes = require('./routes/resume');
  */
 const errorHandler = require('./middleware/errorHandler');
 
+/**
+ * Background Jobs
+ * @module jobs - Interval jobs such as webhook retries
+ */
+const { startJobs } = require('./jobs');
+
+/**
+ * Roles and Permissions
+ * @module utils/permissions - Seeds the default roles the permission checks rely on
+ */
+const { ensureDefaultRoles } = require('./utils/permissions');
+
 /**
  * Initialize Express Application
  */
@@ -59,7 +74,15 @@ const io = new Server(server, {
 // Make io instance globally available for helpers
 global.io = io;
 
-app.use(express.json({ limit: '10mb' }));
+// Keep the exact bytes of webhook bodies; signatures are computed over them, not over re-serialized JSON
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (/^\/api\/payments(\/[\w-]+)?\/webhook(\?|$)/.test(req.originalUrl)) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 /**
@@ -78,6 +101,17 @@ setupSocketHandlers(io);
  */
 app.use(helmet());
 
+/**
+ * Client IPs behind a proxy or load balancer
+ * Per-IP throttling (middleware/throttle.js) needs the real client IP in req.ip, not the proxy's.
+ * Set TRUST_PROXY to the number of proxy hops (e.g. 1) or a subnet list; unset trusts none.
+ * @see {@link https://expressjs.com/en/guide/behind-proxies.html}
+ */
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 /**
  * Rate limiting middleware to prevent abuse
  * - Limits each IP to 100 requests per 15-minute window
@@ -137,6 +171,9 @@ const db = mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:2701
 // Wait for MongoDB connection before starting server
 db.then(() => {
   console.log('MongoDB connected successfully');
+
+  // Without the default roles nobody has any permissions
+  ensureDefaultRoles().catch(err => console.error('Default role seeding failed:', err.message));
   
   /**
    * API Routes
@@ -152,6 +189,9 @@ db.then(() => {
   app.use('/api/pos', posRoutes);
   app.use('/api/payments', paymentRoutes);
   app.use('/api/resume', resumeRoutes);
+  app.use('/api/coupons', couponRoutes);
+  app.use('/api/shipping', shippingRoutes);
+  app.use('/api/roles', roleRoutes);
 
   /**
    * Error Handling Middleware
@@ -190,6 +230,7 @@ db.then(() => {
   const PORT = process.env.PORT || 5000;
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    startJobs();
   });
 })
 .catch(err => {
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { Query, aggregate, update } = require('mingo');
+
+/**
+ * In-memory stand-in for a Mongoose model, for tests that run without MongoDB
+ * - Documents are cast through the real schema on create, so defaults and ObjectIds match the app
+ * - Filters, update operators (positional `$` included) and pipeline updates run through mingo
+ * - ObjectIds are kept as hex strings so they compare by value
+ *
+ * Use from a jest.mock factory:
+ *   jest.mock('../models/Order', () => require('./helpers/memoryModel').createMemoryModel('Order'));
+ */
+
+function plain(value) {
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, plain(entry)]));
+  }
+  return value;
+}
+
+// Chainable like a Mongoose query; select() is ignored and whole documents come back
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.options = {};
+  }
+
+  select() { return this; }
+  lean() { return this; }
+  sort(spec) { this.options.sort = spec; return this; }
+  limit(count) { this.options.limit = count; return this; }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run(this.options)).then(resolve, reject);
+  }
+}
+
+/**
+ * @param {string} modelName - File under models/, e.g. 'Order'
+ * @param {Object} [options]
+ * @param {string[]} [options.unique] - Fields that together must be unique (duplicates throw code 11000)
+ * @returns {Object} - Model with the static methods the app uses, plus `documents` and `reset()`
+ */
+function createMemoryModel(modelName, { unique = [] } = {}) {
+  const ActualModel = jest.requireActual(`../../models/${modelName}`);
+  const documents = [];
+
+  const copy = (doc) => (doc ? structuredClone(doc) : null);
+  const matching = (filter = {}) => {
+    const query = new Query(plain(filter));
+    return documents.filter(doc => query.test(doc));
+  };
+
+  // Apply an update to the stored document in place; returns whether anything changed
+  function applyUpdate(doc, changes, filter) {
+    if (Array.isArray(changes)) {
+      const [result] = aggregate([doc], plain(changes));
+      const changed = JSON.stringify(result) !== JSON.stringify(doc);
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, result);
+      return changed;
+    }
+    return update(doc, plain(changes), [], plain(filter)).length > 0;
+  }
+
+  const Model = {
+    modelName,
+    documents,
+
+    reset() {
+      documents.length = 0;
+    },
+
+    async create(data) {
+      const doc = plain(new ActualModel(data).toObject());
+      if (unique.length > 0 && documents.some(existing => unique.every(field => existing[field] === doc[field]))) {
+        const error = new Error(`E11000 duplicate key error collection: ${modelName}`);
+        error.code = 11000;
+        throw error;
+      }
+      documents.push(doc);
+      return { ...copy(doc), toObject: () => copy(doc) };
+    },
+
+    find(filter) {
+      return new MemoryQuery(({ sort, limit }) => {
+        const pipeline = [];
+        if (sort) pipeline.push({ $sort: sort });
+        if (limit) pipeline.push({ $limit: limit });
+        return aggregate(matching(filter), pipeline).map(copy);
+      });
+    },
+
+    findOne(filter) {
+      return new MemoryQuery(() => copy(matching(filter)[0]));
+    },
+
+    findById(id) {
+      return Model.findOne({ _id: id });
+    },
+
+    async exists(filter) {
+      const [doc] = matching(filter);
+      return doc ? { _id: doc._id } : null;
+    },
+
+    findOneAndUpdate(filter, changes, options = {}) {
+      return new MemoryQuery(() => {
+        const [doc] = matching(filter);
+        if (!doc) return null;
+        const before = copy(doc);
+        applyUpdate(doc, changes, filter);
+        return options.new ? copy(doc) : before;
+      });
+    },
+
+    findOneAndDelete(filter) {
+      return new MemoryQuery(() => {
+        const [doc] = matching(filter);
+        if (!doc) return null;
+        documents.splice(documents.indexOf(doc), 1);
+        return copy(doc);
+      });
+    },
+
+    findByIdAndUpdate(id, changes, options) {
+      return Model.findOneAndUpdate({ _id: id }, changes, options);
+    },
+
+    async updateOne(filter, changes) {
+      const [doc] = matching(filter);
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+      return { matchedCount: 1, modifiedCount: applyUpdate(doc, changes, filter) ? 1 : 0 };
+    },
+
+    async updateMany(filter, changes) {
+      const docs = matching(filter);
+      const modifiedCount = docs.filter(doc => applyUpdate(doc, changes, filter)).length;
+      return { matchedCount: docs.length, modifiedCount };
+    },
+
+    async deleteMany(filter) {
+      const docs = matching(filter);
+      docs.forEach(doc => documents.splice(documents.indexOf(doc), 1));
+      return { deletedCount: docs.length };
+    },
+
+    // updateOne operations only
+    async bulkWrite(operations) {
+      let modifiedCount = 0;
+      for (const { updateOne } of operations) {
+        modifiedCount += (await Model.updateOne(updateOne.filter, updateOne.update)).modifiedCount;
+      }
+      return { modifiedCount };
+    }
+  };
+
+  return Model;
+}
+
+module.exports = { createMemoryModel };
@@ -0,0 +1,20 @@
+/**
+ * utils/redis as it behaves while Redis is unreachable
+ * The real module connects on load, so tests replace it with this:
+ *   jest.mock('../utils/redis', () => require('./helpers/redisDown'));
+ */
+module.exports = {
+  connectRedis: jest.fn(async () => {}),
+  disconnect: jest.fn(async () => {}),
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => false),
+  setNX: jest.fn(async () => null),
+  del: jest.fn(async () => false),
+  exists: jest.fn(async () => false),
+  addToWindow: jest.fn(async () => null),
+  countWindow: jest.fn(async () => null),
+  getJSON: jest.fn(async () => null),
+  setJSON: jest.fn(async () => false),
+  clearCache: jest.fn(async () => false),
+  getConnectionStatus: jest.fn(() => false)
+};
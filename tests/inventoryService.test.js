@@ -0,0 +1,134 @@
+jest.mock('../models/Product', () => require('./helpers/memoryModel').createMemoryModel('Product'));
+jest.mock('../models/Order', () => require('./helpers/memoryModel').createMemoryModel('Order'));
+jest.mock('../utils/redis', () => require('./helpers/redisDown'));
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { reserveStock } = require('../utils/inventoryService');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { updateOrderStatus } = require('../paymongo/handlers/updateOrderStatus');
+
+const MUG = '64b7f0c2a1b2c3d4e5f60711';
+const TEE = '64b7f0c2a1b2c3d4e5f60712';
+const CAP = '64b7f0c2a1b2c3d4e5f60713';
+
+async function stockOf(id) {
+  const product = await Product.findById(id).lean();
+  return { stock: product.stock, soldCount: product.soldCount };
+}
+
+// An order whose items were reserved when it was placed, as orderService does
+async function placeOrder(id, items, fields = {}) {
+  const reservation = await reserveStock(items);
+  expect(reservation.success).toBe(true);
+  return Order.create({
+    id,
+    customer: { name: 'Test Customer', phonenumber: '09170000000' },
+    items: items.map(item => ({ ...item, price: 100 })),
+    totalAmount: 100 * items.reduce((sum, item) => sum + item.quantity, 0),
+    deliveryType: 'pickup',
+    paymentMethod: { type: 'gcash' },
+    inventoryStatus: 'reserved',
+    status: 'pending',
+    paymentStatus: 'pending',
+    ...fields
+  });
+}
+
+beforeEach(async () => {
+  Product.reset();
+  Order.reset();
+  for (const [_id, title, stock] of [[MUG, 'Mug', 5], [TEE, 'Tee', 2], [CAP, 'Cap', 0]]) {
+    await Product.create({ _id, title, stock, soldCount: 0, price: 100 });
+  }
+});
+
+describe('reserveStock', () => {
+  it('takes stock for every line, merging lines of the same product', async () => {
+    const result = await reserveStock([
+      { product: MUG, quantity: 2 },
+      { product: MUG, quantity: 1 },
+      { product: TEE, quantity: 2 }
+    ]);
+
+    expect(result).toEqual({ success: true, errors: [] });
+    expect((await stockOf(MUG)).stock).toBe(2);
+    expect((await stockOf(TEE)).stock).toBe(0);
+  });
+
+  it('rejects each line that is short, with what is available', async () => {
+    const result = await reserveStock([
+      { product: TEE, quantity: 3 },
+      { product: CAP, quantity: 1 }
+    ]);
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([
+      { product: TEE, productName: 'Tee', requested: 3, available: 2, message: 'Insufficient stock' },
+      { product: CAP, productName: 'Cap', requested: 1, available: 0, message: 'Insufficient stock' }
+    ]);
+  });
+
+  it('puts back the lines it already took when a later line fails', async () => {
+    const result = await reserveStock([
+      { product: MUG, quantity: 4 },
+      { product: TEE, quantity: 1 },
+      { product: CAP, quantity: 1 }
+    ]);
+
+    expect(result.success).toBe(false);
+    expect(result.errors.map(error => error.product)).toEqual([CAP]);
+    expect((await stockOf(MUG)).stock).toBe(5);
+    expect((await stockOf(TEE)).stock).toBe(2);
+  });
+
+  it('never sells the last units twice to orders placed at the same time', async () => {
+    const results = await Promise.all([1, 2, 3].map(() => reserveStock([{ product: TEE, quantity: 1 }])));
+
+    expect(results.filter(result => result.success)).toHaveLength(2);
+    expect((await stockOf(TEE)).stock).toBe(0);
+  });
+});
+
+describe('order stock lifecycle', () => {
+  it('releases the stock once when the order is cancelled', async () => {
+    const order = await placeOrder('ORD-STOCK-1', [{ product: MUG, quantity: 3 }]);
+
+    await transitionOrder(order._id, 'cancelled', { actor: 'admin', actorId: 'admin-1' });
+    await transitionOrder(order._id, 'cancelled', { actor: 'admin', actorId: 'admin-1' });
+
+    expect(await stockOf(MUG)).toEqual({ stock: 5, soldCount: 0 });
+    expect((await Order.findById(order._id).lean()).inventoryStatus).toBe('released');
+  });
+
+  it('commits the stock to soldCount when the order is delivered', async () => {
+    const order = await placeOrder('ORD-STOCK-2', [{ product: MUG, quantity: 2 }], { status: 'shipped', paymentStatus: 'paid' });
+
+    await transitionOrder(order._id, 'delivered', { actor: 'admin', actorId: 'admin-1' });
+
+    expect(await stockOf(MUG)).toEqual({ stock: 3, soldCount: 2 });
+    expect((await Order.findById(order._id).lean()).inventoryStatus).toBe('committed');
+  });
+
+  it('releases the stock of an order with no payable link when its payment fails', async () => {
+    await placeOrder('ORD-STOCK-3', [{ product: MUG, quantity: 2 }]);
+
+    await updateOrderStatus('ORD-STOCK-3', 'payment_failed', 'pay_failed_1');
+
+    const order = await Order.findOne({ id: 'ORD-STOCK-3' }).lean();
+    expect(order.status).toBe('pending');
+    expect(order.inventoryStatus).toBe('released');
+    expect((await stockOf(MUG)).stock).toBe(5);
+  });
+
+  it('keeps the stock of an order whose link can still be paid when a payment fails', async () => {
+    await placeOrder('ORD-STOCK-4', [{ product: MUG, quantity: 2 }], {
+      paymentLink: { id: 'link_1', checkoutUrl: 'https://pay.example/link_1', paid: false }
+    });
+
+    await updateOrderStatus('ORD-STOCK-4', 'payment_failed', 'pay_failed_2');
+
+    expect((await Order.findOne({ id: 'ORD-STOCK-4' }).lean()).inventoryStatus).toBe('reserved');
+    expect((await stockOf(MUG)).stock).toBe(3);
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel('User'));
+jest.mock('../models/MagicLink', () => require('./helpers/memoryModel').createMemoryModel('MagicLink'));
+jest.mock('../models/AuditLog', () => require('./helpers/memoryModel').createMemoryModel('AuditLog'));
+jest.mock('../utils/redis', () => require('./helpers/redisDown'));
+jest.mock('../helpers/emailService', () => ({
+  sendAccountLockedEmail: jest.fn().mockResolvedValue(),
+  sendMagicLinkEmail: jest.fn().mockResolvedValue()
+}));
+
+const User = require('../models/User');
+const MagicLink = require('../models/MagicLink');
+const { sendMagicLinkEmail } = require('../helpers/emailService');
+const { requestMagicLink, verifyMagicLink } = require('../utils/magicLinkService');
+
+const req = { ip: '127.0.0.1', get: () => undefined };
+
+// Wrong codes also count toward the account lockout, so each test uses its own account; resolves with the emailed code
+async function requestCode(email) {
+  await User.create({ name: 'Test Customer', email, password: 'hashed-password', role: 'user', isActive: true });
+  await requestMagicLink(email, req);
+  return sendMagicLinkEmail.mock.calls.at(-1)[2].code;
+}
+
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+async function codeOf(promise) {
+  const error = await promise.then(() => null, caught => caught);
+  return error && error.code;
+}
+
+beforeEach(() => {
+  User.reset();
+  MagicLink.reset();
+});
+
+describe('magic link code attempts', () => {
+  it('signs in with the emailed code once', async () => {
+    const code = await requestCode('once@example.com');
+
+    expect(await verifyMagicLink({ email: 'once@example.com', code }, req)).toMatchObject({ email: 'once@example.com' });
+    expect(await codeOf(verifyMagicLink({ email: 'once@example.com', code }, req))).toBe('INVALID_MAGIC_CODE');
+  });
+
+  it('holds the attempt limit under parallel wrong codes', async () => {
+    const code = await requestCode('parallel@example.com');
+
+    const codes = await Promise.all(
+      Array.from({ length: 8 }, () => codeOf(verifyMagicLink({ email: 'parallel@example.com', code: wrongCode(code) }, req)))
+    );
+
+    expect(codes.filter(result => result === 'INVALID_MAGIC_CODE')).toHaveLength(3);
+    expect(codes.filter(result => result === 'TOO_MANY_ATTEMPTS')).toHaveLength(5);
+    expect(MagicLink.documents[0].attempts).toBe(3);
+    // The right code no longer helps once the attempts are spent
+    expect(await codeOf(verifyMagicLink({ email: 'parallel@example.com', code }, req))).toBe('TOO_MANY_ATTEMPTS');
+  });
+
+  it('lets only one of two parallel requests with the right code sign in', async () => {
+    const code = await requestCode('twice@example.com');
+
+    const results = await Promise.all([
+      codeOf(verifyMagicLink({ email: 'twice@example.com', code }, req)),
+      codeOf(verifyMagicLink({ email: 'twice@example.com', code }, req))
+    ]);
+
+    expect(results.filter(result => result === null)).toHaveLength(1);
+    expect(results).toContain('MAGIC_LINK_USED');
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel('User'));
+jest.mock('../models/OAuthState', () => require('./helpers/memoryModel').createMemoryModel('OAuthState'));
+jest.mock('../models/AuditLog', () => require('./helpers/memoryModel').createMemoryModel('AuditLog'));
+jest.mock('../utils/redis', () => require('./helpers/redisDown'));
+jest.mock('../helpers/emailService', () => ({
+  sendAccountLockedEmail: jest.fn().mockResolvedValue(),
+  sendIdentityLinkEmail: jest.fn().mockResolvedValue()
+}));
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const { confirmLink } = require('../utils/oauthService');
+
+const req = { ip: '127.0.0.1', get: () => undefined };
+
+const CODE = '482913';
+const WRONG_CODE = '000000';
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// A Google sign-in waiting for the owner of the account with the same email to confirm by code,
+// as completeAuthorization leaves it; wrong codes count toward the account lockout, so each test uses its own account
+async function pendingLink(email) {
+  const account = await User.create({ name: 'Test Customer', email, password: 'hashed-password', role: 'user', isActive: true });
+  const linkToken = crypto.randomBytes(32).toString('base64url');
+  await OAuthState.create({
+    stateHash: hash(linkToken),
+    provider: 'google',
+    intent: 'confirm_link',
+    account: account._id,
+    identity: { subject: `google-${email}`, email, name: 'Test Customer' },
+    codeHash: hash(CODE),
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+  });
+  return { account, linkToken };
+}
+
+async function codeOf(promise) {
+  const error = await promise.then(() => null, caught => caught);
+  return error && error.code;
+}
+
+beforeEach(() => {
+  User.reset();
+  OAuthState.reset();
+});
+
+describe('confirmLink', () => {
+  it('links the identity with the emailed code, once', async () => {
+    const { linkToken } = await pendingLink('link@example.com');
+
+    const user = await confirmLink({ linkToken, code: CODE }, req);
+    expect(user.identities).toEqual([expect.objectContaining({ provider: 'google', subject: 'google-link@example.com' })]);
+
+    expect(await codeOf(confirmLink({ linkToken, code: CODE }, req))).toBe('INVALID_LINK_TOKEN');
+  });
+
+  it('holds the attempt limit under parallel wrong codes', async () => {
+    const { account, linkToken } = await pendingLink('parallel@example.com');
+
+    const codes = await Promise.all(
+      Array.from({ length: 8 }, () => codeOf(confirmLink({ linkToken, code: WRONG_CODE }, req)))
+    );
+
+    expect(codes.filter(code => code === 'INVALID_LINK_CODE')).toHaveLength(3);
+    expect(codes.filter(code => code === 'TOO_MANY_ATTEMPTS')).toHaveLength(5);
+    expect(OAuthState.documents[0].attempts).toBe(3);
+    // The right code no longer helps once the attempts are spent
+    expect(await codeOf(confirmLink({ linkToken, code: CODE }, req))).toBe('TOO_MANY_ATTEMPTS');
+    const stored = await User.findById(account._id).lean();
+    expect(stored.identities).toEqual([]);
+  });
+
+  it('links once when the right code is sent twice at once', async () => {
+    const { account, linkToken } = await pendingLink('twice@example.com');
+
+    const results = await Promise.all([
+      codeOf(confirmLink({ linkToken, code: CODE }, req)),
+      codeOf(confirmLink({ linkToken, code: CODE }, req))
+    ]);
+
+    expect(results.filter(code => code === null)).toHaveLength(1);
+    expect(results).toContain('INVALID_LINK_TOKEN');
+    const stored = await User.findById(account._id).lean();
+    expect(stored.identities).toHaveLength(1);
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../models/Order', () => require('./helpers/memoryModel').createMemoryModel('Order'));
+jest.mock('../utils/redis', () => require('./helpers/redisDown'));
+
+const Order = require('../models/Order');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { refundOrder } = require('../utils/refundService');
+
+function createOrder(fields) {
+  return Order.create({
+    id: 'ORD-STATE-1',
+    customer: { name: 'Test Customer', phonenumber: '09170000000' },
+    items: [{ product: '64b7f0c2a1b2c3d4e5f60711', quantity: 1, price: 300 }],
+    totalAmount: 300,
+    deliveryType: 'pickup',
+    paymentMethod: { type: 'cash' },
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  Order.reset();
+});
+
+describe('transitionOrder', () => {
+  it('records each change in the status history', async () => {
+    const order = await createOrder({ status: 'pending', paymentStatus: 'paid' });
+
+    const { order: paid, changed, from } = await transitionOrder(order._id, 'paid', { actor: 'cashier', actorId: 'cashier-1', reason: 'Cash collected' });
+
+    expect({ changed, from, status: paid.status }).toEqual({ changed: true, from: 'pending', status: 'paid' });
+    expect(paid.statusHistory).toEqual([
+      expect.objectContaining({ from: 'pending', to: 'paid', actor: 'cashier', actorId: 'cashier-1', reason: 'Cash collected' })
+    ]);
+  });
+
+  it('refuses to mark an order paid before its payment is recorded', async () => {
+    const order = await createOrder({ status: 'pending', paymentStatus: 'pending' });
+
+    await expect(transitionOrder(order._id, 'paid', { actor: 'cashier' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'PAYMENT_REQUIRED' });
+  });
+
+  it('never lets a payment event cancel a paid order', async () => {
+    const order = await createOrder({ status: 'paid', paymentStatus: 'paid' });
+
+    await expect(transitionOrder(order._id, 'cancelled', { actor: 'webhook' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_TRANSITION' });
+  });
+
+  it('flags a paid order cancelled by staff for refund until it is refunded in full', async () => {
+    const order = await createOrder({ status: 'paid', paymentStatus: 'paid' });
+
+    const { order: cancelled } = await transitionOrder(order._id, 'cancelled', { actor: 'admin', actorId: 'admin-1' });
+    expect(cancelled.refundRequired).toBe(true);
+
+    await refundOrder(cancelled, { amount: 100, source: 'admin' });
+    expect((await Order.findById(order._id).lean()).refundRequired).toBe(true);
+
+    const { order: refunded } = await refundOrder(await Order.findById(order._id).lean(), { source: 'admin' });
+    expect(refunded.paymentStatus).toBe('refunded');
+    expect(refunded.refundRequired).toBe(false);
+  });
+
+  it('does not flag a cancelled order that was never paid', async () => {
+    const order = await createOrder({ status: 'pending', paymentStatus: 'pending' });
+
+    const { order: cancelled } = await transitionOrder(order._id, 'cancelled', { actor: 'system' });
+
+    expect(cancelled.refundRequired).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel('User'));
+jest.mock('../models/AuditLog', () => require('./helpers/memoryModel').createMemoryModel('AuditLog'));
+jest.mock('../utils/redis', () => require('./helpers/redisDown'));
+jest.mock('../helpers/emailService', () => ({
+  sendAccountLockedEmail: jest.fn().mockResolvedValue(),
+  sendPasswordChangedEmail: jest.fn().mockResolvedValue()
+}));
+
+const User = require('../models/User');
+const { createResetOtp, verifyResetOtp } = require('../utils/passwordResetService');
+
+const req = { ip: '127.0.0.1', get: () => undefined };
+
+// Wrong guesses also count toward the account lockout, so each test uses its own account
+async function requestReset(email) {
+  await User.create({ name: 'Test Customer', email, password: 'hashed-password', role: 'user', isActive: true });
+  const { otp } = await createResetOtp(email);
+  return otp;
+}
+
+const wrongCode = (otp) => String((Number(otp) + 1) % 1000000).padStart(6, '0');
+
+async function codeOf(promise) {
+  const error = await promise.then(() => null, caught => caught);
+  return error && error.code;
+}
+
+beforeEach(() => {
+  User.reset();
+});
+
+describe('password reset code attempts', () => {
+  it('still accepts the code after fewer wrong guesses than the limit', async () => {
+    const otp = await requestReset('few@example.com');
+    for (let i = 0; i < 4; i += 1) {
+      expect(await codeOf(verifyResetOtp('few@example.com', wrongCode(otp), req))).toBe('INVALID_OTP');
+    }
+
+    expect((await verifyResetOtp('few@example.com', otp, req)).resetToken).toEqual(expect.any(String));
+  });
+
+  it('discards the code once parallel wrong guesses reach the limit', async () => {
+    const otp = await requestReset('parallel@example.com');
+
+    const codes = await Promise.all(
+      Array.from({ length: 8 }, () => codeOf(verifyResetOtp('parallel@example.com', wrongCode(otp), req)))
+    );
+
+    expect(codes.every(code => ['INVALID_OTP', 'TOO_MANY_ATTEMPTS'].includes(code))).toBe(true);
+    expect(codes).toContain('TOO_MANY_ATTEMPTS');
+    expect(await codeOf(verifyResetOtp('parallel@example.com', otp, req))).toBe('NO_RESET_REQUEST');
+    const stored = await User.findOne({ email: 'parallel@example.com' }).lean();
+    expect(stored.passwordResetOtp).toBeUndefined();
+    expect(stored.passwordResetToken).toBeUndefined();
+  });
+
+  it('issues one reset token when the right code is sent twice at once', async () => {
+    const otp = await requestReset('twice@example.com');
+
+    const results = await Promise.all([
+      codeOf(verifyResetOtp('twice@example.com', otp, req)),
+      codeOf(verifyResetOtp('twice@example.com', otp, req))
+    ]);
+
+    expect(results.filter(code => code === null)).toHaveLength(1);
+    expect(results).toContain('NO_RESET_REQUEST');
+  });
+});
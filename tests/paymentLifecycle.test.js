@@ -0,0 +1,146 @@
+/**
+ * An order paid through a PayMongo link, end to end against the emulator:
+ * signed webhooks go over HTTP to the real webhook handler, which records them in the ledger
+ * and updates the order. MongoDB is replaced by in-memory models (tests/helpers/memoryModel.js).
+ */
+
+process.env.PAYMONGO_GATEWAY = 'emulator';
+process.env.PAYMONGO_ENV = 'test';
+process.env.PAYMONGO_WEBHOOK_SECRET_KEY = 'whsk_test_lifecycle';
+
+jest.mock('../models/Order', () => require('./helpers/memoryModel').createMemoryModel('Order'));
+jest.mock('../models/WebhookEvent', () => require('./helpers/memoryModel').createMemoryModel('WebhookEvent', { unique: ['provider', 'eventId'] }));
+jest.mock('../utils/redis', () => require('./helpers/redisDown'));
+
+const express = require('express');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const paymongoService = require('../paymongo');
+const { getProvider } = require('../payments');
+const { handleWebhook } = require('../payments/webhookHandler');
+
+const ORDER_ID = 'ORD-TEST-0001';
+
+let server;
+let gateway;
+let link;
+
+// Refund webhooks are queued until the API call returns; wait for the delivery to be answered
+async function waitForDelivery(type) {
+  for (let i = 0; i < 100; i += 1) {
+    const delivery = gateway.events.find(event => event.type === type && (event.status || event.error));
+    if (delivery) return delivery;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`No ${type} webhook was delivered`);
+}
+
+const getOrder = () => Order.findOne({ id: ORDER_ID }).lean();
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+  app.post('/api/payments/webhook', handleWebhook('paymongo'));
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+
+  gateway = paymongoService.gateway;
+  gateway.webhookUrl = `http://127.0.0.1:${server.address().port}/api/payments/webhook`;
+
+  const order = await Order.create({
+    id: ORDER_ID,
+    customer: { name: 'Test Customer', phonenumber: '09170000000' },
+    items: [{ product: '64b7f0c2a1b2c3d4e5f60718', productName: 'Test Product', quantity: 2, price: 250 }],
+    totalAmount: 500,
+    deliveryType: 'pickup',
+    paymentMethod: { type: 'gcash' },
+    paymentProvider: 'paymongo',
+    status: 'pending',
+    paymentStatus: 'pending'
+  });
+
+  const checkout = await getProvider('paymongo').createCheckout(order);
+  link = gateway.find('links', checkout.checkoutId);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('PayMongo emulator payment lifecycle', () => {
+  it('runs against the emulator', () => {
+    expect(gateway.name).toBe('emulator');
+    expect(console.warn).toHaveBeenCalledWith('🧪 PayMongo emulator enabled - no requests will reach PayMongo');
+  });
+
+  it('keeps the order payable after a failed attempt', async () => {
+    const { webhook } = await gateway.simulateLinkPayment(link.id, { outcome: 'failed' });
+
+    expect(webhook).toMatchObject({ type: 'payment.failed', status: 200 });
+    const order = await getOrder();
+    expect(order.status).toBe('pending');
+    expect(order.paymentStatus).toBe('failed');
+  });
+
+  it('marks the order paid when the link is paid', async () => {
+    const { payment, webhook } = await gateway.simulateLinkPayment(link.id);
+
+    expect(webhook).toMatchObject({ type: 'link.payment.paid', status: 200 });
+    const order = await getOrder();
+    expect(order.status).toBe('paid');
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.paymentId).toBe(link.id);
+    expect(order.paymentMethod.transaction.paymentId).toBe(payment.id);
+    expect(order.paymentAmount).toBe(500);
+    expect(order.statusHistory).toEqual([
+      expect.objectContaining({ from: 'pending', to: 'paid', actor: 'webhook' })
+    ]);
+  });
+
+  it('ignores a failed payment that arrives after the order was paid', async () => {
+    const late = gateway.createPayment({
+      amount: link.attributes.amount,
+      metadata: link.attributes.metadata,
+      status: 'failed'
+    });
+    const webhook = await gateway.deliverWebhook('payment.failed', late);
+
+    expect(webhook.status).toBe(200);
+    const order = await getOrder();
+    expect(order.status).toBe('paid');
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.refundRequired).toBe(false);
+  });
+
+  it('records a refund made on the provider and marks the payment refunded', async () => {
+    const paid = await getOrder();
+    const refund = await paymongoService.refundPayment(paid.paymentMethod.transaction.paymentId);
+
+    const webhook = await waitForDelivery('payment.refunded');
+    expect(webhook.status).toBe(200);
+
+    const order = await getOrder();
+    expect(order.paymentStatus).toBe('refunded');
+    expect(order.refundedAmount).toBe(500);
+    expect(order.refunds).toEqual([
+      expect.objectContaining({ refundId: refund.data.id, amount: 500, status: 'succeeded', source: 'webhook' })
+    ]);
+    // Refunding does not move the order itself
+    expect(order.status).toBe('paid');
+  });
+
+  it('processes every event once in the webhook ledger', () => {
+    expect(WebhookEvent.documents.map(event => [event.type, event.status, event.attempts])).toEqual([
+      ['payment.failed', 'processed', 1],
+      ['link.payment.paid', 'processed', 1],
+      ['payment.failed', 'processed', 1],
+      ['payment.refunded', 'processed', 1]
+    ]);
+  });
+});
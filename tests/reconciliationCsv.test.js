@@ -0,0 +1,27 @@
+const { toCsv } = require('../utils/reconciliationService');
+
+const report = {
+  date: '2025-01-31',
+  provider: 'paymongo',
+  totals: { gatewayGross: 500 },
+  issueCounts: { unmatched_payment: 1 },
+  issues: [{
+    type: 'unmatched_payment',
+    paymentId: 'pay_123',
+    orderId: '=HYPERLINK("http://example.com","x")',
+    field: null,
+    gatewayValue: -12.5,
+    orderValue: '+1',
+    detail: '@SUM(A1:A2), from the payment description'
+  }]
+};
+
+describe('reconciliation CSV', () => {
+  it('keeps cells that start like a formula from running in a spreadsheet', () => {
+    const row = toCsv(report).trim().split('\n').pop();
+
+    expect(row).toBe(
+      'unmatched_payment,pay_123,"\'=HYPERLINK(""http://example.com"",""x"")",,-12.5,\'+1,"\'@SUM(A1:A2), from the payment description"'
+    );
+  });
+});
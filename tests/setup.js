@@ -0,0 +1,4 @@
+// The app logs each step to the console; keep test output to jest's own report.
+// Tests that care about a message assert on these mocks.
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
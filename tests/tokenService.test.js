@@ -0,0 +1,146 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel('User'));
+jest.mock('../models/Session', () => require('./helpers/memoryModel').createMemoryModel('Session'));
+jest.mock('../models/RefreshToken', () => require('./helpers/memoryModel').createMemoryModel('RefreshToken'));
+jest.mock('../models/BlacklistedToken', () => require('./helpers/memoryModel').createMemoryModel('BlacklistedToken'));
+jest.mock('../models/Role', () => require('./helpers/memoryModel').createMemoryModel('Role'));
+jest.mock('../models/AuditLog', () => require('./helpers/memoryModel').createMemoryModel('AuditLog'));
+jest.mock('../utils/redis', () => require('./helpers/redisDown'));
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const BlacklistedToken = require('../models/BlacklistedToken');
+const AuditLog = require('../models/AuditLog');
+const { generateAccessToken, verifyToken } = require('../utils/jwt');
+const { issueTokens, rotateRefreshToken, blacklistAccessToken } = require('../utils/tokenService');
+const { revokeSession } = require('../utils/sessionService');
+const { protect } = require('../middleware/auth');
+
+let account;
+
+// Run `protect` for a bearer token; resolves with the status it answered, or 'next'
+function authenticate(token) {
+  return new Promise((resolve, reject) => {
+    const req = { headers: { authorization: `Bearer ${token}` }, get: () => undefined };
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body }) };
+      }
+    };
+    protect(req, res, error => (error ? reject(error) : resolve({ status: 'next', req })));
+  });
+}
+
+async function codeOf(promise) {
+  const error = await promise.then(() => null, caught => caught);
+  return error && error.code;
+}
+
+beforeEach(async () => {
+  [User, Session, RefreshToken, BlacklistedToken, AuditLog].forEach(Model => Model.reset());
+  account = await User.create({
+    name: 'Test Customer',
+    email: 'customer@example.com',
+    password: 'hashed-password',
+    role: 'user',
+    isActive: true
+  });
+});
+
+describe('refresh token rotation', () => {
+  it('swaps a refresh token for a new pair in the same session', async () => {
+    const login = await issueTokens(account);
+    const rotated = await rotateRefreshToken(login.refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(login.refreshToken);
+    expect(verifyToken(rotated.accessToken).fid).toBe(verifyToken(login.accessToken).fid);
+    expect(Session.documents).toHaveLength(1);
+    expect(RefreshToken.documents.map(token => Boolean(token.usedAt))).toEqual([true, false]);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const login = await issueTokens(account);
+    const rotated = await rotateRefreshToken(login.refreshToken);
+
+    expect(await codeOf(rotateRefreshToken(login.refreshToken))).toBe('REFRESH_TOKEN_REUSED');
+
+    // The legitimate client's newer token goes with the family
+    expect(await codeOf(rotateRefreshToken(rotated.refreshToken))).toBe('REFRESH_TOKEN_REVOKED');
+    expect(RefreshToken.documents.every(token => token.revokedReason === 'reuse_detected')).toBe(true);
+    expect(Session.documents[0]).toMatchObject({ revokedReason: 'reuse_detected' });
+    expect(AuditLog.documents).toEqual([
+      expect.objectContaining({ action: 'auth.refresh_token_reused', outcome: 'denied' })
+    ]);
+
+    expect(await authenticate(rotated.accessToken)).toMatchObject({
+      status: 401,
+      body: { message: 'Session has been revoked. Please login again.' }
+    });
+  });
+
+  it('lets only one of two concurrent refreshes with the same token through', async () => {
+    const login = await issueTokens(account);
+
+    const codes = await Promise.all([
+      codeOf(rotateRefreshToken(login.refreshToken)),
+      codeOf(rotateRefreshToken(login.refreshToken))
+    ]);
+
+    expect(codes.filter(code => code === null)).toHaveLength(1);
+    expect(codes).toContain('REFRESH_TOKEN_REUSED');
+  });
+
+  it('leaves other sessions of the account alone', async () => {
+    const phone = await issueTokens(account);
+    const laptop = await issueTokens(account);
+    await rotateRefreshToken(phone.refreshToken);
+
+    await codeOf(rotateRefreshToken(phone.refreshToken));
+
+    expect((await rotateRefreshToken(laptop.refreshToken)).accessToken).toBeDefined();
+  });
+});
+
+describe('protect', () => {
+  it('accepts an access token of a live session', async () => {
+    const { accessToken } = await issueTokens(account);
+
+    const result = await authenticate(accessToken);
+
+    expect(result.status).toBe('next');
+    expect(result.req.user).toMatchObject({ email: 'customer@example.com', role: 'user', accountType: 'user' });
+    expect(result.req.auth.sessionId).toBe(verifyToken(accessToken).fid);
+  });
+
+  it('rejects the access token of a revoked session', async () => {
+    const { accessToken } = await issueTokens(account);
+    await revokeSession(verifyToken(accessToken).fid, 'logout');
+
+    expect(await authenticate(accessToken)).toMatchObject({
+      status: 401,
+      body: { message: 'Session has been revoked. Please login again.' }
+    });
+  });
+
+  it('rejects an access token that belongs to no session', async () => {
+    const token = generateAccessToken({ id: account._id, role: 'user' });
+
+    expect(await authenticate(token)).toMatchObject({
+      status: 401,
+      body: { message: 'Session has been revoked. Please login again.' }
+    });
+  });
+
+  it('rejects a blacklisted access token', async () => {
+    const { accessToken } = await issueTokens(account);
+    const { jti, exp } = verifyToken(accessToken);
+    await blacklistAccessToken({ token: accessToken, jti, expiresAt: new Date(exp * 1000) });
+
+    expect(await authenticate(accessToken)).toMatchObject({
+      status: 401,
+      body: { message: 'Token has been invalidated. Please login again.' }
+    });
+  });
+});
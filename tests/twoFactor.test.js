@@ -0,0 +1,202 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ACCOUNT_UNLOCK_URL = 'https://store.example/unlock';
+
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel('User'));
+jest.mock('../models/Session', () => require('./helpers/memoryModel').createMemoryModel('Session'));
+jest.mock('../models/RefreshToken', () => require('./helpers/memoryModel').createMemoryModel('RefreshToken'));
+jest.mock('../models/Role', () => require('./helpers/memoryModel').createMemoryModel('Role'));
+jest.mock('../models/AuditLog', () => require('./helpers/memoryModel').createMemoryModel('AuditLog'));
+jest.mock('../utils/redis', () => require('./helpers/redisDown'));
+jest.mock('../helpers/emailService', () => ({ sendAccountLockedEmail: jest.fn().mockResolvedValue() }));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { sendAccountLockedEmail } = require('../helpers/emailService');
+const { generateSecret, generateCode, getStep, verifyCode } = require('../utils/totp');
+const { beginSetup, enableTwoFactor, disableTwoFactor, createLoginChallenge, verifyLoginChallenge, getChallengeIdentifier } = require('../utils/twoFactorService');
+const { authThrottle } = require('../middleware/throttle');
+const { validateLoginTwoFactor } = require('../validators/authValidator');
+const { loginTwoFactor } = require('../controllers/auth/loginTwoFactor');
+
+const req = { ip: '127.0.0.1', get: () => undefined };
+
+const app = express();
+app.use(express.json());
+app.post(
+  '/api/auth/login/2fa',
+  authThrottle('twoFactor', { lockable: true, identify: (request) => getChallengeIdentifier(request.body?.challengeToken) }),
+  validateLoginTwoFactor,
+  loginTwoFactor
+);
+
+// A customer who has enrolled an authenticator app; resolves with the account, its secret and recovery codes
+async function enrolledCustomer(email, fields = {}) {
+  const account = await User.create({ name: 'Test Customer', email, password: 'hashed-password', role: 'user', isActive: true, ...fields });
+  const { secret } = await beginSetup(account._id, 'user');
+  const recoveryCodes = await enableTwoFactor(account._id, 'user', generateCode(secret, getStep()), req);
+  return { account, secret, recoveryCodes };
+}
+
+// A code the login has not seen yet: enrolling used up the current step
+const nextCode = (secret) => generateCode(secret, getStep() + 1);
+
+async function codeOf(promise) {
+  const error = await promise.then(() => null, caught => caught);
+  return error && error.code;
+}
+
+beforeEach(() => {
+  User.reset();
+  AuditLog.reset();
+});
+
+describe('TOTP codes', () => {
+  const secret = generateSecret();
+  const NOW = Date.UTC(2026, 9, 19, 12, 0, 10);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  it('accepts one step of clock drift either way', () => {
+    const current = getStep(NOW);
+
+    expect(verifyCode(secret, generateCode(secret, current - 1))).toBe(current - 1);
+    expect(verifyCode(secret, generateCode(secret, current))).toBe(current);
+    expect(verifyCode(secret, generateCode(secret, current + 1))).toBe(current + 1);
+  });
+
+  it('rejects codes further out than one step', () => {
+    const current = getStep(NOW);
+
+    expect(verifyCode(secret, generateCode(secret, current - 2))).toBeNull();
+    expect(verifyCode(secret, generateCode(secret, current + 2))).toBeNull();
+  });
+
+  it('rejects a step that was already used', () => {
+    const current = getStep(NOW);
+
+    expect(verifyCode(secret, generateCode(secret, current), { afterStep: current })).toBeNull();
+    expect(verifyCode(secret, generateCode(secret, current - 1), { afterStep: current - 1 })).toBeNull();
+    expect(verifyCode(secret, generateCode(secret, current + 1), { afterStep: current })).toBe(current + 1);
+  });
+
+  it('rejects anything but six digits', () => {
+    expect(verifyCode(secret, '12345')).toBeNull();
+    expect(verifyCode(secret, 'abcdef')).toBeNull();
+    expect(verifyCode(secret, undefined)).toBeNull();
+  });
+});
+
+describe('login challenge', () => {
+  it('logs in with a TOTP code and refuses the same code again', async () => {
+    const { account, secret } = await enrolledCustomer('totp@example.com');
+    const code = nextCode(secret);
+
+    const result = await verifyLoginChallenge(createLoginChallenge(account, 'user'), { code }, req);
+    expect(result).toMatchObject({ accountType: 'user', method: 'totp' });
+
+    expect(await codeOf(verifyLoginChallenge(createLoginChallenge(account, 'user'), { code }, req))).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  it('uses a recovery code up', async () => {
+    const { account, recoveryCodes } = await enrolledCustomer('recovery@example.com');
+    const [recoveryCode] = recoveryCodes;
+
+    // Typed without the dash and in lower case
+    const result = await verifyLoginChallenge(
+      createLoginChallenge(account, 'user'),
+      { recoveryCode: recoveryCode.replace('-', '').toLowerCase() },
+      req
+    );
+    expect(result.method).toBe('recovery_code');
+
+    expect(await codeOf(verifyLoginChallenge(createLoginChallenge(account, 'user'), { recoveryCode }, req))).toBe('INVALID_TWO_FACTOR_CODE');
+    const stored = await User.findById(account._id).lean();
+    expect(stored.twoFactor.recoveryCodes).toHaveLength(recoveryCodes.length - 1);
+    expect(AuditLog.documents.filter(entry => entry.action === '2fa.recovery_code_used')).toHaveLength(1);
+  });
+
+  it('holds a challenge to its attempt limit under parallel wrong codes', async () => {
+    const { account, secret } = await enrolledCustomer('parallel@example.com');
+    const challengeToken = createLoginChallenge(account, 'user');
+
+    const codes = await Promise.all(
+      Array.from({ length: 8 }, () => codeOf(verifyLoginChallenge(challengeToken, { code: '000000' }, req)))
+    );
+
+    expect(codes.filter(code => code === 'INVALID_TWO_FACTOR_CODE')).toHaveLength(5);
+    expect(codes.filter(code => code === 'TOO_MANY_ATTEMPTS')).toHaveLength(3);
+    // The right code no longer helps once the challenge is spent
+    expect(await codeOf(verifyLoginChallenge(challengeToken, { code: nextCode(secret) }, req))).toBe('TOO_MANY_ATTEMPTS');
+  });
+
+  it('locks the account once wrong codes across challenges reach the lockout threshold', async () => {
+    const { account, secret } = await enrolledCustomer('locked@example.com');
+
+    const codes = [];
+    for (let i = 0; i < 10; i += 1) {
+      codes.push(await codeOf(verifyLoginChallenge(createLoginChallenge(account, 'user'), { code: '000000' }, req)));
+    }
+
+    expect(codes.slice(0, 9).every(code => code === 'INVALID_TWO_FACTOR_CODE')).toBe(true);
+    expect(codes[9]).toBe('ACCOUNT_LOCKED');
+    expect(sendAccountLockedEmail).toHaveBeenCalledWith('locked@example.com', 'Test Customer', expect.any(Object));
+
+    // The route turns the account away before the code is looked at, even the right one
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: createLoginChallenge(account, 'user'), code: nextCode(secret) });
+    expect(response.status).toBe(423);
+    expect(response.headers['retry-after']).toBeDefined();
+  });
+});
+
+describe('disableTwoFactor', () => {
+  it('turns 2FA off with the code alone for an account without a password', async () => {
+    const { account, secret } = await enrolledCustomer('social@example.com', { passwordSet: false });
+
+    await disableTwoFactor(account._id, 'user', { code: nextCode(secret) }, req);
+
+    const stored = await User.findById(account._id).lean();
+    expect(stored.twoFactor.enabled).toBe(false);
+    expect(stored.twoFactor.secret).toBeUndefined();
+  });
+
+  it('still asks accounts with a password for it', async () => {
+    const { account, secret } = await enrolledCustomer('password@example.com');
+
+    expect(await codeOf(disableTwoFactor(account._id, 'user', { code: nextCode(secret) }, req))).toBe('PASSWORD_REQUIRED');
+    const stored = await User.findById(account._id).lean();
+    expect(stored.twoFactor.enabled).toBe(true);
+  });
+});
+
+describe('POST /api/auth/login/2fa', () => {
+  it('returns tokens and the stored role', async () => {
+    const { account, secret } = await enrolledCustomer('route@example.com');
+
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: createLoginChallenge(account, 'user'), code: nextCode(secret) });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, user: { email: 'route@example.com', role: 'user' } });
+    expect(response.body.token).toEqual(expect.any(String));
+    expect(response.body.refreshToken).toEqual(expect.any(String));
+  });
+
+  it('rejects a token that is not a login challenge', async () => {
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: 'not-a-challenge', code: '123456' });
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+process.env.PAYMONGO_GATEWAY = 'http';
+const paymongoService = require('../paymongo');
+
+const SECRET = 'whsk_test_signature';
+const NOW = Date.UTC(2025, 0, 31, 12, 0, 0);
+const body = JSON.stringify({ data: { id: 'evt_1', attributes: { type: 'payment.paid' } } });
+
+const sign = (timestamp, payload = body, secret = SECRET) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${payload}`, 'utf8')
+  .digest('hex');
+
+function header({ timestamp = Math.floor(NOW / 1000), te, li = '' } = {}) {
+  return `t=${timestamp},te=${te ?? sign(timestamp)},li=${li}`;
+}
+
+const ENV_KEYS = ['PAYMONGO_ENV', 'PAYMONGO_WEBHOOK_SECRET_KEY', 'PAYMONGO_WEBHOOK_TOLERANCE_SECONDS'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  process.env.PAYMONGO_ENV = 'test';
+  process.env.PAYMONGO_WEBHOOK_SECRET_KEY = SECRET;
+  delete process.env.PAYMONGO_WEBHOOK_TOLERANCE_SECONDS;
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+const verify = (signature, payload = body) => paymongoService.verifyWebhookSignature(payload, signature, NOW);
+
+describe('verifyWebhookSignature', () => {
+  it('accepts a body signed with the webhook secret', () => {
+    expect(verify(header())).toEqual({ valid: true, reason: null });
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const timestamp = Math.floor(NOW / 1000);
+    expect(verify(header({ te: sign(timestamp, body, 'whsk_other') }))).toEqual({ valid: false, reason: 'Signature mismatch' });
+  });
+
+  it('rejects a body changed after signing', () => {
+    expect(verify(header(), body.replace('payment.paid', 'payment.failed'))).toEqual({ valid: false, reason: 'Signature mismatch' });
+  });
+
+  it('rejects a malformed or truncated signature', () => {
+    expect(verify(header({ te: 'not-hex' })).valid).toBe(false);
+    expect(verify(header({ te: sign(Math.floor(NOW / 1000)).slice(0, 32) })).reason).toBe('Signature mismatch');
+  });
+
+  it('rejects signatures older or newer than the tolerance', () => {
+    const old = Math.floor(NOW / 1000) - 301;
+    const future = Math.floor(NOW / 1000) + 301;
+
+    expect(verify(header({ timestamp: old })).reason).toBe('Signature timestamp outside tolerance (301s > 300s)');
+    expect(verify(header({ timestamp: future })).valid).toBe(false);
+
+    process.env.PAYMONGO_WEBHOOK_TOLERANCE_SECONDS = '600';
+    expect(verify(header({ timestamp: old })).valid).toBe(true);
+  });
+
+  it('rejects a request without a signature header or timestamp', () => {
+    expect(verify(undefined)).toEqual({ valid: false, reason: 'Missing Paymongo-Signature header' });
+    expect(verify(`te=${sign(Math.floor(NOW / 1000))}`)).toEqual({ valid: false, reason: 'Missing or malformed signature timestamp' });
+  });
+
+  it('rejects a request whose raw body was not kept', () => {
+    expect(paymongoService.verifyWebhookSignature(undefined, header(), NOW)).toEqual({ valid: false, reason: 'Raw request body not available' });
+  });
+
+  it('checks te in test mode and li in live mode', () => {
+    const timestamp = Math.floor(NOW / 1000);
+    const testOnly = header({ te: sign(timestamp), li: '' });
+    const liveOnly = `t=${timestamp},te=,li=${sign(timestamp)}`;
+
+    expect(verify(testOnly).valid).toBe(true);
+    expect(verify(liveOnly)).toEqual({ valid: false, reason: 'No te signature in header' });
+
+    process.env.PAYMONGO_ENV = 'live';
+    expect(verify(liveOnly).valid).toBe(true);
+    expect(verify(testOnly)).toEqual({ valid: false, reason: 'No li signature in header' });
+  });
+
+  it('answers 500 when no webhook secret is configured, so PayMongo keeps retrying', () => {
+    delete process.env.PAYMONGO_WEBHOOK_SECRET_KEY;
+    expect(verify(header())).toEqual({ valid: false, reason: 'PAYMONGO_WEBHOOK_SECRET_KEY is not configured', statusCode: 500 });
+  });
+
+  it('cannot be switched off in live mode', () => {
+    process.env.PAYMONGO_WEBHOOK_VERIFY = 'false';
+    try {
+      expect(paymongoService.isWebhookVerificationRequired()).toBe(false);
+      process.env.PAYMONGO_ENV = 'live';
+      expect(paymongoService.isWebhookVerificationRequired()).toBe(true);
+    } finally {
+      delete process.env.PAYMONGO_WEBHOOK_VERIFY;
+    }
+  });
+});
@@ -0,0 +1,35 @@
+const AuditLog = require('../models/AuditLog');
+const { logError } = require('./logging');
+
+/**
+ * Write an audit trail entry
+ * Never throws: a failed audit write is logged and the request carries on.
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'webhook.signature_rejected'
+ * @param {string} [entry.outcome='success'] - 'success' | 'failure' | 'denied'
+ * @param {Object} [entry.actor] - { type, id }
+ * @param {Object} [entry.resource] - { type, id }
+ * @param {string} [entry.reason]
+ * @param {Object} [entry.req] - Express request, for IP and user agent
+ * @param {Object} [entry.metadata]
+ * @returns {Promise<Object|null>}
+ */
+async function recordAudit({ action, outcome = 'success', actor, resource, reason, req, metadata }) {
+  try {
+    return await AuditLog.create({
+      action,
+      outcome,
+      actor,
+      resource,
+      reason,
+      ip: req?.ip,
+      userAgent: req?.get?.('user-agent'),
+      metadata
+    });
+  } catch (error) {
+    logError(`❌ Failed to write audit log for ${action}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = { recordAudit };
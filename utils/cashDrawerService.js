@@ -0,0 +1,287 @@
+const Order = require('../models/Order');
+const Cashier = require('../models/Cashier');
+const Shift = require('../models/Shift');
+const { transitionOrder } = require('./orderStateMachine');
+const { roundMoney } = require('./pricingService');
+const { recordAudit } = require('./auditLog');
+const { clearCache } = require('./redis');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Cash settlement
+ * - Cashiers record cash taken for cash orders (in store or on delivery), which marks the order paid
+ * - A cashier's drawer is expected to hold the opening float plus the cash collected,
+ *   less cash refunds they handed back, during their open shift (utils/shiftService) or else their login session
+ * - Counting the drawer at the end of the shift stores the discrepancy on the cashier
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+function cashError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+function orderFilter(orderId) {
+  return String(orderId).match(/^[0-9a-fA-F]{24}$/) ? { _id: orderId } : { id: orderId };
+}
+
+const isCashOrder = (order) => (order.paymentMethod?.type || order.paymentMethod) === 'cash';
+
+/**
+ * Record cash collected for an order and mark it paid
+ * @param {string} orderId - Custom order id or MongoDB _id
+ * @param {Object} options
+ * @param {number} options.amountTendered - Cash handed over by the customer
+ * @param {Object} options.cashier - Cashier document (req.user)
+ * @returns {Promise<{order: Object, collection: Object}>}
+ */
+async function collectCash(orderId, { amountTendered, cashier }) {
+  const order = await Order.findOne(orderFilter(orderId)).lean();
+  if (!order) {
+    throw cashError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+  if (!isCashOrder(order)) {
+    throw cashError('Only cash orders can be settled at the counter', 400, 'NOT_CASH_ORDER');
+  }
+  if (order.status === 'cancelled') {
+    throw cashError('Order has been cancelled', 409, 'ORDER_CANCELLED');
+  }
+  if (order.paymentStatus !== 'pending') {
+    throw cashError(`Order payment is already ${order.paymentStatus}`, 409, 'ALREADY_PAID');
+  }
+
+  const amountDue = roundMoney(order.totalAmount);
+  const tendered = roundMoney(amountTendered);
+  if (tendered < amountDue) {
+    throw cashError(`Amount tendered ₱${tendered} is less than the amount due ₱${amountDue}`, 400, 'INSUFFICIENT_CASH');
+  }
+
+  const collectedAt = new Date();
+  const collection = {
+    amountDue,
+    amountTendered: tendered,
+    changeGiven: roundMoney(tendered - amountDue),
+    cashierId: String(cashier._id),
+    cashierName: cashier.name,
+    collectedAt
+  };
+
+  // Guarded on the payment still being pending so two cashiers cannot both collect
+  const paid = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: 'pending', status: { $ne: 'cancelled' } },
+    {
+      $set: {
+        paymentStatus: 'paid',
+        paymentAmount: amountDue,
+        paymentCurrency: 'PHP',
+        paidAt: collectedAt,
+        cashCollection: collection
+      }
+    },
+    { new: true }
+  ).lean();
+
+  if (!paid) {
+    throw cashError('Order was updated by another request. Please reload the order.', 409, 'COLLECTION_CONFLICT');
+  }
+
+  console.log(`[${formatDate()}] - 💵 Cash collected for order ${order.id} by ${cashier.userName} | Due: ₱${amountDue} | Tendered: ₱${tendered} | Change: ₱${collection.changeGiven}`);
+
+  let result = paid;
+  if (paid.status === 'pending') {
+    try {
+      ({ order: result } = await transitionOrder(paid._id, 'paid', {
+        actor: 'cashier',
+        actorId: cashier._id,
+        reason: 'Cash collected'
+      }));
+    } catch (transitionError) {
+      if (!transitionError.statusCode) {
+        throw transitionError;
+      }
+      // The cash is recorded either way; only the status change lost a race
+      logError(`❌ Order ${order.id} paid in cash but left at ${paid.status}: ${transitionError.message}`);
+    }
+  }
+
+  await clearCache(`order:${order.id}`);
+  await clearCache('orders:*');
+
+  return { order: result, collection };
+}
+
+/**
+ * Cash a cashier should be holding for a period
+ * @param {Object} options
+ * @param {string} options.cashierId
+ * @param {Date} options.start
+ * @param {Date} options.end
+ * @param {number} [options.openingFloat=0] - Cash in the drawer at the start of the shift
+ * @returns {Promise<Object>}
+ */
+async function getDrawerSummary({ cashierId, start, end, openingFloat = 0 }) {
+  const id = String(cashierId);
+
+  const collected = await Order.find({
+    'cashCollection.cashierId': id,
+    'cashCollection.collectedAt': { $gte: start, $lte: end }
+  })
+    .select('id status totalAmount cashCollection')
+    .sort({ 'cashCollection.collectedAt': 1 })
+    .lean();
+
+  // Cash refunds are recorded by refundService as 'manual' refunds
+  const refunded = await Order.find({
+    refunds: {
+      $elemMatch: {
+        provider: 'manual',
+        status: 'succeeded',
+        requestedBy: id,
+        createdAt: { $gte: start, $lte: end }
+      }
+    }
+  })
+    .select('id refunds')
+    .lean();
+
+  const refunds = refunded.flatMap(order => order.refunds
+    .filter(refund => refund.provider === 'manual' && refund.status === 'succeeded' && refund.requestedBy === id &&
+      refund.createdAt >= start && refund.createdAt <= end)
+    .map(refund => ({ orderId: order.id, amount: refund.amount, reason: refund.reason, refundedAt: refund.createdAt })));
+
+  const cashSales = roundMoney(collected.reduce((sum, order) => sum + order.cashCollection.amountDue, 0));
+  const cashRefunds = roundMoney(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+
+  return {
+    cashierId: id,
+    sessionStart: start,
+    sessionEnd: end,
+    openingFloat: roundMoney(openingFloat),
+    orderCount: collected.length,
+    cashSales,
+    amountTendered: roundMoney(collected.reduce((sum, order) => sum + order.cashCollection.amountTendered, 0)),
+    changeGiven: roundMoney(collected.reduce((sum, order) => sum + order.cashCollection.changeGiven, 0)),
+    cashRefunds,
+    expectedCash: roundMoney(openingFloat + cashSales - cashRefunds),
+    collections: collected.map(order => ({ orderId: order.id, status: order.status, ...order.cashCollection })),
+    refunds
+  };
+}
+
+/**
+ * Drawer summary for a cashier's open shift, or their current (or last) login session
+ * An open shift supplies its own opening float.
+ * @param {Object} cashier - Cashier document
+ * @param {Object} [options]
+ * @param {number} [options.openingFloat=0]
+ * @returns {Promise<Object>}
+ */
+async function getSessionDrawerSummary(cashier, { openingFloat = 0 } = {}) {
+  const shift = await Shift.findOne({ cashier: cashier._id, status: 'open' }).lean();
+  if (shift) {
+    const summary = await getDrawerSummary({ cashierId: cashier._id, start: shift.openedAt, end: new Date(), openingFloat: shift.openingFloat });
+    return { ...summary, shiftId: shift._id, activeSession: true };
+  }
+
+  const session = cashier.getSessionWindow();
+  if (!session) {
+    throw cashError('Cashier has no login session', 400, 'NO_SESSION');
+  }
+  const summary = await getDrawerSummary({ cashierId: cashier._id, start: session.start, end: session.end, openingFloat });
+  return { ...summary, activeSession: session.active };
+}
+
+/**
+ * Compare a drawer count with the cash expected
+ * @param {Object} summary - Drawer summary
+ * @param {number} countedCash
+ * @returns {{countedCash: number, discrepancy: number, status: string}}
+ */
+function countDrawer(summary, countedCash) {
+  const counted = roundMoney(countedCash);
+  const discrepancy = roundMoney(counted - summary.expectedCash);
+  const status = discrepancy === 0 ? 'balanced' : discrepancy > 0 ? 'over' : 'short';
+  return { countedCash: counted, discrepancy, status };
+}
+
+/**
+ * Record the end-of-shift count for a cashier's drawer
+ * A drawer that does not balance is also written to the audit log.
+ * @param {Object} cashier - Cashier document
+ * @param {Object} options
+ * @param {number} options.countedCash - Cash counted in the drawer
+ * @param {number} [options.openingFloat=0]
+ * @param {string} [options.note]
+ * @param {Object} [options.req] - Express request, for the audit log
+ * @param {Object} [options.summary] - Drawer summary to count against (default: the current session)
+ * @returns {Promise<{summary: Object, count: Object}>}
+ */
+async function recordDrawerCount(cashier, { countedCash, openingFloat = 0, note, req, summary: drawer }) {
+  const summary = drawer || await getSessionDrawerSummary(cashier, { openingFloat });
+  const { countedCash: counted, discrepancy, status } = countDrawer(summary, countedCash);
+
+  const count = {
+    sessionStart: summary.sessionStart,
+    sessionEnd: summary.sessionEnd,
+    openingFloat: summary.openingFloat,
+    cashSales: summary.cashSales,
+    cashRefunds: summary.cashRefunds,
+    expectedCash: summary.expectedCash,
+    countedCash: counted,
+    discrepancy,
+    status,
+    note
+  };
+  await cashier.recordDrawerCount(count);
+
+  if (status !== 'balanced') {
+    console.log(`[${formatDate()}] - ⚠️  Cash drawer ${status} for ${cashier.userName} | Expected: ₱${summary.expectedCash} | Counted: ₱${counted} | Difference: ₱${discrepancy}`);
+    await recordAudit({
+      action: 'cash_drawer.discrepancy',
+      outcome: 'failure',
+      actor: { type: 'cashier', id: String(cashier._id) },
+      resource: { type: 'cashier', id: String(cashier._id) },
+      reason: note,
+      req,
+      metadata: count
+    });
+  }
+
+  return { summary, count: cashier.drawerCounts[cashier.drawerCounts.length - 1] };
+}
+
+/**
+ * Drawer counts that did not balance, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.cashierId]
+ * @param {Date} [filters.from]
+ * @param {Date} [filters.to]
+ * @returns {Promise<Object[]>}
+ */
+async function listDiscrepancies({ cashierId, from, to } = {}) {
+  const filter = { 'drawerCounts.status': { $in: ['over', 'short'] } };
+  if (cashierId) {
+    filter._id = cashierId;
+  }
+  const cashiers = await Cashier.find(filter).select('name userName drawerCounts').lean();
+
+  const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+  return cashiers
+    .flatMap(cashier => cashier.drawerCounts
+      .filter(count => count.status !== 'balanced' && inRange(count.countedAt))
+      .map(count => ({ cashierId: cashier._id, name: cashier.name, userName: cashier.userName, ...count })))
+    .sort((a, b) => b.countedAt - a.countedAt);
+}
+
+module.exports = {
+  isCashOrder,
+  collectCash,
+  getDrawerSummary,
+  getSessionDrawerSummary,
+  countDrawer,
+  recordDrawerCount,
+  listDiscrepancies
+};
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const { priceItems, roundMoney } = require('./pricingService');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Coupon service
+ * - Evaluates a coupon against server-priced lines (see pricingService.priceItems)
+ * - Redeems it atomically so global and per-user limits hold under concurrency
+ *
+ * A coupon yields discount lines:
+ *   { code, type: 'percentage'|'fixed', description, amount }  - off the items
+ *   { code, type: 'free_delivery', description, amount }       - off the delivery fee
+ */
+
+function couponError(message, statusCode = 400, code = 'COUPON_INVALID') {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Look up an active coupon by code
+ * @param {string} code
+ * @returns {Promise<Object>} - Coupon (lean)
+ */
+async function findCoupon(code) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) })
+    .select('-redemptions')
+    .lean();
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Coupon not found', 404, 'COUPON_NOT_FOUND');
+  }
+  return coupon;
+}
+
+/**
+ * Whether a priced line falls inside the coupon's product/category scope
+ */
+function isLineInScope(coupon, line, product) {
+  const products = (coupon.appliesTo?.products || []).map(id => id.toString());
+  const categories = coupon.appliesTo?.categories || [];
+  if (products.length === 0 && categories.length === 0) {
+    return true;
+  }
+  return products.includes(line.product.toString()) ||
+    categories.includes(product?.category) ||
+    categories.includes(product?.categoryId);
+}
+
+/**
+ * How many times a user has redeemed a coupon
+ */
+async function countUserRedemptions(couponId, userId) {
+  const [result] = await Coupon.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(couponId) } },
+    { $project: {
+      count: {
+        $size: {
+          $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', new mongoose.Types.ObjectId(userId)] } }
+        }
+      }
+    } }
+  ]);
+  return result ? result.count : 0;
+}
+
+/**
+ * Check a coupon and compute its discount
+ * Throws a 400 error describing why the coupon does not apply.
+ * @param {Object} coupon - Coupon (lean)
+ * @param {Object} context
+ * @param {string} context.userId
+ * @param {Array} context.lines - Priced lines from priceItems
+ * @param {Map} context.products - Product map from priceItems
+ * @param {number} [context.deliveryFee] - Fee the order would pay without the coupon
+ * @returns {Promise<{coupon: Object, itemDiscount: number, deliveryDiscount: number, discounts: Array}>}
+ */
+async function evaluateCoupon(coupon, { userId, lines, products, deliveryFee = 0 }) {
+  const now = new Date();
+
+  if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+    throw couponError('Coupon is not active yet');
+  }
+  if (coupon.expiresAt && now > new Date(coupon.expiresAt)) {
+    throw couponError('Coupon has expired');
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('Coupon usage limit has been reached');
+  }
+  if (coupon.perUserLimit && userId) {
+    const used = await countUserRedemptions(coupon._id, userId);
+    if (used >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon');
+    }
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  if (subtotal < (coupon.minSpend || 0)) {
+    throw couponError(`Spend at least ₱${coupon.minSpend.toFixed(2)} to use this coupon`);
+  }
+
+  const scopedSubtotal = roundMoney(lines
+    .filter(line => isLineInScope(coupon, line, products.get(line.product.toString())))
+    .reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+  if (coupon.type !== 'free_delivery' && scopedSubtotal <= 0) {
+    throw couponError('Coupon does not apply to any item in your order');
+  }
+
+  let itemDiscount = 0;
+  let deliveryDiscount = 0;
+
+  if (coupon.type === 'percentage') {
+    itemDiscount = scopedSubtotal * coupon.value / 100;
+    if (coupon.maxDiscount) {
+      itemDiscount = Math.min(itemDiscount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === 'fixed') {
+    itemDiscount = Math.min(coupon.value, scopedSubtotal);
+  } else if (coupon.type === 'free_delivery') {
+    deliveryDiscount = deliveryFee;
+  }
+
+  itemDiscount = roundMoney(itemDiscount);
+  deliveryDiscount = roundMoney(deliveryDiscount);
+
+  const discounts = [];
+  if (itemDiscount > 0) {
+    discounts.push({ code: coupon.code, type: coupon.type, description: coupon.description || coupon.code, amount: itemDiscount });
+  }
+  if (deliveryDiscount > 0) {
+    discounts.push({ code: coupon.code, type: 'free_delivery', description: coupon.description || 'Free delivery', amount: deliveryDiscount });
+  }
+
+  return { coupon, itemDiscount, deliveryDiscount, discounts };
+}
+
+/**
+ * Record a redemption, enforcing the global and per-user limits atomically
+ * @param {Object} coupon - Coupon (lean)
+ * @param {string} userId
+ * @param {string} orderId - Custom order id
+ * @param {number} amount - Total discount granted
+ * @returns {Promise<boolean>} - False if a limit was hit in the meantime
+ */
+async function redeemCoupon(coupon, userId, orderId, amount) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const filter = { _id: coupon._id, isActive: true };
+  const guards = [];
+
+  if (coupon.usageLimit) {
+    guards.push({ $lt: ['$usedCount', coupon.usageLimit] });
+  }
+  if (coupon.perUserLimit) {
+    guards.push({
+      $lt: [
+        { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', userObjectId] } } } },
+        coupon.perUserLimit
+      ]
+    });
+  }
+  if (guards.length > 0) {
+    filter.$expr = { $and: guards };
+  }
+
+  const result = await Coupon.updateOne(filter, {
+    $inc: { usedCount: 1 },
+    $push: { redemptions: { user: userObjectId, orderId, amount, redeemedAt: new Date() } }
+  });
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  console.log(`[${formatDate()}] - 🎟️ Coupon ${coupon.code} redeemed on order ${orderId} | Discount: ₱${amount}`);
+  return true;
+}
+
+/**
+ * Undo a redemption (order creation failed or the order was cancelled)
+ * @param {string} code - Coupon code
+ * @param {string} orderId - Custom order id
+ * @returns {Promise<boolean>} - True if a redemption was removed
+ */
+async function releaseCoupon(code, orderId) {
+  try {
+    const result = await Coupon.updateOne(
+      { code: normalizeCode(code), 'redemptions.orderId': orderId },
+      { $inc: { usedCount: -1 }, $pull: { redemptions: { orderId } } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`[${formatDate()}] - 🎟️ Coupon ${normalizeCode(code)} released from order ${orderId}`);
+      return true;
+    }
+    return false;
+  } catch (error) {
+    logError(`❌ Failed to release coupon ${code} for order ${orderId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Re-evaluate the coupon on a cart document and set `discountAmount`
+ * Drops the coupon when it no longer applies. Call before cart.save().
+ * @param {Object} cart - Cart mongoose document
+ * @returns {Promise<{applied: boolean, removedReason: string|null, evaluation: Object|null}>}
+ */
+async function refreshCartCoupon(cart) {
+  if (!cart.couponCode) {
+    cart.discountAmount = 0;
+    return { applied: false, removedReason: null, evaluation: null };
+  }
+
+  try {
+    const coupon = await findCoupon(cart.couponCode);
+    const pricing = await priceItems(cart.items.map(item => ({
+      product: item.product,
+      quantity: item.quantity,
+      size: item.size
+    })));
+    const evaluation = await evaluateCoupon(coupon, {
+      userId: cart.user.toString(),
+      lines: pricing.lines,
+      products: pricing.products
+    });
+    cart.discountAmount = evaluation.itemDiscount;
+    return { applied: true, removedReason: null, evaluation };
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    console.log(`[${formatDate()}] - 🎟️ Coupon ${cart.couponCode} removed from cart: ${error.message}`);
+    cart.couponCode = undefined;
+    cart.discountAmount = 0;
+    return { applied: false, removedReason: error.message, evaluation: null };
+  }
+}
+
+module.exports = {
+  normalizeCode,
+  findCoupon,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  refreshCartCoupon
+};
@@ -0,0 +1,63 @@
+/**
+ * What a client is, from its User-Agent
+ * Platforms match User.signupPlatform: 'web', 'mobile' or 'webview'.
+ */
+
+/**
+ * Detect the platform a request comes from
+ * @param {string} [userAgent='']
+ * @returns {string} - 'web' | 'mobile' | 'webview'
+ */
+function detectPlatform(userAgent = '') {
+  if (userAgent.includes('wv') || userAgent.includes('WebView')) {
+    return 'webview'; // Web app wrapped in native WebView
+  }
+  if (userAgent.includes('Mobile') || userAgent.includes('Android') ||
+      userAgent.includes('iPhone') || userAgent.includes('iPad')) {
+    return 'mobile'; // Native mobile app
+  }
+  return 'web';
+}
+
+function detectOs(userAgent) {
+  if (/iPhone|iPad|iPod/.test(userAgent)) return 'iOS';
+  if (/Android/.test(userAgent)) return 'Android';
+  if (/Windows/.test(userAgent)) return 'Windows';
+  if (/Mac OS X|Macintosh/.test(userAgent)) return 'macOS';
+  if (/CrOS/.test(userAgent)) return 'ChromeOS';
+  if (/Linux/.test(userAgent)) return 'Linux';
+  return null;
+}
+
+function detectBrowser(userAgent) {
+  // Order matters: Edge and Opera also claim Chrome, Chrome also claims Safari
+  if (/Edg\//.test(userAgent)) return 'Edge';
+  if (/OPR\/|Opera/.test(userAgent)) return 'Opera';
+  if (/Firefox\//.test(userAgent)) return 'Firefox';
+  if (/Chrome\//.test(userAgent)) return 'Chrome';
+  if (/Safari\//.test(userAgent)) return 'Safari';
+  if (/okhttp|Dart|CFNetwork|PostmanRuntime|curl/i.test(userAgent)) return userAgent.split('/')[0];
+  return null;
+}
+
+/**
+ * Describe the device behind a request
+ * @param {Object} req - Express request
+ * @returns {Object} - { deviceId, platform, os, browser, userAgent, ipAddress }
+ */
+function getDeviceInfo(req) {
+  const userAgent = req?.get?.('User-Agent') || '';
+  return {
+    deviceId: req?.get?.('X-Device-Id') || null,
+    platform: detectPlatform(userAgent),
+    os: detectOs(userAgent),
+    browser: detectBrowser(userAgent),
+    userAgent: userAgent || null,
+    ipAddress: req?.ip || null
+  };
+}
+
+module.exports = {
+  detectPlatform,
+  getDeviceInfo
+};
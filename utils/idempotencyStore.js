@@ -0,0 +1,152 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { getJSON, setJSON, setNX, clearCache } = require('./redis');
+const { logError } = require('./logging');
+
+/**
+ * Idempotency key store
+ * - Records live in Redis; when Redis is unavailable they go to Mongo (IdempotencyKey)
+ * - A key is claimed `in_progress` with a short lock, then `completed` with the stored response
+ *
+ * IDEMPOTENCY_TTL_SECONDS:   how long completed responses are replayed (default 86400)
+ * IDEMPOTENCY_LOCK_SECONDS:  how long an unfinished request holds its key (default 60)
+ */
+
+const KEY_PREFIX = 'idempotency:';
+
+function getResponseTtl() {
+  const ttl = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10);
+  return Number.isNaN(ttl) ? 86400 : ttl;
+}
+
+function getLockTtl() {
+  const ttl = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10);
+  return Number.isNaN(ttl) ? 60 : ttl;
+}
+
+/**
+ * Compare a stored record with the incoming request
+ * @returns {{state: string, response?: Object}}
+ */
+function describeRecord(record, requestHash) {
+  if (record.requestHash !== requestHash) {
+    return { state: 'mismatch' };
+  }
+  if (record.status === 'completed') {
+    return { state: 'completed', response: record.response };
+  }
+  return { state: 'in_progress' };
+}
+
+async function claimInMongo(key, requestHash) {
+  const now = Date.now();
+  try {
+    await IdempotencyKey.create({
+      key,
+      requestHash,
+      lockedUntil: new Date(now + getLockTtl() * 1000),
+      expiresAt: new Date(now + getResponseTtl() * 1000)
+    });
+    return { state: 'new', store: 'mongo' };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Take over a lock left behind by a request that never finished
+  const reclaimed = await IdempotencyKey.findOneAndUpdate(
+    { key, requestHash, status: 'in_progress', lockedUntil: { $lt: new Date(now) } },
+    { $set: { lockedUntil: new Date(now + getLockTtl() * 1000) } }
+  );
+  if (reclaimed) {
+    return { state: 'new', store: 'mongo' };
+  }
+
+  const record = await IdempotencyKey.findOne({ key }).lean();
+  if (!record) {
+    // Expired between the insert and the lookup
+    return claimInMongo(key, requestHash);
+  }
+  return { ...describeRecord(record, requestHash), store: 'mongo' };
+}
+
+/**
+ * Claim a key for a request
+ * @param {string} key - Namespaced idempotency key
+ * @param {string} requestHash - Fingerprint of the request body
+ * @returns {Promise<{state: 'new'|'in_progress'|'completed'|'mismatch', store: 'redis'|'mongo', response?: Object}>}
+ */
+async function claimKey(key, requestHash) {
+  const redisKey = `${KEY_PREFIX}${key}`;
+  const claimed = await setNX(redisKey, JSON.stringify({ status: 'in_progress', requestHash }), getLockTtl());
+
+  if (claimed === true) {
+    return { state: 'new', store: 'redis' };
+  }
+  if (claimed === false) {
+    const record = await getJSON(redisKey);
+    if (record) {
+      return { ...describeRecord(record, requestHash), store: 'redis' };
+    }
+    // Lock expired between the two calls
+    return claimKey(key, requestHash);
+  }
+
+  return claimInMongo(key, requestHash);
+}
+
+/**
+ * Store the response for a claimed key
+ * @param {string} key
+ * @param {string} requestHash
+ * @param {{statusCode: number, body: Object}} response
+ * @param {'redis'|'mongo'} store - Store the key was claimed in
+ */
+async function completeKey(key, requestHash, response, store) {
+  try {
+    if (store === 'redis') {
+      const saved = await setJSON(`${KEY_PREFIX}${key}`, { status: 'completed', requestHash, response }, getResponseTtl());
+      if (saved) {
+        return;
+      }
+    }
+    await IdempotencyKey.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          requestHash,
+          status: 'completed',
+          response,
+          lockedUntil: new Date(),
+          expiresAt: new Date(Date.now() + getResponseTtl() * 1000)
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logError(`❌ Failed to store idempotent response for ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Free a claimed key so the request can be retried
+ * @param {string} key
+ * @param {'redis'|'mongo'} store
+ */
+async function releaseKey(key, store) {
+  try {
+    if (store === 'redis') {
+      await clearCache(`${KEY_PREFIX}${key}`);
+    } else {
+      await IdempotencyKey.deleteOne({ key, status: 'in_progress' });
+    }
+  } catch (error) {
+    logError(`❌ Failed to release idempotency key ${key}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  claimKey,
+  completeKey,
+  releaseKey
+};
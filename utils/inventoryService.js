@@ -0,0 +1,193 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Inventory service
+ * - Reserves stock atomically when an order is created
+ * - Releases reserved stock when an order is cancelled or its payment fails
+ * - Commits reserved stock to soldCount when an order is delivered
+ *
+ * Each order carries an `inventoryStatus` flag so release/commit run at most once,
+ * even if the cashier path and a PayMongo webhook race each other.
+ */
+
+/**
+ * Merge duplicate product lines so each product is decremented once
+ * @param {Array} items - Order items ({ product, quantity })
+ * @returns {Array<{product: string, quantity: number}>}
+ */
+function groupItemsByProduct(items = []) {
+  const grouped = new Map();
+  items.forEach(item => {
+    const productId = (item.product?._id || item.product).toString();
+    grouped.set(productId, (grouped.get(productId) || 0) + Number(item.quantity || 0));
+  });
+  return Array.from(grouped, ([product, quantity]) => ({ product, quantity }));
+}
+
+/**
+ * Reserve stock for every line item
+ * Uses a conditional $inc per product (`stock >= quantity`) so concurrent orders can never oversell.
+ * If any line fails, stock already taken by this call is put back.
+ * @param {Array} items - Order items ({ product, quantity })
+ * @returns {Promise<{success: boolean, errors: Array}>} - Per-item errors when stock is insufficient
+ */
+async function reserveStock(items) {
+  const lines = groupItemsByProduct(items);
+  const reserved = [];
+  const errors = [];
+
+  for (const line of lines) {
+    const updated = await Product.findOneAndUpdate(
+      { _id: line.product, stock: { $gte: line.quantity } },
+      { $inc: { stock: -line.quantity } },
+      { new: true }
+    ).select('title stock').lean();
+
+    if (updated) {
+      reserved.push(line);
+      continue;
+    }
+
+    const product = await Product.findById(line.product).select('title stock').lean();
+    errors.push({
+      product: line.product,
+      productName: product?.title || null,
+      requested: line.quantity,
+      available: product ? product.stock : 0,
+      message: product ? 'Insufficient stock' : 'Product not found'
+    });
+  }
+
+  if (errors.length > 0) {
+    await restoreStock(reserved);
+    console.log(`[${formatDate()}] - 📦 Stock reservation failed for ${errors.length} item(s), rolled back ${reserved.length} reservation(s)`);
+    return { success: false, errors };
+  }
+
+  console.log(`[${formatDate()}] - 📦 Stock reserved for ${reserved.length} product(s)`);
+  return { success: true, errors: [] };
+}
+
+/**
+ * Put quantities back into stock
+ * @param {Array} items - Order items ({ product, quantity })
+ * @returns {Promise<void>}
+ */
+async function restoreStock(items) {
+  const lines = groupItemsByProduct(items);
+  if (lines.length === 0) return;
+
+  await Product.bulkWrite(lines.map(line => ({
+    updateOne: {
+      filter: { _id: line.product },
+      update: { $inc: { stock: line.quantity } }
+    }
+  })));
+}
+
+/**
+ * Build the filter used to find an order by MongoDB _id or custom id
+ * @param {string|Object} orderRef - Order document, _id or custom order id
+ * @returns {Object}
+ */
+function orderFilter(orderRef) {
+  if (orderRef && typeof orderRef === 'object' && orderRef._id) {
+    return { _id: orderRef._id };
+  }
+  const ref = String(orderRef);
+  return ref.match(/^[0-9a-fA-F]{24}$/) ? { _id: ref } : { id: ref };
+}
+
+/**
+ * Release the stock held by an order (cancelled / payment failed)
+ * No-op unless the order still holds a reservation.
+ * @param {string|Object} orderRef - Order document, _id or custom order id
+ * @returns {Promise<boolean>} - True if stock was released by this call
+ */
+async function releaseOrderStock(orderRef) {
+  try {
+    const order = await Order.findOneAndUpdate(
+      { ...orderFilter(orderRef), inventoryStatus: 'reserved' },
+      { $set: { inventoryStatus: 'released' } },
+      { new: true }
+    ).select('id items').lean();
+
+    if (!order) {
+      return false;
+    }
+
+    await restoreStock(order.items);
+    console.log(`[${formatDate()}] - 📦 Stock released for order ${order.id}`);
+    return true;
+  } catch (error) {
+    logError(`❌ Failed to release stock: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Commit the stock held by an order to soldCount (delivered)
+ * No-op unless the order still holds a reservation.
+ * @param {string|Object} orderRef - Order document, _id or custom order id
+ * @returns {Promise<boolean>} - True if stock was committed by this call
+ */
+async function commitOrderStock(orderRef) {
+  try {
+    const order = await Order.findOneAndUpdate(
+      { ...orderFilter(orderRef), inventoryStatus: 'reserved' },
+      { $set: { inventoryStatus: 'committed' } },
+      { new: true }
+    ).select('id items').lean();
+
+    if (!order) {
+      return false;
+    }
+
+    const lines = groupItemsByProduct(order.items);
+    await Product.bulkWrite(lines.map(line => ({
+      updateOne: {
+        filter: { _id: line.product },
+        update: { $inc: { soldCount: line.quantity } }
+      }
+    })));
+    console.log(`[${formatDate()}] - 📦 Stock committed to soldCount for order ${order.id}`);
+    return true;
+  } catch (error) {
+    logError(`❌ Failed to commit stock: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Put returned items back into stock
+ * soldCount is only reduced when the order's stock had been committed on delivery.
+ * @param {Array} items - Returned items ({ product, quantity })
+ * @param {boolean} wasCommitted - Whether the order's inventoryStatus is 'committed'
+ * @returns {Promise<void>}
+ */
+async function restockReturnedItems(items, wasCommitted) {
+  const lines = groupItemsByProduct(items);
+  if (lines.length === 0) return;
+
+  await Product.bulkWrite(lines.map(line => ({
+    updateOne: {
+      filter: { _id: line.product },
+      update: {
+        $inc: wasCommitted
+          ? { stock: line.quantity, soldCount: -line.quantity }
+          : { stock: line.quantity }
+      }
+    }
+  })));
+  console.log(`[${formatDate()}] - 📦 Restocked ${lines.length} returned product(s)`);
+}
+
+module.exports = {
+  reserveStock,
+  restoreStock,
+  releaseOrderStock,
+  commitOrderStock,
+  restockReturnedItems
+};
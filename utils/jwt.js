@@ -1,8 +1,28 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const generateToken = (payload) => {
+/**
+ * Sign a general-purpose token (e.g. the registration email verification token)
+ * @param {Object} payload
+ * @param {string} [expiresIn] - Defaults to JWT_EXPIRE or 30d
+ * @returns {string}
+ */
+const generateToken = (payload, expiresIn) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+    expiresIn: expiresIn || process.env.JWT_EXPIRE || '30d'
+  });
+};
+
+/**
+ * Sign a short-lived access token
+ * Each one gets a `jti` so it can be revoked on its own before it expires.
+ * @param {Object} payload - { id, role, type?, fid? }
+ * @returns {string}
+ */
+const generateAccessToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m',
+    jwtid: crypto.randomUUID()
   });
 };
 
@@ -12,5 +32,6 @@ const verifyToken = (token) => {
 
 module.exports = {
   generateToken,
+  generateAccessToken,
   verifyToken
 };
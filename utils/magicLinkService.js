@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const MagicLink = require('../models/MagicLink');
+const User = require('../models/User');
+const { generateToken, verifyToken } = require('./jwt');
+const { recordFailedAttempt, clearFailedAttempts, normalizeIdentifier } = require('./throttleService');
+const { recordAudit } = require('./auditLog');
+const { sendMagicLinkEmail } = require('../helpers/emailService');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Passwordless sign-in by email
+ * - Each request emails a 6-digit code, plus a signed link when MAGIC_LINK_URL is set
+ * - Code and link expire after CODE_EXPIRY_MINUTES and work once; a new request replaces the old one
+ * - Same rules as the other email OTPs: MAX_CODE_ATTEMPTS wrong codes per request, one email per
+ *   RESEND_COOLDOWN_MS, and wrong codes count toward the account lockout (utils/throttleService.js)
+ * - Responses never reveal whether an account exists
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+const CODE_EXPIRY_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 3;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+function magicLinkError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+function sameHash(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Email a sign-in code (and link) to an account
+ * Does nothing, silently, for unknown emails or within the resend cooldown.
+ * @param {string} email
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+async function requestMagicLink(email, req) {
+  const normalized = normalizeIdentifier(email);
+  const user = await User.findOne({ email: normalized, isActive: true }).select('name email').lean();
+  if (!user) {
+    console.log(`[${formatDate()}] - 📭 Magic link requested for unknown email: ${normalized}`);
+    return;
+  }
+
+  const latest = await MagicLink.findOne({ email: normalized }).sort({ createdAt: -1 }).select('createdAt').lean();
+  if (latest && Date.now() - latest.createdAt < RESEND_COOLDOWN_MS) {
+    console.log(`[${formatDate()}] - ⏳ Magic link cooldown | ${normalized}`);
+    return;
+  }
+
+  // Only the newest code works
+  await MagicLink.deleteMany({ email: normalized, usedAt: null });
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + CODE_EXPIRY_MINUTES * 60 * 1000);
+  await MagicLink.create({
+    email: normalized,
+    user: user._id,
+    tokenId: hash(nonce),
+    codeHash: hash(code),
+    expiresAt,
+    ipAddress: req?.ip || null
+  });
+
+  let link = null;
+  if (process.env.MAGIC_LINK_URL) {
+    const token = generateToken({ email: normalized, nonce, type: 'magic_link', temp: true }, `${CODE_EXPIRY_MINUTES}m`);
+    link = `${process.env.MAGIC_LINK_URL}?token=${encodeURIComponent(token)}`;
+  }
+
+  sendMagicLinkEmail(user.email, user.name, { code, link, expiresInMinutes: CODE_EXPIRY_MINUTES })
+    .catch(error => logError(`❌ Failed to send magic link email: ${error.message}`));
+  console.log(`[${formatDate()}] - ✉️ Magic link sent | ${normalized}`);
+}
+
+// Mark a request used; only one caller can win
+async function consume(magicLink) {
+  const consumed = await MagicLink.findOneAndUpdate(
+    { _id: magicLink._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!consumed) {
+    throw magicLinkError('This sign-in code has already been used. Please request a new one.', 400, 'MAGIC_LINK_USED');
+  }
+}
+
+async function verifyLink(token) {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    throw magicLinkError('Sign-in link is invalid or has expired. Please request a new one.', 400, 'INVALID_MAGIC_LINK');
+  }
+  if (decoded.type !== 'magic_link' || !decoded.nonce) {
+    throw magicLinkError('Sign-in link is invalid or has expired. Please request a new one.', 400, 'INVALID_MAGIC_LINK');
+  }
+
+  const magicLink = await MagicLink.findOne({ tokenId: hash(decoded.nonce) });
+  if (!magicLink || magicLink.usedAt || magicLink.expiresAt <= new Date()) {
+    throw magicLinkError('Sign-in link is invalid or has expired. Please request a new one.', 400, 'INVALID_MAGIC_LINK');
+  }
+  await consume(magicLink);
+  return magicLink;
+}
+
+async function verifyCode(email, code, req) {
+  const normalized = normalizeIdentifier(email);
+  const magicLink = await MagicLink.findOne({ email: normalized, usedAt: null }).sort({ createdAt: -1 });
+  if (!magicLink || magicLink.expiresAt <= new Date()) {
+    throw magicLinkError('Sign-in code is invalid or has expired. Please request a new one.', 400, 'INVALID_MAGIC_CODE');
+  }
+
+  // Take an attempt before comparing, so parallel guesses cannot get past MAX_CODE_ATTEMPTS
+  const counted = await MagicLink.updateOne(
+    { _id: magicLink._id, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+    { $inc: { attempts: 1 } }
+  );
+  if (counted.modifiedCount === 0) {
+    throw magicLinkError('Too many failed attempts. Please request a new code.', 429, 'TOO_MANY_ATTEMPTS');
+  }
+
+  if (!sameHash(hash(String(code).trim()), magicLink.codeHash)) {
+    await recordFailedAttempt(normalized, req);
+    throw magicLinkError('Invalid sign-in code', 400, 'INVALID_MAGIC_CODE');
+  }
+  await consume(magicLink);
+  return magicLink;
+}
+
+/**
+ * Check a sign-in code or link and return the account it signs in
+ * @param {Object} credentials - { token } from the link, or { email, code }
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - User document
+ */
+async function verifyMagicLink({ token, email, code }, req) {
+  const magicLink = token ? await verifyLink(token) : await verifyCode(email, code, req);
+
+  const user = await User.findOne({ _id: magicLink.user, isActive: true });
+  if (!user) {
+    throw magicLinkError('Sign-in link is invalid or has expired. Please request a new one.', 400, 'INVALID_MAGIC_LINK');
+  }
+
+  await clearFailedAttempts(magicLink.email);
+  await recordAudit({
+    action: 'auth.magic_link_login',
+    actor: { type: 'user', id: user._id },
+    req,
+    metadata: { method: token ? 'link' : 'code' }
+  });
+  return user;
+}
+
+module.exports = {
+  requestMagicLink,
+  verifyMagicLink
+};
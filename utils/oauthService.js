@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const { OidcClient } = require('./oidcClient');
+const { createDefaultProfile } = require('./profileService');
+const { detectPlatform } = require('./deviceInfo');
+const { recordFailedAttempt, clearFailedAttempts, getLockout } = require('./throttleService');
+const { recordAudit } = require('./auditLog');
+const { clearCache } = require('./redis');
+const { sendIdentityLinkEmail } = require('../helpers/emailService');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Social sign-in (Google, Facebook, and a mock OpenID provider outside production)
+ * - `startAuthorization` returns the provider URL; the client comes back to `completeAuthorization`
+ *   with the code and state. State, nonce and PKCE verifier are kept in OAuthState, single use.
+ * - A known identity signs its account in. An unknown one with a verified email creates a User
+ *   and its default Profile.
+ * - An unknown identity whose email already has an account is not linked blindly: the account's
+ *   owner gets a code by email, and `confirmLink` links the identity once it checks out
+ * - Signed-in users link and unlink identities themselves
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+const STATE_EXPIRY_MINUTES = 10;
+const LINK_CODE_EXPIRY_MINUTES = 10;
+const MAX_LINK_CODE_ATTEMPTS = 3;
+
+const PROVIDER_NAMES = {
+  google: 'Google',
+  facebook: 'Facebook',
+  mock: 'Mock OpenID Provider'
+};
+
+const displayName = (providerName) => PROVIDER_NAMES[providerName] || providerName;
+
+function oauthError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+let providers = null;
+
+// Providers with credentials in the environment
+function getProviders() {
+  if (providers) {
+    return providers;
+  }
+
+  providers = new Map();
+  if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+    providers.set('google', new OidcClient({
+      name: 'google',
+      issuer: 'https://accounts.google.com',
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET
+    }));
+  }
+  if (process.env.FACEBOOK_CLIENT_ID && process.env.FACEBOOK_CLIENT_SECRET) {
+    // Facebook Login is OAuth 2.0 without discovery or ID tokens on the web; it only returns confirmed emails
+    providers.set('facebook', new OidcClient({
+      name: 'facebook',
+      authorizationEndpoint: 'https://www.facebook.com/v19.0/dialog/oauth',
+      tokenEndpoint: 'https://graph.facebook.com/v19.0/oauth/access_token',
+      userinfoEndpoint: 'https://graph.facebook.com/me?fields=id,name,email',
+      clientId: process.env.FACEBOOK_CLIENT_ID,
+      clientSecret: process.env.FACEBOOK_CLIENT_SECRET,
+      scope: 'email public_profile',
+      trustEmail: true
+    }));
+  }
+  // Any OpenID provider with discovery, e.g. a local mock for development and tests
+  if (process.env.OIDC_MOCK_ISSUER && process.env.NODE_ENV !== 'production') {
+    providers.set('mock', new OidcClient({
+      name: 'mock',
+      issuer: process.env.OIDC_MOCK_ISSUER,
+      clientId: process.env.OIDC_MOCK_CLIENT_ID,
+      clientSecret: process.env.OIDC_MOCK_CLIENT_SECRET
+    }));
+  }
+  return providers;
+}
+
+function getProvider(name) {
+  const provider = getProviders().get(name);
+  if (!provider) {
+    throw oauthError(`Sign-in with ${name} is not available`, 404, 'PROVIDER_NOT_FOUND');
+  }
+  return provider;
+}
+
+/**
+ * Providers that can be used
+ * @returns {Object[]} - { name, displayName }
+ */
+function listProviders() {
+  return [...getProviders().keys()].map(name => ({ name, displayName: displayName(name) }));
+}
+
+function checkRedirectUri(redirectUri) {
+  const allowed = (process.env.OAUTH_REDIRECT_URIS || '').split(',').map(uri => uri.trim()).filter(Boolean);
+  if (!allowed.includes(redirectUri)) {
+    throw oauthError('redirectUri is not an allowed OAuth redirect URI', 400, 'INVALID_REDIRECT_URI');
+  }
+}
+
+/**
+ * Begin a sign-in or link with a provider
+ * @param {string} providerName
+ * @param {Object} options
+ * @param {string} options.redirectUri - Client page the provider sends the browser back to (OAUTH_REDIRECT_URIS)
+ * @param {string} [options.intent='login'] - 'login' | 'link'
+ * @param {string} [options.accountId] - Account to link to, for 'link'
+ * @param {Object} [options.req] - Express request
+ * @returns {Promise<Object>} - { authorizationUrl, state }
+ */
+async function startAuthorization(providerName, { redirectUri, intent = 'login', accountId = null, req }) {
+  const provider = getProvider(providerName);
+  checkRedirectUri(redirectUri);
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  await OAuthState.create({
+    stateHash: hash(state),
+    provider: providerName,
+    intent,
+    account: accountId,
+    redirectUri,
+    nonce,
+    codeVerifier,
+    ipAddress: req?.ip || null,
+    expiresAt: new Date(Date.now() + STATE_EXPIRY_MINUTES * 60 * 1000)
+  });
+
+  let authorizationUrl;
+  try {
+    authorizationUrl = await provider.getAuthorizationUrl({ redirectUri, state, nonce, codeVerifier });
+  } catch (error) {
+    logError(`❌ ${providerName} discovery failed: ${error.message}`);
+    throw oauthError(`Sign-in with ${displayName(providerName)} is unavailable right now`, 502, 'PROVIDER_UNAVAILABLE');
+  }
+  return { authorizationUrl, state };
+}
+
+async function createAccount(providerName, identity, req) {
+  const name = (identity.name || identity.email.split('@')[0]).slice(0, 50);
+  const createdAtKey = `${identity.email}_${Date.now()}`;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const [user] = await User.create([{
+      name,
+      email: identity.email,
+      // Never used to sign in; the account signs in through the provider until a password is set
+      password: crypto.randomBytes(32).toString('hex'),
+      passwordSet: false,
+      identities: [{ provider: providerName, subject: identity.subject, email: identity.email }],
+      createdAtKey,
+      signupPlatform: detectPlatform(req?.get?.('User-Agent') || '')
+    }], { session });
+
+    await createDefaultProfile(user, name, createdAtKey, session);
+    await session.commitTransaction();
+
+    await clearCache(`email_exists:${identity.email}`);
+    await clearCache('all_users');
+    await recordAudit({
+      action: 'auth.oauth_account_created',
+      actor: { type: 'user', id: user._id },
+      req,
+      metadata: { provider: providerName }
+    });
+    console.log(`[${formatDate()}] - 🆕 Account created through ${providerName} | ${identity.email}`);
+    return user;
+  } catch (error) {
+    await session.abortTransaction().catch(() => {});
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+async function addIdentity(accountId, providerName, identity, req) {
+  const owner = await User.findOne({ 'identities.provider': providerName, 'identities.subject': identity.subject })
+    .select('_id')
+    .lean();
+  if (owner && String(owner._id) !== String(accountId)) {
+    throw oauthError(`This ${displayName(providerName)} account is already linked to another account`, 409, 'IDENTITY_IN_USE');
+  }
+
+  if (!owner) {
+    const result = await User.updateOne(
+      { _id: accountId, 'identities.provider': { $ne: providerName } },
+      { $push: { identities: { provider: providerName, subject: identity.subject, email: identity.email } } }
+    );
+    if (result.modifiedCount !== 1) {
+      throw oauthError(`Unlink your current ${displayName(providerName)} account first`, 409, 'PROVIDER_ALREADY_LINKED');
+    }
+    await recordAudit({
+      action: 'auth.identity_linked',
+      actor: { type: 'user', id: accountId },
+      req,
+      metadata: { provider: providerName, email: identity.email }
+    });
+  }
+
+  return User.findById(accountId);
+}
+
+// The identity's email belongs to an existing account: its owner has to confirm by email code
+async function requireLinkConfirmation(providerName, identity, account, req) {
+  const linkToken = crypto.randomBytes(32).toString('base64url');
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  await OAuthState.create({
+    stateHash: hash(linkToken),
+    provider: providerName,
+    intent: 'confirm_link',
+    account: account._id,
+    identity: { subject: identity.subject, email: identity.email, name: identity.name },
+    codeHash: hash(code),
+    ipAddress: req?.ip || null,
+    expiresAt: new Date(Date.now() + LINK_CODE_EXPIRY_MINUTES * 60 * 1000)
+  });
+
+  sendIdentityLinkEmail(account.email, account.name, {
+    code,
+    providerName: displayName(providerName),
+    expiresInMinutes: LINK_CODE_EXPIRY_MINUTES
+  }).catch(error => logError(`❌ Failed to send identity link email: ${error.message}`));
+
+  const error = oauthError(
+    'An account with this email already exists. Enter the code we emailed to it to link your sign-in.',
+    409,
+    'LINK_CONFIRMATION_REQUIRED'
+  );
+  error.linkToken = linkToken;
+  throw error;
+}
+
+/**
+ * Finish a sign-in or link after the provider redirects back
+ * @param {string} providerName
+ * @param {Object} params - { code, state } from the redirect
+ * @param {Object} [req] - Express request
+ * @returns {Promise<Object>} - { user, intent, created }
+ */
+async function completeAuthorization(providerName, { code, state }, req) {
+  const provider = getProvider(providerName);
+
+  const pending = await OAuthState.findOneAndDelete({
+    stateHash: hash(state),
+    provider: providerName,
+    intent: { $in: ['login', 'link'] },
+    expiresAt: { $gt: new Date() }
+  });
+  if (!pending) {
+    throw oauthError('Sign-in request is invalid or has expired. Please try again.', 400, 'INVALID_STATE');
+  }
+
+  let identity;
+  try {
+    const tokens = await provider.exchangeCode({ code, redirectUri: pending.redirectUri, codeVerifier: pending.codeVerifier });
+    identity = await provider.getIdentity(tokens, { nonce: pending.nonce });
+  } catch (error) {
+    logError(`❌ ${providerName} sign-in failed: ${error.response?.data?.error || error.message}`);
+    throw oauthError(`Sign-in with ${displayName(providerName)} failed. Please try again.`, 401, 'PROVIDER_AUTH_FAILED');
+  }
+
+  if (pending.intent === 'link') {
+    const user = await addIdentity(pending.account, providerName, identity, req);
+    return { user, intent: 'link', created: false };
+  }
+
+  const linked = await User.findOne({ 'identities.provider': providerName, 'identities.subject': identity.subject });
+  if (linked) {
+    if (!linked.isActive) {
+      throw oauthError('Account is inactive', 403, 'ACCOUNT_INACTIVE');
+    }
+    return { user: linked, intent: 'login', created: false };
+  }
+
+  if (!identity.email || !identity.emailVerified) {
+    throw oauthError(`${displayName(providerName)} did not share a verified email address`, 400, 'EMAIL_NOT_VERIFIED');
+  }
+
+  const existing = await User.findOne({ email: identity.email }).select('name email isActive');
+  if (existing) {
+    if (!existing.isActive) {
+      throw oauthError('Account is inactive', 403, 'ACCOUNT_INACTIVE');
+    }
+    return requireLinkConfirmation(providerName, identity, existing, req);
+  }
+
+  const user = await createAccount(providerName, identity, req);
+  return { user, intent: 'login', created: true };
+}
+
+/**
+ * Link an identity to the existing account with its email, using the code sent to that email
+ * @param {Object} params - { linkToken, code }
+ * @param {Object} [req] - Express request
+ * @returns {Promise<Object>} - User document
+ */
+async function confirmLink({ linkToken, code }, req) {
+  const pending = await OAuthState.findOne({
+    stateHash: hash(linkToken),
+    intent: 'confirm_link',
+    expiresAt: { $gt: new Date() }
+  });
+  if (!pending) {
+    throw oauthError('Link request is invalid or has expired. Please sign in again.', 400, 'INVALID_LINK_TOKEN');
+  }
+
+  const account = await User.findById(pending.account).select('email');
+  if (account && await getLockout(account.email)) {
+    throw oauthError('Too many failed attempts. This account is temporarily locked; check your email for an unlock link or try again later.', 423, 'ACCOUNT_LOCKED');
+  }
+
+  // Take an attempt before comparing, so parallel guesses cannot get past MAX_LINK_CODE_ATTEMPTS
+  const counted = await OAuthState.updateOne(
+    { _id: pending._id, attempts: { $lt: MAX_LINK_CODE_ATTEMPTS } },
+    { $inc: { attempts: 1 } }
+  );
+  if (counted.modifiedCount === 0) {
+    throw oauthError('Too many failed attempts. Please sign in again.', 429, 'TOO_MANY_ATTEMPTS');
+  }
+
+  if (!crypto.timingSafeEqual(Buffer.from(hash(String(code).trim())), Buffer.from(pending.codeHash))) {
+    await recordFailedAttempt(account?.email, req);
+    throw oauthError('Invalid code', 400, 'INVALID_LINK_CODE');
+  }
+
+  // Single use: whoever deletes it links
+  if (!(await OAuthState.findOneAndDelete({ _id: pending._id }))) {
+    throw oauthError('Link request is invalid or has expired. Please sign in again.', 400, 'INVALID_LINK_TOKEN');
+  }
+
+  const user = await addIdentity(pending.account, pending.provider, pending.identity, req);
+  await clearFailedAttempts(user.email);
+  return user;
+}
+
+/**
+ * External identities linked to an account
+ * @param {string} accountId
+ * @returns {Promise<Object>} - { identities, passwordSet, available }
+ */
+async function listIdentities(accountId) {
+  const user = await User.findById(accountId).select('identities passwordSet').lean();
+  return {
+    identities: (user?.identities || []).map(identity => ({
+      provider: identity.provider,
+      displayName: displayName(identity.provider),
+      email: identity.email,
+      linkedAt: identity.linkedAt
+    })),
+    passwordSet: user?.passwordSet !== false,
+    available: listProviders()
+  };
+}
+
+/**
+ * Remove a provider from an account
+ * Refused when it is the account's only way to sign in.
+ * @param {string} accountId
+ * @param {string} providerName
+ * @param {Object} [req] - Express request
+ * @returns {Promise<void>}
+ */
+async function unlinkIdentity(accountId, providerName, req) {
+  const user = await User.findById(accountId).select('identities passwordSet');
+  if (!user || !user.identities.some(identity => identity.provider === providerName)) {
+    throw oauthError(`No ${displayName(providerName)} account is linked`, 404, 'IDENTITY_NOT_FOUND');
+  }
+  if (user.passwordSet === false && user.identities.length === 1) {
+    throw oauthError('Set a password before unlinking your only sign-in method', 400, 'LAST_SIGN_IN_METHOD');
+  }
+
+  await User.updateOne({ _id: accountId }, { $pull: { identities: { provider: providerName } } });
+  await recordAudit({
+    action: 'auth.identity_unlinked',
+    actor: { type: 'user', id: accountId },
+    req,
+    metadata: { provider: providerName }
+  });
+}
+
+module.exports = {
+  listProviders,
+  startAuthorization,
+  completeAuthorization,
+  confirmLink,
+  listIdentities,
+  unlinkIdentity
+};
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { setJSON, clearCache } = require('./redis');
+const { reserveStock, restoreStock } = require('./inventoryService');
+const { priceItems, getMismatchPolicy, roundMoney } = require('./pricingService');
+const { findCoupon, evaluateCoupon, redeemCoupon, releaseCoupon } = require('./couponService');
+const { quoteShipping } = require('./shippingService');
+const { getProvider, getOrderProvider, resolveProvider } = require('../payments');
+const { formatDate } = require('./logging');
+
+/**
+ * Order service
+ * - placeOrder() is the one path that turns priced lines into an Order:
+ *   price → coupon → shipping → reserve stock → redeem coupon → create
+ * - Used by POST /api/pos/orders and POST /api/cart/checkout
+ *
+ * Failures the client can act on are thrown with `statusCode` (and `errors` when there are per-line details).
+ */
+
+function orderError(message, statusCode, code, errors) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (errors) {
+    error.errors = errors;
+  }
+  return error;
+}
+
+/**
+ * Generate a unique order id, e.g. ORD-LX2K9QZ1-7F3A
+ * @returns {string}
+ */
+function generateOrderId() {
+  return `ORD-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Create an order from client lines
+ * @param {Object} params
+ * @param {string} params.userId - Customer the order belongs to
+ * @param {Object} params.customer - { address, phonenumber }
+ * @param {Array} params.items - [{ product, quantity, price?, size? }]
+ * @param {Object} params.paymentMethod - { type, details }
+ * @param {string} [params.deliveryType='pickup']
+ * @param {string} [params.paymentProvider] - Provider for online payments; defaults to the first that accepts the method
+ * @param {string} [params.couponCode]
+ * @param {string} [params.checkoutKey] - Unique key that makes a cart checkout idempotent
+ * @param {Object} params.historyEntry - { actor, actorId, reason } for the initial statusHistory entry
+ * @returns {Promise<Object>} - Created order, products populated
+ */
+async function placeOrder({ userId, customer, items, paymentMethod, deliveryType = 'pickup', paymentProvider, couponCode, checkoutKey, historyEntry }) {
+  // Pick the payment provider first so an unsupported method fails before anything is reserved
+  const providerName = resolveProvider(paymentMethod.type, paymentProvider);
+
+  // Re-price every line from the catalog - client prices are never charged
+  const pricing = await priceItems(items);
+
+  if (pricing.missing.length > 0) {
+    throw orderError(
+      'One or more products not found',
+      400,
+      'PRODUCT_NOT_FOUND',
+      pricing.missing.map(product => ({ product, message: 'Product not found' }))
+    );
+  }
+
+  if (pricing.mismatches.length > 0 && getMismatchPolicy() === 'reject') {
+    console.log(`[${formatDate()}] - ❌ Order rejected: client prices disagree with catalog`);
+    throw orderError('Prices have changed. Please review your order.', 409, 'PRICE_MISMATCH', pricing.mismatches);
+  }
+
+  // Delivery fee comes from the shipping zone rules
+  const shippingQuote = await quoteShipping({
+    deliveryType,
+    address: customer.address,
+    lines: pricing.lines,
+    products: pricing.products,
+    subtotal: pricing.subtotal
+  });
+  const deliveryFeeAmount = shippingQuote.fee;
+
+  // Evaluate the coupon against server prices
+  let couponResult = null;
+  if (couponCode) {
+    const coupon = await findCoupon(couponCode);
+    couponResult = await evaluateCoupon(coupon, {
+      userId,
+      lines: pricing.lines,
+      products: pricing.products,
+      deliveryFee: deliveryFeeAmount
+    });
+  }
+
+  // Reserve stock for every line item before the order exists
+  const reservation = await reserveStock(pricing.lines);
+  if (!reservation.success) {
+    console.log(`[${formatDate()}] - ❌ Insufficient stock for ${reservation.errors.length} item(s)`);
+    throw orderError('Insufficient stock for one or more items', 409, 'INSUFFICIENT_STOCK', reservation.errors);
+  }
+
+  const orderId = generateOrderId();
+
+  // Subtotal from server prices, less coupon discounts
+  const subtotal = pricing.subtotal;
+  const itemDiscount = couponResult ? couponResult.itemDiscount : 0;
+  const deliveryDiscount = couponResult ? couponResult.deliveryDiscount : 0;
+  const discountTotal = roundMoney(itemDiscount + deliveryDiscount);
+  const total = roundMoney(Math.max(0, subtotal - itemDiscount) + deliveryFeeAmount - deliveryDiscount);
+
+  // Redeem the coupon; limits are re-checked atomically here
+  if (couponResult) {
+    const redeemed = await redeemCoupon(couponResult.coupon, userId, orderId, discountTotal);
+    if (!redeemed) {
+      await restoreStock(pricing.lines);
+      throw orderError('Coupon usage limit has been reached', 409, 'COUPON_LIMIT_REACHED');
+    }
+  }
+
+  let order;
+  try {
+    order = await Order.create({
+      id: orderId,
+      checkoutKey,
+      customer: {
+        userid: userId,
+        address: customer.address || null,
+        phonenumber: customer.phonenumber
+      },
+      items: pricing.lines,
+      subtotal,
+      totalAmount: total,
+      total,
+      pricingFlagged: pricing.mismatches.length > 0,
+      coupon: couponResult
+        ? { code: couponResult.coupon.code, couponId: couponResult.coupon._id }
+        : undefined,
+      discounts: couponResult ? couponResult.discounts : [],
+      discountTotal,
+      deliveryType,
+      deliveryFee: deliveryFeeAmount,
+      shipping: {
+        zoneId: shippingQuote.zone?.id,
+        zoneName: shippingQuote.zone?.name,
+        weightKg: shippingQuote.weightKg,
+        freeShippingApplied: shippingQuote.freeShippingApplied
+      },
+      paymentMethod: {
+        type: paymentMethod.type,
+        details: paymentMethod.details
+      },
+      paymentProvider: providerName,
+      inventoryStatus: 'reserved',
+      statusHistory: [{
+        from: null,
+        to: 'pending',
+        actor: historyEntry.actor,
+        actorId: historyEntry.actorId ? String(historyEntry.actorId) : undefined,
+        reason: historyEntry.reason || 'Order placed'
+      }]
+    });
+  } catch (createError) {
+    // Give the reserved stock and coupon back if the order could not be saved
+    await restoreStock(pricing.lines);
+    if (couponResult) {
+      await releaseCoupon(couponResult.coupon.code, orderId);
+    }
+    console.log(`[${formatDate()}] - ↩️ Stock reservation rolled back after order creation failure`);
+    throw createError;
+  }
+
+  // Add order to user's orders array
+  await User.findByIdAndUpdate(
+    userId,
+    { $push: { orders: order._id } },
+    { new: true }
+  );
+
+  return cacheOrder(order._id);
+}
+
+/**
+ * Load an order with products populated and cache it for 1 hour
+ * @param {string} orderObjectId - Order _id
+ * @returns {Promise<Object>}
+ */
+async function cacheOrder(orderObjectId) {
+  const populatedOrder = await Order.findById(orderObjectId)
+    .populate('items.product', '-__v')
+    .lean();
+
+  await setJSON(`order:${populatedOrder.id}`, populatedOrder, 3600);
+  console.log(`[${formatDate()}] - 💾 Order cached in Redis for 1 hour: ${populatedOrder.id}`);
+  return populatedOrder;
+}
+
+/**
+ * Minutes an order's payment link stays payable (PAYMENT_LINK_EXPIRY_MINUTES, default 60)
+ * @returns {number}
+ */
+function getLinkExpiryMinutes() {
+  const minutes = parseInt(process.env.PAYMENT_LINK_EXPIRY_MINUTES, 10);
+  return Number.isNaN(minutes) || minutes <= 0 ? 60 : minutes;
+}
+
+/**
+ * Create a hosted checkout for an order with its payment provider and store it on the order
+ * Reuses the existing checkout unless a different provider or a fresh link is asked for.
+ * A replaced checkout is expired first so only one can be paid.
+ * @param {Object} order - Order (lean)
+ * @param {string} [providerName] - Switch the order to this provider
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Create a fresh link even if one exists
+ * @returns {Promise<Object>} - order.paymentLink
+ */
+async function createOrderCheckout(order, providerName, { replace = false } = {}) {
+  const current = order.paymentLink;
+  const switching = providerName && providerName !== order.paymentProvider;
+  if (!switching && !replace && current?.id && current?.checkoutUrl) {
+    return current;
+  }
+
+  const provider = switching ? getProvider(providerName) : getOrderProvider(order);
+  if (!provider) {
+    throw orderError('Cash orders are paid at the counter', 400, 'PAYMENT_METHOD_UNSUPPORTED');
+  }
+
+  if (current?.id && current?.checkoutUrl) {
+    const expired = await getOrderProvider(order).expireCheckout(current.id);
+    if (expired.paid) {
+      throw orderError('Order has already been paid', 409, 'ALREADY_PAID');
+    }
+  }
+
+  const checkout = await provider.createCheckout(order);
+  const now = new Date();
+  const paymentLink = {
+    id: checkout.checkoutId,
+    checkoutUrl: checkout.checkoutUrl,
+    reference: checkout.reference,
+    status: checkout.status,
+    paid: false,
+    createdAt: now,
+    // A replacement link keeps the order's original payment window
+    expiresAt: current?.expiresAt || new Date(now.getTime() + getLinkExpiryMinutes() * 60 * 1000),
+    reminderSentAt: current?.reminderSentAt
+  };
+
+  await Order.updateOne({ _id: order._id }, { $set: { paymentLink, paymentProvider: provider.name } });
+  await clearCache(`order:${order.id}`);
+  console.log(`[${formatDate()}] - 🔗 ${provider.name} checkout ${paymentLink.id} created for order ${order.id} | Expires: ${paymentLink.expiresAt.toISOString()}`);
+  return paymentLink;
+}
+
+/**
+ * Find the order created by an earlier checkout with the same key
+ * @param {string} checkoutKey
+ * @returns {Promise<Object|null>}
+ */
+async function findOrderByCheckoutKey(checkoutKey) {
+  return Order.findOne({ checkoutKey })
+    .populate('items.product', '-__v')
+    .lean();
+}
+
+module.exports = {
+  generateOrderId,
+  placeOrder,
+  cacheOrder,
+  getLinkExpiryMinutes,
+  createOrderCheckout,
+  findOrderByCheckoutKey
+};
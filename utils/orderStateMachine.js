@@ -0,0 +1,250 @@
+const Order = require('../models/Order');
+const { releaseOrderStock, commitOrderStock } = require('./inventoryService');
+const { releaseCoupon } = require('./couponService');
+const { hasPermission } = require('./permissions');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Order state machine
+ * - The single source of truth for which status changes are allowed and by whom
+ * - Every change is applied with a guarded update (status must still be `from`)
+ *   and appended to `Order.statusHistory`
+ *
+ * Actors:
+ *   cashier - POS staff
+ *   admin   - back office
+ *   user    - the customer who placed the order
+ *   webhook - PayMongo events
+ *   system  - background jobs
+ */
+
+const ORDER_STATUSES = ['pending', 'paid', 'processing', 'received', 'preparing', 'shipped', 'delivered', 'cancelled'];
+const ACTORS = ['cashier', 'admin', 'user', 'webhook', 'system'];
+
+// Payment statuses where the store still holds money the customer paid
+const PAYMENT_HELD = ['paid', 'partially_refunded'];
+
+const STAFF = ['cashier', 'admin'];
+const ANY_CANCEL = ['cashier', 'admin', 'webhook', 'system'];
+// Customers may cancel until the store starts preparing the order
+const CUSTOMER_CANCEL = [...ANY_CANCEL, 'user'];
+
+// from -> { to: [actors allowed to make this change] }
+const TRANSITIONS = {
+  pending: {
+    // Cashiers mark an order paid by collecting cash; see canEnterStatus
+    paid: ['webhook', 'system', 'cashier'],
+    processing: STAFF,
+    received: STAFF,
+    cancelled: CUSTOMER_CANCEL
+  },
+  paid: {
+    processing: STAFF,
+    received: STAFF,
+    // Not the webhook: no payment event should undo a payment that went through
+    cancelled: CUSTOMER_CANCEL.filter(actor => actor !== 'webhook')
+  },
+  processing: {
+    preparing: STAFF,
+    cancelled: ANY_CANCEL
+  },
+  received: {
+    preparing: STAFF,
+    cancelled: CUSTOMER_CANCEL
+  },
+  preparing: {
+    shipped: STAFF,
+    cancelled: STAFF
+  },
+  shipped: {
+    delivered: STAFF,
+    cancelled: STAFF
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+/**
+ * Map an authenticated account to a state machine actor
+ * Cashier accounts act as cashiers; other accounts that can see every order act as back office.
+ * @param {Object} user - req.user
+ * @returns {string}
+ */
+function actorFromUser(user) {
+  if (user?.accountType === 'cashier') return 'cashier';
+  if (hasPermission(user, 'orders:read')) return 'admin';
+  return 'user';
+}
+
+/**
+ * Statuses an actor may move an order to from its current status
+ * @param {string} from - Current status
+ * @param {string} [actor] - Restrict to this actor
+ * @returns {string[]}
+ */
+function getNextStatuses(from, actor) {
+  const targets = TRANSITIONS[from] || {};
+  return Object.keys(targets).filter(to => !actor || targets[to].includes(actor));
+}
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} actor - Who is asking
+ * @returns {boolean}
+ */
+function canTransition(from, to, actor) {
+  return Boolean(TRANSITIONS[from]?.[to]?.includes(actor));
+}
+
+/**
+ * Check the order itself allows entering a status
+ * An order only becomes paid once its payment is recorded, by a webhook or a cash collection.
+ * @param {Object} order - Current order (status, paymentStatus)
+ * @param {string} to - Requested status
+ * @param {Object} set - Fields written together with the status
+ * @returns {boolean}
+ */
+function canEnterStatus(order, to, set) {
+  if (to === 'paid') {
+    return (set.paymentStatus ?? order.paymentStatus) === 'paid';
+  }
+  return true;
+}
+
+function transitionError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Build the filter used to find an order by MongoDB _id or custom id
+ * @param {string|Object} orderRef - Order document, _id or custom order id
+ * @returns {Object}
+ */
+function orderFilter(orderRef) {
+  if (orderRef && typeof orderRef === 'object' && orderRef._id) {
+    return { _id: orderRef._id };
+  }
+  const ref = String(orderRef);
+  return ref.match(/^[0-9a-fA-F]{24}$/) ? { _id: ref } : { id: ref };
+}
+
+/**
+ * Run the side effects that belong to entering a status
+ * @param {Object} order - Order after the change
+ */
+async function applySideEffects(order) {
+  if (order.status === 'cancelled') {
+    await releaseOrderStock(order._id);
+    // A cancelled order should not use up the customer's coupon allowance
+    if (order.coupon?.code) {
+      await releaseCoupon(order.coupon.code, order.id);
+    }
+  } else if (order.status === 'delivered') {
+    await commitOrderStock(order._id);
+  }
+}
+
+/**
+ * Move an order to a new status
+ * Throws an error with `statusCode` 400/404/409 when the change is not allowed.
+ * Moving to the current status is a no-op and is not recorded.
+ * @param {string|Object} orderRef - Order document, _id or custom order id
+ * @param {string} to - Requested status
+ * @param {Object} options
+ * @param {string} options.actor - One of ACTORS
+ * @param {string} [options.actorId] - User / cashier id, event id, job name
+ * @param {string} [options.reason] - Free text stored on the history entry
+ * @param {Object} [options.set] - Extra fields to set in the same update
+ * @returns {Promise<{order: Object, changed: boolean, from: string}>}
+ */
+async function transitionOrder(orderRef, to, { actor, actorId, reason, set = {} } = {}) {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw transitionError(`Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`, 400, 'INVALID_STATUS');
+  }
+  if (!ACTORS.includes(actor)) {
+    throw transitionError(`Invalid actor: ${actor}`, 400, 'INVALID_ACTOR');
+  }
+
+  const filter = orderFilter(orderRef);
+  const current = await Order.findOne(filter).select('status paymentStatus').lean();
+
+  if (!current) {
+    throw transitionError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+
+  const from = current.status;
+
+  if (from === to) {
+    const order = await Order.findById(current._id).lean();
+    return { order, changed: false, from };
+  }
+
+  if (!canTransition(from, to, actor)) {
+    const allowed = getNextStatuses(from, actor);
+    throw transitionError(
+      `Invalid status change: cannot move order from ${from} to ${to} as ${actor}` +
+        (allowed.length ? `. Allowed: ${allowed.join(', ')}` : ''),
+      400,
+      'INVALID_TRANSITION'
+    );
+  }
+
+  if (!canEnterStatus(current, to, set)) {
+    throw transitionError(`Order cannot be marked ${to} before its payment is recorded`, 400, 'PAYMENT_REQUIRED');
+  }
+
+  // A cancelled order that still holds the customer's money is flagged until it is refunded in full
+  // (utils/refundService clears the flag); the customer path refunds right away, staff refund from the flag
+  const holdsPayment = to === 'cancelled' && PAYMENT_HELD.includes(current.paymentStatus);
+
+  // Guarded on the status we validated against so concurrent updates cannot skip a rule
+  const order = await Order.findOneAndUpdate(
+    { _id: current._id, status: from },
+    {
+      $set: { ...set, status: to, ...(holdsPayment && { refundRequired: true }) },
+      $push: {
+        statusHistory: {
+          from,
+          to,
+          actor,
+          actorId: actorId ? String(actorId) : undefined,
+          reason,
+          timestamp: new Date()
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!order) {
+    throw transitionError('Order status was changed by another request. Please retry.', 409, 'TRANSITION_CONFLICT');
+  }
+
+  console.log(`[${formatDate()}] - 🔀 Order ${order.id} moved ${from} → ${to} | Actor: ${actor}${reason ? ` | Reason: ${reason}` : ''}`);
+  if (holdsPayment) {
+    console.log(`[${formatDate()}] - 💸 Order ${order.id} was cancelled with payment ${order.paymentStatus}; flagged for refund`);
+  }
+
+  try {
+    await applySideEffects(order);
+  } catch (error) {
+    logError(`❌ Side effects failed for order ${order.id} (${from} → ${to}): ${error.message}`);
+  }
+
+  return { order, changed: true, from };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ACTORS,
+  TRANSITIONS,
+  actorFromUser,
+  getNextStatuses,
+  canTransition,
+  transitionOrder
+};
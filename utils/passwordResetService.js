@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { revokeAccountSessions } = require('./sessionService');
+const { recordFailedAttempt, clearFailedAttempts, normalizeIdentifier } = require('./throttleService');
+const { recordAudit } = require('./auditLog');
+const { clearCache } = require('./redis');
+const { sendPasswordChangedEmail } = require('../helpers/emailService');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Password reset by emailed code
+ * - `createResetOtp` issues a 6-digit code; `verifyResetOtp` trades it for a reset token that
+ *   `resetPassword` accepts once
+ * - Only SHA-256 hashes of the code and token are stored; each works once, and MAX_ATTEMPTS wrong
+ *   guesses throw it away. Wrong codes also count toward the account lockout (utils/throttleService.js)
+ * - A new password logs out every session and emails the account
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+const OTP_EXPIRY_MINUTES = 10;
+const TOKEN_EXPIRY_MINUTES = 5;
+const MAX_ATTEMPTS = 5;
+
+function resetError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+function sameHash(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Count a wrong code or token; the last allowed miss discards it.
+// The count comes back from the increment itself, so parallel guesses each see their own number.
+async function recordWrongGuess(user, fields) {
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { passwordResetAttempts: 1 } },
+    { new: true }
+  ).select('+passwordResetAttempts').lean();
+
+  if (counted && counted.passwordResetAttempts >= MAX_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: Object.fromEntries(fields.map(field => [field, 1])), $set: { passwordResetAttempts: 0 } }
+    );
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Issue a reset code for an account, replacing any earlier code or token
+ * @param {string} email
+ * @returns {Promise<Object>} - { otp, otpExpiry }: the plain code, for the email only
+ */
+async function createResetOtp(email) {
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const otpExpiry = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
+
+  await User.updateOne(
+    { email: normalizeIdentifier(email) },
+    {
+      $set: { passwordResetOtp: hash(otp), passwordResetOtpExpiry: otpExpiry, passwordResetAttempts: 0 },
+      $unset: { passwordResetToken: 1, passwordResetTokenExpiry: 1 }
+    }
+  );
+  return { otp, otpExpiry };
+}
+
+/**
+ * Check a reset code and issue the token that sets the new password
+ * @param {string} email
+ * @param {string} otp
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { resetToken, resetTokenExpiry }
+ */
+async function verifyResetOtp(email, otp, req) {
+  const normalized = normalizeIdentifier(email);
+  const user = await User.findOne({ email: normalized, isActive: true })
+    .select('+passwordResetOtp +passwordResetOtpExpiry +passwordResetAttempts');
+
+  if (!user) {
+    throw resetError('User not found', 404, 'USER_NOT_FOUND');
+  }
+  if (!user.passwordResetOtp || !user.passwordResetOtpExpiry) {
+    throw resetError('No reset request found. Please request a new password reset.', 400, 'NO_RESET_REQUEST');
+  }
+  if (Date.now() > user.passwordResetOtpExpiry) {
+    throw resetError('OTP has expired. Please request a new password reset.', 400, 'OTP_EXPIRED');
+  }
+
+  if (!sameHash(hash(String(otp).trim()), user.passwordResetOtp)) {
+    await recordFailedAttempt(normalized, req);
+    if (await recordWrongGuess(user, ['passwordResetOtp', 'passwordResetOtpExpiry'])) {
+      throw resetError('Too many invalid attempts. Please request a new password reset.', 400, 'TOO_MANY_ATTEMPTS');
+    }
+    throw resetError('Invalid OTP. Please try again.', 400, 'INVALID_OTP');
+  }
+
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const resetTokenExpiry = new Date(Date.now() + TOKEN_EXPIRY_MINUTES * 60 * 1000);
+
+  // Single use: only the request that still finds this code, within its attempts, gets a token
+  const claimed = await User.updateOne(
+    { _id: user._id, passwordResetOtp: user.passwordResetOtp, passwordResetAttempts: { $lt: MAX_ATTEMPTS } },
+    {
+      $set: { passwordResetToken: hash(resetToken), passwordResetTokenExpiry: resetTokenExpiry, passwordResetAttempts: 0 },
+      $unset: { passwordResetOtp: 1, passwordResetOtpExpiry: 1 }
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw resetError('No reset request found. Please request a new password reset.', 400, 'NO_RESET_REQUEST');
+  }
+
+  await clearFailedAttempts(normalized);
+  return { resetToken, resetTokenExpiry };
+}
+
+/**
+ * Set a new password with a reset token, then log out everywhere
+ * @param {Object} params - { email, token, password }
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - The user
+ */
+async function resetPassword({ email, token, password }, req) {
+  const normalized = normalizeIdentifier(email);
+  const user = await User.findOne({ email: normalized, isActive: true })
+    .select('+passwordResetToken +passwordResetTokenExpiry +passwordResetAttempts');
+
+  if (!user) {
+    throw resetError('User not found', 404, 'USER_NOT_FOUND');
+  }
+  if (!user.passwordResetToken || !user.passwordResetTokenExpiry) {
+    throw resetError('Invalid or expired reset token. Please request a new password reset.', 400, 'INVALID_RESET_TOKEN');
+  }
+  if (Date.now() > user.passwordResetTokenExpiry) {
+    throw resetError('Reset token has expired. Please request a new password reset.', 400, 'RESET_TOKEN_EXPIRED');
+  }
+  if (!sameHash(hash(String(token)), user.passwordResetToken)) {
+    await recordWrongGuess(user, ['passwordResetToken', 'passwordResetTokenExpiry']);
+    throw resetError('Invalid reset token. Please request a new password reset.', 400, 'INVALID_RESET_TOKEN');
+  }
+
+  // Single use: only the request that still finds this token, within its attempts, sets the password
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, passwordResetToken: user.passwordResetToken, passwordResetAttempts: { $lt: MAX_ATTEMPTS } },
+    { $unset: { passwordResetToken: 1, passwordResetTokenExpiry: 1 }, $set: { passwordResetAttempts: 0 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw resetError('Invalid or expired reset token. Please request a new password reset.', 400, 'INVALID_RESET_TOKEN');
+  }
+
+  claimed.password = password;
+  claimed.passwordSet = true;
+  await claimed.save();
+
+  // Login caches the password hash by email
+  await clearCache(`user:${claimed.email}`);
+  await revokeAccountSessions(claimed._id, 'user', 'password_reset');
+
+  await recordAudit({
+    action: 'auth.password_reset',
+    actor: { type: 'user', id: claimed._id },
+    req,
+    metadata: { email: claimed.email }
+  });
+  console.log(`[${formatDate()}] - 🔑 Password reset | ${claimed.email}`);
+
+  sendPasswordChangedEmail(claimed.email, claimed.name, { changedAt: new Date(), ipAddress: req.ip })
+    .catch(error => logError(`❌ Failed to send password changed email: ${error.message}`));
+
+  return claimed;
+}
+
+module.exports = {
+  createResetOtp,
+  verifyResetOtp,
+  resetPassword
+};
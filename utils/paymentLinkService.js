@@ -0,0 +1,164 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const { getOrderProvider } = require('../payments');
+const { createOrderCheckout, getLinkExpiryMinutes } = require('./orderService');
+const { transitionOrder } = require('./orderStateMachine');
+const { clearCache } = require('./redis');
+const { sendPaymentReminder } = require('../helpers/emailService');
+const { sendPushNotification } = require('../helpers/oneSignalNotification');
+const { saveOrderStatusNotification } = require('../helpers/notificationHelper');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Payment link expiry and abandoned checkout recovery
+ * - Shortly before an unpaid link expires, the customer gets a fresh link by email and push
+ * - Once it expires, the link is archived and the order cancelled, which releases its stock and coupon
+ *
+ * PAYMENT_LINK_EXPIRY_MINUTES: how long a link stays payable (default 60, see orderService)
+ * PAYMENT_LINK_REMINDER_MINUTES: how long before expiry the reminder goes out (default 15, 0 turns reminders off)
+ */
+
+const BATCH_SIZE = 50;
+const JOB_ACTOR_ID = 'payment-link-expiry';
+
+function getReminderMinutes() {
+  const minutes = parseInt(process.env.PAYMENT_LINK_REMINDER_MINUTES, 10);
+  return Number.isNaN(minutes) || minutes < 0 ? 15 : minutes;
+}
+
+// Pending orders with a link that can still be paid, including after a declined attempt
+const UNPAID_LINK = {
+  status: 'pending',
+  paymentStatus: { $in: ['pending', 'failed'] },
+  'paymentLink.id': { $exists: true, $ne: null },
+  'paymentLink.checkoutUrl': { $exists: true, $ne: null },
+  'paymentLink.paid': { $ne: true }
+};
+
+async function remindCustomer(order, paymentLink) {
+  const user = await User.findById(order.customer.userid).select('name email').lean();
+  if (!user) {
+    return;
+  }
+
+  await sendPaymentReminder(user.email, user.name, {
+    orderNumber: order.id,
+    totalAmount: order.totalAmount,
+    checkoutUrl: paymentLink.checkoutUrl,
+    expiresAt: paymentLink.expiresAt
+  });
+
+  const profile = await Profile.findOne({ userId: user._id }).select('createdAtKey').lean();
+  if (profile?.createdAtKey) {
+    await sendPushNotification(
+      profile.createdAtKey,
+      'Complete your payment',
+      `Order ${order.id} will be cancelled soon if it is not paid. Tap to pay now.`,
+      { orderId: order.id, checkoutUrl: paymentLink.checkoutUrl }
+    );
+  }
+}
+
+/**
+ * Send a fresh link to customers whose link expires within the reminder window
+ * @returns {Promise<number>} - Reminders sent
+ */
+async function sendPaymentReminders() {
+  const reminderMinutes = getReminderMinutes();
+  if (reminderMinutes === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const orders = await Order.find({
+    ...UNPAID_LINK,
+    'customer.userid': { $exists: true, $ne: null },
+    'paymentLink.reminderSentAt': null,
+    'paymentLink.expiresAt': { $gt: now, $lte: new Date(now.getTime() + reminderMinutes * 60 * 1000) }
+  })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let sent = 0;
+  for (const order of orders) {
+    // Claim the reminder so overlapping runs or instances send it once
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, 'paymentLink.reminderSentAt': null },
+      { $set: { 'paymentLink.reminderSentAt': now } },
+      { new: true }
+    ).lean();
+    if (!claimed) {
+      continue;
+    }
+
+    try {
+      const paymentLink = await createOrderCheckout(claimed, null, { replace: true });
+      await remindCustomer(claimed, paymentLink);
+      sent += 1;
+      console.log(`[${formatDate()}] - ⏰ Payment reminder sent for order ${order.id} | Link: ${paymentLink.id}`);
+    } catch (error) {
+      logError(`❌ Payment reminder failed for order ${order.id}: ${error.message}`);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Archive expired links and cancel their orders
+ * Orders from before links had an expiry use their creation time.
+ * @returns {Promise<number>} - Orders cancelled
+ */
+async function expireUnpaidOrders() {
+  const now = new Date();
+  const orders = await Order.find({
+    ...UNPAID_LINK,
+    $or: [
+      { 'paymentLink.expiresAt': { $lte: now } },
+      { 'paymentLink.expiresAt': null, createdAt: { $lte: new Date(now.getTime() - getLinkExpiryMinutes() * 60 * 1000) } }
+    ]
+  })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let cancelled = 0;
+  for (const order of orders) {
+    try {
+      // Archive first so the link cannot be paid while the order is being cancelled
+      const expired = await getOrderProvider(order).expireCheckout(order.paymentLink.id);
+      if (expired.paid) {
+        console.log(`[${formatDate()}] - ⚠️  Link ${order.paymentLink.id} for order ${order.id} was paid; leaving it to the payment webhook`);
+        continue;
+      }
+
+      const result = await transitionOrder(order._id, 'cancelled', {
+        actor: 'system',
+        actorId: JOB_ACTOR_ID,
+        reason: 'Payment link expired',
+        set: {
+          'paymentLink.status': 'expired',
+          'paymentLink.checkoutUrl': null
+        }
+      });
+      if (!result.changed) {
+        continue;
+      }
+
+      cancelled += 1;
+      await clearCache(`order:${order.id}`);
+      console.log(`[${formatDate()}] - ⌛ Order ${order.id} cancelled: payment link ${order.paymentLink.id} expired`);
+
+      if (order.customer?.userid) {
+        await saveOrderStatusNotification(order.customer.userid, order.id, 'cancelled', order.items);
+      }
+    } catch (error) {
+      logError(`❌ Could not expire payment link for order ${order.id}: ${error.message}`);
+    }
+  }
+  return cancelled;
+}
+
+module.exports = {
+  sendPaymentReminders,
+  expireUnpaidOrders
+};
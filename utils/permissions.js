@@ -0,0 +1,178 @@
+const Role = require('../models/Role');
+const { getJSON, setJSON, clearCache } = require('./redis');
+const { formatDate } = require('./logging');
+
+/**
+ * Roles and permissions
+ * - Every account has one role (User.role / Cashier.role); a role is a named set of permissions stored in the DB
+ * - Routes ask for permissions with `requirePermission()` (middleware/auth.js), never for role names
+ * - The default roles are seeded on startup and reproduce the access the env-key checks used to give
+ *
+ * Tokens issued before roles existed carry ADMIN_KEY / CASHIER_KEY as the role; those map to admin / cashier.
+ */
+
+const PERMISSIONS = {
+  'orders:create': 'Place orders through the POS and cart checkout',
+  'orders:read': 'View any order, not only your own',
+  'orders:update-status': 'Move orders through the status workflow',
+  'orders:returns': 'Approve, reject and receive return requests',
+  'payments:pay': 'Pay for your own orders with e-wallet sources',
+  'payments:refund': 'Refund payments and returns',
+  'payments:reconcile': 'View payment reconciliation reports',
+  'payments:webhooks': 'View and replay payment webhook events',
+  'products:write': 'Upload products and clear the product cache',
+  'coupons:write': 'Manage coupons',
+  'shipping:write': 'Manage shipping zones',
+  'cart:use': 'Use a shopping cart',
+  'profile:use': 'Manage your own profile',
+  'cash:collect': 'Collect cash for cash orders',
+  'cash:drawer': 'Open and close shifts and count your own cash drawer',
+  'cash:audit': "View any cashier's drawer, discrepancies, shifts and Z-reports",
+  'cashiers:manage': 'Register cashiers and force them to log out',
+  'roles:manage': 'Create roles and assign them to accounts'
+};
+
+const CUSTOMER = ['orders:create', 'payments:pay', 'cart:use', 'profile:use'];
+
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Back office',
+    requireTwoFactor: true,
+    permissions: [
+      'orders:create', 'orders:read', 'orders:returns',
+      'payments:refund', 'payments:reconcile', 'payments:webhooks',
+      'products:write', 'coupons:write', 'shipping:write',
+      'cart:use', 'profile:use', 'cash:audit', 'cashiers:manage', 'roles:manage'
+    ]
+  },
+  cashier: {
+    description: 'POS staff',
+    requireTwoFactor: true,
+    permissions: ['orders:read', 'orders:update-status', 'orders:returns', 'cash:collect', 'cash:drawer']
+  },
+  user: {
+    description: 'Customer',
+    permissions: CUSTOMER
+  },
+  guest: {
+    description: 'Customer without a full account',
+    permissions: CUSTOMER
+  }
+};
+
+const ROLE_CACHE_TTL = 300;
+
+/**
+ * Role name for an account, mapping legacy env-key roles
+ * @param {string} role - Stored or token role
+ * @param {string} [accountType='user'] - 'user' | 'cashier'
+ * @returns {string}
+ */
+function normalizeRoleName(role, accountType = 'user') {
+  if (role && role === process.env.ADMIN_KEY) return 'admin';
+  if (role && role === process.env.CASHIER_KEY) return 'cashier';
+  return role || (accountType === 'cashier' ? 'cashier' : 'user');
+}
+
+/**
+ * Permissions granted by a role (cached in Redis)
+ * Unknown roles grant nothing.
+ * @param {string} roleName
+ * @returns {Promise<string[]>}
+ */
+async function getRolePermissions(roleName) {
+  const cacheKey = `role:${roleName}`;
+  const cached = await getJSON(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+  const permissions = role?.permissions || [];
+  await setJSON(cacheKey, permissions, ROLE_CACHE_TTL);
+  return permissions;
+}
+
+/**
+ * Whether accounts with a role must use two-factor authentication (cached in Redis)
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+async function roleRequiresTwoFactor(roleName) {
+  const cacheKey = `role:2fa:${roleName}`;
+  const cached = await getJSON(cacheKey);
+  if (cached) {
+    return cached.required;
+  }
+
+  const role = await Role.findOne({ name: roleName }).select('requireTwoFactor').lean();
+  const required = Boolean(role?.requireTwoFactor);
+  await setJSON(cacheKey, { required }, ROLE_CACHE_TTL);
+  return required;
+}
+
+/**
+ * Drop a role's cached settings after it changes
+ * @param {string} roleName
+ */
+async function clearRoleCache(roleName) {
+  await clearCache(`role:${roleName}`);
+  await clearCache(`role:2fa:${roleName}`);
+}
+
+/**
+ * Check an authenticated account for a permission
+ * @param {Object} user - req.user (permissions are attached by `protect`)
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return Boolean(user?.permissions?.includes(permission));
+}
+
+/**
+ * Permission keys that are not in the catalog
+ * @param {string[]} permissions
+ * @returns {string[]}
+ */
+function unknownPermissions(permissions) {
+  return permissions.filter(permission => !PERMISSIONS[permission]);
+}
+
+/**
+ * Create the default roles that do not exist yet
+ * Existing roles are left as they are, so edits made through /api/roles survive restarts.
+ */
+async function ensureDefaultRoles() {
+  const result = await Role.bulkWrite(Object.entries(DEFAULT_ROLES).flatMap(([name, role]) => [
+    {
+      updateOne: {
+        filter: { name },
+        update: { $setOnInsert: { name, ...role, isSystem: true } },
+        upsert: true
+      }
+    },
+    // Roles seeded before requireTwoFactor existed pick up the default once
+    {
+      updateOne: {
+        filter: { name, requireTwoFactor: { $exists: false } },
+        update: { $set: { requireTwoFactor: Boolean(role.requireTwoFactor) } }
+      }
+    }
+  ]));
+  if (result.upsertedCount > 0) {
+    console.log(`[${formatDate()}] - 🔐 Seeded ${result.upsertedCount} default role(s)`);
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  normalizeRoleName,
+  getRolePermissions,
+  roleRequiresTwoFactor,
+  clearRoleCache,
+  hasPermission,
+  unknownPermissions,
+  ensureDefaultRoles
+};
@@ -0,0 +1,126 @@
+const Product = require('../models/Product');
+const { formatDate } = require('./logging');
+
+/**
+ * Pricing service
+ * - The Product document is the only source of truth for what a line costs
+ * - Client-supplied prices are compared against it and either rejected or flagged
+ *
+ * PRICE_MISMATCH_POLICY:
+ *   'reject' (default) - any line whose client price differs from the catalog is refused
+ *   'flag'             - the server price is charged and the line is marked priceMismatch
+ */
+
+// Prices closer than this are treated as equal (floating point / rounding noise)
+const PRICE_TOLERANCE = 0.01;
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Get the configured mismatch policy
+ * @returns {'reject'|'flag'}
+ */
+function getMismatchPolicy() {
+  return process.env.PRICE_MISMATCH_POLICY === 'flag' ? 'flag' : 'reject';
+}
+
+/**
+ * Compute the catalog and charged unit price for a product
+ * - catalogPrice: the list price before discount (originalPrice, falling back to price)
+ * - unitPrice: `price`, unless it still equals the list price while a discountPercent is set,
+ *   in which case the discount is applied to originalPrice
+ * @param {Object} product - Product document
+ * @returns {{catalogPrice: number, unitPrice: number, discountPercent: number}}
+ */
+function getUnitPrice(product) {
+  const discountPercent = product.discountPercent || 0;
+  const catalogPrice = roundMoney(product.originalPrice || product.price);
+  let unitPrice = roundMoney(product.price);
+
+  if (discountPercent > 0 && product.originalPrice && unitPrice >= catalogPrice) {
+    unitPrice = roundMoney(product.originalPrice * (1 - discountPercent / 100));
+  }
+
+  return { catalogPrice, unitPrice, discountPercent };
+}
+
+/**
+ * Check a client-supplied price against the server price
+ * @param {number|undefined} clientPrice - Price sent by the client (may be omitted)
+ * @param {number} unitPrice - Server price
+ * @returns {boolean} - True if a client price was sent and it disagrees
+ */
+function isPriceMismatch(clientPrice, unitPrice) {
+  if (clientPrice === undefined || clientPrice === null || clientPrice === '') {
+    return false;
+  }
+  return Math.abs(Number(clientPrice) - unitPrice) > PRICE_TOLERANCE;
+}
+
+/**
+ * Re-price order/cart lines from the Product collection
+ * @param {Array} items - Client lines ({ product, quantity, price? })
+ * @returns {Promise<Object>} - { lines, subtotal, mismatches, missing, products }
+ */
+async function priceItems(items = []) {
+  const productIds = [...new Set(items.map(item => String(item.product)))];
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('title imageSrc price originalPrice discountPercent stock category categoryId weight')
+    .lean();
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const lines = [];
+  const mismatches = [];
+  const missing = [];
+
+  items.forEach(item => {
+    const product = productMap.get(String(item.product));
+    if (!product) {
+      missing.push(String(item.product));
+      return;
+    }
+
+    const { catalogPrice, unitPrice, discountPercent } = getUnitPrice(product);
+    const priceMismatch = isPriceMismatch(item.price, unitPrice);
+
+    if (priceMismatch) {
+      mismatches.push({
+        product: product._id.toString(),
+        productName: product.title,
+        clientPrice: Number(item.price),
+        price: unitPrice,
+        message: 'Price does not match the current catalog price'
+      });
+    }
+
+    lines.push({
+      product: product._id,
+      productName: product.title,
+      productImage: product.imageSrc,
+      quantity: Number(item.quantity),
+      catalogPrice,
+      discountPercent,
+      price: unitPrice,
+      clientPrice: item.price !== undefined && item.price !== null ? Number(item.price) : undefined,
+      priceMismatch,
+      size: item.size
+    });
+  });
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + (line.price * line.quantity), 0));
+
+  if (mismatches.length > 0) {
+    console.log(`[${formatDate()}] - 🏷️ Price mismatch on ${mismatches.length} line(s) | Policy: ${getMismatchPolicy()}`);
+  }
+
+  return { lines, subtotal, mismatches, missing, products: productMap };
+}
+
+module.exports = {
+  PRICE_TOLERANCE,
+  roundMoney,
+  getMismatchPolicy,
+  getUnitPrice,
+  isPriceMismatch,
+  priceItems
+};
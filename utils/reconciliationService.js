@@ -0,0 +1,368 @@
+const Order = require('../models/Order');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const paymongoService = require('../paymongo');
+const { roundMoney } = require('./pricingService');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Payment reconciliation
+ * - Pulls a day's PayMongo payments and matches them to orders by payment id or order id
+ * - Reports payments with no order, paid orders with no gateway payment, and amount/fee/status differences
+ * - Reports are stored per day in ReconciliationReport; the payment-reconciliation job fills in yesterday's
+ *
+ * RECONCILIATION_UTC_OFFSET: hours from UTC that report days are counted in (default 8, Philippine time)
+ */
+
+const PROVIDER = 'paymongo';
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Gateway statuses that mean money was received (a refunded payment was paid first)
+const SETTLED_PAYMENT_STATUSES = ['paid', 'refunded'];
+const PAID_ORDER_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Differences below half a centavo are rounding, not mismatches
+const TOLERANCE = 0.005;
+
+function reconciliationError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+function getUtcOffsetMs() {
+  const hours = parseFloat(process.env.RECONCILIATION_UTC_OFFSET);
+  return (Number.isNaN(hours) ? 8 : hours) * 60 * 60 * 1000;
+}
+
+/**
+ * Report date (YYYY-MM-DD) a number of days before today
+ * @param {number} [daysAgo=1]
+ * @returns {string}
+ */
+function getReportDate(daysAgo = 1) {
+  return new Date(Date.now() + getUtcOffsetMs() - daysAgo * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Start and end of a report day
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{start: Date, end: Date}}
+ */
+function getDayRange(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  const dayStart = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (Number.isNaN(dayStart) || new Date(dayStart).toISOString().slice(0, 10) !== date) {
+    throw reconciliationError('Date must be a valid YYYY-MM-DD date', 400, 'INVALID_DATE');
+  }
+  const start = dayStart - getUtcOffsetMs();
+  return { start: new Date(start), end: new Date(start + DAY_MS) };
+}
+
+const toPHP = (centavos) => roundMoney((centavos || 0) / 100);
+const paymentTime = (payment) => (payment.attributes.paid_at || payment.attributes.created_at) * 1000;
+
+// Order id a payment was made for: metadata for intents, the link description for payment links
+function getPaymentOrderId(payment) {
+  const attributes = payment.attributes;
+  if (attributes.metadata?.order_id) {
+    return attributes.metadata.order_id;
+  }
+  const match = (attributes.description || '').match(/Order (ORD-[\w-]+)/);
+  return match ? match[1] : null;
+}
+
+function getOrderPaymentIds(order) {
+  return [order.paymentId, order.paymentMethod?.transaction?.paymentId].filter(Boolean);
+}
+
+/**
+ * Settled PayMongo payments for a period, newest first
+ */
+async function fetchGatewayPayments(start, end) {
+  const payments = [];
+  let before;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await paymongoService.listPayments({ limit: PAGE_SIZE, before });
+    const batch = result.data || [];
+
+    batch
+      .filter(payment => SETTLED_PAYMENT_STATUSES.includes(payment.attributes.status))
+      .filter(payment => paymentTime(payment) >= start.getTime() && paymentTime(payment) < end.getTime())
+      .forEach(payment => payments.push(payment));
+
+    const last = batch[batch.length - 1];
+    if (!result.has_more || !last || last.attributes.created_at * 1000 < start.getTime()) {
+      return payments;
+    }
+    before = last.id;
+  }
+
+  logError(`❌ Reconciliation stopped after ${MAX_PAGES} pages of payments; the report may be incomplete`);
+  return payments;
+}
+
+/**
+ * Online orders marked paid during a period
+ */
+async function fetchPaidOrders(start, end) {
+  return Order.find({
+    paidAt: { $gte: start, $lt: end },
+    paymentStatus: { $in: PAID_ORDER_STATUSES },
+    $or: [
+      { paymentProvider: PROVIDER },
+      { paymentProvider: null, $nor: [{ 'paymentMethod.type': 'cash' }, { paymentMethod: 'cash' }] }
+    ]
+  })
+    .select('id totalAmount paymentId paymentMethod paymentStatus paymentAmount paymentFee paymentNetAmount paidAt')
+    .lean();
+}
+
+/**
+ * Field-by-field differences between a gateway payment and its order
+ * @returns {Array} - amount_mismatch issues
+ */
+function compareAmounts(payment, order) {
+  const attributes = payment.attributes;
+  const gatewayAmount = toPHP(attributes.amount);
+  const gatewayFee = toPHP(attributes.fee);
+  const gatewayNet = attributes.net_amount !== undefined ? toPHP(attributes.net_amount) : roundMoney(gatewayAmount - gatewayFee);
+
+  const checks = [
+    { field: 'amount', gatewayValue: gatewayAmount, orderValue: order.paymentAmount },
+    { field: 'totalAmount', gatewayValue: gatewayAmount, orderValue: order.totalAmount },
+    { field: 'fee', gatewayValue: gatewayFee, orderValue: order.paymentFee },
+    { field: 'netAmount', gatewayValue: gatewayNet, orderValue: order.paymentNetAmount }
+  ];
+
+  return checks
+    .filter(check => check.orderValue === undefined || check.orderValue === null || Math.abs(check.gatewayValue - check.orderValue) > TOLERANCE)
+    .map(check => ({
+      type: 'amount_mismatch',
+      paymentId: payment.id,
+      orderId: order.id,
+      field: check.field,
+      gatewayValue: check.gatewayValue,
+      orderValue: check.orderValue ?? null,
+      detail: check.orderValue === undefined || check.orderValue === null
+        ? `Order has no ${check.field} recorded`
+        : `Gateway ₱${check.gatewayValue} vs order ₱${check.orderValue}`
+    }));
+}
+
+/**
+ * Find the order for a payment that was not among the day's paid orders
+ * (e.g. marked paid just before midnight, or still pending because its webhook failed)
+ */
+async function findOrderForPayment(payment) {
+  const orderId = getPaymentOrderId(payment);
+  return Order.findOne({
+    $or: [
+      { paymentId: payment.id },
+      { 'paymentMethod.transaction.paymentId': payment.id },
+      ...(orderId ? [{ id: orderId }] : [])
+    ]
+  })
+    .select('id totalAmount paymentId paymentMethod paymentStatus paymentAmount paymentFee paymentNetAmount paidAt')
+    .lean();
+}
+
+/**
+ * Look up the gateway payment of an order that no payment of the day matched
+ * @returns {Promise<Object|null>} - Settled payment, or null
+ */
+async function findGatewayPaymentForOrder(order) {
+  const paymentId = getOrderPaymentIds(order).find(id => id.startsWith('pay_'));
+  if (!paymentId) {
+    return null;
+  }
+  try {
+    const payment = await paymongoService.getPayment(paymentId);
+    return SETTLED_PAYMENT_STATUSES.includes(payment.data.attributes.status) ? payment.data : null;
+  } catch (error) {
+    console.log(`[${formatDate()}] - ⚠️  Payment ${paymentId} for order ${order.id} could not be loaded: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reconcile one day of payments and store the report
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {string} [options.generatedBy='job']
+ * @returns {Promise<Object>} - ReconciliationReport (lean)
+ */
+async function generateReport(date, { generatedBy = 'job' } = {}) {
+  const { start, end } = getDayRange(date);
+  console.log(`[${formatDate()}] - 🧮 Reconciling ${PROVIDER} payments for ${date}`);
+
+  const [payments, orders] = await Promise.all([
+    fetchGatewayPayments(start, end),
+    fetchPaidOrders(start, end)
+  ]);
+
+  const ordersByKey = new Map();
+  orders.forEach(order => {
+    ordersByKey.set(order.id, order);
+    getOrderPaymentIds(order).forEach(id => ordersByKey.set(id, order));
+  });
+
+  const issues = [];
+  const matchedOrders = new Set();
+  let matched = 0;
+
+  for (const payment of payments) {
+    const order = ordersByKey.get(payment.id)
+      || ordersByKey.get(getPaymentOrderId(payment))
+      || await findOrderForPayment(payment);
+
+    if (!order) {
+      issues.push({
+        type: 'unmatched_payment',
+        paymentId: payment.id,
+        gatewayValue: toPHP(payment.attributes.amount),
+        detail: 'No order found for this payment'
+      });
+      continue;
+    }
+
+    if (matchedOrders.has(order.id)) {
+      issues.push({
+        type: 'duplicate_payment',
+        paymentId: payment.id,
+        orderId: order.id,
+        gatewayValue: toPHP(payment.attributes.amount),
+        detail: 'Order already has another payment in this report'
+      });
+      continue;
+    }
+
+    matched += 1;
+    matchedOrders.add(order.id);
+    if (!PAID_ORDER_STATUSES.includes(order.paymentStatus)) {
+      issues.push({
+        type: 'status_mismatch',
+        paymentId: payment.id,
+        orderId: order.id,
+        field: 'paymentStatus',
+        gatewayValue: toPHP(payment.attributes.amount),
+        detail: `Gateway payment is ${payment.attributes.status} but the order is ${order.paymentStatus}`
+      });
+      continue;
+    }
+    issues.push(...compareAmounts(payment, order));
+  }
+
+  for (const order of orders.filter(paidOrder => !matchedOrders.has(paidOrder.id))) {
+    const payment = await findGatewayPaymentForOrder(order);
+    if (payment) {
+      // Settled on another day by the gateway's clock
+      matched += 1;
+      issues.push(...compareAmounts(payment, order));
+      continue;
+    }
+    issues.push({
+      type: 'missing_payment',
+      paymentId: getOrderPaymentIds(order)[0] || null,
+      orderId: order.id,
+      orderValue: order.paymentAmount ?? order.totalAmount,
+      detail: 'Order is marked paid but no settled gateway payment was found'
+    });
+  }
+
+  const sum = (values) => roundMoney(values.reduce((total, value) => total + (value || 0), 0));
+  const orderGross = sum(orders.map(order => order.paymentAmount ?? order.totalAmount));
+  const orderFees = sum(orders.map(order => order.paymentFee));
+  const totals = {
+    gatewayPayments: payments.length,
+    gatewayGross: sum(payments.map(payment => toPHP(payment.attributes.amount))),
+    gatewayFees: sum(payments.map(payment => toPHP(payment.attributes.fee))),
+    gatewayNet: sum(payments.map(payment => toPHP(payment.attributes.net_amount ?? payment.attributes.amount - (payment.attributes.fee || 0)))),
+    paidOrders: orders.length,
+    orderGross,
+    orderFees,
+    orderNet: sum(orders.map(order => order.paymentNetAmount ?? (order.paymentAmount ?? order.totalAmount) - (order.paymentFee || 0))),
+    matched
+  };
+  const countIssues = (type) => issues.filter(issue => issue.type === type).length;
+  const issueCounts = {
+    unmatchedPayments: countIssues('unmatched_payment'),
+    duplicatePayments: countIssues('duplicate_payment'),
+    missingPayments: countIssues('missing_payment'),
+    amountMismatches: countIssues('amount_mismatch'),
+    statusMismatches: countIssues('status_mismatch')
+  };
+
+  const report = await ReconciliationReport.findOneAndUpdate(
+    { provider: PROVIDER, date },
+    { $set: { periodStart: start, periodEnd: end, totals, issueCounts, issues, generatedBy: String(generatedBy) } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  console.log(`[${formatDate()}] - ✅ Reconciliation for ${date} | Payments: ${totals.gatewayPayments} | Orders: ${totals.paidOrders} | Unmatched: ${issueCounts.unmatchedPayments} | Missing: ${issueCounts.missingPayments} | Mismatches: ${issueCounts.amountMismatches + issueCounts.statusMismatches}`);
+  return report;
+}
+
+/**
+ * Stored report for a day
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object|null>}
+ */
+async function getReport(date) {
+  getDayRange(date);
+  return ReconciliationReport.findOne({ provider: PROVIDER, date }).lean();
+}
+
+/**
+ * A report is final once it was generated after its day ended
+ */
+function isFinal(report) {
+  return new Date(report.updatedAt) >= new Date(report.periodEnd);
+}
+
+// Text starting with one of these is run as a formula by spreadsheets; numbers are left alone
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV: totals first, then one row per issue
+ * @param {Object} report
+ * @returns {string}
+ */
+function toCsv(report) {
+  const lines = [
+    'metric,value',
+    `date,${report.date}`,
+    `provider,${report.provider}`,
+    ...Object.entries(report.totals).map(([metric, value]) => `${metric},${value}`),
+    ...Object.entries(report.issueCounts).map(([metric, value]) => `${metric},${value}`),
+    '',
+    'type,paymentId,orderId,field,gatewayValue,orderValue,detail',
+    ...report.issues.map(issue => [
+      issue.type, issue.paymentId, issue.orderId, issue.field, issue.gatewayValue, issue.orderValue, issue.detail
+    ].map(csvValue).join(','))
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  getReportDate,
+  getDayRange,
+  generateReport,
+  getReport,
+  isFinal,
+  toCsv
+};
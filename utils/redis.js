@@ -115,6 +115,74 @@ async function set(key, value, ttl = null) {
   }
 }
 
+/**
+ * Set value in Redis only if the key does not exist yet
+ * @param {string} key - Redis key
+ * @param {string} value - Redis value
+ * @param {number} ttl - Time to live in seconds
+ * @returns {Promise<boolean|null>} - True if set, false if the key exists, null if Redis is unavailable
+ */
+async function setNX(key, value, ttl) {
+  try {
+    if (!isConnected || !client) {
+      return null;
+    }
+    const result = await client.set(key, value, { NX: true, EX: ttl });
+    return result === 'OK';
+  } catch (error) {
+    logError(`Redis setNX error for key ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Record a hit in a sliding window and count the hits still inside it
+ * Hits are members of a sorted set scored by time; older ones are trimmed on every call.
+ * @param {string} key - Redis key
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<number|null>} - Hits in the window including this one, null if Redis is unavailable
+ */
+async function addToWindow(key, windowMs) {
+  try {
+    if (!isConnected || !client) {
+      return null;
+    }
+    const now = Date.now();
+    const replies = await client.multi()
+      .zRemRangeByScore(key, 0, now - windowMs)
+      .zAdd(key, { score: now, value: `${now}:${Math.random().toString(36).slice(2)}` })
+      .zCard(key)
+      .pExpire(key, windowMs)
+      .exec();
+    return Number(replies[2]);
+  } catch (error) {
+    logError(`Redis addToWindow error for key ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Count the hits in a sliding window without adding one
+ * @param {string} key - Redis key
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<number|null>} - Hits in the window, null if Redis is unavailable
+ */
+async function countWindow(key, windowMs) {
+  try {
+    if (!isConnected || !client) {
+      return null;
+    }
+    const replies = await client.multi()
+      .zRemRangeByScore(key, 0, Date.now() - windowMs)
+      .zCard(key)
+      .exec();
+    return Number(replies[1]);
+  } catch (error) {
+    logError(`Redis countWindow error for key ${key}: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Delete key from Redis
  * @param {string} key - Redis key
@@ -272,8 +340,11 @@ module.exports = {
   disconnect,
   get,
   set,
+  setNX,
   del,
   exists,
+  addToWindow,
+  countWindow,
   getJSON,
   setJSON,
   clearCache,
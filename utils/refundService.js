@@ -0,0 +1,389 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { getOrderProvider } = require('../payments');
+const { roundMoney } = require('./pricingService');
+const { createPaymentNotification } = require('../paymongo/handlers/createPaymentNotification');
+const { clearCache } = require('./redis');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Refund service
+ * - Every refund is recorded in Order.refunds before the provider is called, and its amount is
+ *   reserved in Order.refundedAmount so concurrent refunds can never exceed what was paid
+ * - paymentStatus follows refundedAmount: paid → partially_refunded → refunded
+ * - Provider webhooks (payment.refunded, payment.refund.updated) settle or fail the records
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+// Amount the customer actually paid; cash orders have no paymentAmount
+const PAID_AMOUNT = { $ifNull: ['$paymentAmount', '$totalAmount'] };
+// Orders placed before refunds were tracked have no refundedAmount
+const REFUNDED_AMOUNT = { $ifNull: ['$refundedAmount', 0] };
+
+function refundError(message, statusCode, code, errors) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (errors) {
+    error.errors = errors;
+  }
+  return error;
+}
+
+function orderFilter(orderId) {
+  return String(orderId).match(/^[0-9a-fA-F]{24}$/) ? { _id: orderId } : { id: orderId };
+}
+
+const getPaidAmount = (order) => order.paymentAmount ?? order.totalAmount;
+
+/**
+ * Amount that can still be refunded on an order
+ * @param {Object} order
+ * @returns {number}
+ */
+function getRefundableAmount(order) {
+  return roundMoney(Math.max(0, getPaidAmount(order) - (order.refundedAmount || 0)));
+}
+
+/**
+ * Map provider refund statuses onto Order.refunds[].status
+ */
+function toRefundStatus(status) {
+  if (status === 'succeeded' || status === 'failed') {
+    return status;
+  }
+  return 'pending';
+}
+
+/**
+ * Find the order a refund request is for, by order id or provider payment id
+ * @param {Object} params - { orderId?, paymentId? }
+ * @returns {Promise<Object>} - Order (lean)
+ */
+async function findRefundOrder({ orderId, paymentId }) {
+  let order = null;
+  if (orderId) {
+    order = await Order.findOne(orderFilter(orderId)).lean();
+  } else if (paymentId) {
+    order = await Order.findOne({
+      $or: [{ paymentId }, { 'paymentMethod.transaction.paymentId': paymentId }]
+    }).lean();
+  }
+
+  if (!order) {
+    throw refundError(orderId ? 'Order not found' : 'No order found for this payment', 404, 'ORDER_NOT_FOUND');
+  }
+  return order;
+}
+
+/**
+ * Price refund lines from the order and check they have not been refunded already
+ * @param {Object} order
+ * @param {Array} items - [{ product, quantity }]
+ * @returns {Array} - [{ product, productName, quantity, amount }]
+ */
+function priceRefundItems(order, items) {
+  const errors = [];
+  const lines = [];
+
+  for (const item of items) {
+    const productId = String(item.product);
+    const ordered = order.items
+      .filter(line => String(line.product?._id || line.product) === productId)
+      .reduce((sum, line) => sum + line.quantity, 0);
+    const orderLine = order.items.find(line => String(line.product?._id || line.product) === productId);
+
+    if (!orderLine) {
+      errors.push({ product: productId, message: 'Product is not part of this order' });
+      continue;
+    }
+
+    const refunded = (order.refunds || [])
+      .filter(refund => refund.status !== 'failed')
+      .flatMap(refund => refund.items || [])
+      .filter(line => String(line.product) === productId)
+      .reduce((sum, line) => sum + line.quantity, 0);
+
+    if (item.quantity > ordered - refunded) {
+      errors.push({ product: productId, message: `Only ${ordered - refunded} of ${ordered} can still be refunded` });
+      continue;
+    }
+
+    lines.push({
+      product: orderLine.product?._id || orderLine.product,
+      productName: orderLine.productName,
+      quantity: item.quantity,
+      amount: roundMoney(orderLine.price * item.quantity)
+    });
+  }
+
+  if (errors.length > 0) {
+    throw refundError('One or more items cannot be refunded', 400, 'INVALID_REFUND_ITEMS', errors);
+  }
+  return lines;
+}
+
+/**
+ * Reserve a refund on the order
+ * The update only matches while the new total stays within the paid amount.
+ * @returns {Promise<Object|null>} - Updated order, or null when the cap would be exceeded
+ */
+async function reserveRefund(orderObjectId, record) {
+  return Order.findOneAndUpdate(
+    {
+      _id: orderObjectId,
+      paymentStatus: { $in: REFUNDABLE_STATUSES },
+      $expr: { $lte: [{ $round: [{ $add: [REFUNDED_AMOUNT, record.amount] }, 2] }, PAID_AMOUNT] }
+    },
+    {
+      $push: { refunds: record },
+      $inc: { refundedAmount: record.amount }
+    },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Set paymentStatus from refundedAmount
+ */
+async function syncPaymentStatus(orderObjectId) {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderObjectId, paymentStatus: { $in: [...REFUNDABLE_STATUSES, 'refunded'] } },
+    [{
+      $set: {
+        refundedAmount: { $round: [{ $max: [REFUNDED_AMOUNT, 0] }, 2] },
+        paymentStatus: {
+          $switch: {
+            branches: [
+              { case: { $lte: [REFUNDED_AMOUNT, 0] }, then: 'paid' },
+              { case: { $gte: [{ $round: [REFUNDED_AMOUNT, 2] }, PAID_AMOUNT] }, then: 'refunded' }
+            ],
+            default: 'partially_refunded'
+          }
+        }
+      }
+    }, {
+      // Cancelled orders are flagged until their payment is fully refunded
+      $set: { refundRequired: { $cond: [{ $eq: ['$paymentStatus', 'refunded'] }, false, { $ifNull: ['$refundRequired', false] }] } }
+    }],
+    { new: true }
+  ).lean();
+
+  if (order) {
+    await clearCache(`order:${order.id}`);
+  }
+  return order;
+}
+
+async function notifyRefund(order, refund) {
+  if (!order.customer?.userid) return;
+  await createPaymentNotification(
+    order.customer.userid,
+    'Payment Refunded',
+    `₱${refund.amount.toFixed(2)} of your payment for order ${order.id} has been refunded.`,
+    'info'
+  );
+}
+
+/**
+ * Move a refund record to a new status
+ * A failed refund gives its amount back to the refundable balance. Succeeded and failed are final.
+ * @param {Object} order - Order (lean) holding the record
+ * @param {Object} record - Entry of order.refunds
+ * @param {string} status - pending | succeeded | failed
+ * @param {Object} [fields] - { refundId, failureReason }
+ * @returns {Promise<Object>} - Order after the change
+ */
+async function applyRefundStatus(order, record, status, { refundId, failureReason } = {}) {
+  if (refundId && !record.refundId) {
+    await Order.updateOne(
+      { _id: order._id, 'refunds._id': record._id },
+      { $set: { 'refunds.$.refundId': refundId } }
+    );
+  }
+
+  if (status === 'pending') {
+    return order;
+  }
+
+  const update = { $set: { 'refunds.$.status': status } };
+  if (status === 'failed') {
+    update.$set['refunds.$.failureReason'] = failureReason || 'Refund failed';
+    update.$inc = { refundedAmount: -record.amount };
+  }
+
+  // Only a pending record moves, so a repeated webhook cannot apply the change twice
+  const result = await Order.updateOne(
+    { _id: order._id, refunds: { $elemMatch: { _id: record._id, status: 'pending' } } },
+    update
+  );
+  if (result.modifiedCount === 0) {
+    return order;
+  }
+
+  const updated = await syncPaymentStatus(order._id);
+  console.log(`[${formatDate()}] - 💰 Refund ${refundId || record.refundId || record._id} for order ${order.id} is ${status} | Payment: ${updated?.paymentStatus}`);
+
+  if (status === 'succeeded') {
+    try {
+      await notifyRefund(order, record);
+    } catch (error) {
+      logError(`❌ Failed to notify customer about refund on order ${order.id}: ${error.message}`);
+    }
+  }
+  return updated || order;
+}
+
+/**
+ * Refund all or part of an order's payment
+ * Without an amount, the items are refunded at their order price; without either, the whole refundable balance.
+ * @param {Object} order - Order (lean)
+ * @param {Object} params
+ * @param {number} [params.amount] - Amount in PHP
+ * @param {Array} [params.items] - [{ product, quantity }] being refunded
+ * @param {string} [params.reason='requested_by_customer']
+ * @param {string} params.source - admin | cancellation | return
+ * @param {string} [params.requestedBy] - User id of whoever asked for the refund
+ * @returns {Promise<{refund: Object, order: Object}>}
+ */
+async function refundOrder(order, { amount, items = [], reason = 'requested_by_customer', source, requestedBy }) {
+  if (!REFUNDABLE_STATUSES.includes(order.paymentStatus)) {
+    throw refundError(`Orders with payment status ${order.paymentStatus} cannot be refunded`, 400, 'NOT_REFUNDABLE');
+  }
+
+  const refundItems = items.length > 0 ? priceRefundItems(order, items) : [];
+  const itemsTotal = roundMoney(refundItems.reduce((sum, line) => sum + line.amount, 0));
+  const refundable = getRefundableAmount(order);
+  const refundAmount = roundMoney(amount ?? (refundItems.length > 0 ? itemsTotal : refundable));
+
+  if (refundAmount <= 0) {
+    throw refundError('Nothing left to refund on this order', 400, 'NOTHING_TO_REFUND');
+  }
+  if (refundAmount > refundable) {
+    throw refundError(`Refund of ₱${refundAmount} exceeds the refundable balance of ₱${refundable}`, 400, 'REFUND_EXCEEDS_PAYMENT');
+  }
+
+  const provider = getOrderProvider(order);
+  const paymentId = provider ? provider.getOrderPaymentId(order) : null;
+  const record = {
+    _id: new mongoose.Types.ObjectId(),
+    provider: paymentId ? provider.name : 'manual',
+    paymentId,
+    amount: refundAmount,
+    items: refundItems,
+    reason,
+    status: 'pending',
+    source,
+    requestedBy: requestedBy ? String(requestedBy) : undefined
+  };
+
+  const reserved = await reserveRefund(order._id, record);
+  if (!reserved) {
+    throw refundError('Refund exceeds the refundable balance. Please reload the order and retry.', 409, 'REFUND_EXCEEDS_PAYMENT');
+  }
+  await syncPaymentStatus(order._id);
+
+  // Cash and other offline payments are handed back at the counter
+  if (!paymentId) {
+    console.log(`[${formatDate()}] - 💵 Order ${order.id} has no online payment, refund of ₱${refundAmount} is manual`);
+    await applyRefundStatus(reserved, record, 'succeeded');
+    return { refund: { ...record, status: 'succeeded' }, order: await Order.findById(order._id).lean() };
+  }
+
+  let providerRefund;
+  try {
+    providerRefund = await provider.refund({
+      paymentId,
+      amount: refundAmount,
+      reason,
+      metadata: { order_id: order.id, refund_record_id: record._id.toString() }
+    });
+  } catch (error) {
+    await applyRefundStatus(reserved, record, 'failed', { failureReason: error.message });
+    throw refundError(`Refund failed: ${error.message}`, 502, 'REFUND_FAILED');
+  }
+
+  console.log(`[${formatDate()}] - 💰 Refund ${providerRefund.refundId} created for order ${order.id} via ${provider.name} | Amount: ₱${refundAmount}`);
+
+  const status = toRefundStatus(providerRefund.status);
+  await applyRefundStatus(reserved, record, status, { refundId: providerRefund.refundId });
+
+  return {
+    refund: { ...record, refundId: providerRefund.refundId, status },
+    order: await Order.findById(order._id).lean()
+  };
+}
+
+/**
+ * Reconcile a refund reported by a provider webhook
+ * Refunds made through refundOrder() are matched by refund id or the record id sent as metadata;
+ * refunds made elsewhere (e.g. the provider dashboard) are added to the order.
+ * @param {string} providerName
+ * @param {Object} refund - { refundId, paymentId, amount, status, reason, metadata }
+ * @returns {Promise<Object|null>} - Updated order, null when the payment has no order
+ */
+async function reconcileProviderRefund(providerName, refund) {
+  const recordId = refund.metadata?.refund_record_id;
+
+  let order = await Order.findOne({ 'refunds.refundId': refund.refundId }).lean();
+  if (!order && recordId && mongoose.Types.ObjectId.isValid(recordId)) {
+    order = await Order.findOne({ 'refunds._id': recordId }).lean();
+  }
+
+  if (order) {
+    const record = order.refunds.find(entry => entry.refundId === refund.refundId || String(entry._id) === recordId);
+    return applyRefundStatus(order, record, toRefundStatus(refund.status), {
+      refundId: refund.refundId,
+      failureReason: refund.status === 'failed' ? `${providerName} reported the refund as failed` : undefined
+    });
+  }
+
+  order = refund.metadata?.order_id
+    ? await Order.findOne({ id: refund.metadata.order_id }).lean()
+    : await Order.findOne({
+      $or: [{ paymentId: refund.paymentId }, { 'paymentMethod.transaction.paymentId': refund.paymentId }]
+    }).lean();
+
+  if (!order) {
+    console.log(`[${formatDate()}] - ⚠️  Refund ${refund.refundId} is for payment ${refund.paymentId}, which has no order`);
+    return null;
+  }
+
+  const status = toRefundStatus(refund.status);
+  if (status === 'failed') {
+    return order;
+  }
+
+  const record = {
+    _id: new mongoose.Types.ObjectId(),
+    refundId: refund.refundId,
+    provider: providerName,
+    paymentId: refund.paymentId,
+    amount: roundMoney(refund.amount),
+    items: [],
+    reason: refund.reason,
+    status: 'pending',
+    source: 'webhook'
+  };
+
+  const reserved = await reserveRefund(order._id, record);
+  if (!reserved) {
+    throw refundError(`Refund ${refund.refundId} exceeds the refundable balance of order ${order.id}`, 409, 'REFUND_EXCEEDS_PAYMENT');
+  }
+  console.log(`[${formatDate()}] - 💰 Refund ${refund.refundId} made outside the API recorded on order ${order.id} | Amount: ₱${record.amount}`);
+
+  if (status === 'pending') {
+    return syncPaymentStatus(order._id);
+  }
+  return applyRefundStatus(reserved, record, status);
+}
+
+module.exports = {
+  getRefundableAmount,
+  findRefundOrder,
+  refundOrder,
+  reconcileProviderRefund
+};
@@ -0,0 +1,289 @@
+const Order = require('../models/Order');
+const { transitionOrder, canTransition } = require('./orderStateMachine');
+const { restockReturnedItems } = require('./inventoryService');
+const { roundMoney } = require('./pricingService');
+const { refundOrder } = require('./refundService');
+const { saveOrderStatusNotification } = require('../helpers/notificationHelper');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Customer cancellations and returns
+ * - Customers cancel orders the store has not started preparing; paid orders are refunded
+ * - Delivered orders go through a return (RMA) workflow run by cashiers/admins:
+ *   requested → approved | rejected → item_received (restock) → refunded
+ *
+ * RETURN_WINDOW_DAYS: days after delivery a return may be requested (default 7)
+ */
+
+// Allowed staff actions on a return: current return status → next return status
+const RETURN_ACTIONS = {
+  approve: { from: 'requested', to: 'approved', stamp: 'approvedAt', label: 'return approved' },
+  reject: { from: 'requested', to: 'rejected', stamp: 'rejectedAt', label: 'return rejected' },
+  receive: { from: 'approved', to: 'item_received', stamp: 'receivedAt', label: 'return received' },
+  refund: { from: 'item_received', to: 'refunded', stamp: 'refundedAt', label: 'refunded' }
+};
+
+function returnError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+function getReturnWindowDays() {
+  const days = parseInt(process.env.RETURN_WINDOW_DAYS, 10);
+  return Number.isNaN(days) ? 7 : days;
+}
+
+function orderFilter(orderId) {
+  return String(orderId).match(/^[0-9a-fA-F]{24}$/) ? { _id: orderId } : { id: orderId };
+}
+
+/**
+ * Load an order that belongs to the given customer
+ * Orders owned by someone else are reported as not found.
+ */
+async function findCustomerOrder(orderId, userId) {
+  const order = await Order.findOne({ ...orderFilter(orderId), 'customer.userid': userId }).lean();
+  if (!order) {
+    throw returnError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+  return order;
+}
+
+async function notifyCustomer(order, status) {
+  if (!order.customer?.userid) return;
+  try {
+    await saveOrderStatusNotification(order.customer.userid, order.id, status, order.items);
+  } catch (error) {
+    logError(`❌ Failed to notify customer about order ${order.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Cancel an order on behalf of the customer who placed it
+ * @param {string} orderId - Order _id or custom id
+ * @param {string} userId - Authenticated customer id
+ * @param {string} [reason]
+ * @returns {Promise<{order: Object, refund: Object|null, refundError: string|null}>}
+ */
+async function cancelOrderByCustomer(orderId, userId, reason) {
+  const order = await findCustomerOrder(orderId, userId);
+
+  if (!canTransition(order.status, 'cancelled', 'user')) {
+    throw returnError(`Orders that are ${order.status} can no longer be cancelled`, 400, 'NOT_CANCELLABLE');
+  }
+
+  const { order: cancelled } = await transitionOrder(order._id, 'cancelled', {
+    actor: 'user',
+    actorId: userId,
+    reason: reason || 'Cancelled by customer'
+  });
+
+  // Refund after the cancellation sticks so a racing cashier update can't leave a refunded live order
+  let result = { order: cancelled, refund: null };
+  let refundError = null;
+  if (['paid', 'partially_refunded'].includes(cancelled.paymentStatus)) {
+    try {
+      result = await refundOrder(cancelled, { source: 'cancellation', requestedBy: userId });
+    } catch (error) {
+      refundError = error.message;
+      logError(`❌ Refund failed for cancelled order ${cancelled.id}: ${error.message}`);
+    }
+  }
+
+  await notifyCustomer(cancelled, 'cancelled');
+  return { order: result.order, refund: result.refund, refundError };
+}
+
+/**
+ * Open a return request for a delivered order
+ * @param {string} orderId - Order _id or custom id
+ * @param {string} userId - Authenticated customer id
+ * @param {Object} request
+ * @param {string} request.reason
+ * @param {Array} [request.items] - [{ product, quantity }], defaults to the whole order
+ * @returns {Promise<Object>} - Updated order
+ */
+async function requestReturn(orderId, userId, { reason, items } = {}) {
+  const order = await findCustomerOrder(orderId, userId);
+
+  if (order.status !== 'delivered') {
+    throw returnError('Only delivered orders can be returned', 400, 'NOT_RETURNABLE');
+  }
+
+  if (order.returnRequest && order.returnRequest.status !== 'rejected') {
+    throw returnError(`A return for this order is already ${order.returnRequest.status}`, 409, 'RETURN_EXISTS');
+  }
+
+  const deliveredEntry = (order.statusHistory || []).filter(entry => entry.to === 'delivered').pop();
+  const deliveredAt = new Date(deliveredEntry?.timestamp || order.updatedAt);
+  const windowEnds = deliveredAt.getTime() + getReturnWindowDays() * 24 * 60 * 60 * 1000;
+  if (Date.now() > windowEnds) {
+    throw returnError(`Returns must be requested within ${getReturnWindowDays()} days of delivery`, 400, 'RETURN_WINDOW_CLOSED');
+  }
+
+  // Returned lines are priced from what the order actually charged
+  const requested = items && items.length > 0
+    ? items
+    : order.items.map(item => ({ product: item.product, quantity: item.quantity }));
+
+  const returnItems = [];
+  for (const line of requested) {
+    const orderItem = order.items.find(item => item.product.toString() === String(line.product));
+    if (!orderItem) {
+      throw returnError(`Product ${line.product} is not part of this order`, 400, 'INVALID_RETURN_ITEM');
+    }
+    const alreadyListed = returnItems
+      .filter(item => item.product.toString() === String(line.product))
+      .reduce((sum, item) => sum + item.quantity, 0);
+    if (alreadyListed + Number(line.quantity) > orderItem.quantity) {
+      throw returnError(`Cannot return more than ${orderItem.quantity} of ${orderItem.productName || line.product}`, 400, 'INVALID_RETURN_ITEM');
+    }
+    returnItems.push({
+      product: orderItem.product,
+      productName: orderItem.productName,
+      quantity: Number(line.quantity),
+      price: orderItem.price
+    });
+  }
+
+  const amount = roundMoney(returnItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $or: [{ returnRequest: { $exists: false } }, { returnRequest: null }, { 'returnRequest.status': 'rejected' }]
+    },
+    {
+      $set: {
+        returnRequest: {
+          status: 'requested',
+          reason,
+          items: returnItems,
+          amount,
+          requestedBy: String(userId),
+          requestedAt: new Date()
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!updated) {
+    throw returnError('A return for this order was already requested', 409, 'RETURN_EXISTS');
+  }
+
+  console.log(`[${formatDate()}] - 📦 Return requested for order ${updated.id} | Items: ${returnItems.length} | Amount: ₱${amount}`);
+  await notifyCustomer(updated, 'return requested');
+  return updated;
+}
+
+/**
+ * Move a return request forward (cashier/admin)
+ * @param {string} orderId - Order _id or custom id
+ * @param {string} action - approve | reject | receive | refund
+ * @param {Object} options
+ * @param {string} options.staffId - Cashier/admin id
+ * @param {string} [options.note] - Staff note
+ * @returns {Promise<Object>} - Updated order
+ */
+async function updateReturn(orderId, action, { staffId, note } = {}) {
+  const step = RETURN_ACTIONS[action];
+  if (!step) {
+    throw returnError(`Invalid action. Must be one of: ${Object.keys(RETURN_ACTIONS).join(', ')}`, 400, 'INVALID_ACTION');
+  }
+
+  const order = await Order.findOne(orderFilter(orderId)).lean();
+  if (!order) {
+    throw returnError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+  if (!order.returnRequest) {
+    throw returnError('This order has no return request', 404, 'RETURN_NOT_FOUND');
+  }
+  if (order.returnRequest.status !== step.from) {
+    throw returnError(`Cannot ${action} a return that is ${order.returnRequest.status}`, 400, 'INVALID_RETURN_TRANSITION');
+  }
+
+  const baseSet = { 'returnRequest.handledBy': String(staffId) };
+  if (note) {
+    baseSet['returnRequest.note'] = note;
+  }
+
+  let updated;
+  if (action === 'refund') {
+    // Claim the refund first so a double submit can't refund twice
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, 'returnRequest.status': 'item_received' },
+      { $set: { ...baseSet, 'returnRequest.status': 'refund_pending' } },
+      { new: true }
+    ).lean();
+    if (!claimed) {
+      throw returnError('Return was updated by another request. Please retry.', 409, 'RETURN_CONFLICT');
+    }
+
+    let refund;
+    try {
+      ({ refund } = await refundOrder(claimed, {
+        amount: claimed.returnRequest.amount,
+        items: claimed.returnRequest.items,
+        source: 'return',
+        requestedBy: staffId
+      }));
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id, 'returnRequest.status': 'refund_pending' },
+        { $set: { 'returnRequest.status': 'item_received' } }
+      );
+      throw error.statusCode ? error : returnError(`Refund failed: ${error.message}`, 502, 'REFUND_FAILED');
+    }
+
+    updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'returnRequest.status': 'refund_pending' },
+      {
+        $set: {
+          'returnRequest.status': 'refunded',
+          'returnRequest.refundedAt': new Date(),
+          'returnRequest.refundId': refund.refundId,
+          'returnRequest.refundMethod': refund.provider
+        }
+      },
+      { new: true }
+    ).lean();
+
+    if (!updated) {
+      // The money has already gone back; only the return's own status is behind
+      logError(`❌ Refund ${refund.refundId || refund._id} for order ${order.id} succeeded but its return was not marked refunded`);
+      throw returnError(
+        `Refund ${refund.refundId || refund._id} went through, but the return could not be marked refunded and is still refund_pending. Do not refund again.`,
+        409,
+        'RETURN_STATUS_PENDING'
+      );
+    }
+  } else {
+    updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'returnRequest.status': step.from },
+      { $set: { ...baseSet, 'returnRequest.status': step.to, [`returnRequest.${step.stamp}`]: new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!updated) {
+      throw returnError('Return was updated by another request. Please retry.', 409, 'RETURN_CONFLICT');
+    }
+
+    if (action === 'receive') {
+      await restockReturnedItems(updated.returnRequest.items, updated.inventoryStatus === 'committed');
+    }
+  }
+
+  console.log(`[${formatDate()}] - 📦 Return for order ${updated.id} is now ${updated.returnRequest.status} | Staff: ${staffId}`);
+  await notifyCustomer(updated, step.label);
+  return updated;
+}
+
+module.exports = {
+  RETURN_ACTIONS,
+  cancelOrderByCustomer,
+  requestReturn,
+  updateReturn
+};
@@ -0,0 +1,228 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Cashier = require('../models/Cashier');
+const { PERMISSIONS, clearRoleCache, unknownPermissions } = require('./permissions');
+const { clearCache } = require('./redis');
+const { recordAudit } = require('./auditLog');
+const { formatDate } = require('./logging');
+
+/**
+ * Role management
+ * - Roles are edited and assigned here; utils/permissions.js resolves them on each request
+ * - Every change is written to the audit log
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+// Without this permission nobody could manage roles again
+const MANAGE_PERMISSION = 'roles:manage';
+
+function roleError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+function auditActor(req) {
+  return {
+    type: req.user?.accountType === 'cashier' ? 'cashier' : 'admin',
+    id: String(req.user?._id)
+  };
+}
+
+function checkPermissions(permissions) {
+  const unknown = unknownPermissions(permissions);
+  if (unknown.length > 0) {
+    throw roleError(`Unknown permission(s): ${unknown.join(', ')}`, 400, 'UNKNOWN_PERMISSION');
+  }
+}
+
+async function findRole(name) {
+  const role = await Role.findOne({ name: String(name).toLowerCase() });
+  if (!role) {
+    throw roleError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+  return role;
+}
+
+async function countAssignments(name) {
+  const [users, cashiers] = await Promise.all([
+    User.countDocuments({ role: name }),
+    Cashier.countDocuments({ role: name })
+  ]);
+  return { users, cashiers };
+}
+
+/**
+ * All roles with how many accounts hold each, plus the permission catalog
+ * @returns {Promise<Object>} - { roles, permissions }
+ */
+async function listRoles() {
+  const roles = await Role.find().sort({ name: 1 }).lean();
+  const withCounts = await Promise.all(roles.map(async role => ({
+    ...role,
+    assigned: await countAssignments(role.name)
+  })));
+
+  return {
+    roles: withCounts,
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+  };
+}
+
+/**
+ * Create a role
+ * @param {Object} data - { name, description, permissions, requireTwoFactor }
+ * @param {Object} req - Express request (acting account, audit log)
+ * @returns {Promise<Object>}
+ */
+async function createRole({ name, description, permissions = [], requireTwoFactor = false }, req) {
+  checkPermissions(permissions);
+
+  try {
+    const role = await Role.create({ name, description, permissions: [...new Set(permissions)], requireTwoFactor });
+    await recordAudit({
+      action: 'role.created',
+      actor: auditActor(req),
+      resource: { type: 'role', id: role.name },
+      req,
+      metadata: { permissions: role.permissions, requireTwoFactor: role.requireTwoFactor }
+    });
+    console.log(`[${formatDate()}] - 🔐 Role ${role.name} created with ${role.permissions.length} permission(s)`);
+    return role.toObject();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw roleError('Role already exists', 409, 'ROLE_EXISTS');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Change a role's description, permissions or 2FA requirement
+ * The name is the key accounts refer to, so it cannot be changed.
+ * @param {string} name
+ * @param {Object} updates - { description, permissions, requireTwoFactor }
+ * @param {Object} req - Express request (acting account, audit log)
+ * @returns {Promise<Object>}
+ */
+async function updateRole(name, { description, permissions, requireTwoFactor }, req) {
+  const role = await findRole(name);
+  const before = [...role.permissions];
+
+  if (permissions !== undefined) {
+    checkPermissions(permissions);
+    if (role.name === 'admin' && !permissions.includes(MANAGE_PERMISSION)) {
+      throw roleError(`The admin role must keep ${MANAGE_PERMISSION}`, 400, 'ADMIN_LOCKOUT');
+    }
+    role.permissions = [...new Set(permissions)];
+  }
+  if (description !== undefined) {
+    role.description = description;
+  }
+  if (requireTwoFactor !== undefined) {
+    role.requireTwoFactor = requireTwoFactor;
+  }
+
+  await role.save();
+  await clearRoleCache(role.name);
+
+  await recordAudit({
+    action: 'role.updated',
+    actor: auditActor(req),
+    resource: { type: 'role', id: role.name },
+    req,
+    metadata: {
+      added: role.permissions.filter(permission => !before.includes(permission)),
+      removed: before.filter(permission => !role.permissions.includes(permission)),
+      requireTwoFactor: role.requireTwoFactor
+    }
+  });
+  console.log(`[${formatDate()}] - 🔐 Role ${role.name} updated | Permissions: ${role.permissions.length}`);
+  return role.toObject();
+}
+
+/**
+ * Delete a custom role that no account holds
+ * @param {string} name
+ * @param {Object} req - Express request (acting account, audit log)
+ * @returns {Promise<void>}
+ */
+async function deleteRole(name, req) {
+  const role = await findRole(name);
+  if (role.isSystem) {
+    throw roleError('Default roles cannot be deleted', 400, 'SYSTEM_ROLE');
+  }
+
+  const assigned = await countAssignments(role.name);
+  if (assigned.users + assigned.cashiers > 0) {
+    throw roleError(
+      `Role is assigned to ${assigned.users} user(s) and ${assigned.cashiers} cashier(s); reassign them first`,
+      409,
+      'ROLE_IN_USE'
+    );
+  }
+
+  await role.deleteOne();
+  await clearRoleCache(role.name);
+
+  await recordAudit({
+    action: 'role.deleted',
+    actor: auditActor(req),
+    resource: { type: 'role', id: role.name },
+    req,
+    metadata: { permissions: role.permissions }
+  });
+  console.log(`[${formatDate()}] - 🔐 Role ${role.name} deleted`);
+}
+
+/**
+ * Give a user or cashier account a role
+ * Takes effect on the account's next request; `protect` reads the role from the account.
+ * @param {Object} assignment - { accountType: 'user' | 'cashier', accountId, role }
+ * @param {Object} req - Express request (acting account, audit log)
+ * @returns {Promise<Object>} - { accountType, accountId, previousRole, role }
+ */
+async function assignRole({ accountType, accountId, role: roleName }, req) {
+  const role = await findRole(roleName);
+
+  if (String(accountId) === String(req.user._id)) {
+    throw roleError('You cannot change your own role', 403, 'SELF_ASSIGNMENT');
+  }
+
+  // Returns the account as it was, for the audit trail
+  const Model = accountType === 'cashier' ? Cashier : User;
+  const account = await Model.findByIdAndUpdate(accountId, { $set: { role: role.name } })
+    .select('role email')
+    .lean();
+  if (!account) {
+    throw roleError(`${accountType === 'cashier' ? 'Cashier' : 'User'} not found`, 404, 'ACCOUNT_NOT_FOUND');
+  }
+
+  const previousRole = account.role;
+
+  // Login serves users from this cache
+  if (accountType === 'user') {
+    await clearCache(`user:${account.email}`);
+  }
+
+  await recordAudit({
+    action: 'role.assigned',
+    actor: auditActor(req),
+    resource: { type: accountType, id: String(account._id) },
+    req,
+    metadata: { from: previousRole, to: role.name }
+  });
+  console.log(`[${formatDate()}] - 🔐 ${accountType} ${account._id} role changed: ${previousRole} → ${role.name}`);
+
+  return { accountType, accountId: account._id, previousRole, role: role.name };
+}
+
+module.exports = {
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole
+};
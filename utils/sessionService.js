@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { getDeviceInfo } = require('./deviceInfo');
+const { getJSON, setJSON, clearCache } = require('./redis');
+const { formatDate } = require('./logging');
+
+/**
+ * Login sessions
+ * - Each login on a device is a Session; its id is the family of the refresh tokens rotated from it
+ * - `protect` checks the session of every access token, so revoking it logs the device out at once
+ * - The check is cached for SESSION_CACHE_TTL seconds; each cache miss also records the session as seen
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+const SESSION_CACHE_TTL = 60;
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+
+function sessionError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Start a session for a login
+ * A client that sends X-Device-Id replaces that device's earlier session.
+ * @param {Object} account - User or Cashier document
+ * @param {Object} options
+ * @param {string} options.accountType - 'user' | 'cashier'
+ * @param {Date} options.expiresAt - Refresh token expiry
+ * @param {Object} [options.req] - Express request, for the device
+ * @returns {Promise<Object>}
+ */
+async function createSession(account, { accountType, expiresAt, req }) {
+  const { deviceId, platform, os, browser, userAgent, ipAddress } = getDeviceInfo(req);
+
+  if (deviceId) {
+    const previous = await Session.find({ account: account._id, accountType, deviceId, revokedAt: null }).select('_id').lean();
+    await Promise.all(previous.map(session => revokeSession(session._id, 'new_login')));
+  }
+
+  return Session.create({
+    account: account._id,
+    accountType,
+    deviceId,
+    platform,
+    os,
+    browser,
+    userAgent,
+    ipAddress,
+    expiresAt
+  });
+}
+
+/**
+ * Keep a session alive after its refresh token rotates
+ * @param {string} sessionId
+ * @param {Object} options
+ * @param {Date} options.expiresAt - New refresh token expiry
+ * @param {Object} [options.req] - Express request
+ * @returns {Promise<void>}
+ */
+async function extendSession(sessionId, { expiresAt, req }) {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { expiresAt, lastSeenAt: new Date(), ...(req?.ip && { ipAddress: req.ip }) } }
+  );
+}
+
+/**
+ * Whether a session can still be used, recording it as seen
+ * @param {string} sessionId
+ * @param {Object} [req] - Express request, for the IP address
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, req) {
+  const cached = await getJSON(sessionKey(sessionId));
+  if (cached) {
+    return cached.active;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { lastSeenAt: new Date(), ...(req?.ip && { ipAddress: req.ip }) } }
+  ).select('_id').lean();
+
+  const active = Boolean(session);
+  await setJSON(sessionKey(sessionId), { active }, SESSION_CACHE_TTL);
+  return active;
+}
+
+/**
+ * Revoke a session and the refresh tokens rotated from it
+ * @param {string} sessionId
+ * @param {string} reason - Session.revokedReason
+ * @returns {Promise<number>} - Refresh tokens revoked
+ */
+async function revokeSession(sessionId, reason) {
+  const revokedAt = new Date();
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt, revokedReason: reason } });
+  const result = await RefreshToken.updateMany(
+    { family: String(sessionId), revokedAt: null },
+    { $set: { revokedAt, revokedReason: reason } }
+  );
+  await clearCache(sessionKey(sessionId));
+  return result.modifiedCount;
+}
+
+/**
+ * Revoke every session an account has
+ * @param {string} accountId
+ * @param {string} accountType - 'user' | 'cashier'
+ * @param {string} reason - Session.revokedReason
+ * @param {Object} [options]
+ * @param {string} [options.except] - Session to keep
+ * @returns {Promise<number>} - Sessions revoked
+ */
+async function revokeAccountSessions(accountId, accountType, reason, { except } = {}) {
+  const query = { account: accountId, accountType, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  const sessions = await Session.find(query).select('_id').lean();
+  await Promise.all(sessions.map(session => revokeSession(session._id, reason)));
+
+  // Tokens from logins before sessions existed have no session to revoke
+  await RefreshToken.updateMany(
+    { account: accountId, accountType, revokedAt: null, ...(except && { family: { $ne: String(except) } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  console.log(`[${formatDate()}] - 🔒 ${sessions.length} session(s) revoked for ${accountType} ${accountId} | Reason: ${reason}`);
+  return sessions.length;
+}
+
+/**
+ * Sessions an account is logged in with, most recently seen first
+ * @param {string} accountId
+ * @param {string} accountType - 'user' | 'cashier'
+ * @param {string} [currentSessionId] - Flagged as `current`
+ * @returns {Promise<Object[]>}
+ */
+async function listSessions(accountId, accountType, currentSessionId) {
+  const sessions = await Session.find({
+    account: accountId,
+    accountType,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('deviceId platform os browser userAgent ipAddress lastSeenAt createdAt expiresAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    id: session._id,
+    deviceId: session.deviceId,
+    platform: session.platform,
+    os: session.os,
+    browser: session.browser,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    lastSeenAt: session.lastSeenAt,
+    loggedInAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId)
+  }));
+}
+
+/**
+ * Revoke one of an account's own sessions
+ * @param {string} accountId
+ * @param {string} accountType - 'user' | 'cashier'
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+async function revokeOwnSession(accountId, accountType, sessionId) {
+  const session = await Session.findOne({ _id: sessionId, account: accountId, accountType, revokedAt: null })
+    .select('_id')
+    .lean();
+  if (!session) {
+    throw sessionError('Session not found', 404, 'SESSION_NOT_FOUND');
+  }
+  await revokeSession(session._id, 'revoked');
+}
+
+module.exports = {
+  createSession,
+  extendSession,
+  isSessionActive,
+  revokeSession,
+  revokeAccountSessions,
+  listSessions,
+  revokeOwnSession
+};
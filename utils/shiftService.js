@@ -0,0 +1,287 @@
+const Order = require('../models/Order');
+const Shift = require('../models/Shift');
+const { getDrawerSummary, countDrawer, recordDrawerCount } = require('./cashDrawerService');
+const { roundMoney } = require('./pricingService');
+const { renderPdf } = require('../helpers/pdfService');
+const { getZReportHtml } = require('../helpers/zReportTemplate');
+const { formatDate } = require('./logging');
+
+/**
+ * Cashier shifts
+ * - A cashier opens a shift with an opening float and closes it with a drawer count
+ * - Activity (status changes, cash collected, refunds) is read back from the orders for the shift's window,
+ *   so nothing has to be written to the shift while it is open
+ * - Closing freezes that activity on the shift and produces the Z-report
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+function shiftError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Open a shift for a cashier
+ * @param {Object} cashier - Cashier document
+ * @param {Object} [options]
+ * @param {number} [options.openingFloat=0]
+ * @param {string} [options.note]
+ * @returns {Promise<Object>}
+ */
+async function openShift(cashier, { openingFloat = 0, note } = {}) {
+  try {
+    const shift = await Shift.create({
+      cashier: cashier._id,
+      cashierName: cashier.name,
+      userName: cashier.userName,
+      openingFloat: roundMoney(openingFloat),
+      openingNote: note
+    });
+    console.log(`[${formatDate()}] - 🟢 Shift ${shift._id} opened by ${cashier.userName} | Float: ₱${shift.openingFloat}`);
+    return shift.toObject();
+  } catch (error) {
+    // Partial unique index on open shifts
+    if (error.code === 11000) {
+      throw shiftError('You already have an open shift', 409, 'SHIFT_ALREADY_OPEN');
+    }
+    throw error;
+  }
+}
+
+/**
+ * The cashier's open shift, if any
+ * @param {string} cashierId
+ * @returns {Promise<Object|null>}
+ */
+async function getOpenShift(cashierId) {
+  return Shift.findOne({ cashier: cashierId, status: 'open' }).lean();
+}
+
+/**
+ * What a cashier did between two times
+ * @param {Object} shift - Shift (cashier, openedAt, openingFloat)
+ * @param {Date} end
+ * @returns {Promise<Object>} - { drawer, statusChanges, refunds, orders }
+ */
+async function getShiftActivity(shift, end) {
+  const cashierId = String(shift.cashier);
+  const start = shift.openedAt;
+  const inShift = (date) => date >= start && date <= end;
+
+  const drawer = await getDrawerSummary({ cashierId, start, end, openingFloat: shift.openingFloat });
+
+  const changed = await Order.find({
+    statusHistory: { $elemMatch: { actor: 'cashier', actorId: cashierId, timestamp: { $gte: start, $lte: end } } }
+  })
+    .select('id statusHistory')
+    .lean();
+
+  const statusChanges = changed
+    .flatMap(order => order.statusHistory
+      .filter(entry => entry.actor === 'cashier' && entry.actorId === cashierId && inShift(entry.timestamp))
+      .map(entry => ({ orderId: order.id, from: entry.from, to: entry.to, timestamp: entry.timestamp })))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const refunded = await Order.find({
+    refunds: { $elemMatch: { requestedBy: cashierId, createdAt: { $gte: start, $lte: end } } }
+  })
+    .select('id refunds')
+    .lean();
+
+  const refunds = refunded.flatMap(order => order.refunds
+    .filter(refund => refund.requestedBy === cashierId && refund.status !== 'failed' && inShift(refund.createdAt))
+    .map(refund => ({
+      orderId: order.id,
+      amount: refund.amount,
+      provider: refund.provider,
+      status: refund.status,
+      reason: refund.reason,
+      refundedAt: refund.createdAt
+    })));
+
+  const orders = [...new Set([
+    ...drawer.collections.map(collection => collection.orderId),
+    ...statusChanges.map(change => change.orderId)
+  ])];
+
+  return { drawer, statusChanges, refunds, orders };
+}
+
+function summarize({ drawer, statusChanges, refunds, orders }) {
+  return {
+    ordersHandled: orders.length,
+    statusChanges: statusChanges.length,
+    cashOrders: drawer.orderCount,
+    cashSales: drawer.cashSales,
+    amountTendered: drawer.amountTendered,
+    changeGiven: drawer.changeGiven,
+    refundsIssued: refunds.length,
+    refundTotal: roundMoney(refunds.reduce((sum, refund) => sum + refund.amount, 0)),
+    cashRefunds: drawer.cashRefunds,
+    expectedCash: drawer.expectedCash
+  };
+}
+
+/**
+ * Open shift with its activity so far
+ * @param {string} cashierId
+ * @returns {Promise<Object|null>}
+ */
+async function getCurrentShift(cashierId) {
+  const shift = await getOpenShift(cashierId);
+  if (!shift) {
+    return null;
+  }
+
+  const activity = await getShiftActivity(shift, new Date());
+  return {
+    ...shift,
+    summary: summarize(activity),
+    orders: activity.orders,
+    statusChanges: activity.statusChanges,
+    refunds: activity.refunds
+  };
+}
+
+/**
+ * Close the cashier's open shift with the closing drawer count
+ * The count is also recorded on the cashier, so discrepancies show up in the cash drawer report.
+ * @param {Object} cashier - Cashier document
+ * @param {Object} options
+ * @param {number} options.countedCash
+ * @param {string} [options.note]
+ * @param {Object} [options.req] - Express request, for the audit log
+ * @returns {Promise<Object>} - Closed shift
+ */
+async function closeShift(cashier, { countedCash, note, req }) {
+  const shift = await getOpenShift(cashier._id);
+  if (!shift) {
+    throw shiftError('You have no open shift', 404, 'NO_OPEN_SHIFT');
+  }
+
+  const closedAt = new Date();
+  const activity = await getShiftActivity(shift, closedAt);
+  const count = countDrawer(activity.drawer, countedCash);
+
+  // Guarded on the shift still being open so a double submit closes it once
+  const closed = await Shift.findOneAndUpdate(
+    { _id: shift._id, status: 'open' },
+    {
+      $set: {
+        status: 'closed',
+        closedAt,
+        countedCash: count.countedCash,
+        closingNote: note,
+        summary: {
+          ...summarize(activity),
+          discrepancy: count.discrepancy,
+          drawerStatus: count.status
+        },
+        orders: activity.orders,
+        statusChanges: activity.statusChanges,
+        refunds: activity.refunds
+      }
+    },
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!closed) {
+    throw shiftError('Shift was already closed', 409, 'SHIFT_ALREADY_CLOSED');
+  }
+
+  await recordDrawerCount(cashier, { countedCash, note, req, summary: activity.drawer });
+
+  console.log(`[${formatDate()}] - 🔴 Shift ${closed._id} closed by ${cashier.userName} | Orders: ${activity.orders.length} | Drawer: ${count.status} (₱${count.discrepancy})`);
+  return closed;
+}
+
+/**
+ * Find a closed or open shift by id
+ * @param {string} shiftId
+ * @returns {Promise<Object>}
+ */
+async function getShift(shiftId) {
+  const shift = String(shiftId).match(/^[0-9a-fA-F]{24}$/) ? await Shift.findById(shiftId).lean() : null;
+  if (!shift) {
+    throw shiftError('Shift not found', 404, 'SHIFT_NOT_FOUND');
+  }
+  return shift;
+}
+
+/**
+ * Z-report for a closed shift
+ * @param {Object} shift - Closed shift
+ * @returns {Object}
+ */
+function buildZReport(shift) {
+  if (shift.status !== 'closed') {
+    throw shiftError('Z-reports are only available for closed shifts', 409, 'SHIFT_OPEN');
+  }
+
+  const { summary } = shift;
+  const byStatus = shift.statusChanges.reduce((counts, change) => {
+    counts[change.to] = (counts[change.to] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    reportType: 'Z',
+    shiftId: shift._id,
+    cashier: { id: shift.cashier, name: shift.cashierName, userName: shift.userName },
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt,
+    activity: {
+      ordersHandled: summary.ordersHandled,
+      statusChanges: summary.statusChanges,
+      byStatus
+    },
+    sales: {
+      cashOrders: summary.cashOrders,
+      cashSales: summary.cashSales,
+      amountTendered: summary.amountTendered,
+      changeGiven: summary.changeGiven
+    },
+    refunds: {
+      count: summary.refundsIssued,
+      total: summary.refundTotal,
+      cash: summary.cashRefunds
+    },
+    drawer: {
+      openingFloat: shift.openingFloat,
+      expectedCash: summary.expectedCash,
+      countedCash: shift.countedCash,
+      discrepancy: summary.discrepancy,
+      status: summary.drawerStatus
+    },
+    notes: {
+      opening: shift.openingNote || null,
+      closing: shift.closingNote || null
+    },
+    orders: shift.orders,
+    statusChangeLog: shift.statusChanges,
+    refundLog: shift.refunds,
+    generatedAt: new Date()
+  };
+}
+
+/**
+ * Printable Z-report
+ * @param {Object} report - From buildZReport
+ * @returns {Promise<Buffer>}
+ */
+async function renderZReportPdf(report) {
+  return renderPdf(getZReportHtml(report), { format: 'A5' });
+}
+
+module.exports = {
+  openShift,
+  getOpenShift,
+  getCurrentShift,
+  closeShift,
+  getShift,
+  buildZReport,
+  renderZReportPdf
+};
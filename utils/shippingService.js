@@ -0,0 +1,213 @@
+const ShippingZone = require('../models/ShippingZone');
+const { getJSON, setJSON, clearCache } = require('./redis');
+const { roundMoney } = require('./pricingService');
+const { formatDate } = require('./logging');
+
+/**
+ * Shipping service
+ * - Picks the shipping zone for a Philippine address (region / province / city / barangay)
+ * - Computes the delivery fee from the zone's base, weight and item-count rates
+ * - The same quote is used by POST /api/cart/shipping-quote and when the order is created
+ *
+ * DEFAULT_DELIVERY_FEE:      fee when no zone matches (default 5.99)
+ * DEFAULT_ITEM_WEIGHT_KG:    weight for products without `weight` (default 0.5)
+ *
+ * Free-shipping thresholds compare against the item subtotal before coupon discounts.
+ */
+
+const ZONES_CACHE_KEY = 'shipping:zones';
+const ZONES_CACHE_TTL = 300; // 5 minutes
+
+// How specific a zone's match is; a barangay rule beats a city rule, and so on
+const SPECIFICITY = { barangays: 8, cities: 4, provinces: 2, regions: 1 };
+const ADDRESS_FIELDS = { regions: 'region', provinces: 'province', cities: 'city', barangays: 'barangay' };
+
+function shippingError(message, statusCode = 400, code = 'SHIPPING_UNAVAILABLE') {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+function getDefaultFee() {
+  const fee = parseFloat(process.env.DEFAULT_DELIVERY_FEE);
+  return Number.isNaN(fee) ? 5.99 : fee;
+}
+
+function getDefaultItemWeight() {
+  const weight = parseFloat(process.env.DEFAULT_ITEM_WEIGHT_KG);
+  return Number.isNaN(weight) ? 0.5 : weight;
+}
+
+/**
+ * Reduce a Profile address or Order customer.address to the fields zones match on
+ * Order addresses use `state` for the province.
+ * @param {Object} address
+ * @returns {{region: string, province: string, city: string, barangay: string}}
+ */
+function normalizeAddress(address = {}) {
+  return {
+    region: normalize(address.region),
+    province: normalize(address.province || address.state),
+    city: normalize(address.city),
+    barangay: normalize(address.barangay)
+  };
+}
+
+/**
+ * Active zones, cached in Redis
+ * @returns {Promise<Array>}
+ */
+async function getActiveZones() {
+  const cached = await getJSON(ZONES_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+  const zones = await ShippingZone.find({ isActive: true }).lean();
+  await setJSON(ZONES_CACHE_KEY, zones, ZONES_CACHE_TTL);
+  return zones;
+}
+
+/**
+ * Drop cached zones (call after any zone change)
+ */
+async function clearZonesCache() {
+  await clearCache(ZONES_CACHE_KEY);
+}
+
+/**
+ * Score a zone against an address
+ * @returns {number} - -1 if the zone does not match, otherwise its specificity
+ */
+function scoreZone(zone, address) {
+  let score = 0;
+  for (const [list, field] of Object.entries(ADDRESS_FIELDS)) {
+    const values = (zone.match?.[list] || []).map(normalize);
+    if (values.length === 0) continue;
+    if (!values.includes(address[field])) return -1;
+    score += SPECIFICITY[list];
+  }
+  return score;
+}
+
+/**
+ * Find the zone for an address
+ * @param {Object} address - Profile address or Order customer.address
+ * @returns {Promise<Object|null>}
+ */
+async function findZone(address) {
+  const normalized = normalizeAddress(address);
+  const zones = await getActiveZones();
+
+  let best = null;
+  let bestScore = -1;
+  for (const zone of zones) {
+    const score = scoreZone(zone, normalized);
+    if (score < 0) continue;
+    if (!best || zone.priority > best.priority || (zone.priority === best.priority && score > bestScore)) {
+      best = zone;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Total shipping weight and item count for priced lines
+ * @param {Array} lines - Priced lines ({ product, quantity })
+ * @param {Map} products - Product map from priceItems
+ * @returns {{weightKg: number, itemCount: number}}
+ */
+function measureLines(lines, products) {
+  const defaultWeight = getDefaultItemWeight();
+  return lines.reduce((totals, line) => {
+    const product = products.get(line.product.toString());
+    const weight = typeof product?.weight === 'number' ? product.weight : defaultWeight;
+    return {
+      weightKg: roundMoney(totals.weightKg + weight * line.quantity),
+      itemCount: totals.itemCount + line.quantity
+    };
+  }, { weightKg: 0, itemCount: 0 });
+}
+
+/**
+ * Compute the delivery fee for an order or cart
+ * Throws a 400 error if the order is too heavy for the matched zone.
+ * @param {Object} params
+ * @param {string} [params.deliveryType='delivery'] - 'pickup' is always free
+ * @param {Object} params.address - Delivery address
+ * @param {Array} params.lines - Priced lines from priceItems
+ * @param {Map} params.products - Product map from priceItems
+ * @param {number} params.subtotal - Item subtotal before discounts
+ * @returns {Promise<Object>} - { fee, zone, weightKg, itemCount, freeShippingApplied, freeShippingThreshold, amountToFreeShipping, estimatedDays }
+ */
+async function quoteShipping({ deliveryType = 'delivery', address, lines, products, subtotal }) {
+  const { weightKg, itemCount } = measureLines(lines, products);
+
+  if (deliveryType === 'pickup') {
+    return {
+      fee: 0,
+      zone: null,
+      weightKg,
+      itemCount,
+      freeShippingApplied: false,
+      freeShippingThreshold: null,
+      amountToFreeShipping: null,
+      estimatedDays: null
+    };
+  }
+
+  const zone = address ? await findZone(address) : null;
+
+  if (!zone) {
+    return {
+      fee: roundMoney(getDefaultFee()),
+      zone: null,
+      weightKg,
+      itemCount,
+      freeShippingApplied: false,
+      freeShippingThreshold: null,
+      amountToFreeShipping: null,
+      estimatedDays: null
+    };
+  }
+
+  if (zone.maxWeightKg && weightKg > zone.maxWeightKg) {
+    throw shippingError(`Orders over ${zone.maxWeightKg} kg cannot be delivered to ${zone.name}`);
+  }
+
+  const extraKg = Math.max(0, Math.ceil(weightKg - (zone.includedWeightKg || 0)));
+  const extraItems = Math.max(0, itemCount - (zone.includedItems || 0));
+  let fee = zone.baseFee + extraKg * (zone.perKgFee || 0) + extraItems * (zone.perItemFee || 0);
+
+  const threshold = zone.freeShippingThreshold;
+  const freeShippingApplied = threshold !== null && threshold !== undefined && subtotal >= threshold;
+  if (freeShippingApplied) {
+    fee = 0;
+  }
+
+  const quote = {
+    fee: roundMoney(fee),
+    zone: { id: zone._id, name: zone.name },
+    weightKg,
+    itemCount,
+    freeShippingApplied,
+    freeShippingThreshold: threshold ?? null,
+    amountToFreeShipping: threshold !== null && threshold !== undefined && !freeShippingApplied
+      ? roundMoney(threshold - subtotal)
+      : null,
+    estimatedDays: zone.estimatedDays || null
+  };
+
+  console.log(`[${formatDate()}] - 🚚 Shipping quote | Zone: ${zone.name} | Weight: ${weightKg}kg | Items: ${itemCount} | Fee: ₱${quote.fee}`);
+  return quote;
+}
+
+module.exports = {
+  normalizeAddress,
+  findZone,
+  clearZonesCache,
+  quoteShipping
+};
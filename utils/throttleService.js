@@ -0,0 +1,266 @@
+const User = require('../models/User');
+const { generateToken, verifyToken } = require('./jwt');
+const { addToWindow, countWindow, getJSON, setJSON, del, getConnectionStatus } = require('./redis');
+const { recordAudit } = require('./auditLog');
+const { sendAccountLockedEmail } = require('../helpers/emailService');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Brute-force protection for the public auth endpoints
+ * - Sliding-window request limits per IP and per account (the email or cashier username in the body)
+ * - Failed logins, 2FA codes, password reset codes and sign-in codes count against the account: after
+ *   FREE_FAILURES each attempt is delayed a little longer, and LOCKOUT_THRESHOLD failures lock
+ *   the account for LOCKOUT_MINUTES and email an unlock link
+ * - Counters live in Redis so every instance sees them; while Redis is down each instance
+ *   falls back to its own memory
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Per-endpoint request limits
+const LIMITS = {
+  login: { ip: { max: 30, windowMs: 15 * MINUTE }, account: { max: 15, windowMs: 15 * MINUTE } },
+  checkEmail: { ip: { max: 20, windowMs: 15 * MINUTE }, account: { max: 5, windowMs: 15 * MINUTE } },
+  resetPassword: { ip: { max: 10, windowMs: 15 * MINUTE }, account: { max: 3, windowMs: 15 * MINUTE } },
+  resetPasswordVerify: { ip: { max: 20, windowMs: 15 * MINUTE }, account: { max: 10, windowMs: 15 * MINUTE } },
+  magicLink: { ip: { max: 10, windowMs: 15 * MINUTE }, account: { max: 5, windowMs: 15 * MINUTE } },
+  magicLinkVerify: { ip: { max: 20, windowMs: 15 * MINUTE }, account: { max: 10, windowMs: 15 * MINUTE } },
+  twoFactor: { ip: { max: 20, windowMs: 15 * MINUTE }, account: { max: 10, windowMs: 15 * MINUTE } },
+  oauthLinkConfirm: { ip: { max: 20, windowMs: 15 * MINUTE }, account: { max: 10, windowMs: 15 * MINUTE } }
+};
+
+const FAILURE_WINDOW_MS = 15 * MINUTE;
+const FREE_FAILURES = 3;
+const MAX_DELAY_MS = 8000;
+const LOCKOUT_THRESHOLD = parseInt(process.env.ACCOUNT_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES) || 15;
+
+const lockoutKey = (identifier) => `lockout:${identifier}`;
+const failuresKey = (identifier) => `throttle:failures:${identifier}`;
+
+function throttleError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+// Fallback for when Redis is down: per-instance windows and lockouts
+const memoryWindows = new Map();
+const memoryLockouts = new Map();
+
+function memoryHits(key, windowMs, add) {
+  const now = Date.now();
+  const hits = (memoryWindows.get(key) || []).filter(time => time > now - windowMs);
+  if (add) {
+    hits.push(now);
+  }
+  if (hits.length > 0) {
+    memoryWindows.set(key, hits);
+  } else {
+    memoryWindows.delete(key);
+  }
+  // Keys nobody comes back to would otherwise stay forever
+  if (memoryWindows.size > 10000) {
+    for (const [staleKey, times] of memoryWindows) {
+      if (times[times.length - 1] <= now - FAILURE_WINDOW_MS) {
+        memoryWindows.delete(staleKey);
+      }
+    }
+  }
+  return hits.length;
+}
+
+async function hit(key, windowMs) {
+  const count = await addToWindow(key, windowMs);
+  return count === null ? memoryHits(key, windowMs, true) : count;
+}
+
+async function count(key, windowMs) {
+  const result = await countWindow(key, windowMs);
+  return result === null ? memoryHits(key, windowMs, false) : result;
+}
+
+/**
+ * Count an attempt in a sliding window, atomically, e.g. per login challenge
+ * @param {string} key
+ * @param {number} windowMs
+ * @returns {Promise<number>} - Attempts in the window, this one included
+ */
+async function countAttempt(key, windowMs) {
+  return hit(key, windowMs);
+}
+
+/**
+ * Normalize what the client logs in with, so `Jane@x.com ` and `jane@x.com` share counters
+ * @param {string} identifier
+ * @returns {string}
+ */
+function normalizeIdentifier(identifier) {
+  return String(identifier || '').trim().toLowerCase();
+}
+
+/**
+ * When a locked account unlocks
+ * @param {string} identifier - Normalized
+ * @returns {Promise<Date|null>} - null if not locked
+ */
+async function getLockout(identifier) {
+  if (!identifier) {
+    return null;
+  }
+
+  let lockout;
+  if (getConnectionStatus()) {
+    lockout = await getJSON(lockoutKey(identifier));
+  } else {
+    lockout = memoryLockouts.get(identifier);
+  }
+
+  const lockedUntil = lockout ? new Date(lockout.lockedUntil) : null;
+  if (!lockedUntil || lockedUntil <= new Date()) {
+    memoryLockouts.delete(identifier);
+    return null;
+  }
+  return lockedUntil;
+}
+
+/**
+ * Count a request against the endpoint's IP and account limits
+ * @param {string} scope - Key of LIMITS
+ * @param {Object} subject
+ * @param {string} subject.ip
+ * @param {string} [subject.identifier] - Normalized
+ * @returns {Promise<Object>} - { delayMs }: how long to hold the request, from the account's recent failures
+ */
+async function checkThrottle(scope, { ip, identifier }) {
+  const limits = LIMITS[scope];
+
+  const ipHits = await hit(`throttle:${scope}:ip:${ip}`, limits.ip.windowMs);
+  if (ipHits > limits.ip.max) {
+    const error = throttleError('Too many requests from this IP. Please try again later.', 429, 'RATE_LIMITED');
+    error.retryAfter = Math.ceil(limits.ip.windowMs / 1000);
+    throw error;
+  }
+
+  if (!identifier) {
+    return { delayMs: 0 };
+  }
+
+  const accountHits = await hit(`throttle:${scope}:account:${identifier}`, limits.account.windowMs);
+  if (accountHits > limits.account.max) {
+    const error = throttleError('Too many attempts for this account. Please try again later.', 429, 'RATE_LIMITED');
+    error.retryAfter = Math.ceil(limits.account.windowMs / 1000);
+    throw error;
+  }
+
+  // 1s, 2s, 4s, ... after the free failures
+  const failures = await count(failuresKey(identifier), FAILURE_WINDOW_MS);
+  const delayMs = failures > FREE_FAILURES
+    ? Math.min(1000 * 2 ** (failures - FREE_FAILURES - 1), MAX_DELAY_MS)
+    : 0;
+  return { delayMs };
+}
+
+async function lockAccount(identifier, req) {
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * MINUTE);
+  if (getConnectionStatus()) {
+    await setJSON(lockoutKey(identifier), { lockedUntil }, LOCKOUT_MINUTES * 60);
+  } else {
+    memoryLockouts.set(identifier, { lockedUntil });
+  }
+
+  await recordAudit({
+    action: 'auth.account_locked',
+    outcome: 'denied',
+    actor: { type: 'anonymous' },
+    reason: `${LOCKOUT_THRESHOLD} failed attempts`,
+    req,
+    metadata: { identifier, lockedUntil }
+  });
+  console.log(`[${formatDate()}] - 🔒 Account locked until ${lockedUntil.toISOString()} | ${identifier}`);
+
+  // Lockouts apply whether or not the account exists; only real accounts get the email
+  const user = await User.findOne({ email: identifier, isActive: true }).select('name email').lean();
+  if (user) {
+    const token = generateToken({ email: identifier, type: 'account_unlock', temp: true }, `${LOCKOUT_MINUTES}m`);
+    const baseUrl = process.env.ACCOUNT_UNLOCK_URL || `${req.protocol}://${req.get('host')}/api/auth/unlock`;
+    sendAccountLockedEmail(user.email, user.name, { lockedUntil, unlockUrl: `${baseUrl}?token=${encodeURIComponent(token)}` })
+      .catch(error => logError(`❌ Failed to send account locked email: ${error.message}`));
+  }
+
+  return lockedUntil;
+}
+
+/**
+ * Count a failed login or code; locks the account at LOCKOUT_THRESHOLD failures
+ * @param {string} identifier - Email or cashier username
+ * @param {Object} req - Express request
+ * @returns {Promise<Date|null>} - When the account unlocks, if this failure locked it
+ */
+async function recordFailedAttempt(identifier, req) {
+  const normalized = normalizeIdentifier(identifier);
+  if (!normalized) {
+    return null;
+  }
+
+  const failures = await hit(failuresKey(normalized), FAILURE_WINDOW_MS);
+  if (failures >= LOCKOUT_THRESHOLD) {
+    await clearFailedAttempts(normalized);
+    return lockAccount(normalized, req);
+  }
+  return null;
+}
+
+/**
+ * Forget an account's failures after it logs in or verifies its reset code
+ * @param {string} identifier - Email or cashier username
+ * @returns {Promise<void>}
+ */
+async function clearFailedAttempts(identifier) {
+  const normalized = normalizeIdentifier(identifier);
+  memoryWindows.delete(failuresKey(normalized));
+  await del(failuresKey(normalized));
+}
+
+/**
+ * Lift a lockout with the token from the unlock email
+ * @param {string} token
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<string>} - The unlocked email
+ */
+async function unlockAccount(token, req) {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    throw throttleError('Unlock link is invalid or has expired', 400, 'INVALID_UNLOCK_TOKEN');
+  }
+  if (decoded.type !== 'account_unlock' || !decoded.email) {
+    throw throttleError('Unlock link is invalid or has expired', 400, 'INVALID_UNLOCK_TOKEN');
+  }
+
+  memoryLockouts.delete(decoded.email);
+  await del(lockoutKey(decoded.email));
+  await clearFailedAttempts(decoded.email);
+
+  await recordAudit({
+    action: 'auth.account_unlocked',
+    actor: { type: 'anonymous' },
+    req,
+    metadata: { identifier: decoded.email }
+  });
+  return decoded.email;
+}
+
+module.exports = {
+  normalizeIdentifier,
+  countAttempt,
+  getLockout,
+  checkThrottle,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  unlockAccount
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const BlacklistedToken = require('../models/BlacklistedToken');
+const User = require('../models/User');
+const Cashier = require('../models/Cashier');
+const { generateAccessToken, verifyToken } = require('./jwt');
+const { createSession, extendSession, revokeSession } = require('./sessionService');
+const { set, exists, getConnectionStatus } = require('./redis');
+const { recordAudit } = require('./auditLog');
+const { formatDate, logError } = require('./logging');
+
+/**
+ * Access and refresh tokens
+ * - Access tokens are short-lived JWTs (ACCESS_TOKEN_EXPIRE, default 15m) carrying a `jti` and the refresh token family (`fid`)
+ * - Refresh tokens are random strings stored hashed; each login starts a session (utils/sessionService.js) whose id is the token family
+ * - Every refresh rotates the token; presenting a rotated token again revokes the whole family
+ * - Revoked access tokens are looked up by `jti` in Redis, or in MongoDB while Redis is down
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+function tokenError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const blacklistKey = (jti) => `blacklist:jti:${jti}`;
+
+function getDevice(req) {
+  return {
+    deviceId: req?.get?.('X-Device-Id') || null,
+    userAgent: req?.get?.('User-Agent') || null,
+    ipAddress: req?.ip || null
+  };
+}
+
+/**
+ * Issue an access token and a refresh token
+ * Without `family` this is a new login and starts a new session.
+ * @param {Object} account - User or Cashier document
+ * @param {Object} options
+ * @param {string} [options.accountType='user'] - 'user' | 'cashier'
+ * @param {Object} [options.req] - Express request, for the device
+ * @param {string} [options.family] - Family to continue when rotating
+ * @returns {Promise<Object>} - { accessToken, refreshToken, tokenType, expiresIn, refreshTokenExpiresAt }
+ */
+async function issueTokens(account, { accountType = 'user', req, family } = {}) {
+  const refreshTokenExpiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  let tokenFamily = family;
+  if (tokenFamily) {
+    await extendSession(tokenFamily, { expiresAt: refreshTokenExpiresAt, req });
+  } else {
+    const session = await createSession(account, { accountType, expiresAt: refreshTokenExpiresAt, req });
+    tokenFamily = String(session._id);
+  }
+
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    family: tokenFamily,
+    account: account._id,
+    accountType,
+    device: getDevice(req),
+    expiresAt: refreshTokenExpiresAt
+  });
+
+  const accessToken = generateAccessToken({
+    id: account._id,
+    role: account.role,
+    ...(accountType === 'cashier' && { type: 'cashier' }),
+    fid: tokenFamily
+  });
+  const { iat, exp } = verifyToken(accessToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: exp - iat,
+    refreshTokenExpiresAt
+  };
+}
+
+/**
+ * Token fields of a login or refresh response
+ * `token` keeps its name so existing clients carry on sending it as the bearer token.
+ * @param {Object} tokens - From issueTokens
+ * @returns {Object}
+ */
+function tokenResponse(tokens) {
+  return {
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+  };
+}
+
+/**
+ * Swap a refresh token for a new pair
+ * @param {string} refreshToken
+ * @param {Object} req - Express request, for the device and audit log
+ * @returns {Promise<Object>} - Same shape as issueTokens
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claiming the token and marking it used is one write, so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const existing = await RefreshToken.findOne({ tokenHash }).lean();
+    if (!existing) {
+      throw tokenError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (existing.usedAt) {
+      // A rotated token came back: either the client or an attacker holds a stolen copy, so nobody keeps the family
+      const revoked = await revokeSession(existing.family, 'reuse_detected');
+      console.log(`[${formatDate()}] - 🚨 Refresh token reuse detected | Account: ${existing.account} | Family: ${existing.family} | Revoked: ${revoked}`);
+      await recordAudit({
+        action: 'auth.refresh_token_reused',
+        outcome: 'denied',
+        actor: { type: existing.accountType, id: String(existing.account) },
+        resource: { type: 'refresh_token_family', id: existing.family },
+        req,
+        metadata: { usedAt: existing.usedAt, revoked }
+      });
+      throw tokenError('Refresh token has already been used. Please login again.', 401, 'REFRESH_TOKEN_REUSED');
+    }
+
+    if (existing.revokedAt) {
+      throw tokenError('Refresh token has been revoked. Please login again.', 401, 'REFRESH_TOKEN_REVOKED');
+    }
+    throw tokenError('Refresh token has expired. Please login again.', 401, 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const Model = claimed.accountType === 'cashier' ? Cashier : User;
+  const account = await Model.findById(claimed.account);
+  if (!account || !account.isActive) {
+    await revokeSession(claimed.family, 'logout');
+    throw tokenError('User not found or inactive', 401, 'ACCOUNT_INACTIVE');
+  }
+
+  return issueTokens(account, { accountType: claimed.accountType, req, family: claimed.family });
+}
+
+/**
+ * Stop an access token from being accepted before it expires
+ * @param {Object} auth - req.auth set by `protect`: { token, jti, expiresAt }
+ * @returns {Promise<void>}
+ */
+async function blacklistAccessToken({ token, jti, expiresAt }) {
+  const ttl = Math.floor((expiresAt.getTime() - Date.now()) / 1000);
+  if (ttl <= 0) {
+    return;
+  }
+
+  if (jti) {
+    await set(blacklistKey(jti), '1', ttl);
+  }
+
+  // Kept in MongoDB too, for lookups while Redis is down
+  try {
+    await BlacklistedToken.create({ token, jti, expiresAt });
+  } catch (error) {
+    if (error.code !== 11000) {
+      logError(`❌ Failed to store blacklisted token: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Whether an access token has been revoked
+ * @param {string} token - Raw access token
+ * @param {Object} decoded - Its verified payload
+ * @returns {Promise<boolean>}
+ */
+async function isAccessTokenBlacklisted(token, decoded) {
+  if (!decoded.jti) {
+    // Issued before access tokens had a jti
+    return Boolean(await BlacklistedToken.exists({ token }));
+  }
+  if (getConnectionStatus()) {
+    return exists(blacklistKey(decoded.jti));
+  }
+  return Boolean(await BlacklistedToken.exists({ jti: decoded.jti }));
+}
+
+module.exports = {
+  issueTokens,
+  tokenResponse,
+  rotateRefreshToken,
+  blacklistAccessToken,
+  isAccessTokenBlacklisted
+};
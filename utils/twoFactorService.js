@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Cashier = require('../models/Cashier');
+const { generateSecret, verifyCode, getOtpauthUrl } = require('./totp');
+const { generateToken, verifyToken } = require('./jwt');
+const { roleRequiresTwoFactor, normalizeRoleName } = require('./permissions');
+const { setNX, clearCache } = require('./redis');
+const { countAttempt, recordFailedAttempt, clearFailedAttempts, normalizeIdentifier } = require('./throttleService');
+const { recordAudit } = require('./auditLog');
+const { formatDate } = require('./logging');
+
+/**
+ * TOTP two-factor authentication
+ * - Optional for every account; required for roles with `requireTwoFactor` (admin and cashier by default)
+ * - Secrets are stored AES-256-GCM encrypted with TWO_FACTOR_ENCRYPTION_KEY (falls back to JWT_SECRET)
+ * - Recovery codes are single use and stored as SHA-256 hashes
+ * - Login with 2FA is two steps: the password step returns a short-lived challenge token
+ *   that `verifyLoginChallenge` exchanges for the account once a code checks out
+ *
+ * Failures the client can act on are thrown with `statusCode`.
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+const CHALLENGE_TTL = 300;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+function twoFactorError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+const modelFor = (accountType) => (accountType === 'cashier' ? Cashier : User);
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toUpperCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+function encryptionKey() {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+async function loadAccount(accountId, accountType, fields = '') {
+  const account = await modelFor(accountType).findById(accountId)
+    .select(`+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep ${fields}`.trim());
+  if (!account || !account.isActive) {
+    throw twoFactorError('Account not found or inactive', 404, 'ACCOUNT_NOT_FOUND');
+  }
+  return account;
+}
+
+// Login caches user accounts by email; drop the entry so the next login sees the 2FA change
+async function clearLoginCache(account, accountType) {
+  if (accountType === 'user' && account.email) {
+    await clearCache(`user:${account.email.toLowerCase()}`);
+  }
+}
+
+const actorOf = (account, accountType) => ({ type: accountType, id: account._id });
+
+/**
+ * Whether an account's role requires two-factor authentication
+ * @param {Object} account - User or Cashier
+ * @param {string} accountType - 'user' | 'cashier'
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(account, accountType) {
+  return roleRequiresTwoFactor(normalizeRoleName(account.role, accountType));
+}
+
+/**
+ * Two-factor settings of an account, without secrets
+ * @param {Object} account - User or Cashier
+ * @param {string} accountType - 'user' | 'cashier'
+ * @returns {Promise<Object>} - { enabled, enabledAt, required, recoveryCodesRemaining }
+ */
+async function getStatus(account, accountType) {
+  const stored = await modelFor(accountType).findById(account._id).select('+twoFactor.recoveryCodes').lean();
+  return {
+    enabled: Boolean(stored?.twoFactor?.enabled),
+    enabledAt: stored?.twoFactor?.enabledAt || null,
+    required: await isTwoFactorRequired(account, accountType),
+    recoveryCodesRemaining: stored?.twoFactor?.enabled ? (stored.twoFactor.recoveryCodes || []).length : 0
+  };
+}
+
+/**
+ * Start enrolling an authenticator app
+ * The secret only takes effect once `enableTwoFactor` confirms a code from it.
+ * @param {string} accountId
+ * @param {string} accountType - 'user' | 'cashier'
+ * @returns {Promise<Object>} - { secret, otpauthUrl }
+ */
+async function beginSetup(accountId, accountType) {
+  const account = await loadAccount(accountId, accountType);
+  if (account.twoFactor?.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  await modelFor(accountType).updateOne(
+    { _id: account._id },
+    { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } }
+  );
+
+  return {
+    secret,
+    otpauthUrl: getOtpauthUrl(secret, {
+      accountName: account.email || account.userName,
+      issuer: process.env.STORE_NAME || 'Store'
+    })
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {string} accountId
+ * @param {string} accountType - 'user' | 'cashier'
+ * @param {string} code - 6-digit TOTP code
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<string[]>} - Recovery codes, shown once
+ */
+async function enableTwoFactor(accountId, accountType, code, req) {
+  const account = await loadAccount(accountId, accountType);
+  if (account.twoFactor?.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+  if (!account.twoFactor?.pendingSecret) {
+    throw twoFactorError('Start two-factor setup first', 400, 'TWO_FACTOR_SETUP_NOT_STARTED');
+  }
+
+  const secret = decryptSecret(account.twoFactor.pendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    throw twoFactorError('Invalid verification code', 400, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await modelFor(accountType).updateOne(
+    { _id: account._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': account.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    }
+  );
+  await clearLoginCache(account, accountType);
+
+  await recordAudit({ action: '2fa.enabled', actor: actorOf(account, accountType), req });
+  console.log(`[${formatDate()}] - 🔐 2FA enabled for ${accountType} ${account._id}`);
+  return recoveryCodes;
+}
+
+/**
+ * Check a TOTP code or recovery code against an account with 2FA enabled
+ * A recovery code is used up; a TOTP code cannot be used again.
+ * @returns {Promise<string|null>} - 'totp' | 'recovery_code', or null if neither matched
+ */
+async function checkSecondFactor(account, accountType, { code, recoveryCode }, req) {
+  const Model = modelFor(accountType);
+
+  if (code) {
+    const step = verifyCode(decryptSecret(account.twoFactor.secret), code, { afterStep: account.twoFactor.lastUsedStep });
+    if (step === null) {
+      return null;
+    }
+    // Conditional on the step so two requests racing with the same code cannot both pass
+    const result = await Model.updateOne(
+      { _id: account._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const result = await Model.updateOne(
+      { _id: account._id, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } }
+    );
+    if (result.modifiedCount !== 1) {
+      return null;
+    }
+    await recordAudit({
+      action: '2fa.recovery_code_used',
+      actor: actorOf(account, accountType),
+      req,
+      metadata: { remaining: account.twoFactor.recoveryCodes.length - 1 }
+    });
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+/**
+ * Turn two-factor authentication off
+ * Needs the password and a current code; refused while the account's role requires 2FA.
+ * Accounts created through social sign-in have no password of their own until they set one, so they only need the code.
+ * @param {string} accountId
+ * @param {string} accountType - 'user' | 'cashier'
+ * @param {Object} credentials - { password, code, recoveryCode }
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(accountId, accountType, { password, code, recoveryCode }, req) {
+  const account = await loadAccount(accountId, accountType, '+password');
+  if (!account.twoFactor?.enabled) {
+    throw twoFactorError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+  }
+  if (await isTwoFactorRequired(account, accountType)) {
+    throw twoFactorError('Two-factor authentication is required for your role', 403, 'TWO_FACTOR_REQUIRED');
+  }
+
+  if (account.passwordSet !== false) {
+    if (!password) {
+      throw twoFactorError('Password is required', 400, 'PASSWORD_REQUIRED');
+    }
+    const passwordMatches = accountType === 'cashier'
+      ? await account.comparePassword(password)
+      : await account.matchPassword(password);
+    if (!passwordMatches) {
+      throw twoFactorError('Incorrect password', 401, 'INVALID_PASSWORD');
+    }
+  }
+  if (!(await checkSecondFactor(account, accountType, { code, recoveryCode }, req))) {
+    await recordAudit({ action: '2fa.failed', outcome: 'failure', actor: actorOf(account, accountType), reason: 'disable', req });
+    throw twoFactorError('Invalid verification code', 400, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  await modelFor(accountType).updateOne(
+    { _id: account._id },
+    {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.recoveryCodes': '',
+        'twoFactor.lastUsedStep': ''
+      }
+    }
+  );
+  await clearLoginCache(account, accountType);
+
+  await recordAudit({ action: '2fa.disabled', actor: actorOf(account, accountType), req });
+  console.log(`[${formatDate()}] - 🔓 2FA disabled for ${accountType} ${account._id}`);
+}
+
+/**
+ * Replace the recovery codes, invalidating the old ones
+ * @param {string} accountId
+ * @param {string} accountType - 'user' | 'cashier'
+ * @param {string} code - 6-digit TOTP code
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<string[]>} - New recovery codes, shown once
+ */
+async function regenerateRecoveryCodes(accountId, accountType, code, req) {
+  const account = await loadAccount(accountId, accountType);
+  if (!account.twoFactor?.enabled) {
+    throw twoFactorError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+  }
+  if (!(await checkSecondFactor(account, accountType, { code }, req))) {
+    await recordAudit({ action: '2fa.failed', outcome: 'failure', actor: actorOf(account, accountType), reason: 'recovery_codes', req });
+    throw twoFactorError('Invalid verification code', 400, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await modelFor(accountType).updateOne(
+    { _id: account._id },
+    { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+  );
+
+  await recordAudit({ action: '2fa.recovery_codes_regenerated', actor: actorOf(account, accountType), req });
+  return recoveryCodes;
+}
+
+/**
+ * Token for the second login step, after the password checked out
+ * @param {Object} account - User or Cashier
+ * @param {string} accountType - 'user' | 'cashier'
+ * @returns {string}
+ */
+function createLoginChallenge(account, accountType) {
+  return generateToken({
+    id: account._id,
+    accountType,
+    type: '2fa_challenge',
+    nonce: crypto.randomUUID(),
+    // What the account logs in with, so 2FA failures count toward the same lockout as password failures
+    identifier: normalizeIdentifier(account.email || account.userName),
+    temp: true
+  }, CHALLENGE_EXPIRE);
+}
+
+/**
+ * Lockout identifier of the account a challenge is for, for the throttle middleware
+ * @param {string} challengeToken
+ * @returns {string|null}
+ */
+function getChallengeIdentifier(challengeToken) {
+  try {
+    const decoded = verifyToken(challengeToken);
+    return decoded.type === '2fa_challenge' ? decoded.identifier || null : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Complete the second login step
+ * A challenge allows MAX_CHALLENGE_ATTEMPTS attempts and can only be completed once. Wrong codes
+ * also count toward the account lockout (utils/throttleService.js).
+ * @param {string} challengeToken - From `createLoginChallenge`
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {Object} [req] - Express request, for the audit log
+ * @returns {Promise<Object>} - { account, accountType, method }
+ */
+async function verifyLoginChallenge(challengeToken, { code, recoveryCode }, req) {
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch (error) {
+    throw twoFactorError('Login challenge is invalid or has expired. Please login again.', 401, 'INVALID_CHALLENGE');
+  }
+  if (decoded.type !== '2fa_challenge' || !decoded.nonce) {
+    throw twoFactorError('Login challenge is invalid or has expired. Please login again.', 401, 'INVALID_CHALLENGE');
+  }
+
+  // Counted before the code is checked, so parallel guesses cannot all see a free attempt
+  const attempt = await countAttempt(`2fa:attempts:${decoded.nonce}`, CHALLENGE_TTL * 1000);
+  if (attempt > MAX_CHALLENGE_ATTEMPTS) {
+    throw twoFactorError('Too many attempts. Please login again.', 429, 'TOO_MANY_ATTEMPTS');
+  }
+
+  const accountType = decoded.accountType === 'cashier' ? 'cashier' : 'user';
+  const account = await loadAccount(decoded.id, accountType);
+  if (!account.twoFactor?.enabled) {
+    throw twoFactorError('Login challenge is invalid or has expired. Please login again.', 401, 'INVALID_CHALLENGE');
+  }
+
+  const identifier = decoded.identifier || account.email || account.userName;
+  const method = await checkSecondFactor(account, accountType, { code, recoveryCode }, req);
+  if (!method) {
+    const lockedUntil = await recordFailedAttempt(identifier, req);
+    await recordAudit({
+      action: '2fa.failed',
+      outcome: 'failure',
+      actor: actorOf(account, accountType),
+      reason: 'login',
+      req,
+      metadata: { attempt }
+    });
+    if (lockedUntil) {
+      throw twoFactorError('Too many failed attempts. This account is temporarily locked; check your email for an unlock link or try again later.', 423, 'ACCOUNT_LOCKED');
+    }
+    throw twoFactorError('Invalid verification code', 401, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  // setNX is null while Redis is down; the TOTP step check still stops the same code twice
+  if (await setNX(`2fa:completed:${decoded.nonce}`, '1', CHALLENGE_TTL) === false) {
+    throw twoFactorError('Login challenge has already been used. Please login again.', 401, 'CHALLENGE_USED');
+  }
+  await clearFailedAttempts(identifier);
+
+  return { account, accountType, method };
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  getStatus,
+  beginSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  getChallengeIdentifier,
+  verifyLoginChallenge
+};
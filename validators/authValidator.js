@@ -1,4 +1,4 @@
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 
 // Register user validation
 const validateRegister = [
@@ -118,6 +118,131 @@ const validateResendOtp = [
     .withMessage('Invalid email format')
 ];
 
+const validateRefreshToken = [
+  // Opaque token from login or the previous refresh
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+// 6-digit code from the authenticator app, or one of the recovery codes
+const secondFactorFields = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
+    .trim(),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A code or a recovery code is required')
+];
+
+const validateLoginTwoFactor = [
+  // Returned by /login when the account has 2FA enabled
+  body('challengeToken')
+    .isString()
+    .withMessage('Challenge token is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...secondFactorFields
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const validateDisableTwoFactor = [
+  // Required unless the account has no password yet (social sign-in); checked in utils/twoFactorService
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  ...secondFactorFields
+];
+
+const validateMagicLinkRequest = [
+  body('email')
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Invalid email format')
+];
+
+const validateMagicLinkVerify = [
+  // Either the token from the emailed link, or the email and its 6-digit code
+  body('token')
+    .optional()
+    .isString()
+    .withMessage('Token must be a string'),
+  body('email')
+    .if(body('token').not().exists())
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Invalid email format'),
+  body('code')
+    .if(body('token').not().exists())
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const validateOAuthStart = [
+  // Client page the provider redirects back to; must be listed in OAUTH_REDIRECT_URIS
+  body('redirectUri')
+    .isURL({ require_tld: false, require_protocol: true })
+    .withMessage('A valid redirectUri is required')
+];
+
+const validateOAuthCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required')
+];
+
+const validateOAuthLinkConfirm = [
+  body('linkToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Link token is required'),
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const validateUnlockToken = [
+  // From the link in the "account locked" email
+  query('token')
+    .isString()
+    .withMessage('Unlock token is required')
+    .notEmpty()
+    .withMessage('Unlock token is required')
+];
+
+const validateSessionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID format')
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
@@ -125,5 +250,16 @@ module.exports = {
   validateResetPassword,
   validateResetPasswordVerify,
   validateVerifyEmail,
-  validateResendOtp
+  validateResendOtp,
+  validateRefreshToken,
+  validateLoginTwoFactor,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
+  validateUnlockToken,
+  validateMagicLinkRequest,
+  validateMagicLinkVerify,
+  validateOAuthStart,
+  validateOAuthCallback,
+  validateOAuthLinkConfirm,
+  validateSessionId
 };
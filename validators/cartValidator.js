@@ -12,9 +12,9 @@ const validateAddToCart = [
     .withMessage('Quantity is required')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
+  // Optional: the server prices from the catalog and only uses this to detect stale clients
   body('price')
-    .notEmpty()
-    .withMessage('Price is required')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Price cannot be negative'),
   body('size')
@@ -35,7 +35,81 @@ const validateUpdateCartItem = [
     .withMessage('Quantity must be 0 or greater')
 ];
 
+// Apply coupon validation
+const validateApplyCoupon = [
+  body('code')
+    .notEmpty()
+    .withMessage('Coupon code is required')
+    .isString()
+    .withMessage('Coupon code must be a string')
+    .trim()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('Coupon code must be between 1 and 32 characters')
+];
+
+// Shipping quote validation - either a saved address or the zone fields
+const validateShippingQuote = [
+  body('deliveryType')
+    .optional()
+    .isIn(['pickup', 'delivery'])
+    .withMessage('Delivery type must be pickup or delivery'),
+  body('addressId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid address ID format'),
+  body('address')
+    .if(body('addressId').not().exists())
+    .if(body('deliveryType').not().equals('pickup'))
+    .notEmpty()
+    .withMessage('addressId or address is required')
+    .isObject()
+    .withMessage('Address must be an object'),
+  body('address.city')
+    .optional()
+    .isString()
+    .withMessage('City must be a string')
+];
+
+// Checkout validation - saved address and payment method from the profile
+const validateCheckout = [
+  body('addressId')
+    .notEmpty()
+    .withMessage('Address ID is required')
+    .isMongoId()
+    .withMessage('Invalid address ID format'),
+  body('paymentMethodId')
+    .notEmpty()
+    .withMessage('Payment method ID is required')
+    .isMongoId()
+    .withMessage('Invalid payment method ID format'),
+  body('deliveryType')
+    .optional()
+    .isIn(['pickup', 'delivery'])
+    .withMessage('Delivery type must be pickup or delivery'),
+  body('paymentProvider')
+    .optional()
+    .isString()
+    .withMessage('Payment provider must be a string')
+    .trim()
+    .toLowerCase(),
+  body('createPaymentLink')
+    .optional()
+    .isBoolean()
+    .withMessage('createPaymentLink must be a boolean')
+    .toBoolean(),
+  body('checkoutKey')
+    .optional()
+    .isString()
+    .withMessage('Checkout key must be a string')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Checkout key must be between 1 and 255 characters')
+];
+
 module.exports = {
   validateAddToCart,
-  validateUpdateCartItem
+  validateUpdateCartItem,
+  validateApplyCoupon,
+  validateShippingQuote,
+  validateCheckout
 };
@@ -26,11 +26,5 @@ exports.validateRegisterCashier = [
     .notEmpty()
     .withMessage('Password is required')
     .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-    
-  body('role')
-    .notEmpty()
-    .withMessage('Role key is required')
-    .isString()
-    .withMessage('Role must be a string')
+    .withMessage('Password must be at least 6 characters long')
 ];
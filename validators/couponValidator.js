@@ -0,0 +1,73 @@
+const { body } = require('express-validator');
+
+// Fields shared by create and update; `required` makes code/type mandatory on create
+const couponFields = (required) => [
+  ...(required
+    ? [
+      body('code').notEmpty().withMessage('Coupon code is required'),
+      body('type').notEmpty().withMessage('Coupon type is required')
+    ]
+    : []),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Coupon code must be a string')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,32}$/)
+    .withMessage('Coupon code must be 3-32 letters, numbers, dashes or underscores'),
+  body('type')
+    .optional()
+    .isIn(['percentage', 'fixed', 'free_delivery'])
+    .withMessage('Coupon type must be percentage, fixed or free_delivery'),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a positive number'),
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Max discount must be a positive number'),
+  body('minSpend')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum spend must be a positive number'),
+  body('usageLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limit must be at least 1'),
+  body('perUserLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Per-user limit must be at least 1'),
+  body('startsAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('appliesTo.products')
+    .optional()
+    .isArray()
+    .withMessage('appliesTo.products must be an array'),
+  body('appliesTo.products.*')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('appliesTo.categories')
+    .optional()
+    .isArray()
+    .withMessage('appliesTo.categories must be an array')
+];
+
+const validateCreateCoupon = couponFields(true);
+const validateUpdateCoupon = couponFields(false);
+
+module.exports = {
+  validateCreateCoupon,
+  validateUpdateCoupon
+};
@@ -137,17 +137,56 @@ exports.validatePaymentLink = [
 
 // Validate refund
 exports.validateRefund = [
-  body('paymentId')
+  body('orderId')
+    .if(body('paymentId').not().exists())
     .notEmpty()
-    .withMessage('Payment ID is required'),
+    .withMessage('Order ID or payment ID is required'),
+  body('paymentId')
+    .optional()
+    .isString()
+    .withMessage('Payment ID must be a string'),
   body('amount')
     .optional()
     .isNumeric()
     .withMessage('Amount must be a number')
     .isFloat({ gt: 0 })
-    .withMessage('Amount must be greater than 0'),
+    .withMessage('Amount must be greater than 0')
+    .toFloat(),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Item quantity must be at least 1')
+    .toInt(),
   body('reason')
     .optional()
     .isIn(['requested_by_customer', 'duplicate', 'fraudulent'])
     .withMessage('Reason must be one of: requested_by_customer, duplicate, fraudulent')
 ];
+
+// Validate provider checkout
+exports.validateProviderCheckout = [
+  body('orderId')
+    .notEmpty()
+    .withMessage('Order ID is required')
+    .isString()
+    .withMessage('Order ID must be a string')
+];
+
+// Validate provider capture
+exports.validateProviderCapture = [
+  body('reference')
+    .notEmpty()
+    .withMessage('Payment reference is required')
+    .isString()
+    .withMessage('Payment reference must be a string'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+];
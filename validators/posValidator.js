@@ -1,4 +1,5 @@
-const { body } = require('express-validator');
+const { body, query, param } = require('express-validator');
+const { ORDER_STATUSES } = require('../utils/orderStateMachine');
 
 // Validation for creating orders
 exports.validateCreateOrder = [
@@ -20,6 +21,7 @@ exports.validateCreateOrder = [
     .isIn(['pickup', 'delivery'])
     .withMessage('Delivery type must be pickup or delivery'),
   
+  // Ignored: the fee is computed server-side from shipping zones
   body('deliveryFee')
     .optional()
     .isFloat({ min: 0 })
@@ -31,6 +33,14 @@ exports.validateCreateOrder = [
     .isIn(['cash', 'card', 'ewallet'])
     .withMessage('Payment type must be cash, card, or ewallet'),
   
+  // Optional: defaults to the first provider that accepts the payment type
+  body('paymentProvider')
+    .optional()
+    .isString()
+    .withMessage('Payment provider must be a string')
+    .trim()
+    .toLowerCase(),
+  
   // Cash payment validation - details must be null
   body('paymentMethod.details')
     .if(body('paymentMethod.type').equals('cash'))
@@ -95,20 +105,177 @@ exports.validateCreateOrder = [
     .isInt({ min: 1 })
     .withMessage('Item quantity must be at least 1'),
   
+  // Optional: line prices are computed server-side from the Product catalog
   body('items.*.price')
+    .optional()
     .isFloat({ min: 0 })
-    .withMessage('Item price must be a positive number')
+    .withMessage('Item price must be a positive number'),
+
+  body('couponCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('Coupon code must be between 1 and 32 characters')
 ];
 
 // Validation for updating order status
 exports.validateUpdateOrderStatus = [
   body('status')
     .optional()
-    .isIn(['pending', 'received', 'preparing', 'shipped', 'delivered', 'cancelled'])
+    .isIn(ORDER_STATUSES)
     .withMessage('Invalid status value'),
+
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
   
   body('paymentStatus')
     .optional()
-    .isIn(['pending', 'paid', 'failed', 'refunded'])
+    .isIn(['pending', 'paid', 'failed', 'partially_refunded', 'refunded'])
     .withMessage('Invalid payment status value')
 ];
+
+// Validation for staff actions on a return request
+exports.validateUpdateReturn = [
+  body('action')
+    .isIn(['approve', 'reject', 'receive', 'refund'])
+    .withMessage('Action must be one of: approve, reject, receive, refund'),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+];
+
+// Validation for collecting cash on a cash order
+exports.validateCollectCash = [
+  body('amountTendered')
+    .isFloat({ min: 0 })
+    .withMessage('Amount tendered must be a positive number')
+    .toFloat()
+];
+
+// Validation for cash drawer summary and discrepancy filters
+exports.validateCashDrawerQuery = [
+  query('cashierId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid cashier ID format'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .toDate(),
+
+  query('openingFloat')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Opening float must be a positive number')
+    .toFloat()
+];
+
+// Validation for the end-of-shift drawer count
+exports.validateDrawerCount = [
+  body('countedCash')
+    .isFloat({ min: 0 })
+    .withMessage('Counted cash must be a positive number')
+    .toFloat(),
+
+  body('openingFloat')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Opening float must be a positive number')
+    .toFloat(),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+];
+
+const reportFormat = query('format')
+  .optional()
+  .isIn(['json', 'pdf'])
+  .withMessage('Format must be json or pdf');
+
+// Validation for opening a shift
+exports.validateOpenShift = [
+  body('openingFloat')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Opening float must be a positive number')
+    .toFloat(),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+];
+
+// Validation for closing a shift
+exports.validateCloseShift = [
+  body('countedCash')
+    .isFloat({ min: 0 })
+    .withMessage('Counted cash must be a positive number')
+    .toFloat(),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+
+  reportFormat
+];
+
+// Validation for the shift list filters
+exports.validateShiftQuery = [
+  query('cashierId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid cashier ID format'),
+
+  query('status')
+    .optional()
+    .isIn(['open', 'closed'])
+    .withMessage('Status must be open or closed'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .toDate()
+];
+
+// Validation for fetching a Z-report
+exports.validateZReport = [
+  param('shiftId')
+    .isMongoId()
+    .withMessage('Invalid shift ID format'),
+
+  reportFormat
+];
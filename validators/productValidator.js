@@ -42,6 +42,10 @@ const validateBulkUpload = [
     .optional()
     .isFloat({ min: 0, max: 100 })
     .withMessage('Discount percent must be between 0 and 100'),
+  body('products.*.weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Weight must be a positive number (kg)'),
   body('products.*.category')
     .optional()
     .isString()
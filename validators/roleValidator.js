@@ -0,0 +1,81 @@
+const { body, param } = require('express-validator');
+
+const ROLE_NAME = /^[a-z][a-z0-9_-]{1,31}$/;
+
+const roleNameParam = param('name')
+  .trim()
+  .toLowerCase()
+  .matches(ROLE_NAME)
+  .withMessage('Invalid role name');
+
+// Unknown permission keys are rejected by the role service against the catalog
+const permissionsField = (required) => [
+  (required ? body('permissions') : body('permissions').optional())
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isString()
+    .withMessage('Each permission must be a string')
+    .trim()
+];
+
+const descriptionField = body('description')
+  .optional()
+  .isString()
+  .withMessage('Description must be a string')
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Description cannot be more than 200 characters');
+
+const requireTwoFactorField = body('requireTwoFactor')
+  .optional()
+  .isBoolean()
+  .withMessage('requireTwoFactor must be a boolean')
+  .toBoolean();
+
+const validateCreateRole = [
+  body('name')
+    .notEmpty()
+    .withMessage('Role name is required')
+    .isString()
+    .withMessage('Role name must be a string')
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_NAME)
+    .withMessage('Role name must be 2-32 lowercase letters, numbers, dashes or underscores, starting with a letter'),
+  descriptionField,
+  requireTwoFactorField,
+  ...permissionsField(true)
+];
+
+const validateUpdateRole = [
+  roleNameParam,
+  descriptionField,
+  requireTwoFactorField,
+  ...permissionsField(false)
+];
+
+const validateDeleteRole = [roleNameParam];
+
+const validateAssignRole = [
+  param('accountType')
+    .isIn(['user', 'cashier'])
+    .withMessage('Account type must be user or cashier'),
+  param('accountId')
+    .isMongoId()
+    .withMessage('Invalid account ID format'),
+  body('role')
+    .notEmpty()
+    .withMessage('Role is required')
+    .isString()
+    .withMessage('Role must be a string')
+    .trim()
+    .toLowerCase()
+];
+
+module.exports = {
+  validateCreateRole,
+  validateUpdateRole,
+  validateDeleteRole,
+  validateAssignRole
+};
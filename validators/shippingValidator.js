@@ -0,0 +1,57 @@
+const { body } = require('express-validator');
+
+const FEE_FIELDS = ['baseFee', 'includedWeightKg', 'perKgFee', 'perItemFee'];
+const MATCH_LISTS = ['regions', 'provinces', 'cities', 'barangays'];
+
+// Fields shared by create and update; `required` makes name/baseFee mandatory on create
+const zoneFields = (required) => [
+  ...(required
+    ? [
+      body('name').notEmpty().withMessage('Zone name is required'),
+      body('baseFee').notEmpty().withMessage('Base fee is required')
+    ]
+    : []),
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Zone name must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Zone name must be between 1 and 100 characters'),
+  ...FEE_FIELDS.map(field => body(field)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage(`${field} must be a positive number`)),
+  body('includedItems')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('includedItems must be a non-negative integer'),
+  body('freeShippingThreshold')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Free shipping threshold must be a positive number'),
+  body('maxWeightKg')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Max weight must be a positive number'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  ...MATCH_LISTS.map(list => body(`match.${list}`)
+    .optional()
+    .isArray()
+    .withMessage(`match.${list} must be an array`))
+];
+
+const validateCreateShippingZone = zoneFields(true);
+const validateUpdateShippingZone = zoneFields(false);
+
+module.exports = {
+  validateCreateShippingZone,
+  validateUpdateShippingZone
+};